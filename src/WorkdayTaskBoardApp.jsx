@@ -1,7 +1,24 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import ReactDOM from 'react-dom';
 import { create } from 'zustand';
-import { format, parseISO, isBefore, addDays, addHours, isToday, isTomorrow } from 'date-fns';
+import {
+  format,
+  formatDistanceToNow,
+  parseISO,
+  isBefore,
+  addDays,
+  addHours,
+  addMonths,
+  isToday,
+  isTomorrow,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  endOfWeek,
+  addWeeks,
+  eachDayOfInterval,
+  isSameMonth,
+} from 'date-fns';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Plus,
@@ -27,6 +44,32 @@ import {
   MoreVertical,
   SlidersHorizontal,
   Pin,
+  Download,
+  AlertTriangle,
+  History,
+  Undo2,
+  Redo2,
+  Repeat,
+  Lock,
+  Link2,
+  Gauge,
+  ArrowDownWideNarrow,
+  Columns3,
+  Sunrise,
+  Pause,
+  CalendarDays,
+  Table2,
+  Rows3,
+  GanttChart,
+  Grid2x2,
+  Inbox,
+  ArrowUp,
+  ArrowDown,
+  Hourglass,
+  Filter,
+  Bookmark,
+  Layers,
+  Upload,
 } from 'lucide-react';
 import clsx from 'clsx';
 import logoLight from '/assets/light/flowtrackr-logo.png';
@@ -134,29 +177,6 @@ function uid() {
   return Math.random().toString(36).slice(2);
 }
 
-function parseDueToken(parts) {
-  // Accept due:today|tomorrow|YYYY-MM-DD|HH:mm or combinations like "tomorrow 16:00"
-  if (!parts || parts.length === 0) return null;
-  let d = new Date();
-  if (parts[0] === 'today') {
-    // keep today
-  } else if (parts[0] === 'tomorrow') {
-    d = addDays(d, 1);
-  } else if (/^\d{4}-\d{2}-\d{2}$/.test(parts[0])) {
-    d = parseISO(parts[0]);
-  }
-  // time part
-  const timePart = parts.find((p) => /^\d{1,2}:\d{2}$/.test(p));
-  if (timePart) {
-    const [hh, mm] = timePart.split(':').map(Number);
-    d.setHours(hh, mm, 0, 0);
-  } else {
-    // default 18:00 local
-    d.setHours(18, 0, 0, 0);
-  }
-  return d.toISOString();
-}
-
 function humanDue(dueAt) {
   if (!dueAt) return null;
   const d = new Date(dueAt);
@@ -164,6 +184,443 @@ function humanDue(dueAt) {
   return base + (isToday(d) ? ' · today' : isTomorrow(d) ? ' · tomorrow' : '');
 }
 
+// ----- Recurrence -----
+// Rules are plain objects stored on Task.recurrence:
+//   { type: 'interval', every, unit: 'day'|'week'|'month' }   every:3d, every:2w, every:month
+//   { type: 'weekdays', days: number[] }                      every:mon,wed, every:weekday
+//   { type: 'monthly', nth: 1..4|-1, weekday }                every:1st-mon, every:last-fri
+//   { type: 'after', every }  (days after completion)         every:after-3d
+
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Full weekday names and the abbreviations people actually type; anything else
+// (`monkey`, `frisbee`) is not a weekday
+const WEEKDAY_NAMES = {
+  sun: 0,
+  sunday: 0,
+  mon: 1,
+  monday: 1,
+  tue: 2,
+  tues: 2,
+  tuesday: 2,
+  wed: 3,
+  weds: 3,
+  wednesday: 3,
+  thu: 4,
+  thur: 4,
+  thurs: 4,
+  thursday: 4,
+  fri: 5,
+  friday: 5,
+  sat: 6,
+  saturday: 6,
+};
+const RECURRENCE_UNITS = {
+  d: 'day',
+  day: 'day',
+  w: 'week',
+  week: 'week',
+  m: 'month',
+  month: 'month',
+};
+const NTH_KEYS = { '1st': 1, '2nd': 2, '3rd': 3, '4th': 4, last: -1 };
+const NTH_LABELS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'Last' };
+
+function weekdayIndex(name) {
+  return Object.hasOwn(WEEKDAY_NAMES, name) ? WEEKDAY_NAMES[name] : -1;
+}
+
+// Parse the value of an `every:` token into a rule, or null when it is not one.
+function parseRecurrence(text) {
+  const value = String(text || '')
+    .trim()
+    .toLowerCase();
+  if (!value) return null;
+
+  const after = value.match(/^after-(\d+)d?$/);
+  if (after && Number(after[1]) > 0) return { type: 'after', every: Number(after[1]) };
+
+  const interval = value.match(/^(\d*)(d|day|w|week|m|month)s?$/);
+  if (interval) {
+    const every = interval[1] ? Number(interval[1]) : 1;
+    return every > 0 ? { type: 'interval', every, unit: RECURRENCE_UNITS[interval[2]] } : null;
+  }
+
+  if (value === 'weekday' || value === 'weekdays')
+    return { type: 'weekdays', days: [1, 2, 3, 4, 5] };
+
+  const monthly = value.match(/^(1st|2nd|3rd|4th|last)-([a-z]+)$/);
+  if (monthly && weekdayIndex(monthly[2]) !== -1) {
+    return { type: 'monthly', nth: NTH_KEYS[monthly[1]], weekday: weekdayIndex(monthly[2]) };
+  }
+
+  const days = value.split(',').map(weekdayIndex);
+  if (days.length > 0 && days.every((day) => day !== -1)) {
+    return { type: 'weekdays', days: Array.from(new Set(days)).sort() };
+  }
+  return null;
+}
+
+// Validate a stored rule; returns a clean copy or null.
+function normalizeRecurrence(rule) {
+  if (!isPlainObject(rule)) return null;
+  const positive = (n) => Number.isInteger(n) && n > 0;
+  switch (rule.type) {
+    case 'interval':
+      return positive(rule.every) && ['day', 'week', 'month'].includes(rule.unit)
+        ? { type: 'interval', every: rule.every, unit: rule.unit }
+        : null;
+    case 'weekdays': {
+      const days = Array.isArray(rule.days)
+        ? rule.days.filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+        : [];
+      return days.length > 0 ? { type: 'weekdays', days } : null;
+    }
+    case 'monthly':
+      return [1, 2, 3, 4, -1].includes(rule.nth) && rule.weekday >= 0 && rule.weekday <= 6
+        ? { type: 'monthly', nth: rule.nth, weekday: rule.weekday }
+        : null;
+    case 'after':
+      return positive(rule.every) ? { type: 'after', every: rule.every } : null;
+    default:
+      return null;
+  }
+}
+
+// Inverse of parseRecurrence, for editing a rule as text.
+function formatRecurrence(rule) {
+  if (!rule) return '';
+  switch (rule.type) {
+    case 'interval':
+      return `${rule.every === 1 ? '' : rule.every}${rule.unit[0]}`;
+    case 'weekdays':
+      return rule.days.map((day) => WEEKDAY_KEYS[day]).join(',');
+    case 'monthly':
+      return `${NTH_LABELS[rule.nth].toLowerCase()}-${WEEKDAY_KEYS[rule.weekday]}`;
+    case 'after':
+      return `after-${rule.every}d`;
+    default:
+      return '';
+  }
+}
+
+function describeRecurrence(rule) {
+  if (!rule) return 'Does not repeat';
+  switch (rule.type) {
+    case 'interval':
+      return rule.every === 1 ? `Every ${rule.unit}` : `Every ${rule.every} ${rule.unit}s`;
+    case 'weekdays':
+      return rule.days.join() === '1,2,3,4,5'
+        ? 'Every weekday'
+        : `Every ${rule.days.map((day) => WEEKDAY_LABELS[day]).join(', ')}`;
+    case 'monthly':
+      return `${NTH_LABELS[rule.nth]} ${WEEKDAY_LABELS[rule.weekday]} of every month`;
+    case 'after':
+      return `${rule.every} day${rule.every !== 1 ? 's' : ''} after completion`;
+    default:
+      return 'Does not repeat';
+  }
+}
+
+// Date of the nth (or last, nth = -1) weekday in the month of `date`, keeping its time.
+function nthWeekdayOfMonth(date, nth, weekday) {
+  const d = new Date(date);
+  if (nth === -1) {
+    d.setMonth(d.getMonth() + 1, 0);
+    d.setDate(d.getDate() - ((d.getDay() - weekday + 7) % 7));
+  } else {
+    d.setDate(1);
+    d.setDate(1 + ((weekday - d.getDay() + 7) % 7) + (nth - 1) * 7);
+  }
+  return d;
+}
+
+// Next due date strictly after `from` (and not in the past) for a rule.
+// `completedAt` anchors "after completion" rules.
+function nextOccurrence(rule, from, completedAt = new Date()) {
+  const now = new Date();
+  const anchor = new Date(from || now);
+  if (!from) anchor.setHours(18, 0, 0, 0);
+
+  if (rule.type === 'after') {
+    const next = addDays(new Date(completedAt), rule.every);
+    next.setHours(anchor.getHours(), anchor.getMinutes(), 0, 0);
+    return next;
+  }
+
+  let next = anchor;
+  // Bounded so a corrupt rule can never spin forever
+  for (let i = 0; i < 1000; i++) {
+    if (rule.type === 'interval') {
+      if (rule.unit === 'day') next = addDays(next, rule.every);
+      else if (rule.unit === 'week') next = addDays(next, rule.every * 7);
+      else next = addMonths(next, rule.every);
+    } else if (rule.type === 'weekdays') {
+      next = addDays(next, 1);
+      if (!rule.days.includes(next.getDay())) continue;
+    } else if (rule.type === 'monthly') {
+      const candidate = nthWeekdayOfMonth(next, rule.nth, rule.weekday);
+      next =
+        candidate > next
+          ? candidate
+          : nthWeekdayOfMonth(addMonths(next, 1), rule.nth, rule.weekday);
+    }
+    if (next > now) return next;
+  }
+  return next;
+}
+
+// First due date for a new recurring task without one: the first matching day
+// from today on, at the default 18:00.
+function firstOccurrence(rule) {
+  const today = new Date();
+  today.setHours(18, 0, 0, 0);
+  if (rule.type === 'interval' || rule.type === 'after') return today;
+  return nextOccurrence(rule, addDays(today, -1));
+}
+
+// ----- Natural-language Dates -----
+// `due:` and `expect:` values: today, tomorrow, fri, next monday, in 3d, +2w, +4h,
+// eod, eow, eom, end of sprint, YYYY-MM-DD, 24/12 or 12/24 (locale order), dec 24,
+// optionally followed by a time (16:00, 5pm, noon). Dates without a time get 18:00.
+// A weekday means its next occurrence including today; "next fri" skips today.
+
+const DEFAULT_DUE_HOUR = 18;
+// Two-week sprints counted from this Monday; a sprint ends on its second Friday
+const SPRINT_ANCHOR = new Date(2024, 0, 1);
+const SPRINT_LENGTH_DAYS = 14;
+const ENGLISH_WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+const ENGLISH_MONTHS = [
+  'january',
+  'february',
+  'march',
+  'april',
+  'may',
+  'june',
+  'july',
+  'august',
+  'september',
+  'october',
+  'november',
+  'december',
+];
+const RELATIVE_DATE_UNITS = {
+  h: 'hour',
+  hr: 'hour',
+  hour: 'hour',
+  d: 'day',
+  day: 'day',
+  w: 'week',
+  wk: 'week',
+  week: 'week',
+  mo: 'month',
+  month: 'month',
+};
+const DATE_ALIASES = {
+  tod: 'today',
+  tmr: 'tomorrow',
+  tmrw: 'tomorrow',
+  'end of day': 'eod',
+  'end of week': 'eow',
+  'end of month': 'eom',
+  'end of sprint': 'eos',
+};
+
+function getUserLocale() {
+  return (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+}
+
+const localeNameCache = new Map();
+
+// Lower-cased weekday and month names, in English and in `locale`, mapped to
+// their index (Sunday = 0, January = 0).
+function getLocaleDateNames(locale) {
+  if (localeNameCache.has(locale)) return localeNameCache.get(locale);
+  const weekdays = new Map();
+  const months = new Map();
+  const add = (map, name, index) => {
+    const key = name.toLocaleLowerCase(locale).replace(/\.$/, '');
+    if (!map.has(key)) map.set(key, index);
+  };
+  ENGLISH_WEEKDAYS.forEach((name, day) => {
+    add(weekdays, name, day);
+    add(weekdays, name.slice(0, 3), day);
+  });
+  ['tues', 'thur', 'thurs'].forEach((name) => add(weekdays, name, name === 'tues' ? 2 : 4));
+  ENGLISH_MONTHS.forEach((name, month) => {
+    add(months, name, month);
+    add(months, name.slice(0, 3), month);
+  });
+  try {
+    ['long', 'short'].forEach((style) => {
+      const weekdayFormat = new Intl.DateTimeFormat(locale, { weekday: style });
+      const monthFormat = new Intl.DateTimeFormat(locale, { month: style });
+      // 7 January 2024 is a Sunday
+      for (let day = 0; day < 7; day += 1) {
+        add(weekdays, weekdayFormat.format(new Date(2024, 0, 7 + day)), day);
+      }
+      for (let month = 0; month < 12; month += 1) {
+        add(months, monthFormat.format(new Date(2024, month, 1)), month);
+      }
+    });
+  } catch {
+    // Unknown locale: the English names are enough
+  }
+  const names = { weekdays, months };
+  localeNameCache.set(locale, names);
+  return names;
+}
+
+// Whether the locale writes numeric dates day-first (24/12) or month-first (12/24).
+function isDayFirstLocale(locale) {
+  try {
+    const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(2024, 10, 22));
+    const order = parts.filter((part) => part.type === 'day' || part.type === 'month');
+    return order[0]?.type === 'day';
+  } catch {
+    return false;
+  }
+}
+
+function parseClockTime(text) {
+  if (text === 'noon') return { hours: 12, minutes: 0 };
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s?(am|pm)?$/);
+  if (!match || (!match[2] && !match[3])) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+function atHour(date, hours = DEFAULT_DUE_HOUR, minutes = 0) {
+  const next = new Date(date);
+  next.setHours(hours, minutes, 0, 0);
+  return next;
+}
+
+// Next `weekday` on or after `from` (strictly after when `skipToday`).
+function nextWeekday(from, weekday, skipToday = false) {
+  const offset = (weekday - from.getDay() + 7) % 7;
+  return addDays(from, offset === 0 && skipToday ? 7 : offset);
+}
+
+function endOfSprint(now) {
+  const sprintMs = SPRINT_LENGTH_DAYS * 24 * HOUR_MS;
+  const elapsed = Math.floor((now.getTime() - SPRINT_ANCHOR.getTime()) / sprintMs);
+  let end = atHour(addDays(SPRINT_ANCHOR, elapsed * SPRINT_LENGTH_DAYS + 11));
+  if (end < now) end = addDays(end, SPRINT_LENGTH_DAYS);
+  return end;
+}
+
+// Calendar day (with a time when the phrase implies one) or null.
+function resolveDatePhrase(phrase, now, locale) {
+  const text = DATE_ALIASES[phrase] ?? phrase;
+  const { weekdays, months } = getLocaleDateNames(locale);
+  if (text === 'today') return { date: now };
+  if (text === 'tomorrow') return { date: addDays(now, 1) };
+  if (text === 'eod') return { date: now };
+  if (text === 'eow') return { date: nextWeekday(now, 5) };
+  if (text === 'eom') return { date: new Date(now.getFullYear(), now.getMonth() + 1, 0) };
+  if (text === 'eos') return { date: endOfSprint(now) };
+
+  const weekday = text.match(/^(next |this )?(.+)$/);
+  if (weekday && weekdays.has(weekday[2])) {
+    return { date: nextWeekday(now, weekdays.get(weekday[2]), weekday[1] === 'next ') };
+  }
+
+  const relative = text.match(/^(?:in |\+)(\d+)\s?([a-z]+?)s?$/);
+  if (relative && RELATIVE_DATE_UNITS[relative[2]]) {
+    const amount = Number(relative[1]);
+    const unit = RELATIVE_DATE_UNITS[relative[2]];
+    if (unit === 'hour') return { date: addHours(now, amount), exact: true };
+    if (unit === 'week') return { date: addDays(now, amount * 7) };
+    if (unit === 'month') return { date: addMonths(now, amount) };
+    return { date: addDays(now, amount) };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const date = parseISO(text);
+    return Number.isNaN(date.getTime()) ? null : { date };
+  }
+
+  // Dates without a year roll over to next year once they have passed
+  const withYear = (year, month, day) => {
+    const fullYear = year === undefined ? now.getFullYear() : year < 100 ? 2000 + year : year;
+    let date = new Date(fullYear, month, day);
+    if (date.getMonth() !== month) return null;
+    if (year === undefined && atHour(date) < now) date = new Date(fullYear + 1, month, day);
+    return { date };
+  };
+  const numeric = text.match(/^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2}|\d{4}))?$/);
+  if (numeric) {
+    const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+    const year = numeric[3] === undefined ? undefined : Number(numeric[3]);
+    return isDayFirstLocale(locale)
+      ? withYear(year, second - 1, first)
+      : withYear(year, first - 1, second);
+  }
+  const named = text.match(/^(\d{1,2})\.? ([^\s\d]+)$/) || text.match(/^([^\s\d]+) (\d{1,2})$/);
+  if (named) {
+    const [day, name] = /^\d/.test(named[1]) ? [named[1], named[2]] : [named[2], named[1]];
+    const month = months.get(name.replace(/\.$/, ''));
+    if (month !== undefined) return withYear(undefined, month, Number(day));
+  }
+  return null;
+}
+
+/**
+ * Parse a natural-language date such as "next monday 5pm" or "in 3d".
+ * @returns {Date|null}
+ */
+function parseNaturalDate(input, now = new Date(), locale = getUserLocale()) {
+  const text = String(input || '')
+    .toLocaleLowerCase(locale)
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return null;
+
+  const timed = text.match(
+    /^(?:(.*?) )?(?:at )?(noon|\d{1,2}(?::\d{2})? ?(?:am|pm)|\d{1,2}:\d{2})$/,
+  );
+  const datePhrase = timed ? timed[1] || '' : text;
+  const time = timed ? parseClockTime(timed[2].replace(' ', '')) : null;
+  if (timed && !time) return null;
+
+  if (!datePhrase) {
+    // A bare time means its next occurrence
+    const today = atHour(now, time.hours, time.minutes);
+    return today < now ? addDays(today, 1) : today;
+  }
+  const resolved = resolveDatePhrase(datePhrase, now, locale);
+  if (!resolved) return null;
+  if (time) return atHour(resolved.date, time.hours, time.minutes);
+  return resolved.exact ? resolved.date : atHour(resolved.date);
+}
+
+// Read a date from `first` plus as many following quick-add tokens as still
+// form a date ("due:next" "monday" "5pm"). Returns the date and how many of
+// the following tokens it used, or null.
+function consumeDateTokens(first, tokens, start) {
+  const words = tokens.slice(start, start + 4).map((token) => token.replaceAll('"', ''));
+  for (let count = words.length; count >= 0; count -= 1) {
+    const date = parseNaturalDate([first, ...words.slice(0, count)].join(' '));
+    if (date) return { date, consumed: count };
+  }
+  return null;
+}
+
 function toDateTimeLocalValue(isoString) {
   if (!isoString) return '';
   const d = new Date(isoString);
@@ -196,28 +653,37 @@ function formatDurationShort(totalSeconds) {
   return `${sec}s`;
 }
 
-function getStatusFromPoint(x, y) {
+function getElementFromPoint(selector, x, y) {
   if (typeof document === 'undefined') return null;
 
   // Hit-test the lane rectangles directly so drops still register when the pointer
   // is above another card or nested content inside the column.
-  const columns = document.querySelectorAll('[data-col]');
-  for (const column of columns) {
-    const rect = column.getBoundingClientRect();
-    if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
-      const status = column.getAttribute('data-col');
-      if (status) return /** @type {Status} */ (status);
-    }
+  for (const element of document.querySelectorAll(selector)) {
+    const rect = element.getBoundingClientRect();
+    if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) return element;
   }
-
   return null;
 }
 
-function getTaskDropTargetIndex(status, x, y, draggingTaskId) {
+function getStatusFromPoint(x, y) {
+  const status = getElementFromPoint('[data-col]', x, y)?.getAttribute('data-col');
+  return status ? /** @type {Status} */ (status) : null;
+}
+
+/** @returns {string|null} the key of the swimlane under the point, if any */
+function getSwimlaneFromPoint(x, y) {
+  return getElementFromPoint('[data-swimlane]', x, y)?.getAttribute('data-swimlane') ?? null;
+}
+
+function getTaskDropTargetIndex(status, x, y, draggingTaskId, tasks) {
   if (typeof document === 'undefined') return 0;
 
-  // Find the column element
-  const columnEl = document.querySelector(`[data-col="${status}"]`);
+  // Find the column element; with swimlanes the same status has one per swimlane
+  const hit = getElementFromPoint('[data-col]', x, y);
+  const columnEl =
+    hit?.getAttribute('data-col') === status
+      ? hit
+      : document.querySelector(`[data-col="${status}"]`);
   if (!columnEl) return 0;
 
   // Find all task card elements within that column, excluding the one being dragged
@@ -229,26 +695,54 @@ function getTaskDropTargetIndex(status, x, y, draggingTaskId) {
   if (cards.length === 0) return 0;
 
   // Find the index based on vertical position
+  const cardIds = cards.map((el) => el.getAttribute('data-task-id'));
   for (let i = 0; i < cards.length; i++) {
     const rect = cards[i].getBoundingClientRect();
     const centerY = rect.top + rect.height / 2;
     if (y < centerY) {
-      return i;
+      return getStatusInsertIndex(tasks, status, draggingTaskId, cardIds, i);
     }
   }
 
-  return cards.length;
+  return getStatusInsertIndex(tasks, status, draggingTaskId, cardIds, cards.length);
+}
+
+// A lane shows a filtered, possibly multi-project subset of the tasks in its status.
+// Map a position among the lane's cards to moveTask()'s index among all of them.
+function getStatusInsertIndex(tasks, status, draggingTaskId, cardIds, cardIndex) {
+  const statusIds = tasks
+    .filter((t) => t.status === status && t.id !== draggingTaskId)
+    .map((t) => t.id);
+  if (cardIndex < cardIds.length) {
+    const index = statusIds.indexOf(cardIds[cardIndex]);
+    return index === -1 ? statusIds.length : index;
+  }
+  const last = statusIds.indexOf(cardIds[cardIds.length - 1]);
+  return last === -1 ? statusIds.length : last + 1;
 }
 
 // ----- Store -----
 
 /** @typedef {{
  *  id:string; title:string; description?:string; projectId?:string; status:Status;
- *  priorityBucket:"P0"|"P1"|"P2"|"P3"|"P4"; dueAt?:string|null; ownerType:OwnerType; ownerRef?:string; owners:string[]; tags:string[];
+ *  priorityBucket:"P0"|"P1"|"P2"|"P3"|"P4"; startAt?:string|null; dueAt?:string|null; ownerType:OwnerType; ownerRef?:string; owners:string[]; tags:string[];
  *  dependencies:string[]; createdAt:string; updatedAt:string; expectedBy?:string|null;
  *  timeLogSecs?:number; timerStartedAt?:string|null; parentTaskId?:string|null; groupColor?:string|null;
+ *  recurrence?:RecurrenceRule|null; impact?:number|null; urgency?:number|null; effort?:number|null;
+ *  estimateMins?:number|null; urgentOverride?:boolean|null; importantOverride?:boolean|null;
+ *  activity?:TaskEvent[];
  * }} Task */
 
+/** @typedef {{
+ *  type:"interval"|"weekdays"|"monthly"|"after"; every?:number; unit?:"day"|"week"|"month";
+ *  days?:number[]; nth?:number; weekday?:number;
+ * }} RecurrenceRule */
+
+/** @typedef {{
+ *  id:string; type:"created"|"status"|"owners"|"project"|"timer"|"update"; at:string; label:string;
+ *  changes:{field:string; from:any; to:any}[]; mergeKey?:string;
+ * }} TaskEvent */
+
 /** @typedef {{
  *  id:string; name:string; color:string; isDefault:boolean; createdAt:number;
  * }} Project */
@@ -443,6 +937,172 @@ function getTaskGroupStats(tasks = [], taskId) {
   return { total, completed, remaining, percent };
 }
 
+// ----- Task Dependencies -----
+// `task.dependencies` lists the ids of tasks that block it ("blocked by").
+
+function getBlockingTasks(tasks = [], task) {
+  if (!task?.dependencies?.length) return [];
+  const byId = new Map(tasks.map((candidate) => [candidate.id, candidate]));
+  return task.dependencies.map((id) => byId.get(id)).filter(Boolean);
+}
+
+function getDependentTasks(tasks = [], taskId) {
+  return tasks.filter((task) => task.dependencies?.includes(taskId));
+}
+
+function getCompletionIds(statusConfig) {
+  return new Set(
+    statusConfig.statuses.filter((status) => status.isCompletionState).map((status) => status.id),
+  );
+}
+
+// Blockers that have not reached one of the completion statuses yet.
+function getOpenBlockers(tasks, task, completionIds) {
+  return getBlockingTasks(tasks, task).filter((blocker) => !completionIds.has(blocker.status));
+}
+
+// True when `taskId` becoming blocked by `blockerId` would close a loop, i.e.
+// the blocker already depends on the task, directly or transitively.
+function wouldCreateDependencyCycle(tasks, taskId, blockerId) {
+  if (taskId === blockerId) return true;
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  const seen = new Set();
+  const stack = [blockerId];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === taskId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(byId.get(id)?.dependencies ?? []));
+  }
+  return false;
+}
+
+// Re-add every dependency link one by one, skipping any that would close a
+// cycle; merges and imports can join two halves of a loop. Tasks that lose a
+// link are copied and passed to `onDrop`, the rest are returned as-is.
+function breakDependencyCycles(tasks, onDrop = () => {}) {
+  if (!tasks.some((task) => task.dependencies?.length > 0)) return tasks;
+  const unlinked = tasks.map((task) => ({ ...task, dependencies: [] }));
+  tasks.forEach((task, index) => {
+    (task.dependencies || []).forEach((blockerId) => {
+      if (!wouldCreateDependencyCycle(unlinked, task.id, blockerId)) {
+        unlinked[index].dependencies.push(blockerId);
+      }
+    });
+  });
+  return tasks.map((task, index) => {
+    const kept = unlinked[index].dependencies;
+    if (kept.length === (task.dependencies || []).length) return task;
+    const repaired = { ...task, dependencies: kept };
+    onDrop(repaired);
+    return repaired;
+  });
+}
+
+// The tasks left after deleting `ids`, with links to the deleted tasks removed
+function removeTasks(tasks, ids) {
+  return tasks
+    .filter((task) => !ids.has(task.id))
+    .map((task) =>
+      task.dependencies.some((id) => ids.has(id))
+        ? { ...task, dependencies: task.dependencies.filter((id) => !ids.has(id)) }
+        : task,
+    );
+}
+
+// ----- Estimates -----
+
+const ESTIMATE_UNITS = { m: 1, min: 1, h: 60, hr: 60, d: 8 * 60 };
+
+// "30m", "2h", "1h30m", "1.5h", "1d" (an 8h working day) → minutes, or null.
+function parseEstimate(text) {
+  const value = String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s/g, '');
+  const parts = value.match(/\d+(?:\.\d+)?[a-z]+/g);
+  if (!parts || parts.join('') !== value) return null;
+  let minutes = 0;
+  for (const part of parts) {
+    const [, amount, unit] = part.match(/^(\d+(?:\.\d+)?)([a-z]+)$/);
+    if (!ESTIMATE_UNITS[unit]) return null;
+    minutes += Number(amount) * ESTIMATE_UNITS[unit];
+  }
+  return minutes > 0 ? Math.round(minutes) : null;
+}
+
+function formatEstimate(minutes) {
+  if (!minutes) return '';
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+// ----- Priority Score -----
+
+const SCORE_FIELDS = ['impact', 'urgency', 'effort'];
+const SCORE_RATING_MAX = 5;
+// Unrated fields count as this middle value so a bare task lands in P3
+const SCORE_NEUTRAL_RATING = 2;
+const SCORE_BUCKET_THRESHOLDS = [
+  [80, 'P0'],
+  [60, 'P1'],
+  [40, 'P2'],
+  [20, 'P3'],
+];
+
+function normalizeScoreRating(value) {
+  const rating = typeof value === 'string' && value.trim() ? Number(value) : value;
+  return Number.isInteger(rating) && rating >= 0 && rating <= SCORE_RATING_MAX ? rating : null;
+}
+
+function hasScoreRatings(task) {
+  return SCORE_FIELDS.some((field) => task[field] !== null && task[field] !== undefined);
+}
+
+// Points added as the due date approaches: 0 (none or more than a week out) to 20 (overdue).
+function getDueDateBoost(dueAt, now = new Date()) {
+  if (!dueAt) return 0;
+  const hoursLeft = (new Date(dueAt).getTime() - now.getTime()) / HOUR_MS;
+  if (hoursLeft < 0) return 20;
+  if (hoursLeft <= 24) return 15;
+  if (hoursLeft <= 72) return 10;
+  if (hoursLeft <= 168) return 5;
+  return 0;
+}
+
+// Score parts: impact (0-20), urgency (0-15), low effort (0-5) and due boost (0-20).
+function getPriorityScoreBreakdown(task, now = new Date()) {
+  const rating = (field) => task[field] ?? SCORE_NEUTRAL_RATING;
+  const parts = {
+    impact: rating('impact') * 4,
+    urgency: rating('urgency') * 3,
+    effort: SCORE_RATING_MAX - rating('effort'),
+    due: getDueDateBoost(task.dueAt, now),
+  };
+  const raw = parts.impact + parts.urgency + parts.effort + parts.due;
+  return { ...parts, score: Math.round((raw / 60) * 100) };
+}
+
+/** 0..100; higher means do it sooner. */
+function computePriorityScore(task, now = new Date()) {
+  return getPriorityScoreBreakdown(task, now).score;
+}
+
+function priorityFromScore(score) {
+  return SCORE_BUCKET_THRESHOLDS.find(([min]) => score >= min)?.[1] ?? 'P4';
+}
+
+// Highest score first; ties keep their manual order.
+function sortTasksByScore(tasks, now = new Date()) {
+  return tasks
+    .map((task, index) => ({ task, index, score: computePriorityScore(task, now) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ task }) => task);
+}
+
 // Migration function to add owner registry
 function migrateToV1_1(data) {
   // If already has ownerRegistry, no migration needed
@@ -719,6 +1379,50 @@ function generateProjectColor(index) {
   return PROJECT_COLORS[index % PROJECT_COLORS.length];
 }
 
+function normalizeProjectName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Resolve a quick-add name against `items`, each known by one or more names.
+// Accepts an exact name (ignoring case, spaces and punctuation), else the
+// shortest name that starts with it, at the beginning or at a word ("review"
+// finds "In Review"). Nothing looser: `#ui` must not land in "build".
+// Returns `{ item, exact }` or null.
+function matchByName(items, query, getNames) {
+  const needle = normalizeProjectName(query);
+  if (!needle) return null;
+  const candidates = items.flatMap((item) =>
+    getNames(item).map((name) => {
+      const words = String(name).split(/[^\p{L}\p{N}]+/u);
+      const starts = words.map((_, index) => normalizeProjectName(words.slice(index).join('')));
+      return { item, name: normalizeProjectName(name), starts };
+    }),
+  );
+  const shortest = (list) => list.sort((a, b) => a.name.length - b.name.length)[0]?.item ?? null;
+
+  const exact = candidates.find((candidate) => candidate.name === needle);
+  if (exact) return { item: exact.item, exact: true };
+  const prefix = shortest(
+    candidates.filter((candidate) => candidate.starts.some((start) => start.startsWith(needle))),
+  );
+  return prefix ? { item: prefix, exact: false } : null;
+}
+
+// `#name` quick-add token → `{ project, exact }` or null.
+function matchProject(projects, query) {
+  const match = matchByName(projects, query, (project) => [project.name]);
+  return match && { project: match.item, exact: match.exact };
+}
+
+// `>name` quick-add token → `{ status, exact }` or null. Matches labels
+// (including custom statuses) and ids, so `>next`, `>review` and `>in_progress` work.
+function matchStatus(statuses, query) {
+  const match = matchByName(statuses, query, (status) => [status.label, status.id]);
+  return match && { status: match.item, exact: match.exact };
+}
+
 const seedTasks = () => {
   const now = new Date();
   const alphaId = uid();
@@ -755,7 +1459,7 @@ const seedTasks = () => {
       id: uid(),
       projectId: 'default',
       title: 'Verify the fix in staging',
-      status: 'review',
+      status: 'in_review',
       dueAt: null,
       ownerType: 'self',
       tags: ['qa'],
@@ -825,6 +1529,9 @@ function finalizeTask(partial) {
     projectId: partial.projectId ?? 'default',
     status: partial.status ?? 'inbox',
     priorityBucket,
+    urgentOverride: partial.urgentOverride ?? null,
+    importantOverride: partial.importantOverride ?? null,
+    startAt: partial.startAt ?? null,
     dueAt: partial.dueAt ?? null,
     ownerType: partial.ownerType ?? 'self',
     ownerRef: partial.ownerRef ?? undefined,
@@ -838,3529 +1545,7875 @@ function finalizeTask(partial) {
     timerStartedAt: partial.timerStartedAt ?? null,
     parentTaskId: partial.parentTaskId ?? null,
     groupColor: partial.groupColor ?? null,
+    recurrence: partial.recurrence ?? null,
+    impact: partial.impact ?? null,
+    urgency: partial.urgency ?? null,
+    effort: partial.effort ?? null,
+    estimateMins: partial.estimateMins ?? null,
+    activity: partial.activity ?? [],
   };
 }
 
-const useStore = create((set, get) => ({
-  // selection state
-  selectedIds: /** @type{string[]} */ ([]),
-  toggleSelected(id) {
-    set((s) => ({ selectedIds: toggleId(s.selectedIds, id) }));
-  },
-  clearSelection() {
-    set({ selectedIds: [] });
-  },
-  deleteSelected() {
-    const { tasks, selectedIds } = get();
-    const count = selectedIds.length;
-    const idsToDelete = new Set(selectedIds);
-    tasks.forEach((task) => {
-      if (task.parentTaskId && idsToDelete.has(task.parentTaskId)) {
-        idsToDelete.add(task.id);
-      }
-    });
-    get().pushUndo(`Deleted ${count} task${count !== 1 ? 's' : ''}`, { tasks: [...tasks] });
-    set((s) => ({ tasks: s.tasks.filter((task) => !idsToDelete.has(task.id)), selectedIds: [] }));
-    get().markDirty();
-    get().persist();
-  },
+// ----- Search Query Language -----
+// Syntax for filters.q. Bare words and "quoted phrases" match title, description
+// and tags. field:value terms narrow by field, a leading `-` negates, and terms
+// are AND-ed. `OR` (or `|`) alternates, and parentheses group. Invalid terms are
+// reported with their position and skipped, so the rest of the query still applies.
+//
+//   owner:priya owner:ai tag:auth status:blocked p:P0..P1 due<2026-11-01 due>=fri
+//   due:today due:none overdue is:subtask|ai|mine|recurring has:timer|due|estimate|deps|tags
+
+const SEARCH_IS_VALUES = {
+  subtask: (task) => !!task.parentTaskId,
+  ai: (task) => task.ownerType === 'ai',
+  mine: (task) => task.ownerType === 'self',
+  recurring: (task) => !!task.recurrence,
+};
 
-  tasks: /** @type{Task[]} */ ([]),
-  filters: { project: 'all', status: 'all', owner: 'all', q: '', priority: 'all' },
-  ownerFilter: /** @type{string|null} */ (null),
-
-  // Projects state
-  projects: /** @type{Project[]} */ ([
-    { id: 'default', name: 'Default', color: '#6B7280', isDefault: true, createdAt: Date.now() },
-  ]),
-  currentProjectId: 'default',
-  // Pinned project always becomes the current project on load/refresh
-  pinnedProjectId: /** @type{string|null} */ (null),
-
-  // Owner Registry state
-  ownerRegistry: {
-    owners: new Set(),
-    statistics: new Map(),
-  },
+const SEARCH_HAS_VALUES = {
+  timer: (task) => !!task.timerStartedAt,
+  due: (task) => !!task.dueAt,
+  estimate: (task) => !!task.estimateMins,
+  deps: (task) => task.dependencies?.length > 0,
+  tags: (task) => task.tags.length > 0,
+};
 
-  // Status Configuration state
-  statusConfig: {
-    statuses: [],
-    version: 1,
-  },
+const SEARCH_TERM = /^([a-z]+)(:|<=|>=|<|>)(.*)$/i;
+const SEARCH_BREAK = /[\s()|]/;
+
+function tokenizeSearchQuery(query) {
+  const tokens = [];
+  const errors = [];
+  let i = 0;
+  while (i < query.length) {
+    const ch = query[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '(' || ch === ')' || ch === '|') {
+      tokens.push({ type: ch === '|' ? 'or' : ch, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+    if (ch === '-' && query[i + 1] === '(') {
+      tokens.push({ type: 'not', start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+    const start = i;
+    const negated = ch === '-' && i + 1 < query.length && !SEARCH_BREAK.test(query[i + 1]);
+    if (negated) i++;
+    const phrase = query[i] === '"';
+    let text = '';
+    while (i < query.length && !SEARCH_BREAK.test(query[i])) {
+      if (query[i] !== '"') {
+        text += query[i++];
+        continue;
+      }
+      const close = query.indexOf('"', i + 1);
+      if (close === -1) {
+        errors.push({ start: i, end: query.length, message: 'Missing closing quote' });
+        text += query.slice(i + 1);
+        i = query.length;
+      } else {
+        text += query.slice(i + 1, close);
+        i = close + 1;
+      }
+    }
+    if (text === 'OR' && !phrase && !negated) tokens.push({ type: 'or', start, end: i });
+    else tokens.push({ type: 'word', text, phrase, negated, start, end: i });
+  }
+  return { tokens, errors };
+}
 
-  // User prefs
-  autoReturnOnStop: false,
-  setAutoReturnOnStop(v) {
-    set({ autoReturnOnStop: v });
-  },
+function parsePriorityRank(value) {
+  const match = value.match(/^p?([0-4])$/i);
+  return match ? Number(match[1]) : null;
+}
 
-  // Drag state
-  draggingId: /** @type{string|null} */ (null),
-  dragHoverStatus: /** @type{Status|null} */ (null),
-  lastDragCheck: /** @type{number|null} */ (null),
-
-  // Undo state
-  undoStack: [],
-  undoToast: null,
-  pushUndo(message, snapshot) {
-    const entry = { message, snapshot, timestamp: Date.now() };
-    set((s) => ({
-      undoStack: [...s.undoStack, entry],
-      undoToast: { message, timestamp: entry.timestamp },
-    }));
-    setTimeout(() => {
-      if (get().undoToast?.timestamp === entry.timestamp) {
-        set({ undoToast: null });
+const compareBy = (op, a, b) =>
+  op === '<' ? a < b : op === '<=' ? a <= b : op === '>' ? a > b : op === '>=' ? a >= b : a === b;
+
+// A word token becomes a text node or a field term with a test(task, context).
+function compileSearchTerm(token, now) {
+  const term = !token.phrase && token.text.match(SEARCH_TERM);
+  if (!term) {
+    if (!token.phrase && token.text.toLowerCase() === 'overdue') {
+      return {
+        type: 'term',
+        test: (task, context) => !!task.dueAt && isBefore(new Date(task.dueAt), context.now),
+      };
+    }
+    const value = token.text.toLowerCase();
+    return {
+      type: 'text',
+      value,
+      test: (task) =>
+        `${task.title} ${task.description || ''} ${task.tags.join(' ')}`
+          .toLowerCase()
+          .includes(value),
+    };
+  }
+  const key = term[1].toLowerCase();
+  const op = term[2];
+  const value = term[3].toLowerCase();
+  const onlyColon = (build) =>
+    op === ':' ? build() : { error: `${key}: does not support ${op} comparisons` };
+  if (!value) return { error: `${key}${op} needs a value` };
+
+  switch (key) {
+    case 'owner':
+      return onlyColon(() => ({
+        type: 'term',
+        test: (task) =>
+          value === 'ai'
+            ? task.ownerType === 'ai'
+            : value === 'me'
+              ? task.ownerType === 'self'
+              : task.owners.some((owner) => owner.toLowerCase().includes(value)),
+      }));
+    case 'tag':
+      return onlyColon(() => ({
+        type: 'term',
+        tag: value,
+        test: (task) => task.tags.some((tag) => tag.toLowerCase() === value),
+      }));
+    case 'status':
+      return onlyColon(() => ({
+        type: 'term',
+        test: (task, context) =>
+          normalizeProjectName(task.status) === normalizeProjectName(value) ||
+          normalizeProjectName(context.statusMeta?.[task.status]?.label || '') ===
+            normalizeProjectName(value),
+      }));
+    case 'is':
+    case 'has': {
+      const checks = key === 'is' ? SEARCH_IS_VALUES : SEARCH_HAS_VALUES;
+      if (!checks[value]) {
+        return { error: `Unknown ${key}: value (try ${Object.keys(checks).join(', ')})` };
       }
-    }, 5000);
-  },
-  performUndo() {
-    const { undoStack } = get();
-    if (undoStack.length === 0) return;
-    const last = undoStack[undoStack.length - 1];
-    set({ tasks: last.snapshot.tasks, undoStack: undoStack.slice(0, -1), undoToast: null });
-    get().markDirty();
-    get().persist();
-  },
-  dismissUndoToast() {
-    set({ undoToast: null });
-  },
+      return onlyColon(() => ({ type: 'term', test: checks[value] }));
+    }
+    case 'p':
+    case 'priority': {
+      const [from, to = from, ...rest] = value.split('..');
+      const low = parsePriorityRank(from);
+      const high = parsePriorityRank(to);
+      if (low === null || high === null || rest.length > 0 || (op !== ':' && to !== from)) {
+        return { error: `Priority must look like P1 or P0..P2` };
+      }
+      const rank = (task) => parsePriorityRank(task.priorityBucket || 'P4');
+      if (op !== ':') return { type: 'term', test: (task) => compareBy(op, rank(task), low) };
+      return {
+        type: 'term',
+        test: (task) => rank(task) >= Math.min(low, high) && rank(task) <= Math.max(low, high),
+      };
+    }
+    case 'due': {
+      if (value === 'none') {
+        return onlyColon(() => ({ type: 'term', test: (task) => !task.dueAt }));
+      }
+      const date = parseNaturalDate(value, now);
+      if (!date) return { error: `Unrecognized date "${term[3]}"` };
+      // Compare whole days: due<fri is before Friday, due<=fri includes it
+      const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+      const dayEnd = addDays(dayStart, 1);
+      return {
+        type: 'term',
+        test: (task) => {
+          if (!task.dueAt) return false;
+          const due = new Date(task.dueAt);
+          if (op === '<') return due < dayStart;
+          if (op === '<=') return due < dayEnd;
+          if (op === '>') return due >= dayEnd;
+          if (op === '>=') return due >= dayStart;
+          return due >= dayStart && due < dayEnd;
+        },
+      };
+    }
+    default:
+      return { error: `Unknown field "${term[1]}" (quote it to search the text)` };
+  }
+}
 
-  // Notification toast state
-  notificationToast: null,
-  showNotification(message, type = 'success') {
-    const ts = Date.now();
-    set({ notificationToast: { message, type, timestamp: ts } });
-    setTimeout(() => {
-      if (get().notificationToast?.timestamp === ts) set({ notificationToast: null });
-    }, 3000);
-  },
+/**
+ * Parse a search query into an expression tree.
+ * @returns {{ root: object|null, errors: {start:number,end:number,message:string}[],
+ *   highlights: { text: string[], tags: string[] } }}
+ */
+function parseSearchQuery(query, now = new Date()) {
+  const { tokens, errors } = tokenizeSearchQuery(String(query || ''));
+  let pos = 0;
+  const spanError = (token, message) =>
+    errors.push({ start: token.start, end: token.end, message });
+
+  const parseUnary = () => {
+    const token = tokens[pos++];
+    if (token.type === 'not') {
+      const inner = parseUnary();
+      return inner && { type: 'not', child: inner };
+    }
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (tokens[pos]?.type === ')') pos++;
+      else spanError(token, 'Missing closing parenthesis');
+      return inner;
+    }
+    const term = compileSearchTerm(token, now);
+    if (term.error) {
+      spanError(token, term.error);
+      return null;
+    }
+    return token.negated ? { type: 'not', child: term } : term;
+  };
 
-  // Last added task id
-  lastAddedTaskId: null,
+  const parseAnd = () => {
+    const children = [];
+    while (pos < tokens.length && tokens[pos].type !== 'or' && tokens[pos].type !== ')') {
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    return children.length > 1 ? { type: 'and', children } : children[0] || null;
+  };
 
-  // Persist optimization
-  _isDirty: false,
-  markDirty() {
-    set({ _isDirty: true });
-  },
+  const parseOr = () => {
+    const children = [];
+    for (;;) {
+      const start = pos;
+      const node = parseAnd();
+      if (node) children.push(node);
+      const orToken = tokens[pos]?.type === 'or' ? tokens[pos] : null;
+      const nextIsEmpty = !tokens[pos + 1] || ['or', ')'].includes(tokens[pos + 1].type);
+      if (orToken && (pos === start || nextIsEmpty)) {
+        spanError(orToken, 'OR needs a term on each side');
+      }
+      if (!orToken) break;
+      pos++;
+    }
+    return children.length > 1 ? { type: 'or', children } : children[0] || null;
+  };
 
-  init() {
-    try {
-      const raw = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
-      if (raw) {
-        let parsed = JSON.parse(raw);
-
-        // Migrate if needed
-        if (!parsed.version || parsed.version < STORAGE_VERSION) {
-          console.log('Migrating storage from v1 to v2');
-          parsed = migrateStorageV1toV2(parsed);
-        }
+  const groups = [];
+  for (;;) {
+    const node = parseOr();
+    if (node) groups.push(node);
+    if (pos >= tokens.length) break;
+    spanError(tokens[pos++], 'Unmatched closing parenthesis');
+  }
+  const root = groups.length > 1 ? { type: 'and', children: groups } : groups[0] || null;
+
+  // Highlight only what a match must contain, not negated terms
+  const highlights = { text: [], tags: [] };
+  const collect = (node) => {
+    if (!node || node.type === 'not') return;
+    if (node.children) node.children.forEach(collect);
+    if (node.type === 'text' && node.value) highlights.text.push(node.value);
+    if (node.tag) highlights.tags.push(node.tag);
+  };
+  collect(root);
+  errors.sort((a, b) => a.start - b.start);
+  return { root, errors, highlights };
+}
 
-        // Migrate owner fields to owners array
-        const migratedTasks = (parsed.tasks || []).map((task) => {
-          const owners = task.owners || (task.ownerRef ? [task.ownerRef] : []);
-          return finalizeTask({ ...task, owners });
-        });
+function evaluateSearchNode(node, task, context) {
+  if (node.type === 'and') return node.children.every((c) => evaluateSearchNode(c, task, context));
+  if (node.type === 'or') return node.children.some((c) => evaluateSearchNode(c, task, context));
+  if (node.type === 'not') return !evaluateSearchNode(node.child, task, context);
+  return node.test(task, context);
+}
 
-        // Apply owner registry migration
-        parsed = migrateToV1_1({ ...parsed, tasks: migratedTasks });
+// Split the query into plain and invalid runs for error highlighting.
+function getSearchErrorSegments(query, errors) {
+  const segments = [];
+  let cursor = 0;
+  errors.forEach(({ start, end }) => {
+    const from = Math.max(start, cursor);
+    if (end <= from) return;
+    if (from > cursor) segments.push({ text: query.slice(cursor, from), error: false });
+    segments.push({ text: query.slice(from, end), error: true });
+    cursor = end;
+  });
+  if (cursor < query.length) segments.push({ text: query.slice(cursor), error: false });
+  return segments;
+}
 
-        // Apply status config migration
-        parsed = migrateToV2_1(parsed);
-        parsed = migrateToV2_4(parsed);
-        parsed.statusConfig = normalizeStatusConfig(parsed.statusConfig);
+// Cards and the filter pass all read the same query; parse it once per change.
+// Relative dates (due:today, due<fri) are resolved while parsing, so a new day
+// needs a fresh parse too.
+let lastParsedSearch = { query: null, day: null, result: null };
+function getParsedSearchQuery(query, now = new Date()) {
+  const day = now.toDateString();
+  if (lastParsedSearch.query !== query || lastParsedSearch.day !== day) {
+    lastParsedSearch = { query, day, result: parseSearchQuery(query, now) };
+  }
+  return lastParsedSearch.result;
+}
 
-        // Convert stored owner registry to runtime format
-        const ownerRegistry = {
-          owners: new Set(parsed.ownerRegistry?.owners || []),
-          statistics: new Map(Object.entries(parsed.ownerRegistry?.statistics || {})),
-        };
+// ----- Task Filters -----
+// Values within one filter are OR-ed (status is Next Up or Review); different
+// filters are AND-ed. Empty arrays mean "any".
+
+const DEFAULT_FILTERS = {
+  q: '',
+  priority: 'all',
+  statuses: [],
+  tags: [],
+  due: [],
+  ownerTypes: [],
+  timerRunning: false,
+};
 
-        const restoredProjects = parsed.projects || [
-          {
-            id: 'default',
-            name: 'Default',
-            color: '#6B7280',
-            isDefault: true,
-            createdAt: Date.now(),
-          },
-        ];
-        // A pinned project always wins over the last-used project on load
-        const pinnedProjectId = restoredProjects.some((p) => p.id === parsed.pinnedProjectId)
-          ? parsed.pinnedProjectId
-          : null;
-        set({
-          tasks: migratedTasks,
-          autoReturnOnStop: parsed.autoReturnOnStop ?? false,
-          projects: restoredProjects,
-          currentProjectId: pinnedProjectId || parsed.currentProjectId || 'default',
-          pinnedProjectId,
-          ownerRegistry: ownerRegistry,
-          statusConfig: parsed.statusConfig || { statuses: [], version: 1 },
-        });
-        get().cleanupStorage();
-        return;
-      }
-    } catch (e) {
-      /* ignore storage errors */
-      console.error('Storage error:', e);
-    }
-    // Initialize with default project and seed tasks
-    const initialStatusConfig = normalizeStatusConfig(migrateToV2_1({}).statusConfig);
-    set({
-      tasks: seedTasks(),
-      projects: [
-        {
-          id: 'default',
-          name: 'Default',
-          color: '#6B7280',
-          isDefault: true,
-          createdAt: Date.now(),
-        },
-      ],
-      currentProjectId: 'default',
-      statusConfig: initialStatusConfig,
-    });
-  },
-  cleanupStorage() {
-    const { projects, tasks } = get();
-    const projectIds = new Set(projects.map((p) => p.id));
+const DUE_WINDOWS = [
+  { id: 'overdue', label: 'Overdue' },
+  { id: 'today', label: 'Due today' },
+  { id: 'week', label: 'Due this week' },
+  { id: 'none', label: 'No due date' },
+];
 
-    // Remove tasks that belong to non-existent projects
-    const cleanedTasks = tasks.filter((t) => projectIds.has(t.projectId));
+const OWNER_TYPE_LABELS = { self: 'Mine', ai: 'AI', other: 'Others' };
+
+function matchesDueWindow(task, window, now) {
+  if (window === 'none') return !task.dueAt;
+  if (!task.dueAt) return false;
+  const due = new Date(task.dueAt);
+  if (window === 'overdue') return isBefore(due, now);
+  if (window === 'today') return isToday(due);
+  // Rest of the week: today through Sunday
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysToSunday = (7 - now.getDay()) % 7;
+  return due >= startOfToday && due < addDays(startOfToday, daysToSunday + 1);
+}
 
-    if (cleanedTasks.length !== tasks.length) {
-      set({ tasks: cleanedTasks });
-      console.log(`[cleanup] Removed ${tasks.length - cleanedTasks.length} orphaned tasks`);
-      return true; // Indicates cleanup was performed
-    }
+// `context.search` is the parsed filters.q; `context.statusMeta` lets status: match labels.
+function taskMatchesFilters(task, filters, ownerFilter, context = {}) {
+  const { now = new Date(), search = getParsedSearchQuery(filters.q), statusMeta = {} } = context;
+  if (ownerFilter && !task.owners.includes(ownerFilter)) return false;
+  if (filters.priority !== 'all' && (task.priorityBucket || 'P4') !== filters.priority) {
     return false;
-  },
-
-  persistIfDirty() {
-    if (!get()._isDirty) return;
-    get().persist();
-  },
-  persist() {
-    set({ _isDirty: false });
-    try {
-      const {
-        tasks,
-        autoReturnOnStop,
-        projects,
-        currentProjectId,
-        pinnedProjectId,
-        ownerRegistry,
-        statusConfig,
-      } = get();
-
-      // Convert ownerRegistry from runtime format to storage format
-      const serializedRegistry = {
-        owners: Array.from(ownerRegistry.owners),
-        statistics: Object.fromEntries(ownerRegistry.statistics),
-      };
+  }
+  if (filters.statuses.length > 0 && !filters.statuses.includes(task.status)) return false;
+  if (filters.tags.length > 0 && !filters.tags.some((tag) => task.tags.includes(tag))) {
+    return false;
+  }
+  if (filters.due.length > 0 && !filters.due.some((w) => matchesDueWindow(task, w, now))) {
+    return false;
+  }
+  if (filters.ownerTypes.length > 0 && !filters.ownerTypes.includes(task.ownerType)) return false;
+  if (filters.timerRunning && !task.timerStartedAt) return false;
+  if (search.root && !evaluateSearchNode(search.root, task, { now, statusMeta })) return false;
+  return true;
+}
 
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem(
-          STORAGE_KEY,
-          JSON.stringify({
-            tasks,
-            autoReturnOnStop,
-            projects,
-            currentProjectId,
-            pinnedProjectId,
-            ownerRegistry: serializedRegistry,
-            statusConfig,
-            version: STORAGE_VERSION,
-          }),
-        );
-      }
-    } catch (e) {
-      /* ignore storage errors */
-    }
-  },
-  addTask(partial) {
-    const { currentProjectId } = get();
-    // Use default status if no status provided
-    const defaultStatus = get().getDefaultStatus();
-    const status = partial.status || (defaultStatus ? defaultStatus.id : 'inbox');
-    const t = finalizeTask({
-      ...partial,
-      status,
-      projectId: partial.projectId || currentProjectId,
-    });
+// The board shows the current project ('current'), every project ('all') or a
+// chosen subset (an array of project ids).
+function normalizeProjectScope(scope) {
+  if (scope === 'all') return 'all';
+  if (!Array.isArray(scope)) return 'current';
+  const ids = Array.from(new Set(scope.filter((id) => typeof id === 'string' && id)));
+  return ids.length > 1 ? ids : 'current';
+}
 
-    // Add owners to registry if they don't exist
-    if (t.owners && Array.isArray(t.owners)) {
-      t.owners.forEach((owner) => {
-        if (owner && typeof owner === 'string') {
-          get().addOwnerToRegistry(owner);
-        }
-      });
-    }
+function getBoardProjectIds(state) {
+  if (state.projectScope === 'all') return new Set(state.projects.map((p) => p.id));
+  if (Array.isArray(state.projectScope)) {
+    const ids = state.projectScope.filter((id) => state.projects.some((p) => p.id === id));
+    if (ids.length > 0) return new Set(ids);
+  }
+  return new Set([state.currentProjectId]);
+}
 
-    set((s) => ({ tasks: [...s.tasks, t], lastAddedTaskId: t.id }));
-    // Auto-clear lastAddedTaskId after 2 seconds
-    setTimeout(() => {
-      if (get().lastAddedTaskId === t.id) set({ lastAddedTaskId: null });
-    }, 2000);
-    get().updateOwnerStatistics();
-    get().markDirty();
-    get().persist();
-    return t.id;
-  },
-  updateTask(id, patch) {
-    set((s) => ({
-      tasks: s.tasks.map((t) =>
-        t.id === id ? finalizeTask({ ...t, ...patch, updatedAt: new Date().toISOString() }) : t,
-      ),
-    }));
-    get().markDirty();
-    get().persist();
-  },
-  deleteTask(id) {
-    const { tasks } = get();
-    const deleted = tasks.find((t) => t.id === id);
-    const idsToDelete = new Set([
-      id,
-      ...tasks.filter((task) => task.parentTaskId === id).map((task) => task.id),
-    ]);
-    get().pushUndo(`Deleted "${deleted?.title || 'task'}"`, { tasks: [...tasks] });
-    set((s) => ({ tasks: s.tasks.filter((t) => !idsToDelete.has(t.id)) }));
-    get().markDirty();
-    get().persist();
-  },
-  addSubtask(taskId, title) {
-    const trimmed = title ? title.trim() : '';
-    if (!trimmed) return { success: false, error: 'Subtask title cannot be empty' };
-    const parentTask = get().tasks.find((task) => task.id === taskId);
-    if (!parentTask) return { success: false, error: 'Parent task not found' };
-
-    const color = parentTask.groupColor || pickTaskGroupColor(parentTask.id);
-    const newSubtask = finalizeTask({
-      title: trimmed,
-      projectId: parentTask.projectId,
-      status: parentTask.status,
-      dueAt: null,
-      ownerType: parentTask.ownerType === 'ai' ? 'ai' : 'self',
-      tags: [],
-      dependencies: [],
-      parentTaskId: parentTask.id,
-      groupColor: color,
+// One removable chip per active filter value; `filters`/`ownerFilter` hold the patch
+// that removes it.
+function getActiveFilterChips(filters, ownerFilter, statusMeta) {
+  const without = (key, value) => ({ [key]: filters[key].filter((v) => v !== value) });
+  const chips = [];
+  if (filters.q) chips.push({ id: 'q', label: `Search: "${filters.q}"`, filters: { q: '' } });
+  if (ownerFilter) chips.push({ id: 'owner', label: `Owner: ${ownerFilter}`, ownerFilter: null });
+  if (filters.priority !== 'all') {
+    chips.push({
+      id: 'priority',
+      label: `Priority: ${filters.priority}`,
+      filters: { priority: 'all' },
     });
+  }
+  filters.statuses.forEach((status) =>
+    chips.push({
+      id: `status:${status}`,
+      label: `Status: ${statusMeta[status]?.label || status}`,
+      filters: without('statuses', status),
+    }),
+  );
+  filters.tags.forEach((tag) =>
+    chips.push({ id: `tag:${tag}`, label: `Tag: ${tag}`, filters: without('tags', tag) }),
+  );
+  filters.due.forEach((window) =>
+    chips.push({
+      id: `due:${window}`,
+      label: DUE_WINDOWS.find((w) => w.id === window)?.label || window,
+      filters: without('due', window),
+    }),
+  );
+  filters.ownerTypes.forEach((type) =>
+    chips.push({
+      id: `ownerType:${type}`,
+      label: `Owner type: ${OWNER_TYPE_LABELS[type] || type}`,
+      filters: without('ownerTypes', type),
+    }),
+  );
+  if (filters.timerRunning) {
+    chips.push({ id: 'timer', label: 'Timer running', filters: { timerRunning: false } });
+  }
+  return chips;
+}
 
-    set((s) => ({
-      tasks: s.tasks
-        .map((task) =>
-          task.id === parentTask.id
-            ? finalizeTask({
-                ...task,
-                groupColor: color,
-                updatedAt: new Date().toISOString(),
-              })
-            : task,
-        )
-        .concat(newSubtask),
-    }));
-    get().markDirty();
-    get().persist();
-    return { success: true, subtaskId: newSubtask.id };
-  },
-  deleteSubtask(taskId, subtaskId) {
-    void taskId;
-    get().deleteTask(subtaskId);
-  },
-  setTaskGroupColor(taskId, color) {
-    set((s) => ({
-      tasks: s.tasks.map((task) =>
-        task.id === taskId || task.parentTaskId === taskId
-          ? finalizeTask({
-              ...task,
-              groupColor: color,
-              updatedAt: new Date().toISOString(),
-            })
-          : task,
-      ),
-    }));
-    get().markDirty();
-    get().persist();
-  },
+// ----- Saved Views -----
+// A view is the visible slice of the board: view mode, filters, owner filter, project
+// (and project scope), swimlane axis and collapsed lanes. Views are saved by name with the board, and the live view is
+// mirrored into the URL hash (e.g. #project=default&status=ready&p=P0&q=auth).
+
+const DEFAULT_COLLAPSED_LANES = ['done_yesterday'];
+const VIEW_MODES = [
+  { id: 'board', label: 'Board', icon: Columns3 },
+  { id: 'myday', label: 'My Day', icon: Sunrise },
+  { id: 'calendar', label: 'Calendar', icon: CalendarDays },
+  { id: 'table', label: 'Table', icon: Table2 },
+  { id: 'timeline', label: 'Timeline', icon: GanttChart },
+  { id: 'matrix', label: 'Matrix', icon: Grid2x2 },
+];
+const VIEW_NAME_MAX_LENGTH = 40;
+// Hash parameter -> multi-value filter key; each value is its own repeated parameter
+const VIEW_LIST_PARAMS = { status: 'statuses', tag: 'tags', due: 'due', type: 'ownerTypes' };
+
+function normalizeViewFilters(filters) {
+  const source = isPlainObject(filters) ? filters : {};
+  const strings = (value) =>
+    Array.isArray(value) ? value.filter((item) => typeof item === 'string' && item) : [];
+  return {
+    q: typeof source.q === 'string' ? source.q : '',
+    priority: PRIORITY_BUCKETS.includes(source.priority) ? source.priority : 'all',
+    statuses: strings(source.statuses),
+    tags: strings(source.tags),
+    due: strings(source.due).filter((window) => DUE_WINDOWS.some((w) => w.id === window)),
+    ownerTypes: strings(source.ownerTypes).filter((type) => OWNER_TYPES.includes(type)),
+    timerRunning: source.timerRunning === true,
+  };
+}
 
-  // Owner management actions
-  addOwnerToTask(taskId, ownerName) {
-    const validation = validateOwnerName(ownerName);
+function normalizeSavedView(view) {
+  return {
+    ...(view.id && { id: view.id, name: view.name }),
+    viewMode: VIEW_MODES.some((mode) => mode.id === view.viewMode) ? view.viewMode : 'board',
+    filters: normalizeViewFilters(view.filters),
+    ownerFilter: typeof view.ownerFilter === 'string' && view.ownerFilter ? view.ownerFilter : null,
+    projectId: typeof view.projectId === 'string' && view.projectId ? view.projectId : null,
+    projectScope: normalizeProjectScope(view.projectScope),
+    swimlaneAxis: SWIMLANE_AXES.some((axis) => axis.id === view.swimlaneAxis)
+      ? view.swimlaneAxis
+      : 'none',
+    collapsedLanes: Array.isArray(view.collapsedLanes)
+      ? view.collapsedLanes.filter((lane) => typeof lane === 'string')
+      : DEFAULT_COLLAPSED_LANES,
+    scoreSortedLanes: Array.isArray(view.scoreSortedLanes)
+      ? view.scoreSortedLanes.filter((lane) => typeof lane === 'string')
+      : [],
+  };
+}
 
-    if (!validation.valid) {
-      console.error(`Cannot add owner: ${validation.error}`);
-      return { success: false, error: validation.error };
-    }
+function captureView(state) {
+  return {
+    viewMode: state.viewMode,
+    filters: state.filters,
+    ownerFilter: state.ownerFilter,
+    projectId: state.currentProjectId,
+    projectScope: state.projectScope,
+    swimlaneAxis: state.swimlaneAxis,
+    collapsedLanes: state.collapsedLanes,
+    scoreSortedLanes: state.scoreSortedLanes,
+  };
+}
 
-    const sanitizedName = validation.name;
+// Defaults are left out so an unfiltered board has a short (or empty) hash.
+function encodeViewHash(view) {
+  const params = new URLSearchParams();
+  const { filters } = view;
+  if (view.viewMode !== 'board') params.set('view', view.viewMode);
+  if (view.projectId) params.set('project', view.projectId);
+  if (view.projectScope === 'all') params.set('scope', 'all');
+  if (Array.isArray(view.projectScope)) {
+    view.projectScope.forEach((id) => params.append('scope', id));
+  }
+  if (filters.q) params.set('q', filters.q);
+  if (filters.priority !== 'all') params.set('p', filters.priority);
+  Object.entries(VIEW_LIST_PARAMS).forEach(([param, key]) =>
+    filters[key].forEach((value) => params.append(param, value)),
+  );
+  if (filters.timerRunning) params.set('timer', '1');
+  if (view.swimlaneAxis !== 'none') params.set('swimlanes', view.swimlaneAxis);
+  if (view.ownerFilter) params.set('owner', view.ownerFilter);
+  const lanes = [...view.collapsedLanes].sort();
+  if (lanes.join() !== [...DEFAULT_COLLAPSED_LANES].sort().join()) {
+    if (lanes.length === 0) params.set('collapsed', '');
+    lanes.forEach((lane) => params.append('collapsed', lane));
+  }
+  [...view.scoreSortedLanes].sort().forEach((lane) => params.append('scored', lane));
+  return params.toString();
+}
 
-    // Add to registry if new
-    get().addOwnerToRegistry(sanitizedName);
+/** @returns {object|null} the view in `hash`, or null when it holds none */
+function decodeViewHash(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const known = [
+    'view',
+    'project',
+    'scope',
+    'q',
+    'p',
+    'timer',
+    'owner',
+    'swimlanes',
+    'collapsed',
+    'scored',
+    ...Object.keys(VIEW_LIST_PARAMS),
+  ];
+  if (!known.some((param) => params.has(param))) return null;
+  const filters = { q: params.get('q') ?? '', priority: params.get('p') ?? 'all' };
+  Object.entries(VIEW_LIST_PARAMS).forEach(([param, key]) => {
+    filters[key] = params.getAll(param);
+  });
+  filters.timerRunning = params.get('timer') === '1';
+  return normalizeSavedView({
+    viewMode: params.get('view'),
+    filters,
+    ownerFilter: params.get('owner'),
+    projectId: params.get('project'),
+    projectScope: params.get('scope') === 'all' ? 'all' : params.getAll('scope'),
+    swimlaneAxis: params.get('swimlanes'),
+    collapsedLanes: params.has('collapsed')
+      ? params.getAll('collapsed').filter(Boolean)
+      : DEFAULT_COLLAPSED_LANES,
+    scoreSortedLanes: params.getAll('scored'),
+  });
+}
 
-    set((s) => ({
-      tasks: s.tasks.map((t) => {
-        if (t.id === taskId) {
-          // Check for duplicates
-          if (t.owners.includes(sanitizedName)) return t;
-          // Check max limit (5 owners per task)
-          if (t.owners.length >= 5) {
-            console.error('Task already has maximum 5 owners');
-            return t;
-          }
-          return {
-            ...t,
-            owners: [...t.owners, sanitizedName],
-            updatedAt: new Date().toISOString(),
-          };
-        }
-        return t;
-      }),
-    }));
+// The saved view that matches what is on screen, if any.
+function findActiveView(state) {
+  const current = encodeViewHash(captureView(state));
+  return state.savedViews.find((view) => encodeViewHash(view) === current) || null;
+}
 
-    // Update owner statistics
-    get().updateOwnerStatistics();
-    get().persist();
+// ----- My Day -----
+// A plan for today gathered from every project: tasks due today or overdue, tasks
+// in progress and tasks picked by hand. Picks and manual order belong to a plan
+// day, which starts at the configured reset hour rather than at midnight.
 
-    return { success: true };
+const DEFAULT_MY_DAY_RESET_HOUR = 4;
+const EMPTY_MY_DAY = { date: null, taskIds: [], order: [], plannedAt: null };
+const MY_DAY_CANDIDATE_LIMIT = 8;
+// Why a task is on the plan; also the default order of tasks not arranged by hand
+const MY_DAY_REASONS = {
+  in_progress: {
+    label: 'In progress',
+    className: 'bg-emerald-50 text-emerald-700 dark:bg-emerald-950/30 dark:text-emerald-400',
   },
-
-  removeOwnerFromTask(taskId, ownerName) {
-    set((s) => ({
-      tasks: s.tasks.map((t) => {
-        if (t.id === taskId) {
-          return {
-            ...t,
-            owners: t.owners.filter((o) => o !== ownerName),
-            updatedAt: new Date().toISOString(),
-          };
-        }
-        return t;
-      }),
-    }));
-
-    // Update owner statistics after removal
-    get().updateOwnerStatistics();
-    get().persist();
+  overdue: {
+    label: 'Overdue',
+    className: 'bg-red-50 text-red-600 dark:bg-red-950/30 dark:text-red-400',
   },
-
-  transferTaskOwnership(taskId, newOwnerName) {
-    const trimmed = newOwnerName?.trim();
-    if (!trimmed || trimmed.length === 0 || trimmed.length > 50) return;
-
-    set((s) => ({
-      tasks: s.tasks.map((t) => {
-        if (t.id === taskId) {
-          return { ...t, owners: [trimmed], updatedAt: new Date().toISOString() };
-        }
-        return t;
-      }),
-    }));
-    get().persist();
+  due_today: {
+    label: 'Due today',
+    className: 'bg-blue-50 text-blue-600 dark:bg-blue-950/30 dark:text-blue-400',
   },
-
-  clearTaskOwners(taskId) {
-    set((s) => ({
-      tasks: s.tasks.map((t) => {
-        if (t.id === taskId) {
-          return { ...t, owners: [], updatedAt: new Date().toISOString() };
-        }
-        return t;
-      }),
-    }));
-    get().persist();
+  picked: {
+    label: 'Picked',
+    className: 'bg-amber-50 text-amber-700 dark:bg-amber-950/30 dark:text-amber-400',
   },
+  completed: {
+    label: 'Done',
+    className: 'bg-slate-100 text-slate-500 dark:bg-zinc-800 dark:text-zinc-400',
+  },
+};
 
-  // Owner Registry Actions
-  initializeOwnerRegistry() {
-    const { tasks, ownerRegistry } = get();
-
-    // If already initialized and has data, skip
-    if (ownerRegistry.owners.size > 0) {
-      return;
-    }
-
-    const newOwners = new Set();
-    const newStatistics = new Map();
-
-    // Scan all tasks to build registry
-    tasks.forEach((task) => {
-      if (task.owners && Array.isArray(task.owners)) {
-        task.owners.forEach((owner) => {
-          if (owner && typeof owner === 'string') {
-            newOwners.add(owner);
+/** @returns {{key: string, start: Date, end: Date}} the plan day containing `now` */
+function getPlanDay(now, resetHour) {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate(), resetHour);
+  if (now < start) start.setDate(start.getDate() - 1);
+  return { key: format(start, 'yyyy-MM-dd'), start, end: addDays(start, 1) };
+}
 
-            // Get or initialize statistics
-            const stats = newStatistics.get(owner) || {
-              taskCount: 0,
-              lastUsed: new Date().toISOString(),
-              createdAt: new Date().toISOString(),
-            };
+function normalizeMyDay(myDay) {
+  if (!isPlainObject(myDay)) return EMPTY_MY_DAY;
+  const ids = (value) => (isStringArray(value) ? Array.from(new Set(value)) : []);
+  return {
+    date: typeof myDay.date === 'string' ? myDay.date : null,
+    taskIds: ids(myDay.taskIds),
+    order: ids(myDay.order),
+    plannedAt: isValidDateString(myDay.plannedAt) ? myDay.plannedAt : null,
+  };
+}
 
-            stats.taskCount++;
+// Keeps only picks and ordering of tasks for which `keep(id)` holds
+function pruneMyDay(myDay, keep) {
+  const taskIds = myDay.taskIds.filter(keep);
+  const order = myDay.order.filter(keep);
+  if (taskIds.length === myDay.taskIds.length && order.length === myDay.order.length) {
+    return myDay;
+  }
+  return { ...myDay, taskIds, order };
+}
 
-            // Update last used if task is more recent
-            const taskDate = task.updatedAt || task.createdAt || new Date().toISOString();
-            if (new Date(taskDate) > new Date(stats.lastUsed)) {
-              stats.lastUsed = taskDate;
-            }
+function getMyDayReason(task, myDay, planDay, completionIds, now) {
+  if (myDay.taskIds.includes(task.id)) return 'picked';
+  if (completionIds.has(task.status)) {
+    // Finished today: keep it (and its logged time) on the plan if it was due or worked on
+    const finishedToday = new Date(task.updatedAt) >= planDay.start;
+    const wasPlanned =
+      myDay.order.includes(task.id) ||
+      task.timeLogSecs > 0 ||
+      (task.dueAt && new Date(task.dueAt) < planDay.end);
+    return finishedToday && wasPlanned ? 'completed' : null;
+  }
+  if (task.status === 'in_progress') return 'in_progress';
+  if (!task.dueAt) return null;
+  const due = new Date(task.dueAt);
+  if (due < now) return 'overdue';
+  return due < planDay.end ? 'due_today' : null;
+}
 
-            newStatistics.set(owner, stats);
-          }
-        });
-      }
+/** @returns {{task: Task, reason: string}[]} the plan, hand-arranged tasks first */
+function getMyDayEntries(tasks, myDay, planDay, completionIds, now = new Date()) {
+  const rank = new Map(myDay.order.map((id, index) => [id, index]));
+  const reasonRank = Object.keys(MY_DAY_REASONS);
+  return tasks
+    .map((task) => ({ task, reason: getMyDayReason(task, myDay, planDay, completionIds, now) }))
+    .filter((entry) => entry.reason)
+    .sort((a, b) => {
+      const ai = rank.get(a.task.id) ?? Infinity;
+      const bi = rank.get(b.task.id) ?? Infinity;
+      if (ai !== bi) return ai < bi ? -1 : 1;
+      const byReason = reasonRank.indexOf(a.reason) - reasonRank.indexOf(b.reason);
+      if (byReason) return byReason;
+      if (a.task.dueAt && b.task.dueAt) return new Date(a.task.dueAt) - new Date(b.task.dueAt);
+      return Number(!a.task.dueAt) - Number(!b.task.dueAt);
     });
+}
 
-    set({
-      ownerRegistry: {
-        owners: newOwners,
-        statistics: newStatistics,
-      },
-    });
+// Morning suggestions: the highest-scoring Next Up and Inbox tasks not yet planned
+function getMyDayCandidates(tasks, entries, now = new Date()) {
+  const planned = new Set(entries.map((entry) => entry.task.id));
+  const pool = tasks.filter(
+    (task) => (task.status === 'ready' || task.status === 'inbox') && !planned.has(task.id),
+  );
+  return sortTasksByScore(pool, now).slice(0, MY_DAY_CANDIDATE_LIMIT);
+}
 
-    get().persist();
-  },
+function getMyDayTotals(entries, now = new Date()) {
+  return entries.reduce(
+    (totals, { task }) => ({
+      estimateMins: totals.estimateMins + (task.estimateMins || 0),
+      unestimated: totals.unestimated + (task.estimateMins ? 0 : 1),
+      loggedSecs: totals.loggedSecs + computeElapsedSecs(task, now),
+    }),
+    { estimateMins: 0, unestimated: 0, loggedSecs: 0 },
+  );
+}
 
-  addOwnerToRegistry(ownerName) {
-    const validation = validateOwnerName(ownerName);
+// ----- Calendar -----
+// Tasks are placed on the day of their dueAt; Waiting-on-AI tasks also appear on
+// the day of their expectedBy. Weeks start on Monday, like the "this week" filter.
+
+const DEFAULT_DAILY_CAPACITY_MINS = 8 * 60;
+const CALENDAR_WEEK_OPTIONS = { weekStartsOn: 1 };
+
+const dayKey = (date) => format(date, 'yyyy-MM-dd');
+
+/** @param {'month'|'week'} mode */
+function getCalendarDays(anchor, mode) {
+  const start =
+    mode === 'week'
+      ? startOfWeek(anchor, CALENDAR_WEEK_OPTIONS)
+      : startOfWeek(startOfMonth(anchor), CALENDAR_WEEK_OPTIONS);
+  const end =
+    mode === 'week'
+      ? endOfWeek(anchor, CALENDAR_WEEK_OPTIONS)
+      : endOfWeek(endOfMonth(anchor), CALENDAR_WEEK_OPTIONS);
+  return eachDayOfInterval({ start, end });
+}
 
-    if (!validation.valid) {
-      console.error(`Invalid owner name: ${validation.error}`);
-      return { success: false, error: validation.error };
-    }
+/**
+ * @returns {Map<string, {task: Task, field: 'dueAt'|'expectedBy', at: Date}[]>}
+ * entries by day key, earliest first
+ */
+function getCalendarEntries(tasks) {
+  const byDay = new Map();
+  const place = (task, field) => {
+    const at = new Date(task[field]);
+    if (Number.isNaN(at.getTime())) return;
+    const key = dayKey(at);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push({ task, field, at });
+  };
+  tasks.forEach((task) => {
+    if (task.dueAt) place(task, 'dueAt');
+    if (task.status === 'waiting_ai' && task.expectedBy) place(task, 'expectedBy');
+  });
+  byDay.forEach((entries) => entries.sort((a, b) => a.at - b.at));
+  return byDay;
+}
 
-    const { ownerRegistry } = get();
-    const sanitizedName = validation.name;
+// Estimated minutes of open work due on a day; AI expectations are not your time
+function getCalendarDayLoad(entries, completionIds) {
+  return entries
+    .filter((entry) => entry.field === 'dueAt' && !completionIds.has(entry.task.status))
+    .reduce((total, entry) => total + (entry.task.estimateMins || 0), 0);
+}
 
-    // Check if owner already exists
-    if (ownerRegistry.owners.has(sanitizedName)) {
-      return { success: true, owner: sanitizedName, existed: true };
-    }
+// Move an ISO timestamp to another day, keeping its local time of day
+function moveDateToDay(iso, day) {
+  const from = new Date(iso);
+  const moved = new Date(day);
+  moved.setHours(from.getHours(), from.getMinutes(), from.getSeconds(), from.getMilliseconds());
+  return moved.toISOString();
+}
 
-    // Add to registry
-    const newOwners = new Set(ownerRegistry.owners);
-    newOwners.add(sanitizedName);
+// ----- Swimlanes -----
+// An optional second grouping axis that splits the board's lanes into rows. A task
+// with several owners or tags shows up in the swimlane of each.
+
+const SWIMLANE_AXES = [
+  { id: 'none', label: 'None' },
+  { id: 'owner', label: 'Owner' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'tag', label: 'Tag' },
+  { id: 'project', label: 'Project' },
+  { id: 'parent', label: 'Parent task' },
+];
+// Key of the "Unassigned" / "No tag" / "No parent" swimlane; not a valid owner name
+const NO_SWIMLANE = '(none)';
+
+/** @param {{parentIds: Set<string>}} context */
+function getTaskSwimlaneKeys(task, axis, context) {
+  switch (axis) {
+    case 'owner':
+      return task.owners?.length ? task.owners : [NO_SWIMLANE];
+    case 'priority':
+      return [task.priorityBucket];
+    case 'tag':
+      return task.tags?.length ? task.tags : [NO_SWIMLANE];
+    case 'project':
+      return [task.projectId];
+    case 'parent':
+      // A parent leads its own swimlane, above its subtasks
+      return [task.parentTaskId || (context.parentIds.has(task.id) ? task.id : NO_SWIMLANE)];
+    default:
+      return [NO_SWIMLANE];
+  }
+}
 
-    // Initialize statistics for new owner
-    const newStatistics = new Map(ownerRegistry.statistics);
-    newStatistics.set(sanitizedName, {
-      taskCount: 0,
-      lastUsed: new Date().toISOString(),
-      createdAt: new Date().toISOString(),
-    });
+function getSwimlaneLabel(axis, key, state) {
+  if (axis === 'owner') return key === NO_SWIMLANE ? 'Unassigned' : key;
+  if (axis === 'tag') return key === NO_SWIMLANE ? 'No tag' : `#${key}`;
+  if (axis === 'project') return state.projects.find((p) => p.id === key)?.name ?? key;
+  if (axis === 'parent') {
+    return key === NO_SWIMLANE
+      ? 'No parent'
+      : (state.tasks.find((task) => task.id === key)?.title ?? 'Missing task');
+  }
+  return key;
+}
 
-    set({
-      ownerRegistry: {
-        owners: newOwners,
-        statistics: newStatistics,
-      },
-    });
+/**
+ * Swimlanes in display order, each with the tasks that fall in it. Owner and
+ * priority swimlanes are listed even when empty so cards can be dropped there.
+ * @returns {{key: string, label: string, tasks: Task[]}[]}
+ */
+function getSwimlanes(tasks, axis, state) {
+  const parentIds = new Set(tasks.map((task) => task.parentTaskId).filter(Boolean));
+  const byKey = new Map();
+  const add = (key) => {
+    if (!byKey.has(key)) byKey.set(key, []);
+    return byKey.get(key);
+  };
 
-    // Persist the changes
-    get().persist();
+  if (axis === 'owner') Array.from(state.ownerRegistry.owners).sort().forEach(add);
+  if (axis === 'priority') PRIORITY_BUCKETS.forEach(add);
+  if (axis === 'project') {
+    const shown = getBoardProjectIds(state);
+    state.projects.filter((p) => shown.has(p.id)).forEach((p) => add(p.id));
+  }
+  if (axis === 'parent') {
+    tasks.filter((task) => parentIds.has(task.id)).forEach((task) => add(task.id));
+  }
+  tasks.forEach((task) => {
+    getTaskSwimlaneKeys(task, axis, { parentIds }).forEach((key) => add(key).push(task));
+  });
 
-    return { success: true, owner: sanitizedName, existed: false };
-  },
+  const keys = Array.from(byKey.keys());
+  if (axis === 'owner' || axis === 'tag') {
+    keys.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+  }
+  // The catch-all swimlane always comes last
+  const ordered = [...keys.filter((key) => key !== NO_SWIMLANE), NO_SWIMLANE].filter((key) =>
+    byKey.has(key),
+  );
+  return ordered.map((key) => ({
+    key,
+    label: getSwimlaneLabel(axis, key, state),
+    tasks: byKey.get(key),
+  }));
+}
 
-  removeOwnerFromRegistry(ownerName) {
-    const { ownerRegistry, tasks } = get();
+// ----- Timeline -----
+// Tasks with a startAt and a dueAt are bars; tasks with only one of the two are
+// milestones. Arrows run from each blocker (see `dependencies`) to the task it blocks.
+
+const TIMELINE_ROW_HEIGHT = 36;
+const TIMELINE_DAY_WIDTHS = { day: 44, week: 16 };
+const TIMELINE_PADDING_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @returns {{start: Date, end: Date, milestone: boolean}|null} */
+function getTaskSpan(task) {
+  const start = task.startAt ? new Date(task.startAt) : null;
+  const end = task.dueAt ? new Date(task.dueAt) : null;
+  if (!start && !end) return null;
+  if (!start || !end) return { start: start || end, end: start || end, milestone: true };
+  // A start after the due date is drawn as a milestone at the due date
+  return start <= end ? { start, end, milestone: false } : { start: end, end, milestone: true };
+}
 
-    // Check if owner exists
-    if (!ownerRegistry.owners.has(ownerName)) {
-      return { success: false, error: 'Owner not found in registry' };
-    }
+function getTimelineRange(tasks, now = new Date()) {
+  const spans = tasks.map(getTaskSpan).filter(Boolean);
+  const times = [now.getTime(), ...spans.flatMap((span) => [span.start, span.end])];
+  const first = new Date(Math.min(...times));
+  const last = new Date(Math.max(...times));
+  const start = addDays(
+    new Date(first.getFullYear(), first.getMonth(), first.getDate()),
+    -TIMELINE_PADDING_DAYS,
+  );
+  const end = addDays(
+    new Date(last.getFullYear(), last.getMonth(), last.getDate()),
+    TIMELINE_PADDING_DAYS + 1,
+  );
+  return { start, end, days: Math.round((end - start) / DAY_MS) };
+}
 
-    // Count tasks that will be updated
-    let tasksUpdated = 0;
+/**
+ * Rows in display order: a header per group, then each task with its subtasks
+ * nested below it. Only tasks with a start or due date are listed.
+ * @param {'project'|'parent'} groupBy
+ * @returns {({type: 'group', key: string, label: string, count: number}|{type: 'task', task: Task, depth: number})[]}
+ */
+function getTimelineRows(tasks, groupBy, projects) {
+  const scheduled = tasks.filter((task) => getTaskSpan(task));
+  const ids = new Set(scheduled.map((task) => task.id));
+  const childrenOf = new Map();
+  scheduled.forEach((task) => {
+    if (!task.parentTaskId || !ids.has(task.parentTaskId)) return;
+    if (!childrenOf.has(task.parentTaskId)) childrenOf.set(task.parentTaskId, []);
+    childrenOf.get(task.parentTaskId).push(task);
+  });
+  const roots = scheduled.filter((task) => !task.parentTaskId || !ids.has(task.parentTaskId));
+  const withChildren = (task) => [
+    { type: 'task', task, depth: 0 },
+    ...(childrenOf.get(task.id) || []).map((child) => ({ type: 'task', task: child, depth: 1 })),
+  ];
 
-    // Remove owner from all tasks
-    const updatedTasks = tasks.map((task) => {
-      if (task.owners && task.owners.includes(ownerName)) {
-        tasksUpdated++;
-        return {
-          ...task,
-          owners: task.owners.filter((owner) => owner !== ownerName),
-          updatedAt: new Date().toISOString(),
-        };
-      }
-      return task;
+  const groups =
+    groupBy === 'project'
+      ? projects.map((project) => ({
+          key: project.id,
+          label: project.name,
+          roots: roots.filter((task) => task.projectId === project.id),
+        }))
+      : [
+          ...roots
+            .filter((task) => childrenOf.has(task.id))
+            .map((task) => ({ key: task.id, label: task.title, roots: [task] })),
+          {
+            key: NO_SWIMLANE,
+            label: 'No parent',
+            roots: roots.filter((task) => !childrenOf.has(task.id)),
+          },
+        ];
+  return groups
+    .filter((group) => group.roots.length > 0)
+    .flatMap((group) => {
+      const rows = group.roots.flatMap(withChildren);
+      return [{ type: 'group', key: group.key, label: group.label, count: rows.length }, ...rows];
     });
+}
 
-    // Remove from registry
-    const newOwners = new Set(ownerRegistry.owners);
-    newOwners.delete(ownerName);
-
-    // Remove from statistics
-    const newStatistics = new Map(ownerRegistry.statistics);
-    newStatistics.delete(ownerName);
+/** @returns {{from: Task, to: Task, conflict: boolean}[]} blocker → blocked task pairs */
+function getTimelineLinks(tasks) {
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  return tasks.flatMap((task) =>
+    (task.dependencies || [])
+      .map((id) => byId.get(id))
+      .filter((blocker) => blocker && getTaskSpan(blocker) && getTaskSpan(task))
+      .map((blocker) => ({
+        from: blocker,
+        to: task,
+        // The blocked task is scheduled to start before its blocker is due
+        conflict: getTaskSpan(task).start < getTaskSpan(blocker).end,
+      })),
+  );
+}
 
-    // Update store
-    set({
-      tasks: updatedTasks,
-      ownerRegistry: {
-        owners: newOwners,
-        statistics: newStatistics,
-      },
+/**
+ * The chain of open, scheduled tasks linked by dependencies with the longest
+ * total duration. Returns an empty set when no chain has more than one task.
+ * @returns {Set<string>}
+ */
+function getCriticalPath(tasks, completionIds) {
+  const open = tasks.filter((task) => !completionIds.has(task.status) && getTaskSpan(task));
+  const byId = new Map(open.map((task) => [task.id, task]));
+  // Longer total duration wins; on a tie, the chain with more tasks
+  const isLonger = (a, b) =>
+    a.length > b.length || (a.length === b.length && a.chain.length > b.chain.length);
+  const memo = new Map();
+  // Tasks on the current recursion path; a blocker among them closes a cycle
+  const visiting = new Set();
+  // Longest chain ending at `task`: its own duration plus its longest blocker chain
+  const longest = (task) => {
+    if (memo.has(task.id)) return memo.get(task.id);
+    visiting.add(task.id);
+    const span = getTaskSpan(task);
+    const duration = span.end - span.start;
+    let best = { length: duration, chain: [task.id] };
+    (task.dependencies || []).forEach((id) => {
+      const blocker = byId.get(id);
+      if (!blocker || visiting.has(id)) return;
+      const before = longest(blocker);
+      const candidate = { length: before.length + duration, chain: [...before.chain, task.id] };
+      if (isLonger(candidate, best)) best = candidate;
     });
+    visiting.delete(task.id);
+    memo.set(task.id, best);
+    return best;
+  };
+  let critical = { length: -1, chain: [] };
+  open.forEach((task) => {
+    const candidate = longest(task);
+    if (candidate.chain.length > 1 && isLonger(candidate, critical)) critical = candidate;
+  });
+  return new Set(critical.chain);
+}
 
-    // Persist the changes
-    get().persist();
+/**
+ * Patch for dragging a bar by `deltaDays`: 'start' and 'end' move one edge
+ * (never past the other), 'move' shifts whichever dates the task has.
+ * @param {'start'|'end'|'move'} edge
+ */
+function shiftTaskSchedule(task, edge, deltaDays) {
+  const shift = (iso) => (iso ? addDays(new Date(iso), deltaDays).toISOString() : iso);
+  if (edge === 'move') return { startAt: shift(task.startAt), dueAt: shift(task.dueAt) };
+  if (edge === 'start') {
+    const startAt = shift(task.startAt);
+    const pastDue = task.dueAt && new Date(startAt) > new Date(task.dueAt);
+    return { startAt: pastDue ? task.dueAt : startAt };
+  }
+  const dueAt = shift(task.dueAt);
+  const beforeStart = task.startAt && new Date(dueAt) < new Date(task.startAt);
+  return { dueAt: beforeStart ? task.startAt : dueAt };
+}
 
-    return { success: true, tasksUpdated };
+// ----- Eisenhower Matrix -----
+// A task is important when its priority is P0-P2 and urgent when it is due
+// within two days (or overdue). urgentOverride / importantOverride pin either
+// axis regardless of priority and due date.
+
+const MATRIX_IMPORTANT_BUCKETS = ['P0', 'P1', 'P2'];
+const MATRIX_URGENT_WITHIN_HOURS = 48;
+// Days ahead a due date moves when a task is dragged out of the urgent row
+const MATRIX_SCHEDULE_DAYS = 7;
+
+const MATRIX_QUADRANTS = [
+  {
+    id: 'do',
+    label: 'Do first',
+    hint: 'Urgent and important',
+    urgent: true,
+    important: true,
+    className: 'border-red-200 bg-red-50/60 dark:border-red-900/60 dark:bg-red-950/20',
   },
+  {
+    id: 'schedule',
+    label: 'Schedule',
+    hint: 'Important, not urgent',
+    urgent: false,
+    important: true,
+    className: 'border-blue-200 bg-blue-50/60 dark:border-blue-900/60 dark:bg-blue-950/20',
+  },
+  {
+    id: 'delegate',
+    label: 'Delegate',
+    hint: 'Urgent, not important',
+    urgent: true,
+    important: false,
+    className: 'border-amber-200 bg-amber-50/60 dark:border-amber-900/60 dark:bg-amber-950/20',
+  },
+  {
+    id: 'eliminate',
+    label: 'Eliminate',
+    hint: 'Neither urgent nor important',
+    urgent: false,
+    important: false,
+    className: 'border-slate-200 bg-slate-50/60 dark:border-zinc-800 dark:bg-zinc-900/40',
+  },
+];
 
-  transferOwnerTasks(fromOwner, toOwner, removeFromOwner = false) {
-    const { tasks, ownerRegistry } = get();
-
-    // Validate inputs
-    if (!fromOwner || !toOwner) {
-      return { success: false, error: 'Both source and target owners are required' };
-    }
+function isTaskImportant(task) {
+  if (typeof task.importantOverride === 'boolean') return task.importantOverride;
+  return MATRIX_IMPORTANT_BUCKETS.includes(task.priorityBucket);
+}
 
-    if (fromOwner === toOwner) {
-      return { success: false, error: 'Cannot transfer to the same owner' };
-    }
+function isTaskUrgent(task, now = new Date()) {
+  if (typeof task.urgentOverride === 'boolean') return task.urgentOverride;
+  if (!task.dueAt) return false;
+  return new Date(task.dueAt) - now <= MATRIX_URGENT_WITHIN_HOURS * 60 * 60 * 1000;
+}
 
-    // Check if source owner exists
-    if (!ownerRegistry.owners.has(fromOwner)) {
-      return { success: false, error: 'Source owner not found in registry' };
-    }
+function getTaskQuadrant(task, now = new Date()) {
+  const urgent = isTaskUrgent(task, now);
+  const important = isTaskImportant(task);
+  return MATRIX_QUADRANTS.find((q) => q.urgent === urgent && q.important === important).id;
+}
 
-    // Validate target owner name
-    const validation = validateOwnerName(toOwner);
-    if (!validation.valid) {
-      return { success: false, error: validation.error };
+/**
+ * Patch that moves a task into a quadrant by changing its priority and due date
+ * as little as possible. Overrides are cleared so the task is classified from
+ * its fields again; while priority follows the score, importance is pinned
+ * with an override instead of touching the priority.
+ */
+function getQuadrantPatch(task, quadrantId, { autoPriority = false, now = new Date() } = {}) {
+  const quadrant = MATRIX_QUADRANTS.find((q) => q.id === quadrantId);
+  if (!quadrant) return null;
+  const base = { ...task, urgentOverride: null, importantOverride: null };
+  const patch = { urgentOverride: null, importantOverride: null };
+
+  if (quadrant.urgent !== isTaskUrgent(base, now)) {
+    if (quadrant.urgent) {
+      const due = new Date(now);
+      due.setHours(18, 0, 0, 0);
+      patch.dueAt = (due > now ? due : addDays(due, 1)).toISOString();
+    } else {
+      // Push the deadline out rather than clearing it
+      const due = addDays(now, MATRIX_SCHEDULE_DAYS);
+      due.setHours(18, 0, 0, 0);
+      patch.dueAt = due.toISOString();
     }
+  }
+  if (quadrant.important !== isTaskImportant(base)) {
+    if (autoPriority) patch.importantOverride = quadrant.important;
+    else patch.priorityBucket = quadrant.important ? 'P2' : 'P3';
+  }
+  return patch;
+}
 
-    const sanitizedToOwner = validation.name;
+// ----- Table View -----
+
+const TABLE_COLUMNS = [
+  { id: 'title', label: 'Title', width: 'minmax(16rem, 3fr)' },
+  { id: 'status', label: 'Status', width: '9.5rem' },
+  { id: 'priority', label: 'Priority', width: '5.5rem' },
+  { id: 'owners', label: 'Owners', width: 'minmax(8rem, 1fr)' },
+  { id: 'tags', label: 'Tags', width: 'minmax(8rem, 1fr)' },
+  { id: 'due', label: 'Due', width: '11rem' },
+  { id: 'project', label: 'Project', width: '8.5rem' },
+  { id: 'logged', label: 'Logged', width: '6rem' },
+  { id: 'updated', label: 'Updated', width: '7.5rem' },
+];
+// Rows are a fixed height so only the ones in view need rendering
+const TABLE_ROW_HEIGHT = 36;
+const TABLE_OVERSCAN_ROWS = 10;
+
+function getTableSortValue(task, columnId, context) {
+  switch (columnId) {
+    case 'title':
+      return task.title.toLowerCase();
+    case 'status':
+      return context.statusOrder.indexOf(task.status);
+    case 'priority':
+      return PRIORITY_BUCKETS.indexOf(task.priorityBucket);
+    case 'owners':
+      return (task.owners || []).join(', ').toLowerCase();
+    case 'tags':
+      return (task.tags || []).join(' ').toLowerCase();
+    case 'due':
+      return task.dueAt ? new Date(task.dueAt).getTime() : null;
+    case 'project':
+      return (context.projectNames[task.projectId] || '').toLowerCase();
+    case 'logged':
+      return computeElapsedSecs(task, context.now);
+    case 'updated':
+      return new Date(task.updatedAt).getTime();
+    default:
+      return null;
+  }
+}
 
-    // Add target owner to registry if not exists
-    if (!ownerRegistry.owners.has(sanitizedToOwner)) {
-      get().addOwnerToRegistry(sanitizedToOwner);
-    }
+// Empty cells sort last in either direction; ties keep the incoming order.
+/** @param {{column: string, direction: 'asc'|'desc'}|null} sort */
+function sortTableTasks(tasks, sort, context) {
+  if (!sort) return tasks;
+  const direction = sort.direction === 'desc' ? -1 : 1;
+  const isEmpty = (value) => value === null || value === '';
+  return tasks
+    .map((task, index) => ({ task, index, value: getTableSortValue(task, sort.column, context) }))
+    .sort((a, b) => {
+      if (isEmpty(a.value) !== isEmpty(b.value)) return isEmpty(a.value) ? 1 : -1;
+      if (a.value < b.value) return -direction;
+      if (a.value > b.value) return direction;
+      return a.index - b.index;
+    })
+    .map(({ task }) => task);
+}
 
-    // Transfer ownership in all tasks
-    let tasksUpdated = 0;
-    const updatedTasks = tasks.map((task) => {
-      if (task.owners && task.owners.includes(fromOwner)) {
-        tasksUpdated++;
-        const newOwners = task.owners.filter((o) => o !== fromOwner);
-        if (!newOwners.includes(sanitizedToOwner)) {
-          newOwners.push(sanitizedToOwner);
-        }
-        return {
-          ...task,
-          owners: newOwners,
-          updatedAt: new Date().toISOString(),
-        };
-      }
-      return task;
-    });
+// Ids from the anchor through the target in display order, for shift-click selection
+function getRangeIds(orderedIds, anchorId, targetId) {
+  const from = orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(targetId);
+  if (from === -1 || to === -1) return [targetId];
+  return orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+}
 
-    // Update store
-    set({ tasks: updatedTasks });
+/** @returns {{start: number, end: number}} the row slice to render (end exclusive) */
+function getVisibleRowRange(rowCount, scrollTop, viewportHeight) {
+  const first = Math.floor(scrollTop / TABLE_ROW_HEIGHT);
+  const visible = Math.ceil(viewportHeight / TABLE_ROW_HEIGHT);
+  return {
+    start: Math.max(0, first - TABLE_OVERSCAN_ROWS),
+    end: Math.min(rowCount, first + visible + TABLE_OVERSCAN_ROWS),
+  };
+}
 
-    // Update statistics
-    get().updateOwnerStatistics();
+// ----- Board Persistence Helpers -----
 
-    // Remove from owner if requested
-    if (removeFromOwner && tasksUpdated > 0) {
-      get().removeOwnerFromRegistry(fromOwner);
-    }
+const DEFAULT_PROJECT = {
+  id: 'default',
+  name: 'Default',
+  color: '#6B7280',
+  isDefault: true,
+};
 
-    // Persist the changes
-    get().persist();
+const BOARD_BUNDLE_FORMAT = 'workday-board-bundle';
+const BOARD_BUNDLE_VERSION = 1;
 
-    return { success: true, tasksUpdated, fromOwner, toOwner: sanitizedToOwner };
-  },
+// Convert the live store state into the plain JSON shape written to storage.
+function serializeBoardState(state) {
+  return {
+    tasks: state.tasks,
+    autoReturnOnStop: state.autoReturnOnStop,
+    autoPriorityFromScore: state.autoPriorityFromScore,
+    userName: state.userName,
+    myDayResetHour: state.myDayResetHour,
+    dailyCapacityMins: state.dailyCapacityMins,
+    hiddenTableColumns: state.hiddenTableColumns,
+    projects: state.projects,
+    currentProjectId: state.currentProjectId,
+    pinnedProjectId: state.pinnedProjectId,
+    ownerRegistry: {
+      owners: Array.from(state.ownerRegistry.owners),
+      statistics: Object.fromEntries(state.ownerRegistry.statistics),
+    },
+    statusConfig: state.statusConfig,
+    savedViews: state.savedViews,
+    myDay: state.myDay,
+    version: STORAGE_VERSION,
+  };
+}
 
-  updateOwnerStatistics() {
-    const { tasks, ownerRegistry } = get();
+// Run a stored payload through every migration step, oldest first.
+function migrateBoardData(data) {
+  let migrated = { ...data };
 
-    // Create new statistics map
-    const newStatistics = new Map();
+  if (!migrated.version || migrated.version < STORAGE_VERSION) {
+    console.log('Migrating storage from v1 to v2');
+    migrated = migrateStorageV1toV2(migrated);
+  }
 
-    // Scan all tasks and rebuild statistics
-    tasks.forEach((task) => {
-      if (task.owners && Array.isArray(task.owners)) {
-        task.owners.forEach((owner) => {
-          if (owner && typeof owner === 'string') {
-            // Get existing stats or create new ones
-            const existingStats = ownerRegistry.statistics.get(owner);
-            const stats = newStatistics.get(owner) || {
-              taskCount: 0,
-              lastUsed: existingStats?.lastUsed || new Date().toISOString(),
-              createdAt: existingStats?.createdAt || new Date().toISOString(),
-            };
+  // Migrate owner fields to owners array
+  const tasks = (migrated.tasks || []).map((task) => {
+    const owners = task.owners || (task.ownerRef ? [task.ownerRef] : []);
+    return finalizeTask({ ...task, owners });
+  });
 
-            stats.taskCount++;
+  migrated = migrateToV1_1({ ...migrated, tasks });
+  migrated = migrateToV2_1(migrated);
+  migrated = migrateToV2_4(migrated);
+  migrated.statusConfig = normalizeStatusConfig(migrated.statusConfig);
+  return migrated;
+}
 
-            // Update last used based on task dates
-            const taskDate = task.updatedAt || task.createdAt || new Date().toISOString();
-            if (new Date(taskDate) > new Date(stats.lastUsed)) {
-              stats.lastUsed = taskDate;
-            }
+// Build the store patch for a migrated payload (runtime owner registry, pinned project).
+function boardStateFromData(data) {
+  const projects = data.projects || [{ ...DEFAULT_PROJECT, createdAt: Date.now() }];
+  // A pinned project always wins over the last-used project on load
+  const pinnedProjectId = projects.some((p) => p.id === data.pinnedProjectId)
+    ? data.pinnedProjectId
+    : null;
+  const currentProjectId = projects.some((p) => p.id === data.currentProjectId)
+    ? data.currentProjectId
+    : 'default';
 
-            newStatistics.set(owner, stats);
-          }
-        });
-      }
-    });
+  return {
+    tasks: data.tasks || [],
+    autoReturnOnStop: data.autoReturnOnStop ?? false,
+    autoPriorityFromScore: data.autoPriorityFromScore ?? false,
+    userName: data.userName ?? '',
+    myDayResetHour: data.myDayResetHour ?? DEFAULT_MY_DAY_RESET_HOUR,
+    dailyCapacityMins: data.dailyCapacityMins ?? DEFAULT_DAILY_CAPACITY_MINS,
+    hiddenTableColumns: data.hiddenTableColumns || [],
+    projects,
+    currentProjectId: pinnedProjectId || currentProjectId,
+    pinnedProjectId,
+    ownerRegistry: {
+      owners: new Set(data.ownerRegistry?.owners || []),
+      statistics: new Map(Object.entries(data.ownerRegistry?.statistics || {})),
+    },
+    statusConfig: data.statusConfig || { statuses: [], version: 1 },
+    savedViews: data.savedViews || [],
+    myDay: data.myDay || EMPTY_MY_DAY,
+  };
+}
 
-    // Remove statistics for owners with no tasks
-    const activeOwners = new Set(newStatistics.keys());
-    const newOwners = new Set([...ownerRegistry.owners].filter((owner) => activeOwners.has(owner)));
-
-    // Update the store
-    set({
-      ownerRegistry: {
-        owners: newOwners,
-        statistics: newStatistics,
-      },
-    });
-
-    // Persist the changes
-    get().persist();
-  },
-
-  unassignOwnerFromAllTasks(ownerName) {
-    const { tasks } = get();
-
-    let tasksUpdated = 0;
-    const updatedTasks = tasks.map((task) => {
-      if (task.owners && task.owners.includes(ownerName)) {
-        tasksUpdated++;
-        return {
-          ...task,
-          owners: task.owners.filter((owner) => owner !== ownerName),
-          updatedAt: new Date().toISOString(),
-        };
-      }
-      return task;
-    });
-
-    // Update tasks in store
-    set({ tasks: updatedTasks });
-
-    // Update owner statistics after unassigning
-    get().updateOwnerStatistics();
-
-    // Persist changes
-    get().persist();
+function createBoardBundle(state) {
+  const {
+    autoReturnOnStop,
+    autoPriorityFromScore,
+    userName,
+    myDayResetHour,
+    dailyCapacityMins,
+    hiddenTableColumns,
+    ...data
+  } = serializeBoardState(state);
+  return {
+    format: BOARD_BUNDLE_FORMAT,
+    bundleVersion: BOARD_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...data,
+    prefs: {
+      autoReturnOnStop,
+      autoPriorityFromScore,
+      userName,
+      myDayResetHour,
+      dailyCapacityMins,
+      hiddenTableColumns,
+    },
+  };
+}
 
-    return { tasksUpdated };
-  },
+// Unwrap an export bundle (or a raw `workday-board@v1` payload) into storage shape.
+function readBoardBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return { error: 'File is not a board export' };
+  }
+  if (bundle.format !== undefined && bundle.format !== BOARD_BUNDLE_FORMAT) {
+    return { error: 'File is not a board export' };
+  }
+  if ((bundle.bundleVersion || 0) > BOARD_BUNDLE_VERSION) {
+    return { error: 'Export was created by a newer version of the app' };
+  }
+  if (!Array.isArray(bundle.tasks)) {
+    return { error: 'Export contains no task list' };
+  }
 
-  getOwnerSuggestions(partial = '') {
-    const { ownerRegistry } = get();
-    const searchTerm = partial.toLowerCase().trim();
+  const { prefs, ...data } = bundle;
+  delete data.format;
+  delete data.bundleVersion;
+  delete data.exportedAt;
+  return { data: { ...data, ...(prefs || {}) } };
+}
 
-    if (!searchTerm) {
-      // Return all owners sorted by task count
-      return Array.from(ownerRegistry.owners)
-        .map((owner) => ({
-          name: owner,
-          taskCount: ownerRegistry.statistics.get(owner)?.taskCount || 0,
-        }))
-        .sort((a, b) => {
-          // First by task count (descending)
-          if (b.taskCount !== a.taskCount) {
-            return b.taskCount - a.taskCount;
-          }
-          // Then alphabetically
-          return a.name.localeCompare(b.name);
-        });
+// Merge an imported payload into the current one. Records are matched by id;
+// for tasks present on both sides the most recently updated copy wins.
+function mergeBoardData(current, incoming) {
+  const tasksById = new Map(current.tasks.map((task) => [task.id, task]));
+  incoming.tasks.forEach((task) => {
+    const existing = tasksById.get(task.id);
+    if (!existing || new Date(task.updatedAt) > new Date(existing.updatedAt)) {
+      tasksById.set(task.id, task);
     }
+  });
 
-    // Filter by partial match and sort
-    return Array.from(ownerRegistry.owners)
-      .filter((owner) => owner.toLowerCase().includes(searchTerm))
-      .map((owner) => ({
-        name: owner,
-        taskCount: ownerRegistry.statistics.get(owner)?.taskCount || 0,
-      }))
-      .sort((a, b) => {
-        // First by task count (descending)
-        if (b.taskCount !== a.taskCount) {
-          return b.taskCount - a.taskCount;
-        }
-        // Then alphabetically
-        return a.name.localeCompare(b.name);
-      });
-  },
-
-  getAllOwnersWithStats() {
-    const { ownerRegistry } = get();
+  const projectIds = new Set(current.projects.map((p) => p.id));
+  const projects = [
+    ...current.projects,
+    ...(incoming.projects || []).filter((p) => !projectIds.has(p.id)),
+  ];
 
-    // Map all owners with their statistics
-    const ownersWithStats = Array.from(ownerRegistry.owners).map((owner) => {
-      const stats = ownerRegistry.statistics.get(owner) || {
-        taskCount: 0,
-        lastUsed: null,
-        createdAt: new Date().toISOString(),
-      };
+  const owners = new Set([...current.ownerRegistry.owners, ...incoming.ownerRegistry.owners]);
+  const statistics = { ...incoming.ownerRegistry.statistics, ...current.ownerRegistry.statistics };
 
-      return {
-        name: owner,
-        taskCount: stats.taskCount,
-        lastUsed: stats.lastUsed,
-        createdAt: stats.createdAt,
-      };
-    });
+  const currentStatuses = current.statusConfig.statuses;
+  const statusIds = new Set(currentStatuses.map((s) => s.id));
+  const addedStatuses = incoming.statusConfig.statuses
+    .filter((s) => !statusIds.has(s.id))
+    .map((s, index) => ({ ...s, isDefault: false, order: currentStatuses.length + index }));
 
-    // Sort by task count (descending), then alphabetically
-    return ownersWithStats.sort((a, b) => {
-      if (b.taskCount !== a.taskCount) {
-        return b.taskCount - a.taskCount;
-      }
-      return a.name.localeCompare(b.name);
-    });
-  },
+  const viewIds = new Set(current.savedViews.map((view) => view.id));
 
-  bulkAssignOwner(taskIds, ownerName) {
-    const validation = validateOwnerName(ownerName);
+  return {
+    ...current,
+    tasks: breakDependencyCycles(Array.from(tasksById.values())),
+    projects,
+    pinnedProjectId: current.pinnedProjectId ?? incoming.pinnedProjectId ?? null,
+    ownerRegistry: { owners: Array.from(owners).sort(), statistics },
+    statusConfig: { ...current.statusConfig, statuses: [...currentStatuses, ...addedStatuses] },
+    savedViews: [
+      ...current.savedViews,
+      ...incoming.savedViews.filter((view) => !viewIds.has(view.id)),
+    ],
+  };
+}
 
-    if (!validation.valid) {
-      console.error(`Invalid owner name: ${validation.error}`);
-      return { success: false, error: validation.error };
-    }
+const BOARD_SYNC_CHANNEL = 'workday-board-sync';
+// Identifies this tab's own sync messages
+const TAB_ID = uid();
 
-    const { tasks } = get();
-    const sanitizedName = validation.name;
+// What this tab last knew to be shared with other tabs: task updatedAt stamps
+// and project ids. Used to tell a remote delete apart from a local create.
+function createSyncBase(data) {
+  return {
+    tasks: new Map(data.tasks.map((task) => [task.id, task.updatedAt])),
+    projectIds: new Set((data.projects || []).map((p) => p.id)),
+  };
+}
 
-    // Add owner to registry if new
-    const addResult = get().addOwnerToRegistry(sanitizedName);
-    if (!addResult.success) {
-      return { success: false, error: addResult.error };
+// Three-way merge of a board saved by another tab into the local one. Tasks
+// present on both sides keep the newer updatedAt; a record missing on one side
+// counts as deleted only if it was shared before and not edited since.
+function syncBoardData(local, remote, base) {
+  const localTasks = new Map(local.tasks.map((task) => [task.id, task]));
+  const remoteIds = new Set(remote.tasks.map((task) => task.id));
+
+  const tasks = [];
+  remote.tasks.forEach((task) => {
+    const mine = localTasks.get(task.id);
+    if (!mine) {
+      // Deleted here since the last sync, unless the other tab edited it afterwards
+      const sharedAt = base.tasks.get(task.id);
+      if (sharedAt && new Date(task.updatedAt) <= new Date(sharedAt)) return;
+      tasks.push(task);
+    } else {
+      const newer = new Date(mine.updatedAt) > new Date(task.updatedAt) ? mine : task;
+      tasks.push({ ...newer, activity: mergeActivity(mine.activity, task.activity) });
     }
+  });
+  local.tasks.forEach((task) => {
+    if (remoteIds.has(task.id)) return;
+    const sharedAt = base.tasks.get(task.id);
+    const deletedRemotely = sharedAt && new Date(task.updatedAt) <= new Date(sharedAt);
+    if (!deletedRemotely) tasks.push(task);
+  });
 
-    let tasksUpdated = 0;
-    let tasksFailed = 0;
-    const failedTaskIds = [];
-
-    // Update each task
-    const updatedTasks = tasks.map((task) => {
-      if (taskIds.includes(task.id)) {
-        // Check if task already has 5 owners
-        const currentOwners = task.owners || [];
-        if (currentOwners.length >= 5 && !currentOwners.includes(sanitizedName)) {
-          tasksFailed++;
-          failedTaskIds.push(task.id);
-          return task;
-        }
+  const remoteProjectIds = new Set(remote.projects.map((p) => p.id));
+  const localProjectIds = new Set(local.projects.map((p) => p.id));
+  const projects = [
+    ...remote.projects.filter((p) => localProjectIds.has(p.id) || !base.projectIds.has(p.id)),
+    ...local.projects.filter((p) => !remoteProjectIds.has(p.id) && !base.projectIds.has(p.id)),
+  ];
 
-        // Add owner if not already present
-        if (!currentOwners.includes(sanitizedName)) {
-          tasksUpdated++;
-          return {
-            ...task,
-            owners: [...currentOwners, sanitizedName],
-            updatedAt: new Date().toISOString(),
-          };
-        }
-      }
-      return task;
-    });
+  // Owner and status settings follow the last writer; owners still assigned to
+  // a kept task stay registered.
+  const owners = new Set(remote.ownerRegistry.owners);
+  tasks.forEach((task) => (task.owners || []).forEach((owner) => owners.add(owner)));
 
-    // Update store
-    set({ tasks: updatedTasks });
+  return {
+    ...remote,
+    // Each side may have linked one half of a loop
+    tasks: breakDependencyCycles(tasks),
+    projects,
+    currentProjectId: local.currentProjectId,
+    ownerRegistry: { ...remote.ownerRegistry, owners: Array.from(owners).sort() },
+  };
+}
 
-    // Update statistics
-    get().updateOwnerStatistics();
+// ----- Board Validation -----
 
-    // Persist changes
-    get().persist();
+const STORAGE_BACKUP_KEY = `${STORAGE_KEY}:backup`;
+const STORAGE_QUARANTINE_KEY = `${STORAGE_KEY}:quarantine`;
+const OWNER_TYPES = ['self', 'ai', 'other'];
 
-    return {
-      success: true,
-      tasksUpdated,
-      tasksFailed,
-      failedTaskIds,
-    };
-  },
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
 
-  // Status Configuration methods
-  getStatuses() {
-    const { statusConfig } = get();
-    return statusConfig.statuses.sort((a, b) => a.order - b.order);
-  },
+function isValidDateString(value) {
+  return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+}
 
-  getStatusById(statusId) {
-    const { statusConfig } = get();
-    return statusConfig.statuses.find((s) => s.id === statusId);
-  },
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string');
+}
 
-  getDefaultStatus() {
-    const { statusConfig } = get();
-    return statusConfig.statuses.find((s) => s.isDefault);
-  },
+function describeRecord(record) {
+  const label = record?.title || record?.name || record?.label || record?.id;
+  return typeof label === 'string' && label ? `"${label}"` : '(unnamed)';
+}
 
-  getCompletionStatuses() {
-    const { statusConfig } = get();
-    return statusConfig.statuses.filter((s) => s.isCompletionState);
-  },
+// Structural pass on the raw payload, before migrations touch it. Records the
+// migrations cannot safely read are pulled out into the report's quarantine.
+function sanitizeBoardPayload(data, report) {
+  const next = { ...data };
 
-  // Get status metadata in a map for easy lookup (like STATUS_META)
-  getStatusMetaMap() {
-    const statuses = get().getStatuses();
-    const map = {};
-    statuses.forEach((status) => {
-      map[status.id] = {
-        label: status.label,
-        key: status.keyboardShortcut,
-        hint: status.description,
-      };
+  if (next.tasks !== undefined && !Array.isArray(next.tasks)) {
+    report.issues.push('Task list was not an array and was quarantined');
+    report.quarantined.tasks.push(next.tasks);
+    next.tasks = [];
+  }
+  next.tasks = (next.tasks || []).filter((task) => {
+    if (isPlainObject(task)) return true;
+    report.issues.push('Quarantined a task record that was not an object');
+    report.quarantined.tasks.push(task);
+    return false;
+  });
+  // Migrations iterate these lists, so coerce them before anything else runs
+  next.tasks = next.tasks.map((task) => {
+    const repaired = { ...task };
+    ['owners', 'tags', 'dependencies'].forEach((field) => {
+      if (repaired[field] === undefined || isStringArray(repaired[field])) return;
+      repaired[field] = Array.isArray(repaired[field])
+        ? repaired[field].filter((item) => typeof item === 'string')
+        : [];
+      report.issues.push(`Task ${describeRecord(task)}: invalid ${field}`);
     });
-    return map;
-  },
-
-  // Get ordered array of status IDs (like STATUS_ORDER)
-  getStatusOrder() {
-    return get()
-      .getStatuses()
-      .map((s) => s.id);
-  },
-
-  // Validation helpers for status management
-  validateStatusLabel(label, excludeId = null) {
-    const trimmed = label?.trim();
+    return repaired;
+  });
 
-    if (!trimmed || trimmed.length === 0) {
-      return { valid: false, error: 'Status label cannot be empty' };
+  if (next.projects !== undefined) {
+    if (!Array.isArray(next.projects)) {
+      report.issues.push('Project list was not an array and was quarantined');
+      report.quarantined.projects.push(next.projects);
+      next.projects = [];
     }
+    next.projects = next.projects.filter((project) => {
+      if (isPlainObject(project) && typeof project.id === 'string' && project.id) return true;
+      report.issues.push(`Quarantined project ${describeRecord(project)} without a valid id`);
+      report.quarantined.projects.push(project);
+      return false;
+    });
+  }
 
-    if (trimmed.length > 30) {
-      return { valid: false, error: 'Status label too long (max 30 characters)' };
+  if (next.statusConfig !== undefined) {
+    const statuses = next.statusConfig?.statuses;
+    if (!Array.isArray(statuses)) {
+      report.issues.push('Status configuration was unreadable and was reset to defaults');
+      report.quarantined.statuses.push(next.statusConfig);
+      delete next.statusConfig;
+    } else {
+      const validStatuses = statuses.filter((status) => {
+        if (isPlainObject(status) && typeof status.id === 'string' && status.id) return true;
+        report.issues.push(`Quarantined status ${describeRecord(status)} without a valid id`);
+        report.quarantined.statuses.push(status);
+        return false;
+      });
+      if (validStatuses.length === 0) {
+        report.issues.push('No usable statuses were left; restored the default workflow');
+        delete next.statusConfig;
+      } else {
+        next.statusConfig = { ...next.statusConfig, statuses: validStatuses };
+      }
     }
+  }
 
-    // Check for duplicate labels (case-insensitive)
-    const { statusConfig } = get();
-    const duplicate = statusConfig.statuses.find(
-      (s) => s.id !== excludeId && s.label.toLowerCase() === trimmed.toLowerCase(),
-    );
-
-    if (duplicate) {
-      return { valid: false, error: `Status "${trimmed}" already exists` };
+  if (next.ownerRegistry !== undefined) {
+    const registry = next.ownerRegistry;
+    if (!isPlainObject(registry) || !isStringArray(registry.owners)) {
+      report.issues.push('Owner registry was unreadable and was rebuilt from tasks');
+      delete next.ownerRegistry;
+    } else if (!isPlainObject(registry.statistics)) {
+      next.ownerRegistry = { ...registry, statistics: {} };
     }
+  }
 
-    return { valid: true, label: trimmed };
-  },
+  return next;
+}
 
-  canDeleteStatus(statusId) {
-    const { statusConfig } = get();
-    const status = statusConfig.statuses.find((s) => s.id === statusId);
+// Repair a single task against the Task typedef. Returns null when the
+// record has to be quarantined instead.
+function validateTask(task, context, report) {
+  const name = describeRecord(task);
+  if (typeof task.id !== 'string' || !task.id || context.seenIds.has(task.id)) {
+    report.issues.push(`Quarantined task ${name} with a missing or duplicate id`);
+    return null;
+  }
+  context.seenIds.add(task.id);
 
-    if (!status) {
-      return { canDelete: false, reason: 'Status not found' };
-    }
+  const repaired = { ...task };
+  const repair = (field, value, reason) => {
+    repaired[field] = value;
+    report.issues.push(`Task ${name}: ${reason}`);
+  };
 
-    // Must have at least 2 statuses
-    if (statusConfig.statuses.length <= 2) {
-      return { canDelete: false, reason: 'Must have at least 2 statuses' };
+  if (typeof repaired.title !== 'string') repair('title', 'Untitled', 'missing title');
+  if (typeof repaired.description !== 'string') repair('description', '', 'invalid notes');
+  if (!context.projectIds.has(repaired.projectId)) {
+    repair('projectId', 'default', 'unknown project, moved to Default');
+  }
+  if (!context.statusIds.has(repaired.status)) {
+    repair('status', context.fallbackStatus, `unknown status "${String(repaired.status)}"`);
+  }
+  if (!OWNER_TYPES.includes(repaired.ownerType)) repair('ownerType', 'self', 'invalid owner type');
+  ['startAt', 'dueAt', 'expectedBy', 'timerStartedAt'].forEach((field) => {
+    if (repaired[field] !== null && !isValidDateString(repaired[field])) {
+      repair(field, null, `invalid ${field}`);
     }
-
-    // Cannot delete the only default status
-    const defaultStatuses = statusConfig.statuses.filter((s) => s.isDefault);
-    if (status.isDefault && defaultStatuses.length === 1) {
-      return {
-        canDelete: false,
-        reason: 'Cannot delete the only default status. Set another status as default first.',
-      };
+  });
+  ['urgentOverride', 'importantOverride'].forEach((field) => {
+    if (repaired[field] !== null && typeof repaired[field] !== 'boolean') {
+      repair(field, null, `invalid ${field}`);
     }
-
-    // Cannot delete the only completion status
-    const completionStatuses = statusConfig.statuses.filter((s) => s.isCompletionState);
-    if (status.isCompletionState && completionStatuses.length === 1) {
-      return {
-        canDelete: false,
-        reason:
-          'Cannot delete the only completion status. Mark another status as completion first.',
-      };
+  });
+  ['createdAt', 'updatedAt'].forEach((field) => {
+    if (!isValidDateString(repaired[field])) {
+      repair(field, new Date().toISOString(), `invalid ${field}`);
     }
+  });
+  if (!Number.isFinite(repaired.timeLogSecs) || repaired.timeLogSecs < 0) {
+    repair('timeLogSecs', 0, 'invalid logged time');
+  }
+  if (repaired.parentTaskId !== null && typeof repaired.parentTaskId !== 'string') {
+    repair('parentTaskId', null, 'invalid parent task');
+  }
+  SCORE_FIELDS.forEach((field) => {
+    const rating = normalizeScoreRating(repaired[field]);
+    if (rating !== (repaired[field] ?? null)) repair(field, rating, `invalid ${field} rating`);
+  });
+  if (
+    repaired.estimateMins !== null &&
+    repaired.estimateMins !== undefined &&
+    !(Number.isFinite(repaired.estimateMins) && repaired.estimateMins > 0)
+  ) {
+    repair('estimateMins', null, 'invalid estimate');
+  }
+  const recurrence = repaired.recurrence ? normalizeRecurrence(repaired.recurrence) : null;
+  if (JSON.stringify(recurrence) !== JSON.stringify(repaired.recurrence ?? null)) {
+    repair('recurrence', recurrence, 'invalid recurrence rule');
+  }
+  const activity = Array.isArray(repaired.activity) ? repaired.activity : [];
+  const validEvents = activity.filter(
+    (event) => isPlainObject(event) && typeof event.id === 'string' && isValidDateString(event.at),
+  );
+  if (!Array.isArray(repaired.activity) || validEvents.length !== activity.length) {
+    repair('activity', validEvents, 'invalid activity log entries');
+  }
+  return repaired;
+}
 
-    return { canDelete: true };
-  },
-
-  getTasksForStatus(statusId) {
-    const { tasks } = get();
-    return tasks.filter((t) => t.status === statusId);
-  },
-
-  // CRUD operations for status management
-  createStatus(label, description = '', flags = {}) {
-    const validation = get().validateStatusLabel(label);
-    if (!validation.valid) {
-      console.error(`Cannot create status: ${validation.error}`);
-      return { success: false, error: validation.error };
+// Field-level pass on the migrated payload.
+function validateMigratedBoard(data, report) {
+  const statuses = data.statusConfig.statuses.map((status, index) => {
+    const repaired = { ...status };
+    if (typeof repaired.label !== 'string' || !repaired.label.trim()) {
+      repaired.label = repaired.id;
+      report.issues.push(`Status "${repaired.id}": missing label`);
     }
+    if (!Number.isFinite(repaired.order)) repaired.order = index;
+    repaired.isDefault = repaired.isDefault === true;
+    repaired.isCompletionState = repaired.isCompletionState === true;
+    return repaired;
+  });
+  if (!statuses.some((status) => status.isDefault)) {
+    statuses[0].isDefault = true;
+    report.issues.push(`No default status was set; using "${statuses[0].label}"`);
+  }
 
-    const { statusConfig } = get();
-
-    // Enforce max 15 statuses
-    if (statusConfig.statuses.length >= 15) {
-      const error = 'Maximum 15 statuses allowed';
-      console.error(error);
-      return { success: false, error };
+  const sourceProjects = [...(data.projects || [])];
+  if (!sourceProjects.some((project) => project.id === 'default')) {
+    if (data.projects) report.issues.push('Restored the missing Default project');
+    sourceProjects.unshift({ ...DEFAULT_PROJECT, createdAt: Date.now() });
+  }
+  const projects = sourceProjects.map((project, index) => {
+    const repaired = { ...project };
+    if (typeof repaired.name !== 'string' || !repaired.name.trim()) {
+      repaired.name = repaired.id;
+      report.issues.push(`Project "${repaired.id}": missing name`);
     }
+    if (typeof repaired.color !== 'string') repaired.color = generateProjectColor(index);
+    repaired.isDefault = repaired.id === 'default';
+    return repaired;
+  });
 
-    // Create new status
-    const newStatus = {
-      id: uid(), // Generate unique ID
-      label: validation.label,
-      description: description.trim(),
-      order: statusConfig.statuses.length, // Add at end
-      isDefault: flags.isDefault === true,
-      isCompletionState: flags.isCompletionState === true,
-      keyboardShortcut: flags.keyboardShortcut || '',
-      createdAt: new Date().toISOString(),
-      canDelete: true,
-    };
-
-    // If setting as default, unset other defaults
-    let updatedStatuses = [...statusConfig.statuses];
-    if (newStatus.isDefault) {
-      updatedStatuses = updatedStatuses.map((s) => ({ ...s, isDefault: false }));
+  const context = {
+    seenIds: new Set(),
+    projectIds: new Set(projects.map((project) => project.id)),
+    statusIds: new Set(statuses.map((status) => status.id)),
+    fallbackStatus: statuses.find((status) => status.isDefault).id,
+  };
+  const tasks = [];
+  data.tasks.forEach((task) => {
+    const repaired = validateTask(task, context, report);
+    if (repaired) tasks.push(repaired);
+    else report.quarantined.tasks.push(task);
+  });
+  const taskIds = new Set(tasks.map((task) => task.id));
+  tasks.forEach((task) => {
+    if (task.parentTaskId && !taskIds.has(task.parentTaskId)) {
+      report.issues.push(`Task ${describeRecord(task)}: parent task no longer exists`);
+      task.parentTaskId = null;
     }
+    // Links to deleted tasks are routine (e.g. a task deleted in another tab), not corruption
+    const existing = task.dependencies.filter((id) => taskIds.has(id));
+    const dependencies = Array.from(new Set(existing)).filter((id) => id !== task.id);
+    if (dependencies.length !== existing.length) {
+      report.issues.push(`Task ${describeRecord(task)}: dropped duplicate or self links`);
+    }
+    task.dependencies = dependencies;
+  });
+  const acyclicTasks = breakDependencyCycles(tasks, (task) =>
+    report.issues.push(`Task ${describeRecord(task)}: dropped a link that formed a cycle`),
+  );
 
-    // Add new status
-    updatedStatuses.push(newStatus);
+  const savedViews = [];
+  (Array.isArray(data.savedViews) ? data.savedViews : []).forEach((view) => {
+    if (
+      !isPlainObject(view) ||
+      typeof view.id !== 'string' ||
+      typeof view.name !== 'string' ||
+      !view.name.trim()
+    ) {
+      report.issues.push('Dropped an invalid saved view');
+      return;
+    }
+    savedViews.push(normalizeSavedView(view));
+  });
 
-    set({
-      statusConfig: {
-        ...statusConfig,
-        statuses: updatedStatuses,
-      },
-    });
+  if (data.myDay !== undefined && !isPlainObject(data.myDay)) {
+    report.issues.push('Reset an invalid My Day plan');
+  }
+  // Picks of since-deleted tasks are stale, not corrupt, so they go without an issue
+  const myDay = pruneMyDay(normalizeMyDay(data.myDay), (id) => taskIds.has(id));
+
+  const resetHour = data.myDayResetHour;
+  const myDayResetHour =
+    Number.isInteger(resetHour) && resetHour >= 0 && resetHour <= 23
+      ? resetHour
+      : DEFAULT_MY_DAY_RESET_HOUR;
+  if (resetHour !== undefined && resetHour !== myDayResetHour) {
+    report.issues.push('Reset an invalid My Day start hour');
+  }
 
-    get().persist();
+  const capacity = data.dailyCapacityMins;
+  const dailyCapacityMins =
+    Number.isInteger(capacity) && capacity > 0 && capacity <= 24 * 60
+      ? capacity
+      : DEFAULT_DAILY_CAPACITY_MINS;
+  if (capacity !== undefined && capacity !== dailyCapacityMins) {
+    report.issues.push('Reset an invalid daily capacity');
+  }
 
-    return { success: true, statusId: newStatus.id };
-  },
+  const userName =
+    typeof data.userName === 'string' ? data.userName.trim().slice(0, USER_NAME_MAX_LENGTH) : '';
+  if (data.userName !== undefined && data.userName !== userName) {
+    report.issues.push('Reset an invalid user name');
+  }
 
-  updateStatus(statusId, updates) {
-    const { statusConfig } = get();
-    const status = statusConfig.statuses.find((s) => s.id === statusId);
+  const hiddenTableColumns = isStringArray(data.hiddenTableColumns)
+    ? data.hiddenTableColumns.filter((id) => TABLE_COLUMNS.some((column) => column.id === id))
+    : [];
 
-    if (!status) {
-      const error = 'Status not found';
-      console.error(error);
-      return { success: false, error };
-    }
+  return {
+    ...data,
+    tasks: acyclicTasks,
+    projects,
+    statusConfig: { ...data.statusConfig, statuses },
+    savedViews,
+    myDay,
+    myDayResetHour,
+    dailyCapacityMins,
+    userName,
+    hiddenTableColumns,
+  };
+}
 
-    // Validate label if being updated
-    if (updates.label !== undefined) {
-      const validation = get().validateStatusLabel(updates.label, statusId);
-      if (!validation.valid) {
-        console.error(`Cannot update status: ${validation.error}`);
-        return { success: false, error: validation.error };
-      }
-      updates.label = validation.label;
-    }
+function createValidationReport() {
+  return { issues: [], quarantined: { tasks: [], projects: [], statuses: [] } };
+}
 
-    // Trim description if provided
-    if (updates.description !== undefined) {
-      updates.description = updates.description.trim();
-    }
+// Parse, sanitize, migrate and validate a stored payload. Returns either
+// `{ data, issues, quarantined }` or `{ error }` when nothing is recoverable.
+function loadBoardPayload(parsed) {
+  if (!isPlainObject(parsed)) {
+    return { error: 'Stored board has an unexpected shape' };
+  }
+  const report = createValidationReport();
+  try {
+    const migrated = migrateBoardData(sanitizeBoardPayload(parsed, report));
+    return { data: validateMigratedBoard(migrated, report), ...report };
+  } catch (e) {
+    console.error('Board validation error:', e);
+    return { error: 'Stored board could not be migrated' };
+  }
+}
 
-    // Update the status
-    let updatedStatuses = statusConfig.statuses.map((s) => {
-      if (s.id === statusId) {
-        return { ...s, ...updates };
-      }
-      return s;
-    });
+function downloadTextFile(fileName, text) {
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
-    // If setting as default, unset other defaults
-    if (updates.isDefault === true) {
-      updatedStatuses = updatedStatuses.map((s) =>
-        s.id === statusId ? s : { ...s, isDefault: false },
-      );
-    }
+function countQuarantined(quarantined) {
+  return quarantined.tasks.length + quarantined.projects.length + quarantined.statuses.length;
+}
 
-    set({
-      statusConfig: {
-        ...statusConfig,
-        statuses: updatedStatuses,
-      },
-    });
+// ----- Storage Adapters -----
+// Every adapter exposes the same async surface:
+//   load()                 -> null when nothing is stored, else { raw, data } or { raw, error }
+//   save(payload)          -> writes a serializeBoardState() payload
+//   readKey/writeKey/removeKey -> side records such as the recovery backup
+
+function parseStoredBoard(raw) {
+  try {
+    return { raw, data: JSON.parse(raw) };
+  } catch (e) {
+    return { raw, error: 'Stored board is not valid JSON' };
+  }
+}
 
-    get().persist();
+// Current behaviour: the whole board as one JSON string under STORAGE_KEY.
+function createLocalStorageAdapter(storage = globalThis.localStorage, name = 'localStorage') {
+  return {
+    name,
+    async load() {
+      const raw = storage.getItem(STORAGE_KEY);
+      return raw ? parseStoredBoard(raw) : null;
+    },
+    async save(payload) {
+      storage.setItem(STORAGE_KEY, JSON.stringify(payload));
+    },
+    async readKey(key) {
+      return storage.getItem(key);
+    },
+    async writeKey(key, value) {
+      storage.setItem(key, value);
+    },
+    async removeKey(key) {
+      storage.removeItem(key);
+    },
+  };
+}
 
-    return { success: true };
-  },
+// Same contract backed by a Map, for tests and environments without storage.
+function createMemoryStorageAdapter(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return createLocalStorageAdapter(
+    {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key),
+    },
+    'memory',
+  );
+}
 
-  deleteStatus(statusId, migrateToId) {
-    const deleteCheck = get().canDeleteStatus(statusId);
-    if (!deleteCheck.canDelete) {
-      console.error(`Cannot delete status: ${deleteCheck.reason}`);
-      return { success: false, error: deleteCheck.reason };
-    }
+const IDB_NAME = 'workday-board';
+const IDB_VERSION = 1;
+const IDB_BOARD_KEY = 'board';
 
-    const { statusConfig, tasks } = get();
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
 
-    // Validate migration target
-    const targetStatus = statusConfig.statuses.find((s) => s.id === migrateToId);
-    if (!targetStatus) {
-      const error = 'Invalid migration target status';
-      console.error(error);
-      return { success: false, error };
-    }
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+  });
+}
 
-    if (migrateToId === statusId) {
-      const error = 'Cannot migrate tasks to the status being deleted';
-      console.error(error);
-      return { success: false, error };
+function openBoardDatabase(idb, name) {
+  const request = idb.open(name, IDB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains('tasks')) db.createObjectStore('tasks', { keyPath: 'id' });
+    if (!db.objectStoreNames.contains('projects')) {
+      db.createObjectStore('projects', { keyPath: 'id' });
     }
+    if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+  };
+  return requestToPromise(request).then((db) => {
+    // Let an upgrade or delete from another tab go through
+    db.onversionchange = () => db.close();
+    return db;
+  });
+}
 
-    // Get tasks that need to be migrated
-    const tasksToMigrate = tasks.filter((t) => t.status === statusId);
+function filterByIds(records, ids) {
+  const keep = new Set(ids);
+  return records.filter((record) => keep.has(record.id));
+}
 
-    // Migrate all tasks to the new status
-    const updatedTasks = tasks.map((t) =>
-      t.status === statusId
-        ? { ...t, status: migrateToId, updatedAt: new Date().toISOString() }
-        : t,
-    );
+function sortByIdOrder(records, order) {
+  const position = new Map(order.map((id, index) => [id, index]));
+  return [...records].sort(
+    (a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity),
+  );
+}
 
-    // Remove the status and reorder
-    const filteredStatuses = statusConfig.statuses.filter((s) => s.id !== statusId);
-    const reorderedStatuses = filteredStatuses.map((s, index) => ({
-      ...s,
-      order: index,
-    }));
+// Tasks and projects are stored one record per row; everything else (statuses,
+// owners, prefs and the record order) lives in a single meta row.
+function createIndexedDbAdapter(
+  idb = globalThis.indexedDB,
+  legacyStorage = globalThis.localStorage,
+  dbName = IDB_NAME,
+) {
+  let dbPromise = null;
+  const openDb = () => {
+    if (!dbPromise) dbPromise = openBoardDatabase(idb, dbName);
+    return dbPromise;
+  };
 
-    set({
-      tasks: updatedTasks,
-      statusConfig: {
-        ...statusConfig,
-        statuses: reorderedStatuses,
-      },
+  // Last written JSON per record, so save() only rewrites rows that changed
+  const written = { tasks: new Map(), projects: new Map() };
+  const remember = (storeName, records) => {
+    written[storeName] = new Map(records.map((record) => [record.id, JSON.stringify(record)]));
+  };
+  const writeRecords = (store, records, previous) => {
+    const ids = new Set();
+    records.forEach((record) => {
+      ids.add(record.id);
+      if (previous.get(record.id) !== JSON.stringify(record)) store.put(record);
     });
+    // Delete by what is stored, not by what this instance wrote: rows written
+    // by another tab or an earlier session must go too
+    store.getAllKeys().onsuccess = (e) => {
+      e.target.result.forEach((id) => {
+        if (!ids.has(id)) store.delete(id);
+      });
+    };
+  };
 
-    get().persist();
-
-    return { success: true, tasksMigrated: tasksToMigrate.length };
-  },
+  // Set while the board was read from the old localStorage key and has not
+  // been written to IndexedDB yet.
+  let legacyPending = false;
 
-  reorderStatuses(newOrder) {
-    const { statusConfig } = get();
+  return {
+    name: 'indexedDB',
+    async load() {
+      const db = await openDb();
+      const tx = db.transaction(['tasks', 'projects', 'meta'], 'readonly');
+      const [tasks, projects, board] = await Promise.all([
+        requestToPromise(tx.objectStore('tasks').getAll()),
+        requestToPromise(tx.objectStore('projects').getAll()),
+        requestToPromise(tx.objectStore('meta').get(IDB_BOARD_KEY)),
+      ]);
+
+      if (!board) {
+        // One-time move of the single-key localStorage payload
+        const raw = legacyStorage?.getItem(STORAGE_KEY);
+        if (!raw) return null;
+        legacyPending = true;
+        return { ...parseStoredBoard(raw), migratedFrom: 'localStorage' };
+      }
 
-    // Validate that newOrder contains all status IDs
-    const currentIds = new Set(statusConfig.statuses.map((s) => s.id));
-    const newIds = new Set(newOrder);
+      // The order lists are written in the same transaction as the rows, so
+      // they say which rows belong to the board; anything else is stale
+      const { taskOrder = [], projectOrder = [], ...rest } = board.value;
+      const data = {
+        ...rest,
+        tasks: sortByIdOrder(filterByIds(tasks, taskOrder), taskOrder),
+        projects: sortByIdOrder(filterByIds(projects, projectOrder), projectOrder),
+      };
+      remember('tasks', data.tasks);
+      remember('projects', data.projects);
+      return { raw: JSON.stringify(data), data };
+    },
+    async save(payload) {
+      const db = await openDb();
+      const { tasks, projects = [], ...rest } = payload;
+      const tx = db.transaction(['tasks', 'projects', 'meta'], 'readwrite');
+      writeRecords(tx.objectStore('tasks'), tasks, written.tasks);
+      writeRecords(tx.objectStore('projects'), projects, written.projects);
+      const meta = tx.objectStore('meta');
+      meta.put({
+        key: IDB_BOARD_KEY,
+        value: {
+          ...rest,
+          taskOrder: tasks.map((task) => task.id),
+          projectOrder: projects.map((project) => project.id),
+        },
+      });
 
-    if (currentIds.size !== newIds.size || ![...currentIds].every((id) => newIds.has(id))) {
-      const error = 'Invalid reorder: must include all current status IDs';
-      console.error(error);
-      return { success: false, error };
-    }
+      const legacyKeys = legacyPending ? [STORAGE_BACKUP_KEY, STORAGE_QUARANTINE_KEY] : [];
+      legacyKeys.forEach((key) => {
+        const value = legacyStorage.getItem(key);
+        if (value !== null) meta.put({ key, value });
+      });
 
-    // Create new statuses array in the specified order
-    const reorderedStatuses = newOrder.map((id, index) => {
-      const status = statusConfig.statuses.find((s) => s.id === id);
-      return { ...status, order: index };
-    });
+      await transactionDone(tx);
+      remember('tasks', tasks);
+      remember('projects', projects);
 
-    set({
-      statusConfig: {
-        ...statusConfig,
-        statuses: reorderedStatuses,
-      },
-    });
+      if (legacyPending) {
+        legacyPending = false;
+        [STORAGE_KEY, ...legacyKeys].forEach((key) => legacyStorage.removeItem(key));
+      }
+    },
+    async readKey(key) {
+      const db = await openDb();
+      const row = await requestToPromise(
+        db.transaction('meta', 'readonly').objectStore('meta').get(key),
+      );
+      return row ? row.value : null;
+    },
+    async writeKey(key, value) {
+      const db = await openDb();
+      const tx = db.transaction('meta', 'readwrite');
+      tx.objectStore('meta').put({ key, value });
+      await transactionDone(tx);
+    },
+    async removeKey(key) {
+      const db = await openDb();
+      const tx = db.transaction('meta', 'readwrite');
+      tx.objectStore('meta').delete(key);
+      await transactionDone(tx);
+    },
+  };
+}
 
-    get().persist();
+function createDefaultStorageAdapter() {
+  if (typeof indexedDB !== 'undefined') return createIndexedDbAdapter();
+  if (typeof localStorage !== 'undefined') return createLocalStorageAdapter();
+  return createMemoryStorageAdapter();
+}
 
-    return { success: true };
-  },
+// Load through the given adapter. If IndexedDB cannot be opened (private
+// browsing in some browsers), fall back to localStorage.
+async function loadFromStorage(storage) {
+  try {
+    return { storage, loaded: await storage.load() };
+  } catch (e) {
+    console.error('Storage error:', e);
+    if (storage.name !== 'indexedDB' || typeof localStorage === 'undefined') {
+      return { storage, loaded: null, error: e };
+    }
+    return loadFromStorage(createLocalStorageAdapter());
+  }
+}
 
-  restoreDefaultStatuses() {
-    const { tasks } = get();
+// ----- Restore Points -----
 
-    // Get the 8 default statuses
-    const defaultStatusConfig = normalizeStatusConfig(migrateToV2_1({}).statusConfig);
+const SNAPSHOT_STORAGE_KEY = `${STORAGE_KEY}:snapshots`;
+const HOUR_MS = 60 * 60 * 1000;
+const SNAPSHOT_KINDS = {
+  hourly: { label: 'Hourly', interval: HOUR_MS },
+  daily: { label: 'Daily', interval: 24 * HOUR_MS },
+  action: { label: 'Before change' },
+  manual: { label: 'Manual' },
+};
+const DEFAULT_SNAPSHOT_RETENTION = { hourly: 24, daily: 7, action: 20, manual: 10 };
+// Restore points share the board's storage quota (about 5MB in localStorage),
+// so together they may take at most this many characters
+const SNAPSHOT_MAX_CHARS = 2 * 1024 * 1024;
+
+// The board as a restore point stores it: activity logs are left out, and a
+// restore keeps each task's current log instead.
+function createSnapshotPayload(state) {
+  const payload = serializeBoardState(state);
+  return { ...payload, tasks: payload.tasks.map((task) => ({ ...task, activity: undefined })) };
+}
 
-    // Build a mapping of old status IDs to new default status IDs
-    // Strategy: Map to closest matching default status by label similarity
-    const { statusConfig } = get();
-    const statusMapping = {};
+// Keep the newest `retention[kind]` snapshots of each kind, newest first, and
+// drop the oldest beyond SNAPSHOT_MAX_CHARS (the newest is always kept).
+function pruneSnapshots(snapshots, retention) {
+  const kept = { hourly: 0, daily: 0, action: 0, manual: 0 };
+  let size = 0;
+  return [...snapshots]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .filter((snapshot) => {
+      kept[snapshot.kind] = (kept[snapshot.kind] || 0) + 1;
+      return kept[snapshot.kind] <= (retention[snapshot.kind] ?? 0);
+    })
+    .filter((snapshot, index) => {
+      size += JSON.stringify(snapshot).length;
+      return index === 0 || size <= SNAPSHOT_MAX_CHARS;
+    });
+}
 
-    statusConfig.statuses.forEach((currentStatus) => {
-      // Try to find exact match by ID first (for existing default statuses)
-      const exactMatch = defaultStatusConfig.statuses.find((s) => s.id === currentStatus.id);
-      if (exactMatch) {
-        statusMapping[currentStatus.id] = exactMatch.id;
-        return;
-      }
-
-      // Otherwise map to default status (inbox)
-      statusMapping[currentStatus.id] = 'inbox';
-    });
-
-    // Migrate all tasks to default statuses
-    const updatedTasks = tasks.map((t) => ({
-      ...t,
-      status: statusMapping[t.status] || 'inbox',
-      updatedAt: new Date().toISOString(),
-    }));
+// Task counts per project and status, for the restore preview.
+function summarizeSnapshot(payload) {
+  const projects = (payload.projects || []).map((project) => ({
+    id: project.id,
+    name: project.name,
+    color: project.color,
+    total: 0,
+    byStatus: {},
+  }));
+  const byId = new Map(projects.map((project) => [project.id, project]));
+  (payload.tasks || []).forEach((task) => {
+    const project = byId.get(task.projectId);
+    if (!project) return;
+    project.total += 1;
+    project.byStatus[task.status] = (project.byStatus[task.status] || 0) + 1;
+  });
+  return {
+    taskCount: (payload.tasks || []).length,
+    projects,
+    statuses: payload.statusConfig?.statuses || [],
+  };
+}
 
-    // Count how many tasks were migrated
-    const tasksMigrated = tasks.filter((t) => t.status !== statusMapping[t.status]).length;
+// ----- Task Activity -----
 
-    set({
-      tasks: updatedTasks,
-      statusConfig: defaultStatusConfig,
-    });
+const ACTIVITY_LIMIT = 200;
+// Fields that are bookkeeping rather than user-visible changes
+const ACTIVITY_IGNORED_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'activity']);
+// Longer text values are kept as an excerpt; the task itself has the full text
+const ACTIVITY_TEXT_LIMIT = 120;
+const USER_NAME_MAX_LENGTH = 40;
 
-    get().persist();
+function summarizeActivityValue(value) {
+  return typeof value === 'string' && value.length > ACTIVITY_TEXT_LIMIT
+    ? `${value.slice(0, ACTIVITY_TEXT_LIMIT)}…`
+    : value;
+}
 
-    return { success: true, tasksMigrated };
-  },
+// One typed event describing how a task changed, or null when nothing did.
+// `actor` is who made the change (the "Your name" setting), if known.
+function describeTaskChange(before, after, label, actor = null) {
+  const at = new Date().toISOString();
+  if (!before) {
+    return { id: uid(), type: 'created', at, label, ...(actor && { actor }), changes: [] };
+  }
+  const changes = [];
+  Object.keys({ ...before, ...after }).forEach((field) => {
+    if (ACTIVITY_IGNORED_FIELDS.has(field)) return;
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+    changes.push({ field, from: summarizeActivityValue(from), to: summarizeActivityValue(to) });
+  });
+  if (changes.length === 0) return null;
+
+  const fields = new Set(changes.map((change) => change.field));
+  let type = 'update';
+  if (fields.has('status')) type = 'status';
+  else if (fields.has('projectId')) type = 'project';
+  else if (fields.has('owners') || fields.has('ownerType')) type = 'owners';
+  else if (fields.has('timerStartedAt')) type = 'timer';
+  return { id: uid(), type, at, label, ...(actor && { actor }), changes };
+}
 
-  moveTask(id, status, targetIndex = null) {
-    set((s) => {
-      const allTasks = [...s.tasks];
-      const taskIndex = allTasks.findIndex((t) => t.id === id);
-      if (taskIndex === -1) return s;
-
-      const [taskToMove] = allTasks.splice(taskIndex, 1);
-      taskToMove.status = status;
-
-      // Filter tasks in the target status (excluding our task which is already spliced out)
-      const targetStatusTasks = allTasks.filter((t) => t.status === status);
-
-      let insertIndex;
-      if (targetStatusTasks.length === 0) {
-        insertIndex = allTasks.length;
-      } else if (
-        targetIndex === null ||
-        targetIndex === undefined ||
-        targetIndex >= targetStatusTasks.length
-      ) {
-        // Default to placing at the end of target status lane if no index or out of bounds
-        const lastTask = targetStatusTasks[targetStatusTasks.length - 1];
-        const lastTaskIndex = allTasks.indexOf(lastTask);
-        insertIndex = lastTaskIndex + 1;
-      } else {
-        const referenceTask = targetStatusTasks[targetIndex];
-        insertIndex = allTasks.indexOf(referenceTask);
-      }
+function mergeActivity(...lists) {
+  const events = new Map(lists.flatMap((list) => list || []).map((event) => [event.id, event]));
+  return Array.from(events.values())
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .slice(-ACTIVITY_LIMIT);
+}
 
-      allTasks.splice(insertIndex, 0, taskToMove);
-      return { tasks: allTasks };
-    });
-    get().persist();
-  },
-  reorderTask(id, status, fromIndex, toIndex) {
-    set((s) => {
-      const newTasks = [...s.tasks];
-
-      // Get indices of all tasks in this status
-      const statusTaskIndices = [];
-      newTasks.forEach((task, idx) => {
-        if (task.status === status) {
-          statusTaskIndices.push(idx);
-        }
+// Append an event to every task that changed between two task lists. Events
+// from both sides are kept, so undo and restore never erase the trail.
+//
+// A command can write tasks several times. Passing the tasks as they were when
+// it started (`startTasks`) and a shared `eventIds` map keeps it at one event
+// per task, rewritten on each write.
+function appendTaskActivity(
+  beforeTasks,
+  afterTasks,
+  { label, mergeKey = null, actor = null, startTasks = beforeTasks, eventIds = new Map() },
+) {
+  const beforeById = new Map(beforeTasks.map((task) => [task.id, task]));
+  const startById = new Map(startTasks.map((task) => [task.id, task]));
+  let changed = false;
+  const tasks = afterTasks.map((task) => {
+    if (beforeById.get(task.id) === task) return task;
+    const previous = startById.get(task.id) ?? null;
+    let event = describeTaskChange(previous, task, label, actor);
+    const written = eventIds.get(task.id);
+    const history = mergeActivity(previous?.activity, task.activity).filter(
+      (entry) => event || entry.id !== written,
+    );
+    const last = history[history.length - 1];
+    // Fold rapid repeats of the same command (typing in an input) into the previous event
+    if (event && mergeKey) event.mergeKey = mergeKey;
+    if (
+      event?.mergeKey &&
+      last?.mergeKey === mergeKey &&
+      new Date(event.at) - new Date(last.at) < HISTORY_MERGE_WINDOW_MS
+    ) {
+      const changes = new Map(last.changes.map((change) => [change.field, change]));
+      event.changes.forEach((change) => {
+        const first = changes.get(change.field);
+        changes.set(change.field, first ? { ...change, from: first.from } : change);
       });
+      event = { ...last, at: event.at, changes: Array.from(changes.values()) };
+    } else if (event && written) {
+      event.id = written;
+    }
+    if (event) eventIds.set(task.id, event.id);
+    const activity = mergeActivity(history, event ? [event] : []);
+    if (!event && activity.length === (task.activity || []).length) return task;
+    changed = true;
+    return { ...task, activity };
+  });
+  return changed ? tasks : afterTasks;
+}
 
-      // Get the actual array indices
-      const fromArrayIndex = statusTaskIndices[fromIndex];
-      const toArrayIndex = statusTaskIndices[toIndex];
+// ----- Command History -----
+
+const HISTORY_LIMIT = 100;
+// Consecutive commands sharing a mergeKey inside this window collapse into one entry
+const HISTORY_MERGE_WINDOW_MS = 1500;
+// Board slices besides tasks that commands can change
+const HISTORY_SLICES = [
+  'projects',
+  'pinnedProjectId',
+  'ownerRegistry',
+  'statusConfig',
+  'savedViews',
+  'myDay',
+  'autoPriorityFromScore',
+];
 
-      if (fromArrayIndex === undefined || toArrayIndex === undefined) return s;
+const pluralize = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+const taskName = (state, id) => `"${state.tasks.find((t) => t.id === id)?.title ?? 'task'}"`;
+const projectName = (state, id) => `"${state.projects.find((p) => p.id === id)?.name ?? id}"`;
+const statusName = (state, id) =>
+  `"${state.statusConfig.statuses.find((s) => s.id === id)?.label ?? id}"`;
+
+// Undoable store actions. Each entry describes the command from the state
+// before it runs; the inverse is recorded by diffing the board around it.
+const HISTORY_COMMANDS = {
+  addTask: (s, partial) => `Add "${partial.title ?? 'Untitled'}"`,
+  updateTask: (s, id) => ({ label: `Edit ${taskName(s, id)}`, mergeKey: `updateTask:${id}` }),
+  deleteTask: (s, id) => `Delete ${taskName(s, id)}`,
+  deleteSelected: (s) => `Delete ${pluralize(s.selectedIds.length, 'task')}`,
+  addSubtask: (s, taskId, title) => `Add subtask "${title}" to ${taskName(s, taskId)}`,
+  deleteSubtask: (s, taskId, subtaskId) => `Delete subtask ${taskName(s, subtaskId)}`,
+  addDependency: (s, id, blockerId) =>
+    `Mark ${taskName(s, id)} blocked by ${taskName(s, blockerId)}`,
+  removeDependency: (s, id, blockerId) =>
+    `Unlink ${taskName(s, blockerId)} from ${taskName(s, id)}`,
+  setTaskGroupColor: (s, id) => `Change color of ${taskName(s, id)}`,
+  addOwnerToTask: (s, id, owner) => `Assign ${owner} to ${taskName(s, id)}`,
+  removeOwnerFromTask: (s, id, owner) => `Unassign ${owner} from ${taskName(s, id)}`,
+  transferTaskOwnership: (s, id, owner) => `Transfer ${taskName(s, id)} to ${owner}`,
+  clearTaskOwners: (s, id) => `Clear owners of ${taskName(s, id)}`,
+  setTaskOwners: (s, id) => `Change owners of ${taskName(s, id)}`,
+  moveTaskToSwimlane: (s, id, axis, from, to) =>
+    `Move ${taskName(s, id)} to ${getSwimlaneLabel(axis, to, s)}`,
+  addOwnerToRegistry: (s, owner) => `Add owner ${owner}`,
+  removeOwnerFromRegistry: (s, owner) => `Remove owner ${owner}`,
+  transferOwnerTasks: (s, from, to) => `Transfer tasks from ${from} to ${to}`,
+  unassignOwnerFromAllTasks: (s, owner) => `Unassign ${owner} from all tasks`,
+  bulkAssignOwner: (s, ids, owner) => `Assign ${owner} to ${pluralize(ids.length, 'task')}`,
+  createStatus: (s, label) => `Create status "${label}"`,
+  updateStatus: (s, id) => `Edit status ${statusName(s, id)}`,
+  deleteStatus: (s, id) => `Delete status ${statusName(s, id)}`,
+  reorderStatuses: () => 'Reorder statuses',
+  restoreDefaultStatuses: () => 'Restore default statuses',
+  moveTask: (s, id, status) => `Move ${taskName(s, id)} to ${statusName(s, status)}`,
+  reorderTask: (s, id) => `Reorder ${taskName(s, id)}`,
+  setTasksForStatus: (s, status) => `Reorder ${statusName(s, status)}`,
+  setAllTasks: () => 'Reorder tasks',
+  startTimer: (s, id) => `Start timer on ${taskName(s, id)}`,
+  stopTimer: (s, id) => `Stop timer on ${taskName(s, id)}`,
+  createProject: (s, name) => `Create project "${name}"`,
+  deleteProject: (s, id) => `Delete project ${projectName(s, id)}`,
+  renameProject: (s, id, name) => `Rename project ${projectName(s, id)} to "${name}"`,
+  reorderProjects: () => 'Reorder projects',
+  togglePinProject: (s, id) => `Toggle pin on ${projectName(s, id)}`,
+  moveTasksToProject: (s, ids, target) =>
+    `Move ${pluralize(ids.length, 'task')} to ${projectName(s, target)}`,
+  clearCurrentProject: (s) => `Clear project ${projectName(s, s.currentProjectId)}`,
+  importBoard: (s, bundle, mode = 'merge') =>
+    mode === 'replace' ? 'Replace board from import' : 'Merge imported board',
+  saveView: (s, name) => `Save view "${String(name).trim()}"`,
+  deleteView: (s, id) => `Delete view "${s.savedViews.find((v) => v.id === id)?.name ?? id}"`,
+  addToMyDay: (s, id) => `Add ${taskName(s, id)} to My Day`,
+  removeFromMyDay: (s, id) => `Remove ${taskName(s, id)} from My Day`,
+  setMyDayOrder: () => 'Rearrange My Day',
+  setAutoPriorityFromScore: (s, on) => `Turn auto-priority ${on ? 'on' : 'off'}`,
+  moveTaskToQuadrant: (s, id, quadrant) =>
+    `Move ${taskName(s, id)} to ${MATRIX_QUADRANTS.find((q) => q.id === quadrant)?.label ?? quadrant}`,
+  triageTask: (s, id) => `Triage ${taskName(s, id)}`,
+  restoreSnapshot: (s, id, projectIds) =>
+    projectIds
+      ? `Restore ${pluralize(projectIds.length, 'project')} from a restore point`
+      : 'Restore board from a restore point',
+};
 
-      // Remove task from original position and insert at new position
-      const [taskToMove] = newTasks.splice(fromArrayIndex, 1);
+function captureHistoryState(state) {
+  return {
+    tasks: state.tasks,
+    slices: Object.fromEntries(HISTORY_SLICES.map((key) => [key, state[key]])),
+  };
+}
 
-      // Recalculate target index after removal
-      const adjustedToIndex = fromArrayIndex < toArrayIndex ? toArrayIndex - 1 : toArrayIndex;
-      newTasks.splice(adjustedToIndex, 0, taskToMove);
+function serializeHistorySlice(key, value) {
+  if (key === 'ownerRegistry') {
+    return JSON.stringify([Array.from(value.owners), Array.from(value.statistics)]);
+  }
+  return JSON.stringify(value ?? null);
+}
 
-      return { tasks: newTasks };
-    });
-    get().persist();
-  },
-  setTasksForStatus(status, reorderedTasks) {
-    set((s) => {
-      // Get all tasks not in this status
-      // Combine reordered tasks with tasks from other statuses
-      const newTasks = [];
-      let statusTasksAdded = false;
-
-      for (const task of s.tasks) {
-        if (task.status === status) {
-          if (!statusTasksAdded) {
-            // Add all reordered tasks at once
-            newTasks.push(...reorderedTasks);
-            statusTasksAdded = true;
-          }
-          // Skip individual status tasks as we've added them all
-        } else {
-          newTasks.push(task);
-        }
+// Per-record before/after values for everything a command changed, or null.
+function diffHistoryState(before, after) {
+  let tasks = null;
+  if (before.tasks !== after.tasks) {
+    const beforeById = new Map(before.tasks.map((task) => [task.id, task]));
+    const afterById = new Map(after.tasks.map((task) => [task.id, task]));
+    const records = [];
+    beforeById.forEach((task, id) => {
+      const next = afterById.get(id) ?? null;
+      if (next !== task && JSON.stringify(next) !== JSON.stringify(task)) {
+        records.push({ id, before: task, after: next });
       }
-
-      return { tasks: newTasks };
     });
-    get().persist();
-  },
-  setAllTasks(reorderedTasks) {
-    set({ tasks: reorderedTasks });
-    get().persist();
-  },
-  setFilters(patch) {
-    set((s) => ({ filters: { ...s.filters, ...patch } }));
-  },
-  setOwnerFilter(ownerName) {
-    set({ ownerFilter: ownerName });
-  },
-  startTimer(id) {
-    set((s) => ({
-      tasks: s.tasks.map((t) =>
-        t.id === id
-          ? {
-              ...t,
-              timerStartedAt: new Date().toISOString(),
-              status: 'in_progress',
-            }
-          : t,
-      ),
-    }));
-    get().persist();
-  },
-  stopTimer(id) {
-    set((s) => ({
-      tasks: s.tasks.map((t) => {
-        if (t.id !== id) return t;
-        const now = new Date();
-        const started = t.timerStartedAt ? new Date(t.timerStartedAt) : null;
-        const add = started ? Math.floor((now - started) / 1000) : 0;
-        const newStatus = s.autoReturnOnStop && t.status === 'in_progress' ? 'ready' : t.status;
-        return {
-          ...t,
-          timeLogSecs: (t.timeLogSecs || 0) + add,
-          timerStartedAt: null,
-          status: newStatus,
-        };
-      }),
-    }));
-    get().persist();
-  },
-
-  // Drag helpers
-  setDraggingId(id) {
-    set({ draggingId: id });
-  },
-  setDragHoverStatus(status) {
-    set({ dragHoverStatus: status });
-  },
-  setLastDragCheck(timestamp) {
-    set({ lastDragCheck: timestamp });
-  },
-  clearDrag() {
-    set({ draggingId: null, dragHoverStatus: null, lastDragCheck: null });
-  },
-
-  // Project management actions
-  createProject(name) {
-    const trimmedName = name.trim();
-    if (!trimmedName || trimmedName.length > 15) {
-      return { error: 'Project name must be 1-15 characters' };
+    afterById.forEach((task, id) => {
+      if (!beforeById.has(id)) records.push({ id, before: null, after: task });
+    });
+    const orderBefore = before.tasks.map((task) => task.id);
+    const orderAfter = after.tasks.map((task) => task.id);
+    if (records.length > 0 || orderBefore.join() !== orderAfter.join()) {
+      tasks = { records, orderBefore, orderAfter };
     }
+  }
 
-    const { projects } = get();
-    if (projects.some((p) => p.name.toLowerCase() === trimmedName.toLowerCase())) {
-      return { error: 'Project name already exists' };
+  const slices = {};
+  HISTORY_SLICES.forEach((key) => {
+    const from = before.slices[key];
+    const to = after.slices[key];
+    if (from !== to && serializeHistorySlice(key, from) !== serializeHistorySlice(key, to)) {
+      slices[key] = { before: from, after: to };
     }
+  });
 
-    const newProject = {
-      id: `proj_${Date.now()}`,
-      name: trimmedName,
-      color: generateProjectColor(projects.length),
-      isDefault: false,
-      createdAt: Date.now(),
+  return tasks || Object.keys(slices).length > 0 ? { tasks, slices } : null;
+}
+
+function mergeHistoryChanges(first, second) {
+  let tasks = first.tasks || second.tasks;
+  if (first.tasks && second.tasks) {
+    const records = new Map(first.tasks.records.map((record) => [record.id, record]));
+    second.tasks.records.forEach((record) => {
+      const earlier = records.get(record.id);
+      records.set(record.id, earlier ? { ...record, before: earlier.before } : record);
+    });
+    tasks = {
+      records: Array.from(records.values()),
+      orderBefore: first.tasks.orderBefore,
+      orderAfter: second.tasks.orderAfter,
     };
+  }
+  const slices = { ...first.slices };
+  Object.entries(second.slices).forEach(([key, change]) => {
+    slices[key] = slices[key] ? { before: slices[key].before, after: change.after } : change;
+  });
+  return { tasks, slices };
+}
 
-    set((s) => ({ projects: [...s.projects, newProject] }));
-    get().persist();
-    return { success: true, projectId: newProject.id };
-  },
+// Store patch that puts the recorded changes on their `before` or `after` side.
+function applyHistoryChanges(state, changes, side) {
+  const patch = {};
+  if (changes.tasks) {
+    const byId = new Map(state.tasks.map((task) => [task.id, task]));
+    // A restored record is a new edit: with its old stamp, syncBoardData would
+    // let another tab's newer copy win and quietly revert the undo
+    const updatedAt = new Date().toISOString();
+    changes.tasks.records.forEach((record) => {
+      if (record[side]) byId.set(record.id, { ...record[side], updatedAt });
+      else byId.delete(record.id);
+    });
+    const order = side === 'before' ? changes.tasks.orderBefore : changes.tasks.orderAfter;
+    patch.tasks = sortByIdOrder(Array.from(byId.values()), order);
+  }
+  Object.entries(changes.slices).forEach(([key, change]) => {
+    patch[key] = change[side];
+  });
+  return patch;
+}
 
-  deleteProject(projectId) {
-    const { projects, tasks, currentProjectId, pinnedProjectId } = get();
-    const project = projects.find((p) => p.id === projectId);
+// Store middleware: wraps every action in HISTORY_COMMANDS so the outermost
+// call records one history entry. Nested actions fold into their caller.
+function withCommandHistory(config) {
+  return (set, get, api) => {
+    let depth = 0;
+    // Activity options of the running command, if any
+    let activity = null;
+
+    // Task writes made by a command get their activity events in the same
+    // update, so a command still persists once
+    const setWithActivity = (partial, replace) => {
+      if (!activity) return set(partial, replace);
+      return set((state) => {
+        const next = typeof partial === 'function' ? partial(state) : partial;
+        if (!next?.tasks || next.tasks === state.tasks) return next;
+        return { ...next, tasks: appendTaskActivity(state.tasks, next.tasks, activity) };
+      }, replace);
+    };
+    const store = config(setWithActivity, get, api);
+
+    const record = (command, run) => {
+      if (depth > 0) return run();
+      const before = captureHistoryState(get());
+      const { label, mergeKey } = typeof command === 'string' ? { label: command } : command;
+      activity = {
+        label,
+        mergeKey,
+        actor: get().userName || null,
+        startTasks: before.tasks,
+        eventIds: new Map(),
+      };
+      depth += 1;
+      try {
+        return run();
+      } finally {
+        // Follow-up effects run inside the command so one undo reverts both
+        get().advanceRecurringTasks(before.tasks);
+        get().resolveTaskDependencies(before.tasks);
+        get().applyScorePriorities();
+        depth -= 1;
+        activity = null;
+        get().recordHistory({ label, mergeKey }, before);
+      }
+    };
 
-    if (!project || project.isDefault) {
-      return { error: 'Cannot delete this project' };
-    }
+    Object.entries(HISTORY_COMMANDS).forEach(([name, describe]) => {
+      const action = store[name];
+      store[name] = (...args) => record(describe(get(), ...args), () => action(...args));
+    });
+    // Group several actions under one label, e.g. a bulk keyboard move
+    store.runCommand = (label, run) => record(label, run);
+    return store;
+  };
+}
 
-    // Delete all tasks in this project
-    const remainingTasks = tasks.filter((t) => t.projectId !== projectId);
+const useStore = create(
+  withCommandHistory((set, get) => ({
+    // selection state
+    selectedIds: /** @type{string[]} */ ([]),
+    toggleSelected(id) {
+      set((s) => ({ selectedIds: toggleId(s.selectedIds, id) }));
+    },
+    clearSelection() {
+      set({ selectedIds: [] });
+    },
+    // Add tasks to the selection, e.g. a shift-click range in the table
+    selectTasks(ids) {
+      set((s) => ({ selectedIds: Array.from(new Set([...s.selectedIds, ...ids])) }));
+    },
+    deleteSelected() {
+      const { tasks, selectedIds } = get();
+      const count = selectedIds.length;
+      const idsToDelete = new Set(selectedIds);
+      tasks.forEach((task) => {
+        if (task.parentTaskId && idsToDelete.has(task.parentTaskId)) {
+          idsToDelete.add(task.id);
+        }
+      });
+      get().showUndoToast(`Deleted ${count} task${count !== 1 ? 's' : ''}`);
+      set((s) => ({
+        tasks: removeTasks(s.tasks, idsToDelete),
+        myDay: pruneMyDay(s.myDay, (taskId) => !idsToDelete.has(taskId)),
+        selectedIds: [],
+      }));
+      get().markDirty();
+      get().persist();
+    },
 
-    // Switch to default if deleting current project
-    const newCurrentId = currentProjectId === projectId ? 'default' : currentProjectId;
+    tasks: /** @type{Task[]} */ ([]),
+    filters: DEFAULT_FILTERS,
+    ownerFilter: /** @type{string|null} */ (null),
+    collapsedLanes: DEFAULT_COLLAPSED_LANES,
+    // Lanes ordered by priority score instead of by hand
+    scoreSortedLanes: /** @type{string[]} */ ([]),
+    savedViews: [],
+    projectScope: /** @type{'current'|'all'|string[]} */ ('current'),
+    viewMode: 'board',
+    swimlaneAxis: 'none',
+    // `${axis}:${key}` of folded swimlanes
+    collapsedSwimlanes: /** @type{string[]} */ ([]),
+    myDay: EMPTY_MY_DAY,
+
+    // Projects state
+    projects: /** @type{Project[]} */ ([
+      { id: 'default', name: 'Default', color: '#6B7280', isDefault: true, createdAt: Date.now() },
+    ]),
+    currentProjectId: 'default',
+    // Pinned project always becomes the current project on load/refresh
+    pinnedProjectId: /** @type{string|null} */ (null),
+
+    // Owner Registry state
+    ownerRegistry: {
+      owners: new Set(),
+      statistics: new Map(),
+    },
 
-    set({
-      projects: projects.filter((p) => p.id !== projectId),
-      tasks: remainingTasks,
-      currentProjectId: newCurrentId,
-      pinnedProjectId: pinnedProjectId === projectId ? null : pinnedProjectId,
-    });
-    get().persist();
-    return { success: true };
-  },
+    // Status Configuration state
+    statusConfig: {
+      statuses: [],
+      version: 1,
+    },
 
-  renameProject(projectId, newName) {
-    const trimmedName = newName.trim();
-    if (!trimmedName || trimmedName.length > 15) {
-      return { error: 'Project name must be 1-15 characters' };
-    }
+    // User prefs
+    autoReturnOnStop: false,
+    setAutoReturnOnStop(v) {
+      set({ autoReturnOnStop: v });
+    },
+    // Recorded as the actor on task activity events; empty means unknown
+    userName: '',
+    setUserName(name) {
+      set({
+        userName: String(name || '')
+          .trim()
+          .slice(0, USER_NAME_MAX_LENGTH),
+      });
+      get().markDirty();
+      get().persist();
+    },
+    autoPriorityFromScore: false,
+    setAutoPriorityFromScore(v) {
+      set({ autoPriorityFromScore: v });
+      get().applyScorePriorities();
+      get().markDirty();
+      get().persist();
+    },
+    myDayResetHour: DEFAULT_MY_DAY_RESET_HOUR,
+    // Moving the boundary keeps today's plan rather than starting a new one
+    setMyDayResetHour(hour) {
+      const myDayResetHour = Math.min(23, Math.max(0, Math.floor(Number(hour) || 0)));
+      const { key } = getPlanDay(new Date(), myDayResetHour);
+      set((s) => ({ myDayResetHour, myDay: { ...s.myDay, date: key } }));
+      get().markDirty();
+      get().persist();
+    },
+    dailyCapacityMins: DEFAULT_DAILY_CAPACITY_MINS,
+    // Calendar days whose estimated work exceeds this are flagged as overloaded
+    setDailyCapacityMins(minutes) {
+      if (!Number.isInteger(minutes) || minutes <= 0 || minutes > 24 * 60) {
+        return { error: 'Capacity must be between 1 minute and 24 hours' };
+      }
+      set({ dailyCapacityMins: minutes });
+      get().markDirty();
+      get().persist();
+      return { success: true };
+    },
+    hiddenTableColumns: /** @type{string[]} */ ([]),
+    // The title column always stays visible
+    toggleTableColumn(columnId) {
+      if (columnId === 'title' || !TABLE_COLUMNS.some((column) => column.id === columnId)) return;
+      set((s) => ({ hiddenTableColumns: toggleId(s.hiddenTableColumns, columnId) }));
+      get().markDirty();
+      get().persist();
+    },
+    // Keep priorityBucket in step with the score while auto-priority is on.
+    // Also runs on a timer because the due-date boost grows as time passes.
+    // Tasks without ratings keep the priority they were given by hand.
+    applyScorePriorities() {
+      if (!get().autoPriorityFromScore) return;
+      const completionIds = getCompletionIds(get().statusConfig);
+      const now = new Date();
+      let changed = false;
+      const tasks = get().tasks.map((task) => {
+        if (completionIds.has(task.status) || !hasScoreRatings(task)) return task;
+        const priorityBucket = priorityFromScore(computePriorityScore(task, now));
+        if (priorityBucket === task.priorityBucket) return task;
+        changed = true;
+        return { ...task, priorityBucket };
+      });
+      if (!changed) return;
+      set({ tasks });
+      get().persist();
+    },
 
-    const { projects } = get();
-    const project = projects.find((p) => p.id === projectId);
+    // Drag state
+    draggingId: /** @type{string|null} */ (null),
+    dragHoverStatus: /** @type{Status|null} */ (null),
+    dragHoverSwimlane: /** @type{string|null} */ (null),
+    lastDragCheck: /** @type{number|null} */ (null),
+
+    // Command history (entries are recorded by withCommandHistory)
+    undoStack: [],
+    redoStack: [],
+    undoToast: null,
+    recordHistory({ label, mergeKey = null }, before) {
+      const changes = diffHistoryState(before, captureHistoryState(get()));
+      if (!changes) return;
+      const now = Date.now();
+      set((s) => {
+        const last = s.undoStack[s.undoStack.length - 1];
+        if (
+          mergeKey &&
+          last?.mergeKey === mergeKey &&
+          now - last.timestamp < HISTORY_MERGE_WINDOW_MS
+        ) {
+          const merged = {
+            ...last,
+            timestamp: now,
+            changes: mergeHistoryChanges(last.changes, changes),
+          };
+          return { undoStack: [...s.undoStack.slice(0, -1), merged], redoStack: [] };
+        }
+        const entry = { id: uid(), label, mergeKey, timestamp: now, changes };
+        return { undoStack: [...s.undoStack, entry].slice(-HISTORY_LIMIT), redoStack: [] };
+      });
+    },
+    // Apply one history step; `side` is 'before' for undo and 'after' for redo
+    applyHistoryEntry(entry, side) {
+      const patch = applyHistoryChanges(get(), entry.changes, side);
+      if (patch.tasks) {
+        const label = `${side === 'before' ? 'Undo' : 'Redo'}: ${entry.label}`;
+        patch.tasks = appendTaskActivity(get().tasks, patch.tasks, {
+          label,
+          actor: get().userName || null,
+        });
+      }
+      const taskIds = new Set((patch.tasks || get().tasks).map((task) => task.id));
+      const projects = patch.projects || get().projects;
+      set({
+        ...patch,
+        selectedIds: get().selectedIds.filter((id) => taskIds.has(id)),
+        currentProjectId: projects.some((p) => p.id === get().currentProjectId)
+          ? get().currentProjectId
+          : 'default',
+        undoToast: null,
+      });
+      get().markDirty();
+      get().persist();
+    },
+    undo() {
+      const { undoStack } = get();
+      const entry = undoStack[undoStack.length - 1];
+      if (!entry) return null;
+      get().applyHistoryEntry(entry, 'before');
+      set((s) => ({ undoStack: s.undoStack.slice(0, -1), redoStack: [...s.redoStack, entry] }));
+      return entry;
+    },
+    redo() {
+      const { redoStack } = get();
+      const entry = redoStack[redoStack.length - 1];
+      if (!entry) return null;
+      get().applyHistoryEntry(entry, 'after');
+      set((s) => ({ redoStack: s.redoStack.slice(0, -1), undoStack: [...s.undoStack, entry] }));
+      return entry;
+    },
+    // Undo every entry after `entryId`, leaving the board as it was right after it
+    undoTo(entryId) {
+      const index = get().undoStack.findIndex((entry) => entry.id === entryId);
+      if (index === -1) return;
+      while (get().undoStack.length > index + 1) get().undo();
+    },
+    // Redo up to and including `entryId`
+    redoTo(entryId) {
+      const index = get().redoStack.findIndex((entry) => entry.id === entryId);
+      if (index === -1) return;
+      while (get().redoStack.length > index) get().redo();
+    },
+    showUndoToast(message) {
+      const timestamp = Date.now();
+      set({ undoToast: { message, timestamp } });
+      setTimeout(() => {
+        if (get().undoToast?.timestamp === timestamp) {
+          set({ undoToast: null });
+        }
+      }, 5000);
+    },
+    dismissUndoToast() {
+      set({ undoToast: null });
+    },
 
-    if (!project || project.isDefault) {
-      return { error: 'Cannot rename this project' };
-    }
+    // Notification toast state
+    notificationToast: null,
+    showNotification(message, type = 'success') {
+      const ts = Date.now();
+      set({ notificationToast: { message, type, timestamp: ts } });
+      setTimeout(() => {
+        if (get().notificationToast?.timestamp === ts) set({ notificationToast: null });
+      }, 3000);
+    },
 
-    if (
-      projects.some((p) => p.id !== projectId && p.name.toLowerCase() === trimmedName.toLowerCase())
-    ) {
-      return { error: 'Project name already exists' };
-    }
+    // Last added task id
+    lastAddedTaskId: null,
 
-    set((s) => ({
-      projects: s.projects.map((p) => (p.id === projectId ? { ...p, name: trimmedName } : p)),
-    }));
-    get().persist();
-    return { success: true };
-  },
+    // Persist optimization
+    _isDirty: false,
+    markDirty() {
+      set({ _isDirty: true });
+    },
 
-  reorderProjects(orderedProjectIds) {
-    const { projects } = get();
-    const reordered = orderedProjectIds
-      .map((id) => projects.find((p) => p.id === id))
-      .filter(Boolean);
-    // Add any projects that weren't in the ordered list (shouldn't happen but safe)
-    const missingProjects = projects.filter((p) => !orderedProjectIds.includes(p.id));
-    set({ projects: [...reordered, ...missingProjects] });
-    get().persist();
-    return { success: true };
-  },
+    // Storage adapter; init() picks IndexedDB when available. Set a memory
+    // adapter before init() to keep tests off real storage.
+    storageAdapter: null,
+    hydrated: false,
+    storageError: null,
 
-  switchProject(projectId) {
-    const { projects, currentProjectId } = get();
+    async init() {
+      const { storage, loaded } = await loadFromStorage(
+        get().storageAdapter || createDefaultStorageAdapter(),
+      );
+      set({ storageAdapter: storage });
 
-    // Early return if switching to the same project
-    if (currentProjectId === projectId) {
-      return { success: true };
-    }
+      if (loaded) {
+        const validated = loaded.error ? { error: loaded.error } : loadBoardPayload(loaded.data);
 
-    if (!projects.some((p) => p.id === projectId)) {
-      return { error: 'Project not found' };
-    }
+        if (validated.data) {
+          set({ ...boardStateFromData(validated.data), hydrated: true });
+          get().cleanupStorage();
+          if (validated.issues.length > 0) {
+            await get().quarantineStoredBoard(loaded.raw, validated);
+          }
+          if (loaded.migratedFrom) {
+            await get().persist();
+          }
+          return;
+        }
 
-    set({ currentProjectId: projectId });
-    get().persist();
-    return { success: true };
-  },
+        // Nothing recoverable: keep the raw payload and start from an empty board
+        // rather than overwriting the user's data with demo tasks.
+        await get().quarantineStoredBoard(loaded.raw, {
+          error: validated.error,
+          issues: [],
+          quarantined: createValidationReport().quarantined,
+        });
+        set({
+          tasks: [],
+          projects: [{ ...DEFAULT_PROJECT, createdAt: Date.now() }],
+          currentProjectId: 'default',
+          statusConfig: normalizeStatusConfig(migrateToV2_1({}).statusConfig),
+          hydrated: true,
+        });
+        return;
+      }
 
-  togglePinProject(projectId) {
-    const { projects, pinnedProjectId } = get();
-    if (!projects.some((p) => p.id === projectId)) {
-      return { error: 'Project not found' };
-    }
-    set({ pinnedProjectId: pinnedProjectId === projectId ? null : projectId });
-    get().persist();
-    return { success: true, pinned: get().pinnedProjectId === projectId };
-  },
+      // Initialize with default project and seed tasks
+      const initialStatusConfig = normalizeStatusConfig(migrateToV2_1({}).statusConfig);
+      set({
+        tasks: seedTasks(),
+        projects: [{ ...DEFAULT_PROJECT, createdAt: Date.now() }],
+        currentProjectId: 'default',
+        statusConfig: initialStatusConfig,
+        hydrated: true,
+      });
+    },
 
-  moveTasksToProject(taskIds, targetProjectId) {
-    const { projects } = get();
-    if (!projects.some((p) => p.id === targetProjectId)) {
-      return { error: 'Target project not found' };
-    }
+    // Storage recovery
+    recoveryReport: null,
+    async quarantineStoredBoard(raw, { error = null, issues, quarantined }) {
+      const storage = get().storageAdapter;
+      try {
+        await storage.writeKey(STORAGE_BACKUP_KEY, raw);
+        if (countQuarantined(quarantined) > 0) {
+          await storage.writeKey(STORAGE_QUARANTINE_KEY, JSON.stringify(quarantined));
+        }
+      } catch (e) {
+        console.error('Storage error:', e);
+      }
+      set({
+        recoveryReport: {
+          error,
+          issues,
+          quarantinedCount: countQuarantined(quarantined),
+          detectedAt: new Date().toISOString(),
+        },
+      });
+    },
+    async getRecoveryBackup() {
+      const storage = get().storageAdapter;
+      try {
+        const quarantined = await storage.readKey(STORAGE_QUARANTINE_KEY);
+        return {
+          raw: await storage.readKey(STORAGE_BACKUP_KEY),
+          quarantined: quarantined ? JSON.parse(quarantined) : null,
+        };
+      } catch (e) {
+        return null;
+      }
+    },
+    dismissRecovery() {
+      set({ recoveryReport: null });
+    },
+    async discardRecoveryBackup() {
+      const storage = get().storageAdapter;
+      try {
+        await storage.removeKey(STORAGE_BACKUP_KEY);
+        await storage.removeKey(STORAGE_QUARANTINE_KEY);
+      } catch (e) {
+        console.error('Storage error:', e);
+      }
+      set({ recoveryReport: null });
+    },
+    cleanupStorage() {
+      const { projects, tasks } = get();
+      const projectIds = new Set(projects.map((p) => p.id));
 
-    if (!taskIds || taskIds.length === 0) {
-      return { error: 'No tasks selected' };
-    }
+      // Remove tasks that belong to non-existent projects
+      const cleanedTasks = tasks.filter((t) => projectIds.has(t.projectId));
 
-    set((s) => ({
-      tasks: s.tasks.map((t) =>
-        taskIds.includes(t.id)
-          ? { ...t, projectId: targetProjectId, updatedAt: new Date().toISOString() }
-          : t,
-      ),
-    }));
-    get().persist();
-    return { success: true, movedCount: taskIds.length };
-  },
+      if (cleanedTasks.length !== tasks.length) {
+        set({ tasks: cleanedTasks });
+        console.log(`[cleanup] Removed ${tasks.length - cleanedTasks.length} orphaned tasks`);
+        return true; // Indicates cleanup was performed
+      }
+      return false;
+    },
 
-  // Get tasks filtered by current project
-  getVisibleTasks() {
-    const { tasks, currentProjectId } = get();
-    return tasks.filter((t) => t.projectId === currentProjectId);
-  },
+    persistIfDirty() {
+      if (!get()._isDirty) return;
+      get().persist();
+    },
+    async persist() {
+      const { storageAdapter, hydrated } = get();
+      // Never write before the stored board has been loaded
+      if (!storageAdapter || !hydrated) return;
+      set({ _isDirty: false });
+      const payload = serializeBoardState(get());
+      try {
+        await storageAdapter.save(payload);
+        if (get().storageError) set({ storageError: null });
+        set({ _syncBase: createSyncBase(payload) });
+        get()._syncChannel?.postMessage({ type: 'board-saved', source: TAB_ID, payload });
+      } catch (e) {
+        console.error('Storage error:', e);
+        // Retry on the next persistIfDirty tick, but only notify once per failure
+        const message =
+          e?.name === 'QuotaExceededError'
+            ? 'Board could not be saved: browser storage is full'
+            : 'Board could not be saved to browser storage';
+        if (get().storageError !== message) get().showNotification(message, 'info');
+        set({ _isDirty: true, storageError: message });
+      }
+    },
 
-  // Get task count for a project
-  getProjectTaskCount(projectId) {
-    const { tasks } = get();
-    return tasks.filter((t) => t.projectId === projectId).length;
-  },
+    // Multi-tab sync
+    _syncBase: null,
+    _syncChannel: null,
+    // Listen for boards saved by other tabs. Returns a cleanup function.
+    startSync() {
+      set({ _syncBase: createSyncBase(serializeBoardState(get())) });
+
+      if (typeof BroadcastChannel !== 'undefined') {
+        const channel = new BroadcastChannel(BOARD_SYNC_CHANNEL);
+        channel.onmessage = (event) => {
+          if (event.data?.type === 'board-saved' && event.data.source !== TAB_ID) {
+            get().applyRemoteBoard(event.data.payload);
+          }
+        };
+        set({ _syncChannel: channel });
+        return () => {
+          channel.close();
+          set({ _syncChannel: null });
+        };
+      }
 
-  // Owner-related computed values
-  getTasksByOwner(ownerName) {
-    const { tasks } = get();
-    return tasks.filter((t) => t.owners.includes(ownerName));
-  },
+      // Without BroadcastChannel only the localStorage adapter can be observed
+      if (get().storageAdapter?.name !== 'localStorage' || typeof window === 'undefined') {
+        return () => {};
+      }
+      const handleStorage = (event) => {
+        if (event.key !== STORAGE_KEY || !event.newValue) return;
+        const { data } = parseStoredBoard(event.newValue);
+        if (data) get().applyRemoteBoard(data);
+      };
+      window.addEventListener('storage', handleStorage);
+      return () => window.removeEventListener('storage', handleStorage);
+    },
+    applyRemoteBoard(payload) {
+      const { hydrated, _syncBase } = get();
+      if (!hydrated || !_syncBase) return;
+      const remote = loadBoardPayload(payload);
+      if (!remote.data) return;
+
+      const local = serializeBoardState(get());
+      const merged = syncBoardData(local, remote.data, _syncBase);
+      const next = boardStateFromData(merged);
+      const taskIds = new Set(merged.tasks.map((task) => task.id));
+      set({
+        ...next,
+        currentProjectId: next.projects.some((p) => p.id === local.currentProjectId)
+          ? local.currentProjectId
+          : next.currentProjectId,
+        selectedIds: get().selectedIds.filter((id) => taskIds.has(id)),
+        _syncBase: createSyncBase(remote.data),
+      });
 
-  getUniqueOwners() {
-    const { tasks } = get();
-    const owners = new Set();
-    tasks.forEach((t) => {
-      t.owners.forEach((owner) => owners.add(owner));
-    });
-    return Array.from(owners).sort();
-  },
+      // Write back only when this tab had something the other one did not, so
+      // the tabs converge without echoing saves back and forth.
+      const recordsOf = (data) => JSON.stringify([data.tasks, data.projects]);
+      if (recordsOf(merged) !== recordsOf(remote.data)) {
+        get().persist();
+      }
+    },
 
-  getUnownedTasks() {
-    const { tasks } = get();
-    return tasks.filter((t) => t.owners.length === 0);
-  },
+    // Restore points
+    snapshots: [],
+    snapshotRetention: DEFAULT_SNAPSHOT_RETENTION,
+    async loadSnapshots() {
+      try {
+        const raw = await get().storageAdapter?.readKey(SNAPSHOT_STORAGE_KEY);
+        if (!raw) return;
+        const stored = JSON.parse(raw);
+        set({
+          snapshots: Array.isArray(stored.snapshots) ? stored.snapshots : [],
+          snapshotRetention: { ...DEFAULT_SNAPSHOT_RETENTION, ...stored.retention },
+        });
+      } catch (e) {
+        console.error('Restore points could not be read:', e);
+      }
+    },
+    async saveSnapshots() {
+      const { storageAdapter, snapshots, snapshotRetention } = get();
+      try {
+        await storageAdapter?.writeKey(
+          SNAPSHOT_STORAGE_KEY,
+          JSON.stringify({ retention: snapshotRetention, snapshots }),
+        );
+      } catch (e) {
+        console.error('Restore points could not be saved:', e);
+        get().showNotification('Restore point could not be saved: browser storage is full', 'info');
+      }
+    },
+    createSnapshot(kind, label = SNAPSHOT_KINDS[kind].label) {
+      if (!get().hydrated) return null;
+      const payload = createSnapshotPayload(get());
+      // Scheduled snapshots of a board unchanged since the last restore point add nothing
+      const latest = get().snapshots[0];
+      if (
+        SNAPSHOT_KINDS[kind].interval &&
+        latest &&
+        JSON.stringify(latest.payload) === JSON.stringify(payload)
+      ) {
+        return null;
+      }
+      const snapshot = { id: uid(), kind, label, createdAt: new Date().toISOString(), payload };
+      set((s) => ({ snapshots: pruneSnapshots([snapshot, ...s.snapshots], s.snapshotRetention) }));
+      get().saveSnapshots();
+      return snapshot;
+    },
+    // Called on an interval; takes an hourly/daily snapshot once the last one is old enough
+    takeScheduledSnapshots() {
+      const now = Date.now();
+      ['hourly', 'daily'].forEach((kind) => {
+        const latest = get().snapshots.find((snapshot) => snapshot.kind === kind);
+        if (
+          !latest ||
+          now - new Date(latest.createdAt).getTime() >= SNAPSHOT_KINDS[kind].interval
+        ) {
+          get().createSnapshot(kind);
+        }
+      });
+    },
+    setSnapshotRetention(kind, count) {
+      const value = Math.max(0, Math.min(100, Math.floor(Number(count) || 0)));
+      set((s) => {
+        const snapshotRetention = { ...s.snapshotRetention, [kind]: value };
+        return { snapshotRetention, snapshots: pruneSnapshots(s.snapshots, snapshotRetention) };
+      });
+      get().saveSnapshots();
+    },
+    deleteSnapshot(snapshotId) {
+      set((s) => ({ snapshots: s.snapshots.filter((snapshot) => snapshot.id !== snapshotId) }));
+      get().saveSnapshots();
+    },
+    // Restore a snapshot in full, or only the tasks of the given projects
+    restoreSnapshot(snapshotId, projectIds = null) {
+      const snapshot = get().snapshots.find((s) => s.id === snapshotId);
+      if (!snapshot) {
+        return { success: false, error: 'Restore point not found' };
+      }
+      const loaded = loadBoardPayload(snapshot.payload);
+      if (!loaded.data) {
+        return { success: false, error: 'Restore point could not be read' };
+      }
 
-  // Check if timer is active in other projects
-  hasActiveTimerInOtherProject() {
-    const { tasks, currentProjectId } = get();
-    return tasks.some((t) => t.projectId !== currentProjectId && t.timerStartedAt);
-  },
+      get().createSnapshot('action', 'Before restoring a restore point');
+      const current = serializeBoardState(get());
+      // Restored tasks count as edited now, or another tab's next sync would
+      // keep its own newer copies and undo the restore
+      const updatedAt = new Date().toISOString();
+      const restoredTasks = loaded.data.tasks.map((task) => ({ ...task, updatedAt }));
+      let next = { ...loaded.data, tasks: restoredTasks };
+      if (projectIds) {
+        const selected = new Set(projectIds);
+        // Bring back the projects themselves plus any statuses and owners they use
+        const merged = mergeBoardData(current, {
+          ...loaded.data,
+          tasks: [],
+          projects: loaded.data.projects.filter((p) => selected.has(p.id)),
+        });
+        next = {
+          ...merged,
+          tasks: [
+            ...current.tasks.filter((t) => !selected.has(t.projectId)),
+            ...restoredTasks.filter((t) => selected.has(t.projectId)),
+          ],
+        };
+      }
+      const activityById = new Map(current.tasks.map((task) => [task.id, task.activity]));
+      next = {
+        ...next,
+        tasks: next.tasks.map((task) =>
+          task.activity?.length ? task : { ...task, activity: activityById.get(task.id) ?? [] },
+        ),
+      };
 
-  // Get project with active timer
-  getProjectWithActiveTimer() {
-    const { tasks, projects } = get();
-    const taskWithTimer = tasks.find((t) => t.timerStartedAt);
-    if (taskWithTimer) {
-      return projects.find((p) => p.id === taskWithTimer.projectId);
-    }
-    return null;
-  },
+      set({ ...boardStateFromData(next), selectedIds: [], undoToast: null });
+      get().cleanupStorage();
+      get().persist();
+      return {
+        success: true,
+        tasksRestored: projectIds
+          ? next.tasks.filter((t) => projectIds.includes(t.projectId)).length
+          : next.tasks.length,
+      };
+    },
 
-  // Clear all tasks in the current project
-  clearCurrentProject() {
-    const { tasks, currentProjectId } = get();
-    const remainingTasks = tasks.filter((t) => t.projectId !== currentProjectId);
-    set({ tasks: remainingTasks });
-    get().persist();
-    return { success: true, deletedCount: tasks.length - remainingTasks.length };
-  },
-}));
+    // Board export/import
+    exportBoard() {
+      return createBoardBundle(get());
+    },
+    importBoard(bundle, mode = 'merge') {
+      const read = readBoardBundle(bundle);
+      if (read.error) {
+        return { success: false, error: read.error };
+      }
 
-// ----- Project Components -----
+      const loaded = loadBoardPayload(read.data);
+      if (loaded.error) {
+        return { success: false, error: 'Export could not be migrated' };
+      }
+      const incoming = loaded.data;
 
-function ProjectSelector() {
-  const projects = useStore((s) => s.projects);
-  const currentProjectId = useStore((s) => s.currentProjectId);
-  const pinnedProjectId = useStore((s) => s.pinnedProjectId);
-  const switchProject = useStore((s) => s.switchProject);
-  const hasActiveTimerInOther = useStore((s) => s.hasActiveTimerInOtherProject);
-  const getProjectWithTimer = useStore((s) => s.getProjectWithActiveTimer);
-  const getProjectTaskCount = useStore((s) => s.getProjectTaskCount);
+      const current = serializeBoardState(get());
+      const next = mode === 'replace' ? incoming : mergeBoardData(current, incoming);
+      if (mode !== 'replace') {
+        next.currentProjectId = current.currentProjectId;
+      }
 
-  const [isOpen, setIsOpen] = useState(false);
-  const [showManager, setShowManager] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
-  const dropdownRef = useRef(null);
+      set({ ...boardStateFromData(next), selectedIds: [], undoToast: null });
+      get().cleanupStorage();
+      get().persist();
 
-  // Click outside to close
-  useEffect(() => {
-    const handleClickOutside = (e) => {
-      if (dropdownRef.current && !dropdownRef.current.contains(e.target)) {
-        setIsOpen(false);
+      return {
+        success: true,
+        mode,
+        tasksImported: incoming.tasks.length,
+        projectsImported: (incoming.projects || []).length,
+        repaired: loaded.issues.length,
+        quarantined: countQuarantined(loaded.quarantined),
+      };
+    },
+    addTask(partial) {
+      const { currentProjectId } = get();
+      // Use default status if no status provided
+      const defaultStatus = get().getDefaultStatus();
+      const status = partial.status || (defaultStatus ? defaultStatus.id : 'inbox');
+      const t = finalizeTask({
+        ...partial,
+        status,
+        projectId: partial.projectId || currentProjectId,
+      });
+
+      // Add owners to registry if they don't exist
+      if (t.owners && Array.isArray(t.owners)) {
+        t.owners.forEach((owner) => {
+          if (owner && typeof owner === 'string') {
+            get().addOwnerToRegistry(owner);
+          }
+        });
       }
-    };
 
-    if (isOpen) {
-      document.addEventListener('mousedown', handleClickOutside);
-      return () => document.removeEventListener('mousedown', handleClickOutside);
-    }
-  }, [isOpen]);
+      set((s) => ({ tasks: [...s.tasks, t], lastAddedTaskId: t.id }));
+      // Auto-clear lastAddedTaskId after 2 seconds
+      setTimeout(() => {
+        if (get().lastAddedTaskId === t.id) set({ lastAddedTaskId: null });
+      }, 2000);
+      get().updateOwnerStatistics();
+      get().markDirty();
+      get().persist();
+      return t.id;
+    },
+    // Spawn the next occurrence of recurring tasks that just reached a completion
+    // status. The rule moves to the new task so re-completing the old one is a no-op.
+    advanceRecurringTasks(previousTasks) {
+      const completionIds = new Set(
+        get()
+          .getCompletionStatuses()
+          .map((s) => s.id),
+      );
+      const previous = new Map(previousTasks.map((task) => [task.id, task]));
+      const defaultStatus = get().getDefaultStatus()?.id ?? 'inbox';
+      const spawned = [];
+      const tasks = get().tasks.map((task) => {
+        const before = previous.get(task.id);
+        if (!task.recurrence || !before || !completionIds.has(task.status)) return task;
+        if (completionIds.has(before.status)) return task;
+        const dueAt = nextOccurrence(task.recurrence, task.dueAt);
+        // The next occurrence keeps the same lead time between start and due
+        const leadMs =
+          task.startAt && task.dueAt ? new Date(task.dueAt) - new Date(task.startAt) : null;
+        spawned.push(
+          finalizeTask({
+            title: task.title,
+            description: task.description,
+            projectId: task.projectId,
+            priorityBucket: task.priorityBucket,
+            ownerType: task.ownerType,
+            owners: task.owners,
+            tags: task.tags,
+            parentTaskId: task.parentTaskId,
+            groupColor: task.groupColor,
+            recurrence: task.recurrence,
+            dependencies: task.dependencies,
+            estimateMins: task.estimateMins,
+            impact: task.impact,
+            urgency: task.urgency,
+            effort: task.effort,
+            urgentOverride: task.urgentOverride,
+            importantOverride: task.importantOverride,
+            status: defaultStatus,
+            startAt: leadMs === null ? null : new Date(dueAt.getTime() - leadMs).toISOString(),
+            dueAt: dueAt.toISOString(),
+          }),
+        );
+        return { ...task, recurrence: null };
+      });
+      if (spawned.length === 0) return [];
 
-  // Keyboard shortcuts
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      // Cmd/Ctrl + K for project search
-      if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
-        e.preventDefault();
-        setIsOpen(true);
-        setSearchQuery('');
-      }
-      // Cmd/Ctrl + Shift + N for new project
-      if ((e.metaKey || e.ctrlKey) && e.shiftKey && e.key === 'N') {
-        e.preventDefault();
-        setShowManager(true);
+      set({ tasks: [...tasks, ...spawned] });
+      get().persist();
+      if (spawned.length === 1) {
+        get().showNotification(`Next "${spawned[0].title}" due ${humanDue(spawned[0].dueAt)}`);
+      } else {
+        get().showNotification(`Scheduled ${spawned.length} recurring tasks`);
       }
-    };
+      return spawned;
+    },
+    // Follow-up for status changes: warn when work starts on a task that still
+    // has open blockers, and release dependents whose last blocker just finished.
+    resolveTaskDependencies(previousTasks) {
+      const completionIds = getCompletionIds(get().statusConfig);
+      const previous = new Map(previousTasks.map((task) => [task.id, task]));
+      const changed = get().tasks.filter((task) => {
+        const before = previous.get(task.id);
+        return before && before.status !== task.status;
+      });
+      if (changed.length === 0) return;
 
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, []);
+      const { tasks } = get();
+      const started = changed.find(
+        (task) =>
+          task.status === 'in_progress' && getOpenBlockers(tasks, task, completionIds).length > 0,
+      );
+      const finishedIds = new Set(
+        changed
+          .filter(
+            (task) =>
+              completionIds.has(task.status) && !completionIds.has(previous.get(task.id).status),
+          )
+          .map((task) => task.id),
+      );
+      const released = tasks.filter(
+        (task) =>
+          !completionIds.has(task.status) &&
+          task.dependencies.some((id) => finishedIds.has(id)) &&
+          getOpenBlockers(tasks, task, completionIds).length === 0,
+      );
 
-  const currentProject = projects.find((p) => p.id === currentProjectId) || projects[0];
-  const timerProject = getProjectWithTimer();
+      const statuses = get().getStatuses();
+      const releaseStatus =
+        statuses.find((s) => s.id === 'ready') ?? get().getDefaultStatus() ?? statuses[0];
+      const unblockedIds = new Set(
+        released.filter((task) => task.status === 'blocked').map((task) => task.id),
+      );
+      if (unblockedIds.size > 0) {
+        const now = new Date().toISOString();
+        set({
+          tasks: tasks.map((task) =>
+            unblockedIds.has(task.id)
+              ? { ...task, status: releaseStatus.id, updatedAt: now }
+              : task,
+          ),
+        });
+        get().persist();
+      }
 
-  const handleProjectSwitch = (projectId) => {
-    switchProject(projectId);
-    setIsOpen(false);
-  };
+      if (started) {
+        const blockers = getOpenBlockers(tasks, started, completionIds);
+        const blockerLabel =
+          blockers.length === 1
+            ? `"${blockers[0].title}"`
+            : pluralize(blockers.length, 'open task');
+        get().showNotification(`"${started.title}" is still blocked by ${blockerLabel}`, 'info');
+      } else if (unblockedIds.size === 1) {
+        const task = released.find((candidate) => unblockedIds.has(candidate.id));
+        get().showNotification(`Unblocked "${task.title}" and moved it to ${releaseStatus.label}`);
+      } else if (unblockedIds.size > 1) {
+        get().showNotification(
+          `Unblocked ${unblockedIds.size} tasks and moved them to ${releaseStatus.label}`,
+        );
+      } else if (released.length === 1) {
+        get().showNotification(`All blockers of "${released[0].title}" are done`, 'info');
+      } else if (released.length > 1) {
+        get().showNotification(`${released.length} tasks have no open blockers left`, 'info');
+      }
+    },
+    addDependency(taskId, blockerId) {
+      const { tasks } = get();
+      const task = tasks.find((t) => t.id === taskId);
+      const blocker = tasks.find((t) => t.id === blockerId);
+      if (!task || !blocker) return { success: false, error: 'Task not found' };
+      if (task.dependencies.includes(blockerId)) {
+        return { success: false, error: 'Already linked' };
+      }
+      if (wouldCreateDependencyCycle(tasks, taskId, blockerId)) {
+        return {
+          success: false,
+          error:
+            taskId === blockerId
+              ? 'A task cannot block itself'
+              : `"${blocker.title}" already depends on this task`,
+        };
+      }
+      set((s) => ({
+        tasks: s.tasks.map((t) =>
+          t.id === taskId
+            ? {
+                ...t,
+                dependencies: [...t.dependencies, blockerId],
+                updatedAt: new Date().toISOString(),
+              }
+            : t,
+        ),
+      }));
+      get().markDirty();
+      get().persist();
+      return { success: true };
+    },
+    removeDependency(taskId, blockerId) {
+      const task = get().tasks.find((t) => t.id === taskId);
+      if (!task || !task.dependencies.includes(blockerId)) {
+        return { success: false, error: 'Link not found' };
+      }
+      set((s) => ({
+        tasks: s.tasks.map((t) =>
+          t.id === taskId
+            ? {
+                ...t,
+                dependencies: t.dependencies.filter((id) => id !== blockerId),
+                updatedAt: new Date().toISOString(),
+              }
+            : t,
+        ),
+      }));
+      get().markDirty();
+      get().persist();
+      return { success: true };
+    },
+    updateTask(id, patch) {
+      set((s) => ({
+        tasks: s.tasks.map((t) =>
+          t.id === id ? finalizeTask({ ...t, ...patch, updatedAt: new Date().toISOString() }) : t,
+        ),
+      }));
+      get().markDirty();
+      get().persist();
+    },
+    deleteTask(id) {
+      const { tasks } = get();
+      const deleted = tasks.find((t) => t.id === id);
+      const idsToDelete = new Set([
+        id,
+        ...tasks.filter((task) => task.parentTaskId === id).map((task) => task.id),
+      ]);
+      get().showUndoToast(`Deleted "${deleted?.title || 'task'}"`);
+      set((s) => ({
+        tasks: removeTasks(s.tasks, idsToDelete),
+        myDay: pruneMyDay(s.myDay, (taskId) => !idsToDelete.has(taskId)),
+      }));
+      get().markDirty();
+      get().persist();
+    },
+    addSubtask(taskId, title) {
+      const trimmed = title ? title.trim() : '';
+      if (!trimmed) return { success: false, error: 'Subtask title cannot be empty' };
+      const parentTask = get().tasks.find((task) => task.id === taskId);
+      if (!parentTask) return { success: false, error: 'Parent task not found' };
+
+      const color = parentTask.groupColor || pickTaskGroupColor(parentTask.id);
+      const newSubtask = finalizeTask({
+        title: trimmed,
+        projectId: parentTask.projectId,
+        status: parentTask.status,
+        dueAt: null,
+        ownerType: parentTask.ownerType === 'ai' ? 'ai' : 'self',
+        tags: [],
+        dependencies: [],
+        parentTaskId: parentTask.id,
+        groupColor: color,
+      });
 
-  const handleTimerJump = () => {
-    if (timerProject && timerProject.id !== currentProjectId) {
-      switchProject(timerProject.id);
-    }
-  };
+      set((s) => ({
+        tasks: s.tasks
+          .map((task) =>
+            task.id === parentTask.id
+              ? finalizeTask({
+                  ...task,
+                  groupColor: color,
+                  updatedAt: new Date().toISOString(),
+                })
+              : task,
+          )
+          .concat(newSubtask),
+      }));
+      get().markDirty();
+      get().persist();
+      return { success: true, subtaskId: newSubtask.id };
+    },
+    deleteSubtask(taskId, subtaskId) {
+      void taskId;
+      get().deleteTask(subtaskId);
+    },
+    setTaskGroupColor(taskId, color) {
+      set((s) => ({
+        tasks: s.tasks.map((task) =>
+          task.id === taskId || task.parentTaskId === taskId
+            ? finalizeTask({
+                ...task,
+                groupColor: color,
+                updatedAt: new Date().toISOString(),
+              })
+            : task,
+        ),
+      }));
+      get().markDirty();
+      get().persist();
+    },
 
-  return (
-    <>
-      <div className="relative" ref={dropdownRef}>
-        <button
-          onClick={() => setIsOpen(!isOpen)}
-          className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white dark:bg-zinc-900 border border-slate-200/80 dark:border-zinc-800 hover:bg-slate-50 dark:hover:bg-zinc-800/50 transition-colors text-sm"
-          aria-haspopup="listbox"
-          aria-expanded={isOpen}
-        >
-          <span
-            className="w-2 h-2 rounded-full"
-            style={{ backgroundColor: currentProject.color }}
-          />
-          <span className="font-medium text-slate-700 dark:text-zinc-300">
-            {currentProject.name}
-          </span>
-          <ChevronDown className="w-4 h-4 text-slate-400" />
-          {hasActiveTimerInOther() && (
-            <button
-              className="absolute -top-1 -right-1 w-3 h-3 bg-orange-500 rounded-full animate-pulse cursor-pointer"
-              onClick={(e) => {
-                e.stopPropagation();
-                handleTimerJump();
-              }}
-              title={`Timer active in ${timerProject?.name}`}
-              aria-label={`Timer active in ${timerProject?.name}`}
-            />
-          )}
-        </button>
+    // Owner management actions
+    addOwnerToTask(taskId, ownerName) {
+      const validation = validateOwnerName(ownerName);
 
-        <AnimatePresence>
-          {isOpen && (
-            <>
-              {/* Mobile overlay backdrop */}
-              <motion.div
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                exit={{ opacity: 0 }}
-                className="md:hidden fixed inset-0 bg-black/50 z-[90]"
-                onClick={() => setIsOpen(false)}
-              />
-              <motion.div
-                initial={{ opacity: 0, y: -10 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, y: -10 }}
-                transition={{ duration: 0.2 }}
-                className="absolute md:top-full top-0 md:mt-2 mt-0 w-full md:w-72 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 md:rounded-xl shadow-xl border border-slate-200/80 dark:border-zinc-800 z-[100] md:left-0 left-0 md:right-auto right-0 md:max-h-96 max-h-screen overflow-auto"
-              >
-                <div className="p-3">
-                  <div className="flex items-center justify-between px-2 py-1.5 text-xs font-semibold text-slate-500 dark:text-zinc-400 uppercase tracking-wide">
-                    <span>Projects</span>
-                    <button
-                      onClick={() => {
-                        setShowManager(true);
-                        setIsOpen(false);
-                      }}
-                      className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
-                      title="Manage Projects"
-                    >
-                      <svg
-                        className="w-3 h-3"
-                        fill="none"
-                        stroke="currentColor"
-                        viewBox="0 0 24 24"
-                      >
-                        <path
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                          strokeWidth={2}
-                          d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"
-                        />
-                        <path
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                          strokeWidth={2}
-                          d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
-                        />
-                      </svg>
-                    </button>
-                  </div>
-                  {projects.length > 10 && (
-                    <div className="px-2 pb-2">
-                      <input
-                        type="text"
-                        placeholder="Search projects..."
-                        value={searchQuery}
-                        onChange={(e) => setSearchQuery(e.target.value)}
-                        className="w-full px-2 py-1 text-sm border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500"
-                      />
-                    </div>
-                  )}
-                  {projects
-                    .filter(
-                      (p) =>
-                        !searchQuery || p.name.toLowerCase().includes(searchQuery.toLowerCase()),
-                    )
-                    .map((project) => {
-                      const taskCount = getProjectTaskCount(project.id);
-                      const isActive = project.id === currentProjectId;
-                      return (
-                        <button
-                          key={project.id}
-                          onClick={() => handleProjectSwitch(project.id)}
-                          className={clsx(
-                            'w-full text-left px-3 py-2 rounded hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors',
-                            isActive && 'bg-slate-100 dark:bg-zinc-800/70',
-                          )}
-                        >
-                          <div className="flex items-center justify-between">
-                            <div className="flex items-center gap-2">
-                              <span
-                                className="w-2 h-2 rounded-full"
-                                style={{ backgroundColor: project.color }}
-                              />
-                              <span
-                                className={clsx(
-                                  'font-medium',
-                                  isActive && 'text-blue-600 dark:text-blue-400',
-                                )}
-                              >
-                                {project.name}
-                              </span>
-                              {project.id === pinnedProjectId && (
-                                <Pin className="w-3 h-3 text-amber-500 fill-current" />
-                              )}
-                            </div>
-                            <span className="text-xs text-slate-500 dark:text-zinc-400">
-                              {taskCount} {taskCount === 1 ? 'task' : 'tasks'}
-                            </span>
-                          </div>
-                        </button>
-                      );
-                    })}
-                </div>
-              </motion.div>
-            </>
-          )}
-        </AnimatePresence>
-      </div>
+      if (!validation.valid) {
+        console.error(`Cannot add owner: ${validation.error}`);
+        return { success: false, error: validation.error };
+      }
 
-      {showManager && <ProjectManager onClose={() => setShowManager(false)} />}
-    </>
-  );
-}
+      const sanitizedName = validation.name;
 
-function ProjectManager({ onClose }) {
-  const projects = useStore((s) => s.projects);
-  const currentProjectId = useStore((s) => s.currentProjectId);
-  const pinnedProjectId = useStore((s) => s.pinnedProjectId);
-  const createProject = useStore((s) => s.createProject);
-  const deleteProject = useStore((s) => s.deleteProject);
-  const renameProject = useStore((s) => s.renameProject);
-  const reorderProjects = useStore((s) => s.reorderProjects);
-  const togglePinProject = useStore((s) => s.togglePinProject);
-  const getProjectTaskCount = useStore((s) => s.getProjectTaskCount);
+      // Add to registry if new
+      get().addOwnerToRegistry(sanitizedName);
 
-  const [newProjectName, setNewProjectName] = useState('');
-  const [editingId, setEditingId] = useState(null);
-  const [editingName, setEditingName] = useState('');
-  const [error, setError] = useState('');
-  const [deleteConfirmId, setDeleteConfirmId] = useState(null);
-  const [draggedProject, setDraggedProject] = useState(null);
-  const [dragOverIndex, setDragOverIndex] = useState(null);
-  const editInputRef = useRef(null);
+      set((s) => ({
+        tasks: s.tasks.map((t) => {
+          if (t.id === taskId) {
+            // Check for duplicates
+            if (t.owners.includes(sanitizedName)) return t;
+            // Check max limit (5 owners per task)
+            if (t.owners.length >= 5) {
+              console.error('Task already has maximum 5 owners');
+              return t;
+            }
+            return {
+              ...t,
+              owners: [...t.owners, sanitizedName],
+              updatedAt: new Date().toISOString(),
+            };
+          }
+          return t;
+        }),
+      }));
 
-  useEffect(() => {
-    if (editingId && editInputRef.current) {
-      editInputRef.current.focus();
-    }
-  }, [editingId]);
+      // Update owner statistics
+      get().updateOwnerStatistics();
+      get().persist();
 
-  const handleCreateProject = (e) => {
-    e.preventDefault();
-    const result = createProject(newProjectName);
-    if (result.error) {
-      setError(result.error);
-    } else {
-      setNewProjectName('');
-      setError('');
-    }
-  };
+      return { success: true };
+    },
 
-  const handleRename = (projectId) => {
-    const result = renameProject(projectId, editingName);
-    if (result.error) {
-      setError(result.error);
-    } else {
-      setEditingId(null);
-      setError('');
-    }
-  };
+    removeOwnerFromTask(taskId, ownerName) {
+      set((s) => ({
+        tasks: s.tasks.map((t) => {
+          if (t.id === taskId) {
+            return {
+              ...t,
+              owners: t.owners.filter((o) => o !== ownerName),
+              updatedAt: new Date().toISOString(),
+            };
+          }
+          return t;
+        }),
+      }));
 
-  const handleDelete = (projectId) => {
-    const result = deleteProject(projectId);
-    if (result.error) {
-      setError(result.error);
-    } else {
-      setDeleteConfirmId(null);
-      setError('');
-    }
-  };
+      // Update owner statistics after removal
+      get().updateOwnerStatistics();
+      get().persist();
+    },
 
-  const handleDragStart = (e, project, index) => {
-    setDraggedProject({ project, index });
-    e.dataTransfer.effectAllowed = 'move';
-  };
+    transferTaskOwnership(taskId, newOwnerName) {
+      const trimmed = newOwnerName?.trim();
+      if (!trimmed || trimmed.length === 0 || trimmed.length > 50) return;
 
-  const handleDragOver = (e, index) => {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-    setDragOverIndex(index);
-  };
+      set((s) => ({
+        tasks: s.tasks.map((t) => {
+          if (t.id === taskId) {
+            return { ...t, owners: [trimmed], updatedAt: new Date().toISOString() };
+          }
+          return t;
+        }),
+      }));
+      get().persist();
+    },
 
-  const handleDrop = (e, dropIndex) => {
-    e.preventDefault();
-    if (draggedProject && draggedProject.index !== dropIndex) {
-      const newProjects = [...projects];
-      const [movedProject] = newProjects.splice(draggedProject.index, 1);
-      newProjects.splice(dropIndex, 0, movedProject);
-      reorderProjects(newProjects.map((p) => p.id));
-    }
-    setDraggedProject(null);
-    setDragOverIndex(null);
-  };
+    // Replace a task's owners with `names`, registering new ones
+    setTaskOwners(taskId, names) {
+      const owners = [];
+      for (const name of names) {
+        const validation = validateOwnerName(name);
+        if (!validation.valid) return { success: false, error: `${name}: ${validation.error}` };
+        if (!owners.includes(validation.name)) owners.push(validation.name);
+      }
+      if (owners.length > 5) return { success: false, error: 'A task can have at most 5 owners' };
+      owners.forEach((owner) => get().addOwnerToRegistry(owner));
+      get().updateTask(taskId, { owners });
+      get().updateOwnerStatistics();
+      return { success: true };
+    },
+    clearTaskOwners(taskId) {
+      set((s) => ({
+        tasks: s.tasks.map((t) => {
+          if (t.id === taskId) {
+            return { ...t, owners: [], updatedAt: new Date().toISOString() };
+          }
+          return t;
+        }),
+      }));
+      get().persist();
+    },
 
-  const handleDragEnd = () => {
-    setDraggedProject(null);
-    setDragOverIndex(null);
-  };
+    // Owner Registry Actions
+    initializeOwnerRegistry() {
+      const { tasks, ownerRegistry } = get();
 
-  return ReactDOM.createPortal(
-    <div
-      className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4"
-      onClick={onClose}
-      onKeyDown={(e) => {
-        if (e.key === 'Escape') onClose();
-      }}
-      role="button"
-      tabIndex={0}
-      aria-label="Close manager"
-    >
-      <div
-        className="bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-auto relative z-[201] border border-slate-200 dark:border-zinc-800"
-        onClick={(e) => e.stopPropagation()}
-        role="presentation"
-      >
-        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800">
-          <h2 className="text-lg font-semibold">Manage Projects</h2>
-          <button
-            onClick={onClose}
-            className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
-          >
-            <X className="w-5 h-5" />
-          </button>
-        </div>
+      // If already initialized and has data, skip
+      if (ownerRegistry.owners.size > 0) {
+        return;
+      }
 
-        <div className="p-4">
-          {error && (
-            <div className="mb-4 p-2 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-sm">
-              {error}
-            </div>
-          )}
+      const newOwners = new Set();
+      const newStatistics = new Map();
 
-          <form onSubmit={handleCreateProject} className="mb-4">
-            <div className="flex gap-2">
-              <input
-                type="text"
-                value={newProjectName}
-                onChange={(e) => setNewProjectName(e.target.value)}
-                placeholder="New project name"
-                className="flex-1 px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500 outline-none transition-all"
-                maxLength={15}
-              />
-              <button
-                type="submit"
-                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-              >
-                Create
-              </button>
-            </div>
-          </form>
+      // Scan all tasks to build registry
+      tasks.forEach((task) => {
+        if (task.owners && Array.isArray(task.owners)) {
+          task.owners.forEach((owner) => {
+            if (owner && typeof owner === 'string') {
+              newOwners.add(owner);
 
-          <div className="space-y-2">
-            {projects.map((project, index) => {
-              const taskCount = getProjectTaskCount(project.id);
-              const isEditing = editingId === project.id;
-              const isDeleting = deleteConfirmId === project.id;
+              // Get or initialize statistics
+              const stats = newStatistics.get(owner) || {
+                taskCount: 0,
+                lastUsed: new Date().toISOString(),
+                createdAt: new Date().toISOString(),
+              };
 
-              // Calculate project statistics
-              const tasks = useStore.getState().tasks.filter((t) => t.projectId === project.id);
-              const completionStatuses = useStore.getState().getCompletionStatuses();
-              const completionIds = new Set(completionStatuses.map((status) => status.id));
-              const completedCount = tasks.filter((t) => completionIds.has(t.status)).length;
-              const completionRate =
-                taskCount > 0 ? Math.round((completedCount / taskCount) * 100) : 0;
+              stats.taskCount++;
 
-              return (
-                <motion.div
-                  key={project.id}
-                  draggable={!project.isDefault && !isEditing && !isDeleting}
-                  onDragStart={(e) => handleDragStart(e, project, index)}
-                  onDragOver={(e) => handleDragOver(e, index)}
-                  onDrop={(e) => handleDrop(e, index)}
-                  onDragEnd={handleDragEnd}
-                  className={clsx(
-                    'flex items-center justify-between p-3 rounded-lg transition-colors relative group border',
-                    dragOverIndex === index
-                      ? 'bg-blue-100/50 dark:bg-blue-950/40 border-blue-200 dark:border-blue-900/40'
-                      : 'bg-slate-50 dark:bg-zinc-800/40 border-transparent dark:border-zinc-800/80',
-                    !project.isDefault && 'cursor-move',
-                  )}
-                  animate={{
-                    opacity: draggedProject?.project.id === project.id ? 0.5 : 1,
-                  }}
-                >
-                  {!project.isDefault && (
-                    <div className="absolute left-1 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-50 transition-opacity pointer-events-none">
-                      <svg className="w-4 h-4 text-slate-400" fill="none" viewBox="0 0 24 24">
-                        <path
-                          d="M3 6h18M3 12h18M3 18h18"
-                          stroke="currentColor"
-                          strokeWidth="2"
-                          strokeLinecap="round"
-                        />
-                      </svg>
-                    </div>
-                  )}
-                  <div className="flex items-center gap-2 flex-1 ml-6">
-                    <button
-                      onClick={() => togglePinProject(project.id)}
-                      className={clsx(
-                        'p-1 rounded transition-colors shrink-0',
-                        project.id === pinnedProjectId
-                          ? 'text-amber-500 hover:bg-amber-100 dark:hover:bg-amber-900/30'
-                          : 'text-slate-400 hover:bg-gray-200 dark:hover:bg-zinc-800',
-                      )}
-                      title={
-                        project.id === pinnedProjectId
-                          ? 'Unpin project'
-                          : 'Pin project (always opens on refresh)'
-                      }
-                    >
-                      <Pin
-                        className={clsx(
-                          'w-4 h-4',
-                          project.id === pinnedProjectId && 'fill-current',
-                        )}
-                      />
-                    </button>
-                    <span
-                      className="w-3 h-3 rounded-full"
-                      style={{ backgroundColor: project.color }}
-                    />
-                    {isEditing ? (
-                      <input
-                        ref={editInputRef}
-                        type="text"
-                        value={editingName}
-                        onChange={(e) => setEditingName(e.target.value)}
-                        onBlur={() => handleRename(project.id)}
-                        onKeyDown={(e) => {
-                          if (e.key === 'Enter') handleRename(project.id);
-                          if (e.key === 'Escape') setEditingId(null);
-                        }}
-                        className="flex-1 px-2 py-1 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500 outline-none"
-                        maxLength={15}
-                      />
-                    ) : (
-                      <span className="font-medium text-slate-900 dark:text-zinc-100">
-                        {project.name}
-                        {project.id === currentProjectId && (
-                          <span className="ml-2 text-xs text-blue-600 dark:text-blue-400">
-                            (current)
-                          </span>
-                        )}
-                        {project.id === pinnedProjectId && (
-                          <span className="ml-2 text-xs text-amber-600 dark:text-amber-400">
-                            (pinned)
-                          </span>
-                        )}
-                      </span>
-                    )}
-                  </div>
+              // Update last used if task is more recent
+              const taskDate = task.updatedAt || task.createdAt || new Date().toISOString();
+              if (new Date(taskDate) > new Date(stats.lastUsed)) {
+                stats.lastUsed = taskDate;
+              }
 
-                  <div className="flex items-center gap-2">
-                    <div className="flex flex-col items-end">
-                      <span className="text-sm text-slate-500 dark:text-zinc-400">
-                        {taskCount} tasks
-                      </span>
-                      {taskCount > 0 && (
-                        <div className="flex items-center gap-1">
-                          <span className="text-xs text-slate-400">{completionRate}% done</span>
-                          <div className="w-12 h-1.5 bg-slate-200 dark:bg-zinc-800 rounded-full overflow-hidden">
-                            <div
-                              className="h-full bg-green-500 transition-all duration-300"
-                              style={{ width: `${completionRate}%` }}
-                            />
-                          </div>
-                        </div>
-                      )}
-                    </div>
-                    {!project.isDefault && (
-                      <>
-                        <button
-                          onClick={() => {
-                            setEditingId(project.id);
-                            setEditingName(project.name);
-                          }}
-                          className="p-1 hover:bg-gray-200 dark:hover:bg-zinc-800 rounded transition-colors"
-                          title="Rename"
-                        >
-                          <svg
-                            className="w-4 h-4"
-                            fill="none"
-                            stroke="currentColor"
-                            viewBox="0 0 24 24"
-                          >
-                            <path
-                              strokeLinecap="round"
-                              strokeLinejoin="round"
-                              strokeWidth={2}
-                              d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"
-                            />
-                          </svg>
-                        </button>
-                        {isDeleting ? (
-                          <div className="flex gap-1">
-                            <button
-                              onClick={() => handleDelete(project.id)}
-                              className="px-2 py-1 text-xs bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
-                            >
-                              Delete {taskCount} tasks?
-                            </button>
-                            <button
-                              onClick={() => setDeleteConfirmId(null)}
-                              className="px-2 py-1 text-xs bg-slate-200 dark:bg-zinc-800 rounded hover:bg-slate-300 dark:hover:bg-zinc-700 text-slate-900 dark:text-zinc-100 transition-colors"
-                            >
-                              Cancel
-                            </button>
-                          </div>
-                        ) : (
-                          <button
-                            onClick={() => setDeleteConfirmId(project.id)}
-                            className="p-1 hover:bg-red-100 dark:hover:bg-red-950/40 rounded text-red-600 dark:text-red-400 transition-colors"
-                            title="Delete"
-                          >
-                            <Trash2 className="w-4 h-4" />
-                          </button>
-                        )}
-                      </>
-                    )}
-                  </div>
-                </motion.div>
-              );
-            })}
-          </div>
-        </div>
-      </div>
-    </div>,
-    document.body,
-  );
-}
+              newStatistics.set(owner, stats);
+            }
+          });
+        }
+      });
 
-function WorkflowSettingsModal({ onClose }) {
-  const statuses = useStore((s) => s.getStatuses());
-  const createStatus = useStore((s) => s.createStatus);
-  const updateStatus = useStore((s) => s.updateStatus);
-  const deleteStatus = useStore((s) => s.deleteStatus);
-  const reorderStatuses = useStore((s) => s.reorderStatuses);
-  const restoreDefaultStatuses = useStore((s) => s.restoreDefaultStatuses);
-  const getTasksForStatus = useStore((s) => s.getTasksForStatus);
-  const canDeleteStatus = useStore((s) => s.canDeleteStatus);
+      set({
+        ownerRegistry: {
+          owners: newOwners,
+          statistics: newStatistics,
+        },
+      });
 
-  const [newStatusLabel, setNewStatusLabel] = useState('');
-  const [newStatusDesc, setNewStatusDesc] = useState('');
-  const [editingId, setEditingId] = useState(null);
-  const [editingLabel, setEditingLabel] = useState('');
-  const [editingDesc, setEditingDesc] = useState('');
-  const [error, setError] = useState('');
-  const [deleteConfirmId, setDeleteConfirmId] = useState(null);
-  const [migrateToId, setMigrateToId] = useState('');
-  const [restoreConfirm, setRestoreConfirm] = useState(false);
-  const [draggedStatus, setDraggedStatus] = useState(null);
-  const [dragOverIndex, setDragOverIndex] = useState(null);
+      get().persist();
+    },
 
-  const editInputRef = useRef(null);
+    addOwnerToRegistry(ownerName) {
+      const validation = validateOwnerName(ownerName);
 
-  useEffect(() => {
-    if (editingId && editInputRef.current) {
-      editInputRef.current.focus();
-    }
-  }, [editingId]);
+      if (!validation.valid) {
+        console.error(`Invalid owner name: ${validation.error}`);
+        return { success: false, error: validation.error };
+      }
 
-  const handleCreateStatus = (e) => {
-    e.preventDefault();
-    const result = createStatus(newStatusLabel, newStatusDesc);
-    if (result.error) {
-      setError(result.error);
-    } else {
-      setNewStatusLabel('');
-      setNewStatusDesc('');
-      setError('');
-    }
-  };
+      const { ownerRegistry } = get();
+      const sanitizedName = validation.name;
 
-  const handleUpdate = (statusId) => {
-    const result = updateStatus(statusId, {
-      label: editingLabel,
-      description: editingDesc,
-    });
-    if (result.error) {
-      setError(result.error);
-    } else {
-      setEditingId(null);
-      setError('');
-    }
-  };
+      // Check if owner already exists
+      if (ownerRegistry.owners.has(sanitizedName)) {
+        return { success: true, owner: sanitizedName, existed: true };
+      }
 
-  const handleDelete = (statusId) => {
-    if (!migrateToId) {
-      setError('Please select a status to migrate tasks to');
-      return;
-    }
-    const result = deleteStatus(statusId, migrateToId);
-    if (result.error) {
-      setError(result.error);
-    } else {
-      setDeleteConfirmId(null);
-      setMigrateToId('');
-      setError('');
-    }
-  };
+      // Add to registry
+      const newOwners = new Set(ownerRegistry.owners);
+      newOwners.add(sanitizedName);
 
-  const handleRestoreDefaults = () => {
-    const result = restoreDefaultStatuses();
-    if (result.error) {
-      setError(result.error);
-    } else {
-      setRestoreConfirm(false);
-      setError('');
-    }
-  };
+      // Initialize statistics for new owner
+      const newStatistics = new Map(ownerRegistry.statistics);
+      newStatistics.set(sanitizedName, {
+        taskCount: 0,
+        lastUsed: new Date().toISOString(),
+        createdAt: new Date().toISOString(),
+      });
 
-  const handleDragStart = (e, status, index) => {
-    setDraggedStatus({ status, index });
-    e.dataTransfer.effectAllowed = 'move';
-  };
+      set({
+        ownerRegistry: {
+          owners: newOwners,
+          statistics: newStatistics,
+        },
+      });
 
-  const handleDragOver = (e, index) => {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-    setDragOverIndex(index);
-  };
+      // Persist the changes
+      get().persist();
 
-  const handleDrop = (e, dropIndex) => {
-    e.preventDefault();
-    if (draggedStatus && draggedStatus.index !== dropIndex) {
-      const newStatuses = [...statuses];
-      const [movedStatus] = newStatuses.splice(draggedStatus.index, 1);
-      newStatuses.splice(dropIndex, 0, movedStatus);
-      reorderStatuses(newStatuses.map((s) => s.id));
-    }
-    setDraggedStatus(null);
-    setDragOverIndex(null);
-  };
+      return { success: true, owner: sanitizedName, existed: false };
+    },
 
-  const handleDragEnd = () => {
-    setDraggedStatus(null);
-    setDragOverIndex(null);
-  };
+    removeOwnerFromRegistry(ownerName) {
+      const { ownerRegistry, tasks } = get();
 
-  return ReactDOM.createPortal(
-    <div
-      className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4"
-      onClick={onClose}
-      onKeyDown={(e) => {
-        if (e.key === 'Escape') onClose();
-      }}
-      role="button"
-      tabIndex={0}
-      aria-label="Close workflow settings"
-    >
-      <div
-        className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 rounded-lg shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-auto relative z-[201]"
-        onClick={(e) => e.stopPropagation()}
-        role="presentation"
-      >
-        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800 sticky top-0 bg-white/95 dark:bg-zinc-900/95 backdrop-blur-sm z-10">
-          <div>
-            <h2 className="text-lg font-semibold text-slate-900 dark:text-zinc-100">
-              Workflow Configuration
-            </h2>
-            <p className="text-sm text-slate-600 dark:text-zinc-300">
-              Customize your workflow statuses
-            </p>
-          </div>
-          <button
-            onClick={onClose}
-            className="p-1 text-slate-500 dark:text-zinc-400 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
-          >
-            <X className="w-5 h-5" />
-          </button>
-        </div>
+      // Check if owner exists
+      if (!ownerRegistry.owners.has(ownerName)) {
+        return { success: false, error: 'Owner not found in registry' };
+      }
+      get().createSnapshot('action', `Before removing owner "${ownerName}"`);
 
-        <div className="p-4">
-          {error && (
-            <div className="mb-4 p-2 bg-red-100 dark:bg-red-950/40 border border-red-200 dark:border-red-800/40 text-red-700 dark:text-red-300 rounded text-sm">
-              {error}
-            </div>
-          )}
+      // Count tasks that will be updated
+      let tasksUpdated = 0;
 
-          {/* Add New Status Form */}
-          <form
-            onSubmit={handleCreateStatus}
-            className="mb-6 p-4 bg-slate-50 dark:bg-zinc-800/40 border border-slate-200 dark:border-zinc-800 rounded-lg"
-          >
-            <h3 className="font-medium mb-3 text-slate-900 dark:text-zinc-100">Add New Status</h3>
-            <div className="space-y-2">
-              <input
-                type="text"
-                value={newStatusLabel}
-                onChange={(e) => setNewStatusLabel(e.target.value)}
-                placeholder="Status name (e.g., 'In Design')"
-                className="w-full px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
-                maxLength={30}
-              />
-              <input
-                type="text"
-                value={newStatusDesc}
-                onChange={(e) => setNewStatusDesc(e.target.value)}
-                placeholder="Description (e.g., 'Design work in progress')"
-                className="w-full px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
-                maxLength={50}
-              />
-              <div className="flex justify-between items-center">
-                <span className="text-xs text-slate-500 dark:text-zinc-300">
-                  {statuses.length} / 15 statuses
-                </span>
-                <button
-                  type="submit"
-                  disabled={statuses.length >= 15}
-                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-500 dark:bg-blue-500 dark:hover:bg-blue-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                >
-                  Add Status
-                </button>
-              </div>
-            </div>
-          </form>
+      // Remove owner from all tasks
+      const updatedTasks = tasks.map((task) => {
+        if (task.owners && task.owners.includes(ownerName)) {
+          tasksUpdated++;
+          return {
+            ...task,
+            owners: task.owners.filter((owner) => owner !== ownerName),
+            updatedAt: new Date().toISOString(),
+          };
+        }
+        return task;
+      });
 
-          {/* Status List */}
-          <div className="space-y-2 mb-6">
-            <h3 className="font-medium mb-2 text-slate-900 dark:text-zinc-100">Current Statuses</h3>
-            <p className="text-xs text-slate-500 dark:text-zinc-300 mb-3">
-              Drag to reorder • Click to edit
-            </p>
-            {statuses.map((status, index) => {
-              const taskCount = getTasksForStatus(status.id).length;
-              const isEditing = editingId === status.id;
-              const isDeleting = deleteConfirmId === status.id;
-              const deleteCheck = canDeleteStatus(status.id);
+      // Remove from registry
+      const newOwners = new Set(ownerRegistry.owners);
+      newOwners.delete(ownerName);
 
-              return (
-                <motion.div
-                  key={status.id}
-                  draggable={!isEditing && !isDeleting}
-                  onDragStart={(e) => handleDragStart(e, status, index)}
-                  onDragOver={(e) => handleDragOver(e, index)}
-                  onDrop={(e) => handleDrop(e, index)}
-                  onDragEnd={handleDragEnd}
-                  className={clsx(
-                    'p-3 rounded-lg border transition-all bg-white dark:bg-zinc-900/60',
-                    dragOverIndex === index && draggedStatus
-                      ? 'border-blue-400 bg-blue-50 dark:bg-blue-900/20'
-                      : 'border-slate-200 dark:border-zinc-800',
-                    isEditing && 'bg-blue-50 dark:bg-blue-900/20',
-                  )}
-                >
-                  {isEditing ? (
-                    <div className="space-y-2">
-                      <input
-                        ref={editInputRef}
-                        type="text"
-                        value={editingLabel}
-                        onChange={(e) => setEditingLabel(e.target.value)}
-                        className="w-full px-2 py-1 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
-                        maxLength={30}
-                      />
-                      <input
-                        type="text"
-                        value={editingDesc}
-                        onChange={(e) => setEditingDesc(e.target.value)}
-                        placeholder="Description"
-                        className="w-full px-2 py-1 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
-                        maxLength={50}
-                      />
-                      <div className="flex gap-2">
-                        <button
-                          onClick={() => handleUpdate(status.id)}
-                          className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 transition-colors"
-                        >
-                          Save
-                        </button>
-                        <button
-                          onClick={() => {
-                            setEditingId(null);
-                            setError('');
-                          }}
-                          className="px-3 py-1 bg-slate-200 text-slate-700 dark:bg-zinc-800 dark:text-zinc-200 rounded text-sm hover:bg-slate-300 dark:hover:bg-zinc-700 transition-colors"
-                        >
-                          Cancel
-                        </button>
-                      </div>
-                    </div>
-                  ) : isDeleting ? (
-                    <div className="space-y-2">
-                      <p className="text-sm font-medium text-red-600 dark:text-red-400">
-                        Delete &ldquo;{status.label}&rdquo;? ({taskCount} tasks)
-                      </p>
-                      <p className="text-xs text-slate-600 dark:text-zinc-400">
-                        Move these tasks to:
-                      </p>
-                      <select
-                        value={migrateToId}
-                        onChange={(e) => setMigrateToId(e.target.value)}
-                        className="w-full px-2 py-1 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
-                      >
-                        <option value="">Select status...</option>
-                        {statuses
-                          .filter((s) => s.id !== status.id)
-                          .map((s) => (
-                            <option key={s.id} value={s.id}>
-                              {s.label}
-                            </option>
-                          ))}
-                      </select>
-                      <div className="flex gap-2">
-                        <button
-                          onClick={() => handleDelete(status.id)}
-                          className="px-3 py-1 bg-red-600 text-white rounded text-sm hover:bg-red-700 transition-colors"
-                        >
-                          Delete & Move
-                        </button>
-                        <button
-                          onClick={() => {
-                            setDeleteConfirmId(null);
-                            setMigrateToId('');
-                            setError('');
-                          }}
-                          className="px-3 py-1 bg-slate-200 text-slate-700 dark:bg-zinc-800 dark:text-zinc-200 rounded text-sm hover:bg-slate-300 dark:hover:bg-zinc-700 transition-colors"
-                        >
-                          Cancel
-                        </button>
-                      </div>
-                    </div>
-                  ) : (
-                    <div className="flex items-center justify-between">
-                      <div className="flex items-center gap-3 flex-1">
-                        <GripVertical className="w-4 h-4 text-slate-400 cursor-grab" />
-                        <div className="flex-1">
-                          <div className="flex items-center gap-2">
-                            <span className="font-medium text-slate-900 dark:text-zinc-100">
-                              {status.label}
-                            </span>
-                            {status.isDefault && (
-                              <span className="text-xs px-2 py-0.5 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400 rounded">
-                                Default
-                              </span>
-                            )}
-                            {status.isCompletionState && (
-                              <span className="text-xs px-2 py-0.5 bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400 rounded">
-                                Completion
-                              </span>
-                            )}
-                          </div>
-                          <p className="text-sm text-slate-500 dark:text-zinc-300">
-                            {status.description}
-                          </p>
-                          <p className="text-xs text-slate-400 dark:text-zinc-400 mt-1">
-                            {taskCount} task{taskCount !== 1 ? 's' : ''} • Key:{' '}
-                            {status.keyboardShortcut || 'none'}
-                          </p>
-                        </div>
-                      </div>
-                      <div className="flex gap-1">
-                        <button
-                          onClick={() => {
-                            setEditingId(status.id);
-                            setEditingLabel(status.label);
-                            setEditingDesc(status.description);
-                          }}
-                          className="px-2 py-1 text-sm text-blue-600 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded"
-                        >
-                          Edit
-                        </button>
-                        <button
-                          onClick={() => {
-                            if (!deleteCheck.canDelete) {
-                              setError(deleteCheck.reason);
-                            } else {
-                              setDeleteConfirmId(status.id);
-                              setMigrateToId('');
-                            }
-                          }}
-                          disabled={!deleteCheck.canDelete}
-                          className="px-2 py-1 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 rounded disabled:opacity-50 disabled:cursor-not-allowed"
-                          title={deleteCheck.canDelete ? 'Delete status' : deleteCheck.reason}
-                        >
-                          <Trash2 className="w-4 h-4" />
-                        </button>
-                      </div>
-                    </div>
-                  )}
-                </motion.div>
-              );
-            })}
-          </div>
+      // Remove from statistics
+      const newStatistics = new Map(ownerRegistry.statistics);
+      newStatistics.delete(ownerName);
 
-          {/* Restore Defaults */}
-          <div className="border-t border-slate-200 dark:border-zinc-800 pt-4">
-            {restoreConfirm ? (
-              <div className="p-3 bg-amber-50 dark:bg-amber-900/25 border border-amber-200 dark:border-amber-700/40 rounded-lg">
-                <p className="text-sm text-amber-800 dark:text-amber-300 mb-3">
-                  This will reset to 8 default statuses. All tasks will be migrated. Continue?
-                </p>
-                <div className="flex gap-2">
-                  <button
-                    onClick={handleRestoreDefaults}
-                    className="px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors"
-                  >
-                    Yes, Restore Defaults
-                  </button>
-                  <button
-                    onClick={() => setRestoreConfirm(false)}
-                    className="px-4 py-2 bg-slate-200 text-slate-700 dark:bg-zinc-800 dark:text-zinc-200 rounded-lg hover:bg-slate-300 dark:hover:bg-zinc-700 transition-colors"
-                  >
-                    Cancel
-                  </button>
-                </div>
-              </div>
-            ) : (
-              <button
-                onClick={() => setRestoreConfirm(true)}
-                className="w-full px-4 py-2 border border-slate-300 dark:border-zinc-800 text-slate-700 dark:text-zinc-200 rounded-lg hover:bg-slate-50 dark:hover:bg-zinc-800/50 transition-colors"
-              >
-                Restore Default Statuses
-              </button>
-            )}
-          </div>
-        </div>
-      </div>
-    </div>,
-    document.body,
-  );
-}
+      // Update store
+      set({
+        tasks: updatedTasks,
+        ownerRegistry: {
+          owners: newOwners,
+          statistics: newStatistics,
+        },
+      });
 
-function BulkAssignOwnerDialog({ taskIds, onClose, onSuccess }) {
-  const bulkAssignOwner = useStore((s) => s.bulkAssignOwner);
-  const getAllOwnersWithStats = useStore((s) => s.getAllOwnersWithStats);
+      // Persist the changes
+      get().persist();
 
-  const [selectedOwner, setSelectedOwner] = useState('');
-  const [newOwnerName, setNewOwnerName] = useState('');
-  const [isAddingNew, setIsAddingNew] = useState(false);
-  const [result, setResult] = useState(null);
+      return { success: true, tasksUpdated };
+    },
 
-  const owners = getAllOwnersWithStats();
+    transferOwnerTasks(fromOwner, toOwner, removeFromOwner = false) {
+      const { tasks, ownerRegistry } = get();
 
-  const handleAssign = () => {
-    const ownerToAssign = isAddingNew ? newOwnerName.trim() : selectedOwner;
-    if (!ownerToAssign) return;
+      // Validate inputs
+      if (!fromOwner || !toOwner) {
+        return { success: false, error: 'Both source and target owners are required' };
+      }
 
-    const result = bulkAssignOwner(taskIds, ownerToAssign);
-    setResult(result);
+      if (fromOwner === toOwner) {
+        return { success: false, error: 'Cannot transfer to the same owner' };
+      }
 
-    if (result.success) {
-      setTimeout(() => {
-        onSuccess();
-      }, 1500);
-    }
-  };
+      // Check if source owner exists
+      if (!ownerRegistry.owners.has(fromOwner)) {
+        return { success: false, error: 'Source owner not found in registry' };
+      }
 
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm p-4">
-      <div className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-96 max-w-full">
-        <div className="p-4 border-b border-slate-200 dark:border-zinc-800">
-          <h3 className="text-lg font-semibold">Assign Owner to {taskIds.length} Tasks</h3>
-        </div>
+      // Validate target owner name
+      const validation = validateOwnerName(toOwner);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
 
-        <div className="p-4">
-          {!result ? (
-            <>
-              <div className="mb-4">
-                <p className="text-sm text-slate-600 dark:text-zinc-400 mb-3">
-                  Select an existing owner or add a new one to assign to the selected tasks.
-                </p>
+      const sanitizedToOwner = validation.name;
 
-                <div className="space-y-3">
-                  {!isAddingNew ? (
-                    <>
-                      <div>
-                        <label
-                          htmlFor="bulk-owner-select"
-                          className="block text-sm font-medium mb-1"
-                        >
-                          Select existing owner:
-                        </label>
-                        <select
-                          id="bulk-owner-select"
-                          value={selectedOwner}
-                          onChange={(e) => setSelectedOwner(e.target.value)}
-                          className="w-full px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
-                        >
-                          <option value="">Choose an owner...</option>
-                          {owners.map((owner) => (
-                            <option key={owner.name} value={owner.name}>
-                              {owner.name} ({owner.taskCount} tasks)
-                            </option>
-                          ))}
-                        </select>
-                      </div>
+      // Add target owner to registry if not exists
+      if (!ownerRegistry.owners.has(sanitizedToOwner)) {
+        get().addOwnerToRegistry(sanitizedToOwner);
+      }
 
-                      <div className="text-center">
-                        <button
-                          type="button"
-                          onClick={() => setIsAddingNew(true)}
-                          className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
-                        >
-                          Or add a new owner
-                        </button>
-                      </div>
-                    </>
-                  ) : (
-                    <>
-                      <div>
-                        <label htmlFor="new-owner-name" className="block text-sm font-medium mb-1">
-                          New owner name:
-                        </label>
-                        <input
-                          id="new-owner-name"
-                          type="text"
-                          value={newOwnerName}
-                          onChange={(e) => setNewOwnerName(e.target.value)}
-                          maxLength={30}
-                          placeholder="Enter owner name"
-                          className="w-full px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
-                        />
-                      </div>
+      // Transfer ownership in all tasks
+      let tasksUpdated = 0;
+      const updatedTasks = tasks.map((task) => {
+        if (task.owners && task.owners.includes(fromOwner)) {
+          tasksUpdated++;
+          const newOwners = task.owners.filter((o) => o !== fromOwner);
+          if (!newOwners.includes(sanitizedToOwner)) {
+            newOwners.push(sanitizedToOwner);
+          }
+          return {
+            ...task,
+            owners: newOwners,
+            updatedAt: new Date().toISOString(),
+          };
+        }
+        return task;
+      });
 
-                      <div className="text-center">
-                        <button
-                          type="button"
-                          onClick={() => {
-                            setIsAddingNew(false);
-                            setNewOwnerName('');
-                          }}
-                          className="text-sm text-slate-600 dark:text-zinc-400 hover:underline"
-                        >
-                          Back to existing owners
-                        </button>
-                      </div>
-                    </>
-                  )}
-                </div>
-              </div>
+      // Update store
+      set({ tasks: updatedTasks });
 
-              <div className="bg-amber-50 dark:bg-amber-900/20 rounded p-3 text-sm">
-                <p className="text-amber-800 dark:text-amber-200">
-                  Note: Tasks that already have 5 owners will be skipped.
-                </p>
-              </div>
-            </>
-          ) : (
-            <div className="text-center py-4">
-              {result.success ? (
-                <>
-                  <div className="text-green-600 dark:text-green-400 mb-2">
-                    <svg
-                      className="w-12 h-12 mx-auto"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
-                      />
-                    </svg>
-                  </div>
-                  <p className="font-medium">Owner assigned successfully!</p>
-                  <p className="text-sm text-slate-600 dark:text-zinc-400 mt-1">
-                    Updated {result.tasksUpdated} task{result.tasksUpdated !== 1 ? 's' : ''}
-                    {result.tasksFailed > 0 && (
-                      <span className="block text-amber-600 dark:text-amber-400 mt-1">
-                        {result.tasksFailed} task{result.tasksFailed !== 1 ? 's' : ''} skipped (5
-                        owner limit)
-                      </span>
-                    )}
-                  </p>
-                </>
-              ) : (
-                <>
-                  <div className="text-red-600 dark:text-red-400 mb-2">
-                    <svg
-                      className="w-12 h-12 mx-auto"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
-                      />
-                    </svg>
-                  </div>
-                  <p className="font-medium">Assignment failed</p>
-                  <p className="text-sm text-slate-600 dark:text-zinc-400 mt-1">{result.error}</p>
-                </>
-              )}
-            </div>
-          )}
-        </div>
+      // Update statistics
+      get().updateOwnerStatistics();
 
-        <div className="p-4 border-t border-slate-200 dark:border-zinc-800 flex justify-end gap-2">
-          {!result ? (
-            <>
-              <button
-                onClick={onClose}
-                className="px-4 py-2 text-sm text-slate-600 dark:text-zinc-300 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={handleAssign}
-                disabled={!isAddingNew ? !selectedOwner : !newOwnerName.trim()}
-                className={`px-4 py-2 text-sm rounded transition-colors ${
-                  (!isAddingNew ? !selectedOwner : !newOwnerName.trim())
-                    ? 'bg-slate-200 dark:bg-zinc-800 text-slate-400 dark:text-zinc-500 cursor-not-allowed'
-                    : 'bg-blue-600 text-white hover:bg-blue-700'
-                }`}
-              >
-                Assign Owner
-              </button>
-            </>
-          ) : (
-            <button
-              onClick={result.success ? onSuccess : onClose}
-              className="px-4 py-2 text-sm bg-zinc-700 text-white hover:bg-zinc-800 dark:bg-zinc-800 dark:hover:bg-zinc-700 rounded transition-colors"
-            >
-              Close
-            </button>
-          )}
-        </div>
-      </div>
-    </div>
-  );
-}
+      // Remove from owner if requested
+      if (removeFromOwner && tasksUpdated > 0) {
+        get().removeOwnerFromRegistry(fromOwner);
+      }
 
-function BulkMoveDialog({ taskIds, onClose, onSuccess }) {
-  const projects = useStore((s) => s.projects);
-  const currentProjectId = useStore((s) => s.currentProjectId);
-  const moveTasksToProject = useStore((s) => s.moveTasksToProject);
-  const getVisibleTasks = useStore((s) => s.getVisibleTasks);
+      // Persist the changes
+      get().persist();
 
-  const [selectedProjectId, setSelectedProjectId] = useState('');
-  const [error, setError] = useState('');
+      return { success: true, tasksUpdated, fromOwner, toOwner: sanitizedToOwner };
+    },
 
-  const tasks = getVisibleTasks();
-  const selectedTasks = tasks.filter((t) => taskIds.includes(t.id));
-  const availableProjects = projects.filter((p) => p.id !== currentProjectId);
+    updateOwnerStatistics() {
+      const { tasks, ownerRegistry } = get();
 
-  const handleMove = () => {
-    if (!selectedProjectId) {
-      setError('Please select a target project');
-      return;
-    }
+      // Create new statistics map
+      const newStatistics = new Map();
 
-    const result = moveTasksToProject(taskIds, selectedProjectId);
-    if (result.error) {
-      setError(result.error);
-    } else {
-      onSuccess();
-    }
-  };
+      // Scan all tasks and rebuild statistics
+      tasks.forEach((task) => {
+        if (task.owners && Array.isArray(task.owners)) {
+          task.owners.forEach((owner) => {
+            if (owner && typeof owner === 'string') {
+              // Get existing stats or create new ones
+              const existingStats = ownerRegistry.statistics.get(owner);
+              const stats = newStatistics.get(owner) || {
+                taskCount: 0,
+                lastUsed: existingStats?.lastUsed || new Date().toISOString(),
+                createdAt: existingStats?.createdAt || new Date().toISOString(),
+              };
 
-  const currentProject = projects.find((p) => p.id === currentProjectId);
+              stats.taskCount++;
 
-  return ReactDOM.createPortal(
-    <div className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4">
-      <div className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-auto relative z-[201]">
-        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800">
-          <h2 className="text-lg font-semibold">Move Tasks to Project</h2>
-          <button
-            onClick={onClose}
-            className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
-          >
-            <X className="w-5 h-5" />
-          </button>
-        </div>
+              // Update last used based on task dates
+              const taskDate = task.updatedAt || task.createdAt || new Date().toISOString();
+              if (new Date(taskDate) > new Date(stats.lastUsed)) {
+                stats.lastUsed = taskDate;
+              }
 
-        <div className="p-4">
-          {error && (
-            <div className="mb-4 p-2 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-sm">
-              {error}
-            </div>
-          )}
+              newStatistics.set(owner, stats);
+            }
+          });
+        }
+      });
 
-          <div className="mb-4">
-            <p className="text-sm text-slate-600 dark:text-zinc-400 mb-2">
-              Moving{' '}
-              <span className="font-semibold">
-                {taskIds.length} task{taskIds.length > 1 ? 's' : ''}
-              </span>{' '}
-              from <span className="font-semibold">{currentProject?.name}</span>
-            </p>
+      // Remove statistics for owners with no tasks
+      const activeOwners = new Set(newStatistics.keys());
+      const newOwners = new Set(
+        [...ownerRegistry.owners].filter((owner) => activeOwners.has(owner)),
+      );
 
-            {selectedTasks.length > 0 && (
-              <div className="mb-4 p-2 bg-slate-50 dark:bg-zinc-800/40 border border-slate-200 dark:border-zinc-800 rounded max-h-32 overflow-y-auto">
-                <div className="text-xs text-slate-500 dark:text-zinc-400 mb-1">
-                  Selected tasks:
-                </div>
-                {selectedTasks.slice(0, 5).map((task) => (
-                  <div key={task.id} className="text-sm truncate text-slate-700 dark:text-zinc-300">
-                    • {task.title}
-                  </div>
-                ))}
-                {selectedTasks.length > 5 && (
-                  <div className="text-sm text-slate-500 dark:text-zinc-400">
-                    ...and {selectedTasks.length - 5} more
-                  </div>
-                )}
-              </div>
-            )}
-          </div>
+      // Update the store
+      set({
+        ownerRegistry: {
+          owners: newOwners,
+          statistics: newStatistics,
+        },
+      });
 
-          <div className="mb-4">
-            <label htmlFor="target-project" className="block text-sm font-medium mb-2">
-              Select Target Project
-            </label>
-            <select
-              id="target-project"
-              value={selectedProjectId}
-              onChange={(e) => setSelectedProjectId(e.target.value)}
-              className="w-full px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
-            >
-              <option value="">Choose a project...</option>
-              {availableProjects.map((project) => (
-                <option key={project.id} value={project.id}>
-                  {project.name}
-                </option>
-              ))}
-            </select>
-          </div>
+      // Persist the changes
+      get().persist();
+    },
 
-          <div className="flex justify-end gap-2">
-            <button
-              onClick={onClose}
-              className="px-4 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg text-slate-700 dark:text-zinc-200 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors"
-            >
-              Cancel
-            </button>
-            <button
-              onClick={handleMove}
-              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-            >
-              Move Tasks
-            </button>
-          </div>
-        </div>
-      </div>
-    </div>,
-    document.body,
-  );
-}
+    unassignOwnerFromAllTasks(ownerName) {
+      const { tasks } = get();
 
-// ----- Error Boundary -----
-class ErrorBoundary extends React.Component {
-  constructor(props) {
-    super(props);
-    this.state = { hasError: false, error: null, info: null };
-  }
-  static getDerivedStateFromError(error) {
-    return { hasError: true, error };
-  }
-  componentDidCatch(error, info) {
-    this.setState({ hasError: true, error, info });
-  }
-  render() {
-    if (this.state.hasError) {
-      const msg = this.state.error?.message || String(this.state.error || 'Unknown error');
-      const stack = this.state.error?.stack || this.state.info?.componentStack || '';
-      return (
-        <div className="min-h-screen bg-rose-50 text-rose-900 p-4">
-          <div className="max-w-3xl mx-auto">
-            <div className="rounded-2xl border border-rose-300 bg-white shadow p-4">
-              <h1 className="text-lg font-semibold mb-2">Something went wrong</h1>
-              <p className="mb-3 text-sm">An unexpected error occurred in the UI. Try reloading.</p>
-              <div className="mb-3 p-3 rounded bg-rose-50 border border-rose-200 text-xs whitespace-pre-wrap break-words">
-                {msg}
-                {stack ? '\n\n' + stack : ''}
-              </div>
-              <div className="flex gap-2">
-                <button
-                  onClick={() => window.location.reload()}
-                  className="px-3 py-2 rounded-lg bg-rose-600 text-white hover:bg-rose-700"
-                >
-                  Reload
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
+      let tasksUpdated = 0;
+      const updatedTasks = tasks.map((task) => {
+        if (task.owners && task.owners.includes(ownerName)) {
+          tasksUpdated++;
+          return {
+            ...task,
+            owners: task.owners.filter((owner) => owner !== ownerName),
+            updatedAt: new Date().toISOString(),
+          };
+        }
+        return task;
+      });
+
+      // Update tasks in store
+      set({ tasks: updatedTasks });
+
+      // Update owner statistics after unassigning
+      get().updateOwnerStatistics();
+
+      // Persist changes
+      get().persist();
+
+      return { tasksUpdated };
+    },
+
+    getOwnerSuggestions(partial = '') {
+      const { ownerRegistry } = get();
+      const searchTerm = partial.toLowerCase().trim();
+
+      if (!searchTerm) {
+        // Return all owners sorted by task count
+        return Array.from(ownerRegistry.owners)
+          .map((owner) => ({
+            name: owner,
+            taskCount: ownerRegistry.statistics.get(owner)?.taskCount || 0,
+          }))
+          .sort((a, b) => {
+            // First by task count (descending)
+            if (b.taskCount !== a.taskCount) {
+              return b.taskCount - a.taskCount;
+            }
+            // Then alphabetically
+            return a.name.localeCompare(b.name);
+          });
+      }
+
+      // Filter by partial match and sort
+      return Array.from(ownerRegistry.owners)
+        .filter((owner) => owner.toLowerCase().includes(searchTerm))
+        .map((owner) => ({
+          name: owner,
+          taskCount: ownerRegistry.statistics.get(owner)?.taskCount || 0,
+        }))
+        .sort((a, b) => {
+          // First by task count (descending)
+          if (b.taskCount !== a.taskCount) {
+            return b.taskCount - a.taskCount;
+          }
+          // Then alphabetically
+          return a.name.localeCompare(b.name);
+        });
+    },
+
+    getAllOwnersWithStats() {
+      const { ownerRegistry } = get();
+
+      // Map all owners with their statistics
+      const ownersWithStats = Array.from(ownerRegistry.owners).map((owner) => {
+        const stats = ownerRegistry.statistics.get(owner) || {
+          taskCount: 0,
+          lastUsed: null,
+          createdAt: new Date().toISOString(),
+        };
+
+        return {
+          name: owner,
+          taskCount: stats.taskCount,
+          lastUsed: stats.lastUsed,
+          createdAt: stats.createdAt,
+        };
+      });
+
+      // Sort by task count (descending), then alphabetically
+      return ownersWithStats.sort((a, b) => {
+        if (b.taskCount !== a.taskCount) {
+          return b.taskCount - a.taskCount;
+        }
+        return a.name.localeCompare(b.name);
+      });
+    },
+
+    bulkAssignOwner(taskIds, ownerName) {
+      const validation = validateOwnerName(ownerName);
+
+      if (!validation.valid) {
+        console.error(`Invalid owner name: ${validation.error}`);
+        return { success: false, error: validation.error };
+      }
+
+      const { tasks } = get();
+      const sanitizedName = validation.name;
+
+      // Add owner to registry if new
+      const addResult = get().addOwnerToRegistry(sanitizedName);
+      if (!addResult.success) {
+        return { success: false, error: addResult.error };
+      }
+
+      let tasksUpdated = 0;
+      let tasksFailed = 0;
+      const failedTaskIds = [];
+
+      // Update each task
+      const updatedTasks = tasks.map((task) => {
+        if (taskIds.includes(task.id)) {
+          // Check if task already has 5 owners
+          const currentOwners = task.owners || [];
+          if (currentOwners.length >= 5 && !currentOwners.includes(sanitizedName)) {
+            tasksFailed++;
+            failedTaskIds.push(task.id);
+            return task;
+          }
+
+          // Add owner if not already present
+          if (!currentOwners.includes(sanitizedName)) {
+            tasksUpdated++;
+            return {
+              ...task,
+              owners: [...currentOwners, sanitizedName],
+              updatedAt: new Date().toISOString(),
+            };
+          }
+        }
+        return task;
+      });
+
+      // Update store
+      set({ tasks: updatedTasks });
+
+      // Update statistics
+      get().updateOwnerStatistics();
+
+      // Persist changes
+      get().persist();
+
+      return {
+        success: true,
+        tasksUpdated,
+        tasksFailed,
+        failedTaskIds,
+      };
+    },
+
+    // Status Configuration methods
+    getStatuses() {
+      const { statusConfig } = get();
+      return statusConfig.statuses.sort((a, b) => a.order - b.order);
+    },
+
+    getStatusById(statusId) {
+      const { statusConfig } = get();
+      return statusConfig.statuses.find((s) => s.id === statusId);
+    },
+
+    getDefaultStatus() {
+      const { statusConfig } = get();
+      return statusConfig.statuses.find((s) => s.isDefault);
+    },
+
+    getCompletionStatuses() {
+      const { statusConfig } = get();
+      return statusConfig.statuses.filter((s) => s.isCompletionState);
+    },
+
+    // Get status metadata in a map for easy lookup (like STATUS_META)
+    getStatusMetaMap() {
+      const statuses = get().getStatuses();
+      const map = {};
+      statuses.forEach((status) => {
+        map[status.id] = {
+          label: status.label,
+          key: status.keyboardShortcut,
+          hint: status.description,
+        };
+      });
+      return map;
+    },
+
+    // Get ordered array of status IDs (like STATUS_ORDER)
+    getStatusOrder() {
+      return get()
+        .getStatuses()
+        .map((s) => s.id);
+    },
+
+    // Validation helpers for status management
+    validateStatusLabel(label, excludeId = null) {
+      const trimmed = label?.trim();
+
+      if (!trimmed || trimmed.length === 0) {
+        return { valid: false, error: 'Status label cannot be empty' };
+      }
+
+      if (trimmed.length > 30) {
+        return { valid: false, error: 'Status label too long (max 30 characters)' };
+      }
+
+      // Check for duplicate labels (case-insensitive)
+      const { statusConfig } = get();
+      const duplicate = statusConfig.statuses.find(
+        (s) => s.id !== excludeId && s.label.toLowerCase() === trimmed.toLowerCase(),
       );
-    }
-    return this.props.children;
-  }
-}
 
-// ----- Quick Add Parser -----
+      if (duplicate) {
+        return { valid: false, error: `Status "${trimmed}" already exists` };
+      }
 
-function parseQuickAdd(input) {
-  // Tokenize by spaces but keep quoted phrases
-  const tokens = input.match(/"[^"]+"|\S+/g) || [];
-  let titleParts = [];
-  let dueAt = null,
-    ownerType = 'self',
-    owners = [],
-    tags = [],
-    priorityBucket = null,
-    expectedBy = null;
-  for (let i = 0; i < tokens.length; i++) {
-    const raw = tokens[i].replaceAll('"', '');
-    if (raw.startsWith('+')) {
-      tags.push(raw.slice(1));
-      continue;
-    }
-    if (/^!p[0-4]$/i.test(raw)) {
-      priorityBucket = raw.toUpperCase().slice(1);
-      continue;
-    }
-    // Handle @owner tokens
-    if (raw.startsWith('@')) {
-      const ownerName = raw.slice(1);
-      if (ownerName === 'ai') {
-        ownerType = 'ai';
-      } else if (ownerName === 'me') {
-        ownerType = 'self';
-      } else if (ownerName.length > 0) {
-        // It's a specific owner name
-        owners.push(ownerName);
+      return { valid: true, label: trimmed };
+    },
+
+    canDeleteStatus(statusId) {
+      const { statusConfig } = get();
+      const status = statusConfig.statuses.find((s) => s.id === statusId);
+
+      if (!status) {
+        return { canDelete: false, reason: 'Status not found' };
       }
-      continue;
-    }
-    if (raw.startsWith('due:')) {
-      const rest = raw.slice(4);
-      if (rest.includes('-')) dueAt = parseDueToken([rest]);
-      else if (rest === 'today' || rest === 'tomorrow') dueAt = parseDueToken([rest]);
-      else dueAt = null;
-      continue;
-    }
-    // allow time token right after due:today/tomorrow pattern
-    if (
-      /^\d{1,2}:\d{2}$/.test(raw) &&
-      dueAt === null &&
-      tokens[i - 1] &&
-      tokens[i - 1].startsWith('due:')
-    ) {
-      const last = tokens[i - 1].slice(4);
-      dueAt = parseDueToken([last, raw]);
-      continue;
-    }
-    if (raw.startsWith('expect:')) {
-      // expected AI callback by time
-      const rest = raw.split(':')[1];
-      if (rest === 'today' || rest === 'tomorrow') expectedBy = parseDueToken([rest]);
-      else if (/^\d{4}-\d{2}-\d{2}$/.test(rest)) expectedBy = parseISO(rest).toISOString();
-      continue;
-    }
-    titleParts.push(raw);
-  }
-  const title = titleParts.join(' ').trim();
-  const base = { title, dueAt, ownerType, tags, expectedBy };
-  if (owners.length > 0) base.owners = owners;
-  if (priorityBucket) base.priorityBucket = priorityBucket;
-  return base;
-}
 
-// ----- UI Components -----
+      // Must have at least 2 statuses
+      if (statusConfig.statuses.length <= 2) {
+        return { canDelete: false, reason: 'Must have at least 2 statuses' };
+      }
 
-function Badge({ children, className, variant = 'default' }) {
-  const variants = {
-    default: 'bg-slate-100 text-gray-700 dark:bg-zinc-800 dark:text-zinc-300',
-    primary: 'bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-300',
-    success: 'bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-300',
-    warning: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900 dark:text-yellow-300',
-    danger: 'bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300',
-  };
-  return (
-    <span
-      className={clsx(
-        'inline-flex items-center rounded-md px-2 py-0.5 text-xs font-medium',
-        variants[variant] || variants.default,
-        className,
-      )}
-    >
-      {children}
-    </span>
-  );
-}
+      // Cannot delete the only default status
+      const defaultStatuses = statusConfig.statuses.filter((s) => s.isDefault);
+      if (status.isDefault && defaultStatuses.length === 1) {
+        return {
+          canDelete: false,
+          reason: 'Cannot delete the only default status. Set another status as default first.',
+        };
+      }
 
-const STATUS_STYLES = {
-  inbox: {
-    border: 'border-t-sky-500 dark:border-t-sky-400',
-    badge:
-      'bg-sky-50 text-sky-700 dark:bg-sky-950/30 dark:text-sky-400 border border-sky-200/50 dark:border-sky-800/50',
-    title: 'text-sky-800 dark:text-sky-300',
-  },
-  ready: {
-    border: 'border-t-blue-500 dark:border-t-blue-400',
-    badge:
-      'bg-blue-50 text-blue-700 dark:bg-blue-950/30 dark:text-blue-400 border border-blue-200/50 dark:border-blue-800/50',
-    title: 'text-blue-800 dark:text-blue-300',
-  },
-  in_progress: {
-    border: 'border-t-amber-500 dark:border-t-amber-400',
-    badge:
-      'bg-amber-50 text-amber-700 dark:bg-amber-950/30 dark:text-amber-400 border border-amber-200/50 dark:border-amber-800/50',
-    title: 'text-amber-800 dark:text-amber-300',
-  },
-  in_review: {
-    border: 'border-t-purple-500 dark:border-t-purple-400',
-    badge:
-      'bg-purple-50 text-purple-700 dark:bg-purple-950/30 dark:text-purple-400 border border-purple-200/50 dark:border-purple-800/50',
-    title: 'text-purple-800 dark:text-purple-300',
-  },
-  waiting: {
-    border: 'border-t-rose-500 dark:border-t-rose-400',
-    badge:
-      'bg-rose-50 text-rose-700 dark:bg-rose-950/30 dark:text-rose-400 border border-rose-200/50 dark:border-rose-800/50',
-    title: 'text-rose-800 dark:text-rose-300',
-  },
-  done: {
-    border: 'border-t-emerald-500 dark:border-t-emerald-400',
-    badge:
-      'bg-emerald-50 text-emerald-700 dark:bg-emerald-950/30 dark:text-emerald-400 border border-emerald-200/50 dark:border-emerald-800/50',
-    title: 'text-emerald-800 dark:text-emerald-300',
-  },
-  bin: {
-    border: 'border-t-zinc-400 dark:border-t-zinc-500',
-    badge:
-      'bg-zinc-50 text-zinc-600 dark:bg-zinc-800 dark:text-zinc-400 border border-zinc-200/50 dark:border-zinc-700/50',
-    title: 'text-zinc-700 dark:text-zinc-300',
-  },
-  backlog: {
-    border: 'border-t-zinc-400 dark:border-t-zinc-600',
-    badge:
-      'bg-slate-50 text-slate-600 dark:bg-zinc-800 dark:text-zinc-400 border border-slate-200/50 dark:border-zinc-800/50',
-    title: 'text-slate-700 dark:text-zinc-300',
-  },
-};
+      // Cannot delete the only completion status
+      const completionStatuses = statusConfig.statuses.filter((s) => s.isCompletionState);
+      if (status.isCompletionState && completionStatuses.length === 1) {
+        return {
+          canDelete: false,
+          reason:
+            'Cannot delete the only completion status. Mark another status as completion first.',
+        };
+      }
 
-function getStatusStyle(status, columnName = '') {
-  const norm = (columnName || status || '').toLowerCase();
-  if (norm.includes('inbox')) return STATUS_STYLES.inbox;
-  if (norm.includes('next') || norm.includes('ready')) return STATUS_STYLES.ready;
-  if (norm.includes('progress')) return STATUS_STYLES.in_progress;
-  if (norm.includes('review')) return STATUS_STYLES.in_review;
-  if (norm.includes('wait')) return STATUS_STYLES.waiting;
-  if (norm.includes('done')) return STATUS_STYLES.done;
-  if (norm.includes('bin') || norm.includes('archive')) return STATUS_STYLES.bin;
-  if (norm.includes('backlog')) return STATUS_STYLES.backlog;
-  return STATUS_STYLES.ready;
-}
+      return { canDelete: true };
+    },
 
-const EmptyColumnSvg = React.memo(({ columnName }) => {
-  const norm = columnName.toLowerCase();
-  if (norm.includes('inbox')) {
-    return (
-      <svg
-        className="w-7 h-7 text-sky-400/80 dark:text-sky-500/80"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth={1.5}
-        viewBox="0 0 24 24"
-      >
-        <path
-          strokeLinecap="round"
-          strokeLinejoin="round"
-          d="M2.25 13.5h3.86a2.25 2.25 0 012.008 1.24l.885 1.77a2.25 2.25 0 002.007 1.24h1.98a2.25 2.25 0 002.007-1.24l.885-1.77a2.25 2.25 0 012.007-1.24h3.86m-18 0h18a2.25 2.25 0 012.25 2.25v4.5A2.25 2.25 0 0119.5 21h-15A2.25 2.25 0 012 18.75v-4.5A2.25 2.25 0 012.25 13.5zm7.5-6h4.5M12 3v4.5m0 0l-1.5-1.5M12 7.5l1.5-1.5"
-        />
-      </svg>
-    );
-  }
-  if (norm.includes('next') || norm.includes('ready')) {
-    return (
-      <svg
-        className="w-7 h-7 text-blue-400/80 dark:text-blue-500/80"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth={1.5}
-        viewBox="0 0 24 24"
-      >
-        <path
-          strokeLinecap="round"
-          strokeLinejoin="round"
-          d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
-        />
-      </svg>
-    );
-  }
-  if (norm.includes('progress')) {
-    return (
-      <svg
-        className="w-7 h-7 text-amber-400/80 dark:text-amber-500/80 animate-[spin_6s_linear_infinite]"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth={1.5}
-        viewBox="0 0 24 24"
-      >
-        <path
-          strokeLinecap="round"
-          strokeLinejoin="round"
-          d="M4.5 12a7.5 7.5 0 0015 0m-15 0a7.5 7.5 0 1115 0m-15 0H3m16.5 0H21m-1.5 0a5.978 5.978 0 01-1.076 3.428M19.5 12a5.978 5.978 0 00-1.076-3.428m-12 0A5.978 5.978 0 004.5 12m4.846-5.328a6 6 0 016.308 0"
-        />
-      </svg>
-    );
-  }
-  if (norm.includes('review')) {
-    return (
-      <svg
-        className="w-7 h-7 text-purple-400/80 dark:text-purple-500/80"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth={1.5}
-        viewBox="0 0 24 24"
-      >
-        <path
-          strokeLinecap="round"
-          strokeLinejoin="round"
-          d="M2.036 12.322a1.012 1.012 0 010-.639C3.423 7.51 7.36 4.5 12 4.5c4.638 0 8.573 3.007 9.963 7.178.07.207.07.431 0 .639C20.577 16.49 16.64 19.5 12 19.5c-4.638 0-8.573-3.007-9.963-7.178z"
-        />
-        <path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-      </svg>
-    );
-  }
-  if (norm.includes('wait')) {
-    return (
-      <svg
-        className="w-7 h-7 text-rose-400/80 dark:text-rose-500/80"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth={1.5}
-        viewBox="0 0 24 24"
-      >
-        <path
-          strokeLinecap="round"
-          strokeLinejoin="round"
-          d="M12 6v6h4.5m4.5 0a9 9 0 11-18 0 9 9 0 0118 0z"
-        />
-      </svg>
-    );
-  }
-  if (norm.includes('done')) {
-    return (
-      <svg
-        className="w-7 h-7 text-emerald-400/80 dark:text-emerald-500/80"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth={1.5}
-        viewBox="0 0 24 24"
-      >
-        <path
-          strokeLinecap="round"
-          strokeLinejoin="round"
-          d="M9 12.75L11.25 15 15 9.75M21 12c0 1.268-.63 2.39-1.593 3.068a3.745 3.745 0 01-1.043 3.296 3.745 3.745 0 01-3.296 1.043A3.745 3.745 0 0112 21c-1.268 0-2.39-.63-3.068-1.593a3.746 3.746 0 01-3.296-1.043 3.746 3.746 0 01-1.043-3.296A3.745 3.745 0 013 12c0-1.268.63-2.39 1.593-3.068a3.745 3.745 0 011.043-3.296 3.746 3.746 0 013.296-1.043A3.746 3.746 0 0112 3c1.268 0 2.39.63 3.068 1.593a3.746 3.746 0 013.296 1.043 3.746 3.746 0 011.043 3.296A3.745 3.745 0 0121 12z"
-        />
-      </svg>
-    );
-  }
-  if (norm.includes('bin') || norm.includes('trash') || norm.includes('archive')) {
-    return (
-      <svg
-        className="w-7 h-7 text-zinc-400/80 dark:text-zinc-500/80"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth={1.5}
-        viewBox="0 0 24 24"
-      >
-        <path
-          strokeLinecap="round"
-          strokeLinejoin="round"
-          d="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052.682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059.68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0"
-        />
-      </svg>
-    );
-  }
-  return (
-    <svg
-      className="w-7 h-7 text-slate-400/80 dark:text-zinc-500/80"
-      fill="none"
-      stroke="currentColor"
-      strokeWidth={1.5}
-      viewBox="0 0 24 24"
-    >
-      <path
-        strokeLinecap="round"
-        strokeLinejoin="round"
-        d="M20.25 7.5l-.625 10.632a2.25 2.25 0 01-2.247 2.118H6.622a2.25 2.25 0 01-2.247-2.118L3.75 7.5M10 11.25h4M3.375 7.5h17.25c.621 0 1.125-.504 1.125-1.125v-1.5c0-.621-.504-1.125-1.125-1.125H3.375c-.621 0-1.125.504-1.125 1.125v1.5c0 .621.504 1.125 1.125 1.125z"
-      />
-    </svg>
-  );
-});
-EmptyColumnSvg.displayName = 'EmptyColumnSvg';
+    getTasksForStatus(statusId) {
+      const { tasks } = get();
+      return tasks.filter((t) => t.status === statusId);
+    },
 
-const Column = React.memo(function Column({
-  status,
-  tasks,
-  labelOverride = null,
-  hintOverride = null,
-  dropStatus = null,
-  tone = 'primary',
-  defaultCollapsed = false,
-}) {
-  const dragHoverStatus = useStore((s) => s.dragHoverStatus);
-  const statusMeta = useStore((s) => s.getStatusMetaMap());
-  const [collapsed, setCollapsed] = useState(defaultCollapsed);
-  const effectiveDropStatus = dropStatus || status;
-  const highlight = dragHoverStatus === effectiveDropStatus;
-  const meta = statusMeta[status] || { label: status, hint: '' };
-  const label = labelOverride || meta.label;
-  const hint = hintOverride || meta.hint;
-  const isSecondary = tone === 'secondary';
+    // CRUD operations for status management
+    createStatus(label, description = '', flags = {}) {
+      const validation = get().validateStatusLabel(label);
+      if (!validation.valid) {
+        console.error(`Cannot create status: ${validation.error}`);
+        return { success: false, error: validation.error };
+      }
 
-  const style = getStatusStyle(status, label);
+      const { statusConfig } = get();
 
-  if (collapsed) {
-    return (
-      <button
-        type="button"
-        data-col={effectiveDropStatus}
-        className="w-12 rounded-2xl p-2.5 border transition-all flex flex-col items-center bg-slate-50/50 dark:bg-zinc-900/20 border-slate-200 dark:border-zinc-800/80 shadow-sm shrink-0 select-none cursor-pointer hover:bg-slate-100 dark:hover:bg-zinc-800/40"
-        onClick={() => setCollapsed(false)}
-        title={`Expand ${label}`}
-      >
-        <span
-          className={clsx(
-            'text-[10px] font-bold px-1.5 py-0.5 rounded-full mb-4 shrink-0',
-            style.badge,
-          )}
-        >
-          {tasks.length}
-        </span>
-        <div className="flex-1 flex items-center justify-center">
-          <h3
-            className="font-bold text-slate-500 dark:text-zinc-400 text-xs tracking-wider uppercase whitespace-nowrap"
-            style={{ writingMode: 'vertical-rl', transform: 'rotate(180deg)' }}
-          >
-            {label}
-          </h3>
-        </div>
-        <ChevronDown className="w-4 h-4 text-slate-400 shrink-0 mt-4 -rotate-90" />
-      </button>
-    );
-  }
+      // Enforce max 15 statuses
+      if (statusConfig.statuses.length >= 15) {
+        const error = 'Maximum 15 statuses allowed';
+        console.error(error);
+        return { success: false, error };
+      }
 
-  return (
-    <div
-      data-col={effectiveDropStatus}
-      className={clsx(
-        'flex-1 min-w-[280px] max-w-[520px] rounded-2xl p-4 border transition-all flex flex-col',
-        isSecondary
-          ? 'bg-slate-50/70 dark:bg-zinc-950/20 border-slate-200/80 dark:border-zinc-800/85'
-          : 'bg-white dark:bg-zinc-900 border-slate-200/80 dark:border-zinc-800/80',
-        highlight && 'ring-2 ring-blue-400 border-blue-300 shadow-lg',
-        !highlight && 'shadow-sm',
-      )}
-    >
-      <div className="flex items-center gap-2 mb-4 shrink-0">
-        <button
-          type="button"
-          onClick={() => setCollapsed((prev) => !prev)}
-          className="flex items-center gap-2 min-w-0 text-left hover:opacity-80 transition-opacity"
-        >
-          <ChevronDown
-            className={clsx(
-              'w-4 h-4 text-slate-400 transition-transform duration-200',
-              collapsed && '-rotate-90',
-            )}
-          />
-          <h3 className={clsx('font-bold text-sm tracking-wide', style.title)}>{label}</h3>
-        </button>
-        {hint && (
-          <span
-            className="text-[11px] text-slate-400 dark:text-zinc-500 truncate max-w-[120px] sm:max-w-none"
-            title={hint}
-          >
-            {hint}
-          </span>
-        )}
-        <span
-          className={clsx('ml-auto text-xs font-semibold px-2 py-0.5 rounded-full', style.badge)}
-        >
-          {tasks.length}
-        </span>
-      </div>
-      <div className="column-tasklist space-y-2.5 min-h-[150px] flex-1 overflow-y-auto pr-0.5 custom-scrollbar">
-        {tasks.length === 0 ? (
-          <EmptyColumnState columnName={label} />
-        ) : (
-          tasks.map((t) => <TaskCard key={t.id} task={t} />)
-        )}
-      </div>
-    </div>
-  );
-});
+      // Create new status
+      const newStatus = {
+        id: uid(), // Generate unique ID
+        label: validation.label,
+        description: description.trim(),
+        order: statusConfig.statuses.length, // Add at end
+        isDefault: flags.isDefault === true,
+        isCompletionState: flags.isCompletionState === true,
+        keyboardShortcut: flags.keyboardShortcut || '',
+        createdAt: new Date().toISOString(),
+        canDelete: true,
+      };
 
-// Owner display components
-function OwnerBadge({ owner }) {
-  return (
-    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-700 dark:bg-zinc-800 dark:text-zinc-300">
-      {owner}
-    </span>
-  );
-}
+      // If setting as default, unset other defaults
+      let updatedStatuses = [...statusConfig.statuses];
+      if (newStatus.isDefault) {
+        updatedStatuses = updatedStatuses.map((s) => ({ ...s, isDefault: false }));
+      }
 
-function OwnersList({ owners }) {
-  if (!owners || owners.length === 0) return null;
+      // Add new status
+      updatedStatuses.push(newStatus);
 
-  const displayCount = 3;
-  const visibleOwners = owners.slice(0, displayCount);
-  const remainingCount = owners.length - displayCount;
+      set({
+        statusConfig: {
+          ...statusConfig,
+          statuses: updatedStatuses,
+        },
+      });
 
-  return (
-    <div className="flex flex-wrap items-center gap-1">
-      {visibleOwners.map((owner) => (
-        <OwnerBadge key={owner} owner={owner} />
-      ))}
-      {remainingCount > 0 && (
-        <span className="text-xs text-slate-500 dark:text-zinc-400">+{remainingCount} more</span>
-      )}
-    </div>
-  );
-}
+      get().persist();
 
-// ===== NEW UI/UX IMPROVEMENT COMPONENTS (Feature 004) =====
+      return { success: true, statusId: newStatus.id };
+    },
 
-// TokenHelpTooltip - Collapsible help for token syntax (FR-001 to FR-005)
-function TokenHelpTooltip({ visible, onDismiss }) {
-  const tooltipRef = useRef(null);
+    updateStatus(statusId, updates) {
+      const { statusConfig } = get();
+      const status = statusConfig.statuses.find((s) => s.id === statusId);
 
-  useEffect(() => {
-    if (!visible) return;
+      if (!status) {
+        const error = 'Status not found';
+        console.error(error);
+        return { success: false, error };
+      }
 
-    const handleEscape = (e) => {
-      if (e.key === 'Escape') onDismiss();
-    };
+      // Validate label if being updated
+      if (updates.label !== undefined) {
+        const validation = get().validateStatusLabel(updates.label, statusId);
+        if (!validation.valid) {
+          console.error(`Cannot update status: ${validation.error}`);
+          return { success: false, error: validation.error };
+        }
+        updates.label = validation.label;
+      }
 
-    const handleClickOutside = (e) => {
-      if (tooltipRef.current && !tooltipRef.current.contains(e.target)) {
-        onDismiss();
+      // Trim description if provided
+      if (updates.description !== undefined) {
+        updates.description = updates.description.trim();
       }
-    };
 
-    document.addEventListener('keydown', handleEscape);
-    document.addEventListener('mousedown', handleClickOutside);
+      // Update the status
+      let updatedStatuses = statusConfig.statuses.map((s) => {
+        if (s.id === statusId) {
+          return { ...s, ...updates };
+        }
+        return s;
+      });
 
-    return () => {
-      document.removeEventListener('keydown', handleEscape);
-      document.removeEventListener('mousedown', handleClickOutside);
-    };
-  }, [visible, onDismiss]);
+      // If setting as default, unset other defaults
+      if (updates.isDefault === true) {
+        updatedStatuses = updatedStatuses.map((s) =>
+          s.id === statusId ? s : { ...s, isDefault: false },
+        );
+      }
 
-  if (!visible) return null;
+      set({
+        statusConfig: {
+          ...statusConfig,
+          statuses: updatedStatuses,
+        },
+      });
 
-  return (
-    <div
-      ref={tooltipRef}
-      className="absolute z-50 mt-2 w-96 p-4 bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 rounded-lg shadow-xl"
-      role="dialog"
-      aria-label="Token syntax help"
-    >
-      <div className="flex justify-between items-start mb-3">
-        <h3 className="text-lg font-semibold text-slate-900 dark:text-zinc-100">Token Syntax</h3>
-        <button
-          onClick={onDismiss}
-          className="text-slate-400 hover:text-slate-600 dark:hover:text-zinc-300"
-          aria-label="Close help"
-        >
-          <X size={20} />
-        </button>
-      </div>
+      get().persist();
 
-      <div className="space-y-3 text-sm text-gray-700 dark:text-zinc-300">
-        <div>
-          <strong className="text-slate-900 dark:text-zinc-100">!p0..p4</strong> - Set priority
-          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
-            Example: !p0 (highest), !p4 (lowest)
-          </div>
-        </div>
+      return { success: true };
+    },
 
-        <div>
-          <strong className="text-slate-900 dark:text-zinc-100">@owner</strong> - Assign owner
-          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
-            Example: @ai, @me, @john
-          </div>
-        </div>
+    deleteStatus(statusId, migrateToId) {
+      const deleteCheck = get().canDeleteStatus(statusId);
+      if (!deleteCheck.canDelete) {
+        console.error(`Cannot delete status: ${deleteCheck.reason}`);
+        return { success: false, error: deleteCheck.reason };
+      }
 
-        <div>
-          <strong className="text-slate-900 dark:text-zinc-100">+tag</strong> - Add tag
-          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
-            Example: +bug, +feature
-          </div>
-        </div>
+      const { statusConfig, tasks } = get();
 
-        <div>
-          <strong className="text-slate-900 dark:text-zinc-100">due:</strong> - Set due date
-          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
-            Example: due:today, due:tomorrow, due:
-            {format(addDays(new Date(), 7), 'yyyy-MM-dd')}, due:16:00
-          </div>
-        </div>
+      // Validate migration target
+      const targetStatus = statusConfig.statuses.find((s) => s.id === migrateToId);
+      if (!targetStatus) {
+        const error = 'Invalid migration target status';
+        console.error(error);
+        return { success: false, error };
+      }
 
-        <div>
-          <strong className="text-slate-900 dark:text-zinc-100">expect:</strong> - Expected
-          completion
-          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
-            Example: expect:today, expect:
-            {format(addDays(new Date(), 7), 'yyyy-MM-dd')}
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-}
+      if (migrateToId === statusId) {
+        const error = 'Cannot migrate tasks to the status being deleted';
+        console.error(error);
+        return { success: false, error };
+      }
 
-// getPriorityBorderClass - Returns Tailwind classes for priority color (FR-006 to FR-012)
-// Priority accent is a rounded inset bar, NOT a border-left: a 4px left
-// border sweeps around the 16px card radius and paints a thick crescent
-// that pokes outside selection/timer rings at the corners.
-function getPriorityAccentClass(priority) {
-  const colors = {
-    P0: 'bg-rose-500',
-    P1: 'bg-orange-500',
-    P2: 'bg-amber-500',
-    P3: 'bg-slate-300 dark:bg-zinc-700',
-    P4: 'bg-slate-200 dark:bg-zinc-800',
-  };
-  return colors[priority] || colors.P3;
-}
+      // Get tasks that need to be migrated
+      const tasksToMigrate = tasks.filter((t) => t.status === statusId);
 
-// EmptyColumnState - Contextual empty state messages (FR-013 to FR-019)
-const EmptyColumnState = React.memo(({ columnName }) => {
-  const messages = {
-    Inbox: { text: 'Capture ideas and requests here' },
-    Backlog: { text: 'Park lower-priority work here' },
-    'Next Up': { text: 'Pull your next task from here' },
-    'In Progress': { text: 'Start working on a task' },
-    Review: { text: 'Tasks waiting for PR/review/QA' },
-    Waiting: { text: 'Pending AI, people, or external dependencies' },
-    'Waiting on AI': { text: 'Delegate to AI agents' },
-    'Waiting on Others': { text: 'Waiting on teammate or external input' },
-    Blocked: { text: 'Needs decision or unblock to continue' },
-    Done: { text: 'Ready to ship!' },
-    Bin: { text: 'Dump older completed tasks here' },
-  };
+      // Migrate all tasks to the new status
+      const updatedTasks = tasks.map((t) =>
+        t.status === statusId
+          ? { ...t, status: migrateToId, updatedAt: new Date().toISOString() }
+          : t,
+      );
 
-  const message = messages[columnName] || { text: 'No tasks' };
+      // Remove the status and reorder
+      const filteredStatuses = statusConfig.statuses.filter((s) => s.id !== statusId);
+      const reorderedStatuses = filteredStatuses.map((s, index) => ({
+        ...s,
+        order: index,
+      }));
+
+      set({
+        tasks: updatedTasks,
+        statusConfig: {
+          ...statusConfig,
+          statuses: reorderedStatuses,
+        },
+      });
 
-  return (
-    <div className="flex flex-col items-center justify-center text-center border border-dashed border-slate-200 dark:border-zinc-800/80 rounded-2xl px-4 py-8 bg-slate-50/30 dark:bg-zinc-950/10">
-      <div className="mb-3 p-3 rounded-full bg-slate-100 dark:bg-zinc-800/40">
-        <EmptyColumnSvg columnName={columnName} />
-      </div>
-      <p className="text-xs text-slate-500 dark:text-zinc-400 font-medium leading-relaxed max-w-[200px]">
-        {message.text}
-      </p>
-    </div>
-  );
-});
-EmptyColumnState.displayName = 'EmptyColumnState';
+      get().persist();
 
-// ===== END NEW COMPONENTS =====
+      return { success: true, tasksMigrated: tasksToMigrate.length };
+    },
 
-function TaskPriorityBadge({ priority }) {
-  const styles = {
-    P0: 'bg-rose-50 text-rose-600 border border-rose-200/60 dark:bg-rose-950/20 dark:text-rose-400 dark:border-rose-800/40 text-[10px] font-bold px-1.5 py-0.5 rounded-full inline-flex items-center gap-0.5 shadow-sm shadow-rose-100/10',
-    P1: 'bg-orange-50 text-orange-600 border border-orange-200/60 dark:bg-orange-950/20 dark:text-orange-400 dark:border-orange-800/40 text-[10px] font-bold px-1.5 py-0.5 rounded-full inline-flex items-center gap-0.5 shadow-sm shadow-orange-100/10',
-    P2: 'bg-amber-50 text-amber-600 border border-amber-200/60 dark:bg-amber-950/20 dark:text-amber-400 dark:border-amber-800/40 text-[10px] font-bold px-1.5 py-0.5 rounded-full inline-flex items-center gap-0.5 shadow-sm shadow-amber-100/10',
-    P3: 'bg-slate-50 text-slate-600 border border-slate-200/50 dark:bg-zinc-800/40 dark:text-zinc-400 dark:border-zinc-700/40 text-[10px] font-semibold px-1.5 py-0.5 rounded-full inline-flex items-center gap-0.5',
-    P4: 'bg-slate-100 text-slate-500 border border-slate-200/40 dark:bg-zinc-800/30 dark:text-zinc-500 dark:border-zinc-700/30 text-[10px] font-medium px-1.5 py-0.5 rounded-full inline-flex items-center gap-0.5',
-  };
+    reorderStatuses(newOrder) {
+      const { statusConfig } = get();
 
-  const icons = {
-    P0: (
-      <svg
-        className="w-2.5 h-2.5 fill-current animate-pulse text-rose-500 dark:text-rose-400"
-        viewBox="0 0 24 24"
-      >
-        <path d="M12 2C6.477 2 2 6.477 2 12s4.477 10 10 10 10-4.477 10-10S17.523 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z" />
-      </svg>
-    ),
-    P1: (
-      <svg
-        className="w-2.5 h-2.5 fill-current text-orange-500 dark:text-orange-400"
-        viewBox="0 0 24 24"
-      >
-        <path d="M12 2C6.477 2 2 6.477 2 12s4.477 10 10 10 10-4.477 10-10S17.523 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z" />
-      </svg>
-    ),
-    P2: (
-      <svg
-        className="w-2.5 h-2.5 fill-current text-amber-500 dark:text-amber-400"
-        viewBox="0 0 24 24"
-      >
-        <path d="M12 2C6.477 2 2 6.477 2 12s4.477 10 10 10 10-4.477 10-10S17.523 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z" />
-      </svg>
-    ),
-  };
+      // Validate that newOrder contains all status IDs
+      const currentIds = new Set(statusConfig.statuses.map((s) => s.id));
+      const newIds = new Set(newOrder);
 
-  return (
-    <span className={styles[priority] || styles.P3}>
-      {icons[priority]}
-      {priority}
-    </span>
-  );
-}
+      if (currentIds.size !== newIds.size || ![...currentIds].every((id) => newIds.has(id))) {
+        const error = 'Invalid reorder: must include all current status IDs';
+        console.error(error);
+        return { success: false, error };
+      }
 
-function getTagStyle(tag) {
-  let hash = 0;
-  for (let i = 0; i < tag.length; i++) {
-    hash = tag.charCodeAt(i) + ((hash << 5) - hash);
-  }
-  const colors = [
-    {
-      bg: 'bg-blue-50 text-blue-600 dark:bg-blue-950/20 dark:text-blue-400 border border-blue-100 dark:border-blue-900/30',
+      // Create new statuses array in the specified order
+      const reorderedStatuses = newOrder.map((id, index) => {
+        const status = statusConfig.statuses.find((s) => s.id === id);
+        return { ...status, order: index };
+      });
+
+      set({
+        statusConfig: {
+          ...statusConfig,
+          statuses: reorderedStatuses,
+        },
+      });
+
+      get().persist();
+
+      return { success: true };
     },
-    {
-      bg: 'bg-indigo-50 text-indigo-600 dark:bg-indigo-950/20 dark:text-indigo-400 border border-indigo-100 dark:border-indigo-900/30',
+
+    restoreDefaultStatuses() {
+      get().createSnapshot('action', 'Before restoring default statuses');
+      const { tasks } = get();
+
+      // Get the 8 default statuses
+      const defaultStatusConfig = normalizeStatusConfig(migrateToV2_1({}).statusConfig);
+
+      // Build a mapping of old status IDs to new default status IDs
+      // Strategy: Map to closest matching default status by label similarity
+      const { statusConfig } = get();
+      const statusMapping = {};
+
+      statusConfig.statuses.forEach((currentStatus) => {
+        // Try to find exact match by ID first (for existing default statuses)
+        const exactMatch = defaultStatusConfig.statuses.find((s) => s.id === currentStatus.id);
+        if (exactMatch) {
+          statusMapping[currentStatus.id] = exactMatch.id;
+          return;
+        }
+
+        // Otherwise map to default status (inbox)
+        statusMapping[currentStatus.id] = 'inbox';
+      });
+
+      // Migrate all tasks to default statuses
+      const updatedTasks = tasks.map((t) => ({
+        ...t,
+        status: statusMapping[t.status] || 'inbox',
+        updatedAt: new Date().toISOString(),
+      }));
+
+      // Count how many tasks were migrated
+      const tasksMigrated = tasks.filter((t) => t.status !== statusMapping[t.status]).length;
+
+      set({
+        tasks: updatedTasks,
+        statusConfig: defaultStatusConfig,
+      });
+
+      get().persist();
+
+      return { success: true, tasksMigrated };
     },
-    {
-      bg: 'bg-purple-50 text-purple-600 dark:bg-purple-950/20 dark:text-purple-400 border border-purple-100 dark:border-purple-900/30',
+
+    moveTask(id, status, targetIndex = null) {
+      set((s) => {
+        const allTasks = [...s.tasks];
+        const taskIndex = allTasks.findIndex((t) => t.id === id);
+        if (taskIndex === -1) return s;
+
+        // Copy rather than mutate so history and sync can compare task records
+        const [original] = allTasks.splice(taskIndex, 1);
+        const taskToMove = { ...original, status, updatedAt: new Date().toISOString() };
+
+        // Filter tasks in the target status (excluding our task which is already spliced out)
+        const targetStatusTasks = allTasks.filter((t) => t.status === status);
+
+        let insertIndex;
+        if (targetStatusTasks.length === 0) {
+          insertIndex = allTasks.length;
+        } else if (
+          targetIndex === null ||
+          targetIndex === undefined ||
+          targetIndex >= targetStatusTasks.length
+        ) {
+          // Default to placing at the end of target status lane if no index or out of bounds
+          const lastTask = targetStatusTasks[targetStatusTasks.length - 1];
+          const lastTaskIndex = allTasks.indexOf(lastTask);
+          insertIndex = lastTaskIndex + 1;
+        } else {
+          const referenceTask = targetStatusTasks[targetIndex];
+          insertIndex = allTasks.indexOf(referenceTask);
+        }
+
+        allTasks.splice(insertIndex, 0, taskToMove);
+        return { tasks: allTasks };
+      });
+      get().persist();
     },
-    {
-      bg: 'bg-pink-50 text-pink-600 dark:bg-pink-950/20 dark:text-pink-400 border border-pink-100 dark:border-pink-900/30',
+    reorderTask(id, status, fromIndex, toIndex) {
+      set((s) => {
+        const newTasks = [...s.tasks];
+
+        // Get indices of all tasks in this status
+        const statusTaskIndices = [];
+        newTasks.forEach((task, idx) => {
+          if (task.status === status) {
+            statusTaskIndices.push(idx);
+          }
+        });
+
+        // Get the actual array indices
+        const fromArrayIndex = statusTaskIndices[fromIndex];
+        const toArrayIndex = statusTaskIndices[toIndex];
+
+        if (fromArrayIndex === undefined || toArrayIndex === undefined) return s;
+
+        // Remove task from original position and insert at new position
+        const [taskToMove] = newTasks.splice(fromArrayIndex, 1);
+
+        // Recalculate target index after removal
+        const adjustedToIndex = fromArrayIndex < toArrayIndex ? toArrayIndex - 1 : toArrayIndex;
+        newTasks.splice(adjustedToIndex, 0, taskToMove);
+
+        return { tasks: newTasks };
+      });
+      get().persist();
     },
-    {
-      bg: 'bg-teal-50 text-teal-600 dark:bg-teal-950/20 dark:text-teal-400 border border-teal-100 dark:border-teal-900/30',
+    setTasksForStatus(status, reorderedTasks) {
+      set((s) => {
+        // Get all tasks not in this status
+        // Combine reordered tasks with tasks from other statuses
+        const newTasks = [];
+        let statusTasksAdded = false;
+
+        for (const task of s.tasks) {
+          if (task.status === status) {
+            if (!statusTasksAdded) {
+              // Add all reordered tasks at once
+              newTasks.push(...reorderedTasks);
+              statusTasksAdded = true;
+            }
+            // Skip individual status tasks as we've added them all
+          } else {
+            newTasks.push(task);
+          }
+        }
+
+        return { tasks: newTasks };
+      });
+      get().persist();
     },
-    {
-      bg: 'bg-emerald-50 text-emerald-600 dark:bg-emerald-950/20 dark:text-emerald-400 border border-emerald-100 dark:border-emerald-900/30',
+    setAllTasks(reorderedTasks) {
+      set({ tasks: reorderedTasks });
+      get().persist();
     },
-    {
-      bg: 'bg-cyan-50 text-cyan-600 dark:bg-cyan-950/20 dark:text-cyan-400 border border-cyan-100 dark:border-cyan-900/30',
+    setFilters(patch) {
+      set((s) => ({ filters: { ...s.filters, ...patch } }));
     },
-  ];
-  const index = Math.abs(hash) % colors.length;
-  return colors[index];
-}
-
-function TaskCard({ task }) {
-  const move = useStore((s) => s.moveTask);
-  const stopTimer = useStore((s) => s.stopTimer);
-  const startTimer = useStore((s) => s.startTimer);
-  const toggleSelected = useStore((s) => s.toggleSelected);
-  const selectedIds = useStore((s) => s.selectedIds);
-  const tasks = useStore((s) => s.tasks);
+    toggleFilterValue(key, value) {
+      set((s) => {
+        const values = s.filters[key];
+        return {
+          filters: {
+            ...s.filters,
+            [key]: values.includes(value) ? values.filter((v) => v !== value) : [...values, value],
+          },
+        };
+      });
+    },
+    removeFilterChip(chip) {
+      if (chip.filters) get().setFilters(chip.filters);
+      if ('ownerFilter' in chip) get().setOwnerFilter(chip.ownerFilter);
+    },
+    clearFilters() {
+      set({ filters: DEFAULT_FILTERS, ownerFilter: null });
+    },
+    setProjectScope(scope) {
+      set({ projectScope: normalizeProjectScope(scope) });
+    },
+    // Add or remove a project from the combined board, starting from whatever it shows now
+    toggleProjectInScope(projectId) {
+      const shown = Array.from(getBoardProjectIds(get()));
+      const next = shown.includes(projectId)
+        ? shown.filter((id) => id !== projectId)
+        : [...shown, projectId];
+      if (next.length === 1 && next[0] !== get().currentProjectId) get().switchProject(next[0]);
+      set({ projectScope: normalizeProjectScope(next) });
+    },
+    toggleLaneCollapsed(status) {
+      set((s) => ({
+        collapsedLanes: s.collapsedLanes.includes(status)
+          ? s.collapsedLanes.filter((lane) => lane !== status)
+          : [...s.collapsedLanes, status],
+      }));
+    },
+    toggleLaneScoreSort(status) {
+      set((s) => ({ scoreSortedLanes: toggleId(s.scoreSortedLanes, status) }));
+    },
+    setSwimlaneAxis(swimlaneAxis) {
+      if (!SWIMLANE_AXES.some((axis) => axis.id === swimlaneAxis)) return;
+      set({ swimlaneAxis });
+    },
+    toggleSwimlaneCollapsed(key) {
+      set((s) => ({
+        collapsedSwimlanes: toggleId(s.collapsedSwimlanes, `${s.swimlaneAxis}:${key}`),
+      }));
+    },
+    // Change the attribute behind `axis` so the task moves from one swimlane to another
+    moveTaskToSwimlane(taskId, axis, fromKey, toKey) {
+      const task = get().tasks.find((t) => t.id === taskId);
+      if (!task) return { error: 'Task not found' };
+      if (fromKey === toKey) return { success: true };
+      switch (axis) {
+        case 'owner': {
+          if (toKey === NO_SWIMLANE) {
+            get().removeOwnerFromTask(taskId, fromKey);
+          } else if (task.owners.length <= 1) {
+            get().transferTaskOwnership(taskId, toKey);
+          } else {
+            const owners = task.owners.filter((owner) => owner !== fromKey);
+            return get().setTaskOwners(taskId, [...owners, toKey]);
+          }
+          return { success: true };
+        }
+        case 'priority':
+          if (get().autoPriorityFromScore && hasScoreRatings(task)) {
+            return { error: 'Priority follows the score while auto-priority is on' };
+          }
+          get().updateTask(taskId, { priorityBucket: toKey });
+          return { success: true };
+        case 'tag': {
+          const tags = task.tags.filter((tag) => tag !== fromKey);
+          if (toKey !== NO_SWIMLANE && !tags.includes(toKey)) tags.push(toKey);
+          get().updateTask(taskId, { tags });
+          return { success: true };
+        }
+        case 'project': {
+          // Subtasks follow their parent into the other project
+          const ids = [taskId, ...getChildTasks(get().tasks, taskId).map((t) => t.id)];
+          return get().moveTasksToProject(ids, toKey);
+        }
+        case 'parent': {
+          if (fromKey === taskId || getChildTasks(get().tasks, taskId).length > 0) {
+            return { error: 'A task with subtasks cannot become a subtask' };
+          }
+          if (toKey === NO_SWIMLANE) {
+            get().updateTask(taskId, { parentTaskId: null });
+            return { success: true };
+          }
+          const parent = get().tasks.find((t) => t.id === toKey);
+          if (!parent || parent.parentTaskId) return { error: 'Parent task not found' };
+          get().updateTask(taskId, { parentTaskId: parent.id, projectId: parent.projectId });
+          return { success: true };
+        }
+        default:
+          return { error: 'Unknown swimlane' };
+      }
+    },
+    moveTaskToQuadrant(taskId, quadrantId) {
+      const task = get().tasks.find((t) => t.id === taskId);
+      if (!task) return { error: 'Task not found' };
+      const patch = getQuadrantPatch(task, quadrantId, {
+        autoPriority: get().autoPriorityFromScore && hasScoreRatings(task),
+      });
+      if (!patch) return { error: 'Unknown quadrant' };
+      get().updateTask(taskId, patch);
+      return { success: true };
+    },
+    // One inbox decision: quadrant, then status (anything but Inbox), then an
+    // optional owner that replaces the current ones
+    triageTask(taskId, { quadrant, status, owner = null }) {
+      const task = get().tasks.find((t) => t.id === taskId);
+      if (!task) return { error: 'Task not found' };
+      if (quadrant && !MATRIX_QUADRANTS.some((q) => q.id === quadrant)) {
+        return { error: 'Unknown quadrant' };
+      }
+      if (status === 'inbox' || !get().getStatusOrder().includes(status)) {
+        return { error: 'Pick a status other than Inbox' };
+      }
+      if (owner) {
+        const result = get().setTaskOwners(taskId, [owner]);
+        if (result.error) return result;
+      }
+      if (quadrant) get().moveTaskToQuadrant(taskId, quadrant);
+      get().moveTask(taskId, status);
+      return { success: true };
+    },
+    setViewMode(viewMode) {
+      if (!VIEW_MODES.some((mode) => mode.id === viewMode)) return;
+      set({ viewMode });
+    },
+    applyView(view) {
+      const {
+        viewMode,
+        filters,
+        ownerFilter,
+        projectId,
+        projectScope,
+        swimlaneAxis,
+        collapsedLanes,
+        scoreSortedLanes,
+      } = normalizeSavedView(view);
+      set({
+        viewMode,
+        filters,
+        ownerFilter,
+        projectScope,
+        swimlaneAxis,
+        collapsedLanes,
+        scoreSortedLanes,
+      });
+      // Views of a since-deleted project still apply their filters here
+      if (projectId && get().projects.some((p) => p.id === projectId)) {
+        get().switchProject(projectId);
+      }
+    },
+    // Saving under an existing name (any case) replaces that view
+    saveView(name) {
+      const trimmed = String(name || '').trim();
+      if (!trimmed) return { error: 'View name is required' };
+      if (trimmed.length > VIEW_NAME_MAX_LENGTH) {
+        return { error: `View name must be ${VIEW_NAME_MAX_LENGTH} characters or less` };
+      }
+      const existing = get().savedViews.find(
+        (view) => view.name.toLowerCase() === trimmed.toLowerCase(),
+      );
+      const view = { ...captureView(get()), id: existing?.id ?? uid(), name: trimmed };
+      set((s) => ({
+        savedViews: existing
+          ? s.savedViews.map((v) => (v.id === view.id ? view : v))
+          : [...s.savedViews, view],
+      }));
+      get().persist();
+      return { success: true, viewId: view.id, replaced: !!existing };
+    },
+    deleteView(viewId) {
+      if (!get().savedViews.some((view) => view.id === viewId)) {
+        return { error: 'View not found' };
+      }
+      set((s) => ({ savedViews: s.savedViews.filter((view) => view.id !== viewId) }));
+      get().persist();
+      return { success: true };
+    },
+    // Mirror the live view into the URL hash and follow hash edits, so a copied
+    // link reopens the same board slice. Returns a stop function like startSync().
+    startViewHashSync() {
+      if (typeof window === 'undefined') return () => {};
+      const applyHash = () => {
+        const view = decodeViewHash(window.location.hash);
+        if (view) get().applyView(view);
+      };
+      const writeHash = (state) => {
+        const hash = encodeViewHash(captureView(state));
+        if (hash === window.location.hash.replace(/^#/, '')) return;
+        const { pathname, search } = window.location;
+        window.history.replaceState(null, '', `${pathname}${search}${hash ? `#${hash}` : ''}`);
+      };
+      applyHash();
+      writeHash(get());
+      const unsubscribe = useStore.subscribe(writeHash);
+      window.addEventListener('hashchange', applyHash);
+      return () => {
+        unsubscribe();
+        window.removeEventListener('hashchange', applyHash);
+      };
+    },
+    // Start an empty plan once the plan day has rolled over. Runs on load and
+    // every minute; returns true when the plan was reset.
+    rollMyDay(now = new Date()) {
+      const { key } = getPlanDay(now, get().myDayResetHour);
+      if (get().myDay.date === key) return false;
+      set({ myDay: { ...EMPTY_MY_DAY, date: key } });
+      get().persist();
+      return true;
+    },
+    addToMyDay(taskId) {
+      get().rollMyDay();
+      if (!get().tasks.some((task) => task.id === taskId)) return { error: 'Task not found' };
+      if (get().myDay.taskIds.includes(taskId)) return { success: true };
+      set((s) => ({ myDay: { ...s.myDay, taskIds: [...s.myDay.taskIds, taskId] } }));
+      get().persist();
+      return { success: true };
+    },
+    removeFromMyDay(taskId) {
+      get().rollMyDay();
+      set((s) => ({
+        myDay: {
+          ...s.myDay,
+          taskIds: s.myDay.taskIds.filter((id) => id !== taskId),
+          order: s.myDay.order.filter((id) => id !== taskId),
+        },
+      }));
+      get().persist();
+    },
+    // `taskIds` is the whole plan in its new order
+    setMyDayOrder(taskIds) {
+      get().rollMyDay();
+      set((s) => ({ myDay: { ...s.myDay, order: Array.from(new Set(taskIds)) } }));
+      get().persist();
+    },
+    finishMyDayPlanning() {
+      get().rollMyDay();
+      set((s) => ({ myDay: { ...s.myDay, plannedAt: new Date().toISOString() } }));
+      get().persist();
+    },
+    setOwnerFilter(ownerName) {
+      set({ ownerFilter: ownerName });
+    },
+    startTimer(id) {
+      set((s) => ({
+        tasks: s.tasks.map((t) =>
+          t.id === id
+            ? {
+                ...t,
+                timerStartedAt: new Date().toISOString(),
+                status: 'in_progress',
+              }
+            : t,
+        ),
+      }));
+      get().persist();
+    },
+    stopTimer(id) {
+      set((s) => ({
+        tasks: s.tasks.map((t) => {
+          if (t.id !== id) return t;
+          const now = new Date();
+          const started = t.timerStartedAt ? new Date(t.timerStartedAt) : null;
+          const add = started ? Math.floor((now - started) / 1000) : 0;
+          const newStatus = s.autoReturnOnStop && t.status === 'in_progress' ? 'ready' : t.status;
+          return {
+            ...t,
+            timeLogSecs: (t.timeLogSecs || 0) + add,
+            timerStartedAt: null,
+            status: newStatus,
+          };
+        }),
+      }));
+      get().persist();
+    },
+
+    // Drag helpers
+    setDraggingId(id) {
+      set({ draggingId: id });
+    },
+    setDragHoverStatus(status, swimlane = null) {
+      set({ dragHoverStatus: status, dragHoverSwimlane: swimlane });
+    },
+    setLastDragCheck(timestamp) {
+      set({ lastDragCheck: timestamp });
+    },
+    clearDrag() {
+      set({
+        draggingId: null,
+        dragHoverStatus: null,
+        dragHoverSwimlane: null,
+        lastDragCheck: null,
+      });
+    },
+
+    // Project management actions
+    createProject(name) {
+      const trimmedName = name.trim();
+      if (!trimmedName || trimmedName.length > 15) {
+        return { error: 'Project name must be 1-15 characters' };
+      }
+
+      const { projects } = get();
+      if (projects.some((p) => p.name.toLowerCase() === trimmedName.toLowerCase())) {
+        return { error: 'Project name already exists' };
+      }
+
+      const newProject = {
+        id: `proj_${Date.now()}`,
+        name: trimmedName,
+        color: generateProjectColor(projects.length),
+        isDefault: false,
+        createdAt: Date.now(),
+      };
+
+      set((s) => ({ projects: [...s.projects, newProject] }));
+      get().persist();
+      return { success: true, projectId: newProject.id };
+    },
+
+    deleteProject(projectId) {
+      const { projects, tasks, currentProjectId, pinnedProjectId } = get();
+      const project = projects.find((p) => p.id === projectId);
+
+      if (!project || project.isDefault) {
+        return { error: 'Cannot delete this project' };
+      }
+      get().createSnapshot('action', `Before deleting project "${project.name}"`);
+
+      // Delete all tasks in this project
+      const deletedIds = new Set(tasks.filter((t) => t.projectId === projectId).map((t) => t.id));
+      const remainingTasks = removeTasks(tasks, deletedIds);
+
+      // Switch to default if deleting current project
+      const newCurrentId = currentProjectId === projectId ? 'default' : currentProjectId;
+
+      set({
+        projects: projects.filter((p) => p.id !== projectId),
+        tasks: remainingTasks,
+        myDay: pruneMyDay(get().myDay, (taskId) => !deletedIds.has(taskId)),
+        currentProjectId: newCurrentId,
+        pinnedProjectId: pinnedProjectId === projectId ? null : pinnedProjectId,
+      });
+      get().persist();
+      return { success: true };
+    },
+
+    renameProject(projectId, newName) {
+      const trimmedName = newName.trim();
+      if (!trimmedName || trimmedName.length > 15) {
+        return { error: 'Project name must be 1-15 characters' };
+      }
+
+      const { projects } = get();
+      const project = projects.find((p) => p.id === projectId);
+
+      if (!project || project.isDefault) {
+        return { error: 'Cannot rename this project' };
+      }
+
+      if (
+        projects.some(
+          (p) => p.id !== projectId && p.name.toLowerCase() === trimmedName.toLowerCase(),
+        )
+      ) {
+        return { error: 'Project name already exists' };
+      }
+
+      set((s) => ({
+        projects: s.projects.map((p) => (p.id === projectId ? { ...p, name: trimmedName } : p)),
+      }));
+      get().persist();
+      return { success: true };
+    },
+
+    reorderProjects(orderedProjectIds) {
+      const { projects } = get();
+      const reordered = orderedProjectIds
+        .map((id) => projects.find((p) => p.id === id))
+        .filter(Boolean);
+      // Add any projects that weren't in the ordered list (shouldn't happen but safe)
+      const missingProjects = projects.filter((p) => !orderedProjectIds.includes(p.id));
+      set({ projects: [...reordered, ...missingProjects] });
+      get().persist();
+      return { success: true };
+    },
+
+    switchProject(projectId) {
+      const { projects, currentProjectId } = get();
+
+      // Early return if switching to the same project
+      if (currentProjectId === projectId) {
+        return { success: true };
+      }
+
+      if (!projects.some((p) => p.id === projectId)) {
+        return { error: 'Project not found' };
+      }
+
+      set({ currentProjectId: projectId });
+      get().persist();
+      return { success: true };
+    },
+
+    togglePinProject(projectId) {
+      const { projects, pinnedProjectId } = get();
+      if (!projects.some((p) => p.id === projectId)) {
+        return { error: 'Project not found' };
+      }
+      set({ pinnedProjectId: pinnedProjectId === projectId ? null : projectId });
+      get().persist();
+      return { success: true, pinned: get().pinnedProjectId === projectId };
+    },
+
+    moveTasksToProject(taskIds, targetProjectId) {
+      const { projects } = get();
+      if (!projects.some((p) => p.id === targetProjectId)) {
+        return { error: 'Target project not found' };
+      }
+
+      if (!taskIds || taskIds.length === 0) {
+        return { error: 'No tasks selected' };
+      }
+
+      set((s) => ({
+        tasks: s.tasks.map((t) =>
+          taskIds.includes(t.id)
+            ? { ...t, projectId: targetProjectId, updatedAt: new Date().toISOString() }
+            : t,
+        ),
+      }));
+      get().persist();
+      return { success: true, movedCount: taskIds.length };
+    },
+
+    // Get tasks in the projects the board shows
+    getVisibleTasks() {
+      const projectIds = getBoardProjectIds(get());
+      return get().tasks.filter((t) => projectIds.has(t.projectId));
+    },
+
+    // Get task count for a project
+    getProjectTaskCount(projectId) {
+      const { tasks } = get();
+      return tasks.filter((t) => t.projectId === projectId).length;
+    },
+
+    // Owner-related computed values
+    getTasksByOwner(ownerName) {
+      const { tasks } = get();
+      return tasks.filter((t) => t.owners.includes(ownerName));
+    },
+
+    getUniqueOwners() {
+      const { tasks } = get();
+      const owners = new Set();
+      tasks.forEach((t) => {
+        t.owners.forEach((owner) => owners.add(owner));
+      });
+      return Array.from(owners).sort();
+    },
+
+    getUnownedTasks() {
+      const { tasks } = get();
+      return tasks.filter((t) => t.owners.length === 0);
+    },
+
+    // Check if timer is active in other projects
+    hasActiveTimerInOtherProject() {
+      const { tasks, currentProjectId } = get();
+      return tasks.some((t) => t.projectId !== currentProjectId && t.timerStartedAt);
+    },
+
+    // Get project with active timer
+    getProjectWithActiveTimer() {
+      const { tasks, projects } = get();
+      const taskWithTimer = tasks.find((t) => t.timerStartedAt);
+      if (taskWithTimer) {
+        return projects.find((p) => p.id === taskWithTimer.projectId);
+      }
+      return null;
+    },
+
+    // Clear all tasks in the current project
+    clearCurrentProject() {
+      const { tasks, currentProjectId } = get();
+      const deletedIds = new Set(
+        tasks.filter((t) => t.projectId === currentProjectId).map((t) => t.id),
+      );
+      const remainingTasks = removeTasks(tasks, deletedIds);
+      if (remainingTasks.length !== tasks.length) {
+        const project = get().projects.find((p) => p.id === currentProjectId);
+        get().createSnapshot('action', `Before clearing project "${project?.name ?? 'Default'}"`);
+      }
+      set({
+        tasks: remainingTasks,
+        myDay: pruneMyDay(get().myDay, (taskId) => !deletedIds.has(taskId)),
+      });
+      get().persist();
+      return { success: true, deletedCount: tasks.length - remainingTasks.length };
+    },
+  })),
+);
+
+// ----- Project Components -----
+
+function ProjectSelector() {
   const projects = useStore((s) => s.projects);
   const currentProjectId = useStore((s) => s.currentProjectId);
-  const lastAddedTaskId = useStore((s) => s.lastAddedTaskId);
-  const [open, setOpen] = useState(false);
-  const overdue = task.dueAt ? isBefore(new Date(task.dueAt), new Date()) : false;
-  const isNewlyAdded = lastAddedTaskId === task.id;
+  const pinnedProjectId = useStore((s) => s.pinnedProjectId);
+  const switchProject = useStore((s) => s.switchProject);
+  const hasActiveTimerInOther = useStore((s) => s.hasActiveTimerInOtherProject);
+  const getProjectWithTimer = useStore((s) => s.getProjectWithActiveTimer);
+  const getProjectTaskCount = useStore((s) => s.getProjectTaskCount);
+  const projectScope = useStore((s) => s.projectScope);
+  const setProjectScope = useStore((s) => s.setProjectScope);
+  const toggleProjectInScope = useStore((s) => s.toggleProjectInScope);
+  const boardProjectIds = getBoardProjectIds({ projects, currentProjectId, projectScope });
+  const isCombined = projectScope !== 'current';
 
-  const taskProject = projects.find((p) => p.id === task.projectId);
+  const [isOpen, setIsOpen] = useState(false);
+  const [showManager, setShowManager] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const dropdownRef = useRef(null);
 
-  // Live ticker for running tasks
-  const [, setTick] = useState(0);
+  // Click outside to close
   useEffect(() => {
-    if (!task.timerStartedAt) return;
-    const id = setInterval(() => setTick((t) => t + 1), 1000);
-    return () => clearInterval(id);
-  }, [task.timerStartedAt]);
+    const handleClickOutside = (e) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
 
-  const elapsedSecs = computeElapsedSecs(task);
-  const elapsedLabel = formatDurationShort(elapsedSecs);
-  const isRunning = !!task.timerStartedAt;
-  const isSelected = selectedIds.includes(task.id);
-  const childTasks = getChildTasks(tasks, task.id);
-  const parentTask = getParentTask(tasks, task);
-  const accentColor =
-    task.groupColor ||
-    parentTask?.groupColor ||
-    (childTasks.length > 0 ? pickTaskGroupColor(task.id) : null);
-  const isSubtask = !!task.parentTaskId;
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
 
-  // Only show the priority accent bar when there's no group/accent color
-  const hasGroupColor = !!accentColor;
-  const priorityAccentClass = hasGroupColor ? null : getPriorityAccentClass(task.priorityBucket);
+  // Keyboard shortcuts
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Cmd/Ctrl + K for project search
+      if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
+        e.preventDefault();
+        setIsOpen(true);
+        setSearchQuery('');
+      }
+      // Cmd/Ctrl + Shift + N for new project
+      if ((e.metaKey || e.ctrlKey) && e.shiftKey && e.key === 'N') {
+        e.preventDefault();
+        setShowManager(true);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const currentProject = projects.find((p) => p.id === currentProjectId) || projects[0];
+  const timerProject = getProjectWithTimer();
+
+  const handleProjectSwitch = (projectId) => {
+    setProjectScope('current');
+    switchProject(projectId);
+    setIsOpen(false);
+  };
+
+  const handleTimerJump = () => {
+    if (timerProject && timerProject.id !== currentProjectId) {
+      switchProject(timerProject.id);
+    }
+  };
 
   return (
-    <motion.div
-      layout
-      drag
-      dragSnapToOrigin
-      data-task-id={task.id}
-      initial={isNewlyAdded ? { scale: 0.95, opacity: 0.7 } : false}
-      animate={isNewlyAdded ? { scale: 1, opacity: 1 } : undefined}
-      transition={isNewlyAdded ? { duration: 0.3 } : undefined}
-      whileDrag={{ scale: 1.03, zIndex: 60, cursor: 'grabbing' }}
-      onDragStart={() => {
-        // Body class (not React state) so drag start causes no re-render,
-        // which would reset the in-flight drag transform on layout cards.
-        document.body.classList.add('board-dragging');
-        useStore.getState().setDraggingId(task.id);
-      }}
-      onDrag={(e, info) => {
-        const now = Date.now();
-        if (!useStore.getState().lastDragCheck || now - useStore.getState().lastDragCheck > 100) {
-          const status = getStatusFromPoint(info.point.x, info.point.y);
-          useStore.getState().setDragHoverStatus(status);
-          useStore.getState().setLastDragCheck(now);
-        }
-      }}
-      onDragEnd={(e, info) => {
-        document.body.classList.remove('board-dragging');
-        const status = getStatusFromPoint(info.point.x, info.point.y);
-        if (status) {
-          const targetIndex = getTaskDropTargetIndex(status, info.point.x, info.point.y, task.id);
-          move(task.id, status, targetIndex);
-        }
-        useStore.getState().clearDrag();
-      }}
-      className={clsx(
-        // transition must NOT include transform: framer-motion drives drag via
-        // transform each frame, and a CSS transition on it makes the card lag
-        // behind the pointer instead of following it.
-        // overflow-hidden clips the straight accent bar to the rounded corners;
-        // without it the bar's square ends poke out through the corner radius.
+    <>
+      <div className="relative" ref={dropdownRef}>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white dark:bg-zinc-900 border border-slate-200/80 dark:border-zinc-800 hover:bg-slate-50 dark:hover:bg-zinc-800/50 transition-colors text-sm"
+          aria-haspopup="listbox"
+          aria-expanded={isOpen}
+        >
+          {isCombined ? (
+            <>
+              <Layers className="w-4 h-4 text-slate-500 dark:text-zinc-400" />
+              <span className="flex -space-x-0.5">
+                {projects
+                  .filter((p) => boardProjectIds.has(p.id))
+                  .slice(0, 5)
+                  .map((p) => (
+                    <span
+                      key={p.id}
+                      className="w-2 h-2 rounded-full ring-1 ring-white dark:ring-zinc-900"
+                      style={{ backgroundColor: p.color }}
+                    />
+                  ))}
+              </span>
+              <span className="font-medium text-slate-700 dark:text-zinc-300">
+                {projectScope === 'all' ? 'All projects' : `${boardProjectIds.size} projects`}
+              </span>
+            </>
+          ) : (
+            <>
+              <span
+                className="w-2 h-2 rounded-full"
+                style={{ backgroundColor: currentProject.color }}
+              />
+              <span className="font-medium text-slate-700 dark:text-zinc-300">
+                {currentProject.name}
+              </span>
+            </>
+          )}
+          <ChevronDown className="w-4 h-4 text-slate-400" />
+          {hasActiveTimerInOther() && (
+            <button
+              className="absolute -top-1 -right-1 w-3 h-3 bg-orange-500 rounded-full animate-pulse cursor-pointer"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleTimerJump();
+              }}
+              title={`Timer active in ${timerProject?.name}`}
+              aria-label={`Timer active in ${timerProject?.name}`}
+            />
+          )}
+        </button>
+
+        <AnimatePresence>
+          {isOpen && (
+            <>
+              {/* Mobile overlay backdrop */}
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                exit={{ opacity: 0 }}
+                className="md:hidden fixed inset-0 bg-black/50 z-[90]"
+                onClick={() => setIsOpen(false)}
+              />
+              <motion.div
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -10 }}
+                transition={{ duration: 0.2 }}
+                className="absolute md:top-full top-0 md:mt-2 mt-0 w-full md:w-72 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 md:rounded-xl shadow-xl border border-slate-200/80 dark:border-zinc-800 z-[100] md:left-0 left-0 md:right-auto right-0 md:max-h-96 max-h-screen overflow-auto"
+              >
+                <div className="p-3">
+                  <div className="flex items-center justify-between px-2 py-1.5 text-xs font-semibold text-slate-500 dark:text-zinc-400 uppercase tracking-wide">
+                    <span>Projects</span>
+                    <button
+                      onClick={() => {
+                        setShowManager(true);
+                        setIsOpen(false);
+                      }}
+                      className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+                      title="Manage Projects"
+                    >
+                      <svg
+                        className="w-3 h-3"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"
+                        />
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
+                        />
+                      </svg>
+                    </button>
+                  </div>
+                  {projects.length > 10 && (
+                    <div className="px-2 pb-2">
+                      <input
+                        type="text"
+                        placeholder="Search projects..."
+                        value={searchQuery}
+                        onChange={(e) => setSearchQuery(e.target.value)}
+                        className="w-full px-2 py-1 text-sm border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500"
+                      />
+                    </div>
+                  )}
+                  <button
+                    onClick={() => {
+                      setProjectScope('all');
+                      setIsOpen(false);
+                    }}
+                    className={clsx(
+                      'w-full text-left px-3 py-2 rounded hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors flex items-center gap-2',
+                      projectScope === 'all' && 'bg-slate-100 dark:bg-zinc-800/70',
+                    )}
+                  >
+                    <Layers className="w-3.5 h-3.5 text-slate-500 dark:text-zinc-400" />
+                    <span
+                      className={clsx(
+                        'font-medium',
+                        projectScope === 'all' && 'text-blue-600 dark:text-blue-400',
+                      )}
+                    >
+                      All projects
+                    </span>
+                    <span className="ml-auto text-xs text-slate-500 dark:text-zinc-400">
+                      Combined board
+                    </span>
+                  </button>
+                  {projects
+                    .filter(
+                      (p) =>
+                        !searchQuery || p.name.toLowerCase().includes(searchQuery.toLowerCase()),
+                    )
+                    .map((project) => {
+                      const taskCount = getProjectTaskCount(project.id);
+                      const isActive = isCombined
+                        ? boardProjectIds.has(project.id)
+                        : project.id === currentProjectId;
+                      return (
+                        <div key={project.id} className="flex items-center gap-1">
+                          <button
+                            onClick={() => toggleProjectInScope(project.id)}
+                            role="checkbox"
+                            aria-checked={boardProjectIds.has(project.id)}
+                            aria-label={`Show ${project.name} on the combined board`}
+                            title="Show on the combined board"
+                            className={clsx(
+                              'ml-1 w-4 h-4 shrink-0 rounded border flex items-center justify-center transition-colors',
+                              boardProjectIds.has(project.id)
+                                ? 'bg-blue-600 border-blue-600 text-white'
+                                : 'border-slate-300 dark:border-zinc-600 hover:border-blue-400',
+                            )}
+                          >
+                            {boardProjectIds.has(project.id) && <Check className="w-3 h-3" />}
+                          </button>
+                          <button
+                            onClick={() => handleProjectSwitch(project.id)}
+                            className={clsx(
+                              'flex-1 min-w-0 text-left px-3 py-2 rounded hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors',
+                              isActive && 'bg-slate-100 dark:bg-zinc-800/70',
+                            )}
+                          >
+                            <div className="flex items-center justify-between">
+                              <div className="flex items-center gap-2">
+                                <span
+                                  className="w-2 h-2 rounded-full"
+                                  style={{ backgroundColor: project.color }}
+                                />
+                                <span
+                                  className={clsx(
+                                    'font-medium',
+                                    isActive && 'text-blue-600 dark:text-blue-400',
+                                  )}
+                                >
+                                  {project.name}
+                                </span>
+                                {project.id === pinnedProjectId && (
+                                  <Pin className="w-3 h-3 text-amber-500 fill-current" />
+                                )}
+                              </div>
+                              <span className="text-xs text-slate-500 dark:text-zinc-400">
+                                {taskCount} {taskCount === 1 ? 'task' : 'tasks'}
+                              </span>
+                            </div>
+                          </button>
+                        </div>
+                      );
+                    })}
+                </div>
+              </motion.div>
+            </>
+          )}
+        </AnimatePresence>
+      </div>
+
+      {showManager && <ProjectManager onClose={() => setShowManager(false)} />}
+    </>
+  );
+}
+
+function ProjectManager({ onClose }) {
+  const projects = useStore((s) => s.projects);
+  const currentProjectId = useStore((s) => s.currentProjectId);
+  const pinnedProjectId = useStore((s) => s.pinnedProjectId);
+  const createProject = useStore((s) => s.createProject);
+  const deleteProject = useStore((s) => s.deleteProject);
+  const renameProject = useStore((s) => s.renameProject);
+  const reorderProjects = useStore((s) => s.reorderProjects);
+  const togglePinProject = useStore((s) => s.togglePinProject);
+  const getProjectTaskCount = useStore((s) => s.getProjectTaskCount);
+
+  const [newProjectName, setNewProjectName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [error, setError] = useState('');
+  const [deleteConfirmId, setDeleteConfirmId] = useState(null);
+  const [draggedProject, setDraggedProject] = useState(null);
+  const [dragOverIndex, setDragOverIndex] = useState(null);
+  const editInputRef = useRef(null);
+
+  useEffect(() => {
+    if (editingId && editInputRef.current) {
+      editInputRef.current.focus();
+    }
+  }, [editingId]);
+
+  const handleCreateProject = (e) => {
+    e.preventDefault();
+    const result = createProject(newProjectName);
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setNewProjectName('');
+      setError('');
+    }
+  };
+
+  const handleRename = (projectId) => {
+    const result = renameProject(projectId, editingName);
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setEditingId(null);
+      setError('');
+    }
+  };
+
+  const handleDelete = (projectId) => {
+    const result = deleteProject(projectId);
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setDeleteConfirmId(null);
+      setError('');
+    }
+  };
+
+  const handleDragStart = (e, project, index) => {
+    setDraggedProject({ project, index });
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDragOverIndex(index);
+  };
+
+  const handleDrop = (e, dropIndex) => {
+    e.preventDefault();
+    if (draggedProject && draggedProject.index !== dropIndex) {
+      const newProjects = [...projects];
+      const [movedProject] = newProjects.splice(draggedProject.index, 1);
+      newProjects.splice(dropIndex, 0, movedProject);
+      reorderProjects(newProjects.map((p) => p.id));
+    }
+    setDraggedProject(null);
+    setDragOverIndex(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedProject(null);
+    setDragOverIndex(null);
+  };
+
+  return ReactDOM.createPortal(
+    <div
+      className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') onClose();
+      }}
+      role="button"
+      tabIndex={0}
+      aria-label="Close manager"
+    >
+      <div
+        className="bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-auto relative z-[201] border border-slate-200 dark:border-zinc-800"
+        onClick={(e) => e.stopPropagation()}
+        role="presentation"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800">
+          <h2 className="text-lg font-semibold">Manage Projects</h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4">
+          {error && (
+            <div className="mb-4 p-2 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-sm">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleCreateProject} className="mb-4">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newProjectName}
+                onChange={(e) => setNewProjectName(e.target.value)}
+                placeholder="New project name"
+                className="flex-1 px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500 outline-none transition-all"
+                maxLength={15}
+              />
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Create
+              </button>
+            </div>
+          </form>
+
+          <div className="space-y-2">
+            {projects.map((project, index) => {
+              const taskCount = getProjectTaskCount(project.id);
+              const isEditing = editingId === project.id;
+              const isDeleting = deleteConfirmId === project.id;
+
+              // Calculate project statistics
+              const tasks = useStore.getState().tasks.filter((t) => t.projectId === project.id);
+              const completionStatuses = useStore.getState().getCompletionStatuses();
+              const completionIds = new Set(completionStatuses.map((status) => status.id));
+              const completedCount = tasks.filter((t) => completionIds.has(t.status)).length;
+              const completionRate =
+                taskCount > 0 ? Math.round((completedCount / taskCount) * 100) : 0;
+
+              return (
+                <motion.div
+                  key={project.id}
+                  draggable={!project.isDefault && !isEditing && !isDeleting}
+                  onDragStart={(e) => handleDragStart(e, project, index)}
+                  onDragOver={(e) => handleDragOver(e, index)}
+                  onDrop={(e) => handleDrop(e, index)}
+                  onDragEnd={handleDragEnd}
+                  className={clsx(
+                    'flex items-center justify-between p-3 rounded-lg transition-colors relative group border',
+                    dragOverIndex === index
+                      ? 'bg-blue-100/50 dark:bg-blue-950/40 border-blue-200 dark:border-blue-900/40'
+                      : 'bg-slate-50 dark:bg-zinc-800/40 border-transparent dark:border-zinc-800/80',
+                    !project.isDefault && 'cursor-move',
+                  )}
+                  animate={{
+                    opacity: draggedProject?.project.id === project.id ? 0.5 : 1,
+                  }}
+                >
+                  {!project.isDefault && (
+                    <div className="absolute left-1 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-50 transition-opacity pointer-events-none">
+                      <svg className="w-4 h-4 text-slate-400" fill="none" viewBox="0 0 24 24">
+                        <path
+                          d="M3 6h18M3 12h18M3 18h18"
+                          stroke="currentColor"
+                          strokeWidth="2"
+                          strokeLinecap="round"
+                        />
+                      </svg>
+                    </div>
+                  )}
+                  <div className="flex items-center gap-2 flex-1 ml-6">
+                    <button
+                      onClick={() => togglePinProject(project.id)}
+                      className={clsx(
+                        'p-1 rounded transition-colors shrink-0',
+                        project.id === pinnedProjectId
+                          ? 'text-amber-500 hover:bg-amber-100 dark:hover:bg-amber-900/30'
+                          : 'text-slate-400 hover:bg-gray-200 dark:hover:bg-zinc-800',
+                      )}
+                      title={
+                        project.id === pinnedProjectId
+                          ? 'Unpin project'
+                          : 'Pin project (always opens on refresh)'
+                      }
+                    >
+                      <Pin
+                        className={clsx(
+                          'w-4 h-4',
+                          project.id === pinnedProjectId && 'fill-current',
+                        )}
+                      />
+                    </button>
+                    <span
+                      className="w-3 h-3 rounded-full"
+                      style={{ backgroundColor: project.color }}
+                    />
+                    {isEditing ? (
+                      <input
+                        ref={editInputRef}
+                        type="text"
+                        value={editingName}
+                        onChange={(e) => setEditingName(e.target.value)}
+                        onBlur={() => handleRename(project.id)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') handleRename(project.id);
+                          if (e.key === 'Escape') setEditingId(null);
+                        }}
+                        className="flex-1 px-2 py-1 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500 outline-none"
+                        maxLength={15}
+                      />
+                    ) : (
+                      <span className="font-medium text-slate-900 dark:text-zinc-100">
+                        {project.name}
+                        {project.id === currentProjectId && (
+                          <span className="ml-2 text-xs text-blue-600 dark:text-blue-400">
+                            (current)
+                          </span>
+                        )}
+                        {project.id === pinnedProjectId && (
+                          <span className="ml-2 text-xs text-amber-600 dark:text-amber-400">
+                            (pinned)
+                          </span>
+                        )}
+                      </span>
+                    )}
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <div className="flex flex-col items-end">
+                      <span className="text-sm text-slate-500 dark:text-zinc-400">
+                        {taskCount} tasks
+                      </span>
+                      {taskCount > 0 && (
+                        <div className="flex items-center gap-1">
+                          <span className="text-xs text-slate-400">{completionRate}% done</span>
+                          <div className="w-12 h-1.5 bg-slate-200 dark:bg-zinc-800 rounded-full overflow-hidden">
+                            <div
+                              className="h-full bg-green-500 transition-all duration-300"
+                              style={{ width: `${completionRate}%` }}
+                            />
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                    {!project.isDefault && (
+                      <>
+                        <button
+                          onClick={() => {
+                            setEditingId(project.id);
+                            setEditingName(project.name);
+                          }}
+                          className="p-1 hover:bg-gray-200 dark:hover:bg-zinc-800 rounded transition-colors"
+                          title="Rename"
+                        >
+                          <svg
+                            className="w-4 h-4"
+                            fill="none"
+                            stroke="currentColor"
+                            viewBox="0 0 24 24"
+                          >
+                            <path
+                              strokeLinecap="round"
+                              strokeLinejoin="round"
+                              strokeWidth={2}
+                              d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"
+                            />
+                          </svg>
+                        </button>
+                        {isDeleting ? (
+                          <div className="flex gap-1">
+                            <button
+                              onClick={() => handleDelete(project.id)}
+                              className="px-2 py-1 text-xs bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+                            >
+                              Delete {taskCount} tasks?
+                            </button>
+                            <button
+                              onClick={() => setDeleteConfirmId(null)}
+                              className="px-2 py-1 text-xs bg-slate-200 dark:bg-zinc-800 rounded hover:bg-slate-300 dark:hover:bg-zinc-700 text-slate-900 dark:text-zinc-100 transition-colors"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        ) : (
+                          <button
+                            onClick={() => setDeleteConfirmId(project.id)}
+                            className="p-1 hover:bg-red-100 dark:hover:bg-red-950/40 rounded text-red-600 dark:text-red-400 transition-colors"
+                            title="Delete"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
+                </motion.div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+function WorkflowSettingsModal({ onClose }) {
+  const statuses = useStore((s) => s.getStatuses());
+  const createStatus = useStore((s) => s.createStatus);
+  const updateStatus = useStore((s) => s.updateStatus);
+  const deleteStatus = useStore((s) => s.deleteStatus);
+  const reorderStatuses = useStore((s) => s.reorderStatuses);
+  const restoreDefaultStatuses = useStore((s) => s.restoreDefaultStatuses);
+  const getTasksForStatus = useStore((s) => s.getTasksForStatus);
+  const canDeleteStatus = useStore((s) => s.canDeleteStatus);
+
+  const [newStatusLabel, setNewStatusLabel] = useState('');
+  const [newStatusDesc, setNewStatusDesc] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingLabel, setEditingLabel] = useState('');
+  const [editingDesc, setEditingDesc] = useState('');
+  const [error, setError] = useState('');
+  const [deleteConfirmId, setDeleteConfirmId] = useState(null);
+  const [migrateToId, setMigrateToId] = useState('');
+  const [restoreConfirm, setRestoreConfirm] = useState(false);
+  const [draggedStatus, setDraggedStatus] = useState(null);
+  const [dragOverIndex, setDragOverIndex] = useState(null);
+
+  const editInputRef = useRef(null);
+
+  useEffect(() => {
+    if (editingId && editInputRef.current) {
+      editInputRef.current.focus();
+    }
+  }, [editingId]);
+
+  const handleCreateStatus = (e) => {
+    e.preventDefault();
+    const result = createStatus(newStatusLabel, newStatusDesc);
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setNewStatusLabel('');
+      setNewStatusDesc('');
+      setError('');
+    }
+  };
+
+  const handleUpdate = (statusId) => {
+    const result = updateStatus(statusId, {
+      label: editingLabel,
+      description: editingDesc,
+    });
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setEditingId(null);
+      setError('');
+    }
+  };
+
+  const handleDelete = (statusId) => {
+    if (!migrateToId) {
+      setError('Please select a status to migrate tasks to');
+      return;
+    }
+    const result = deleteStatus(statusId, migrateToId);
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setDeleteConfirmId(null);
+      setMigrateToId('');
+      setError('');
+    }
+  };
+
+  const handleRestoreDefaults = () => {
+    const result = restoreDefaultStatuses();
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setRestoreConfirm(false);
+      setError('');
+    }
+  };
+
+  const handleDragStart = (e, status, index) => {
+    setDraggedStatus({ status, index });
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDragOverIndex(index);
+  };
+
+  const handleDrop = (e, dropIndex) => {
+    e.preventDefault();
+    if (draggedStatus && draggedStatus.index !== dropIndex) {
+      const newStatuses = [...statuses];
+      const [movedStatus] = newStatuses.splice(draggedStatus.index, 1);
+      newStatuses.splice(dropIndex, 0, movedStatus);
+      reorderStatuses(newStatuses.map((s) => s.id));
+    }
+    setDraggedStatus(null);
+    setDragOverIndex(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedStatus(null);
+    setDragOverIndex(null);
+  };
+
+  return ReactDOM.createPortal(
+    <div
+      className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') onClose();
+      }}
+      role="button"
+      tabIndex={0}
+      aria-label="Close workflow settings"
+    >
+      <div
+        className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 rounded-lg shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-auto relative z-[201]"
+        onClick={(e) => e.stopPropagation()}
+        role="presentation"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800 sticky top-0 bg-white/95 dark:bg-zinc-900/95 backdrop-blur-sm z-10">
+          <div>
+            <h2 className="text-lg font-semibold text-slate-900 dark:text-zinc-100">
+              Workflow Configuration
+            </h2>
+            <p className="text-sm text-slate-600 dark:text-zinc-300">
+              Customize your workflow statuses
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 text-slate-500 dark:text-zinc-400 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4">
+          {error && (
+            <div className="mb-4 p-2 bg-red-100 dark:bg-red-950/40 border border-red-200 dark:border-red-800/40 text-red-700 dark:text-red-300 rounded text-sm">
+              {error}
+            </div>
+          )}
+
+          {/* Add New Status Form */}
+          <form
+            onSubmit={handleCreateStatus}
+            className="mb-6 p-4 bg-slate-50 dark:bg-zinc-800/40 border border-slate-200 dark:border-zinc-800 rounded-lg"
+          >
+            <h3 className="font-medium mb-3 text-slate-900 dark:text-zinc-100">Add New Status</h3>
+            <div className="space-y-2">
+              <input
+                type="text"
+                value={newStatusLabel}
+                onChange={(e) => setNewStatusLabel(e.target.value)}
+                placeholder="Status name (e.g., 'In Design')"
+                className="w-full px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
+                maxLength={30}
+              />
+              <input
+                type="text"
+                value={newStatusDesc}
+                onChange={(e) => setNewStatusDesc(e.target.value)}
+                placeholder="Description (e.g., 'Design work in progress')"
+                className="w-full px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
+                maxLength={50}
+              />
+              <div className="flex justify-between items-center">
+                <span className="text-xs text-slate-500 dark:text-zinc-300">
+                  {statuses.length} / 15 statuses
+                </span>
+                <button
+                  type="submit"
+                  disabled={statuses.length >= 15}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-500 dark:bg-blue-500 dark:hover:bg-blue-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Add Status
+                </button>
+              </div>
+            </div>
+          </form>
+
+          {/* Status List */}
+          <div className="space-y-2 mb-6">
+            <h3 className="font-medium mb-2 text-slate-900 dark:text-zinc-100">Current Statuses</h3>
+            <p className="text-xs text-slate-500 dark:text-zinc-300 mb-3">
+              Drag to reorder • Click to edit
+            </p>
+            {statuses.map((status, index) => {
+              const taskCount = getTasksForStatus(status.id).length;
+              const isEditing = editingId === status.id;
+              const isDeleting = deleteConfirmId === status.id;
+              const deleteCheck = canDeleteStatus(status.id);
+
+              return (
+                <motion.div
+                  key={status.id}
+                  draggable={!isEditing && !isDeleting}
+                  onDragStart={(e) => handleDragStart(e, status, index)}
+                  onDragOver={(e) => handleDragOver(e, index)}
+                  onDrop={(e) => handleDrop(e, index)}
+                  onDragEnd={handleDragEnd}
+                  className={clsx(
+                    'p-3 rounded-lg border transition-all bg-white dark:bg-zinc-900/60',
+                    dragOverIndex === index && draggedStatus
+                      ? 'border-blue-400 bg-blue-50 dark:bg-blue-900/20'
+                      : 'border-slate-200 dark:border-zinc-800',
+                    isEditing && 'bg-blue-50 dark:bg-blue-900/20',
+                  )}
+                >
+                  {isEditing ? (
+                    <div className="space-y-2">
+                      <input
+                        ref={editInputRef}
+                        type="text"
+                        value={editingLabel}
+                        onChange={(e) => setEditingLabel(e.target.value)}
+                        className="w-full px-2 py-1 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
+                        maxLength={30}
+                      />
+                      <input
+                        type="text"
+                        value={editingDesc}
+                        onChange={(e) => setEditingDesc(e.target.value)}
+                        placeholder="Description"
+                        className="w-full px-2 py-1 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
+                        maxLength={50}
+                      />
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleUpdate(status.id)}
+                          className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 transition-colors"
+                        >
+                          Save
+                        </button>
+                        <button
+                          onClick={() => {
+                            setEditingId(null);
+                            setError('');
+                          }}
+                          className="px-3 py-1 bg-slate-200 text-slate-700 dark:bg-zinc-800 dark:text-zinc-200 rounded text-sm hover:bg-slate-300 dark:hover:bg-zinc-700 transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : isDeleting ? (
+                    <div className="space-y-2">
+                      <p className="text-sm font-medium text-red-600 dark:text-red-400">
+                        Delete &ldquo;{status.label}&rdquo;? ({taskCount} tasks)
+                      </p>
+                      <p className="text-xs text-slate-600 dark:text-zinc-400">
+                        Move these tasks to:
+                      </p>
+                      <select
+                        value={migrateToId}
+                        onChange={(e) => setMigrateToId(e.target.value)}
+                        className="w-full px-2 py-1 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
+                      >
+                        <option value="">Select status...</option>
+                        {statuses
+                          .filter((s) => s.id !== status.id)
+                          .map((s) => (
+                            <option key={s.id} value={s.id}>
+                              {s.label}
+                            </option>
+                          ))}
+                      </select>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleDelete(status.id)}
+                          className="px-3 py-1 bg-red-600 text-white rounded text-sm hover:bg-red-700 transition-colors"
+                        >
+                          Delete & Move
+                        </button>
+                        <button
+                          onClick={() => {
+                            setDeleteConfirmId(null);
+                            setMigrateToId('');
+                            setError('');
+                          }}
+                          className="px-3 py-1 bg-slate-200 text-slate-700 dark:bg-zinc-800 dark:text-zinc-200 rounded text-sm hover:bg-slate-300 dark:hover:bg-zinc-700 transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center gap-3 flex-1">
+                        <GripVertical className="w-4 h-4 text-slate-400 cursor-grab" />
+                        <div className="flex-1">
+                          <div className="flex items-center gap-2">
+                            <span className="font-medium text-slate-900 dark:text-zinc-100">
+                              {status.label}
+                            </span>
+                            {status.isDefault && (
+                              <span className="text-xs px-2 py-0.5 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400 rounded">
+                                Default
+                              </span>
+                            )}
+                            {status.isCompletionState && (
+                              <span className="text-xs px-2 py-0.5 bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400 rounded">
+                                Completion
+                              </span>
+                            )}
+                          </div>
+                          <p className="text-sm text-slate-500 dark:text-zinc-300">
+                            {status.description}
+                          </p>
+                          <p className="text-xs text-slate-400 dark:text-zinc-400 mt-1">
+                            {taskCount} task{taskCount !== 1 ? 's' : ''} • Key:{' '}
+                            {status.keyboardShortcut || 'none'}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex gap-1">
+                        <button
+                          onClick={() => {
+                            setEditingId(status.id);
+                            setEditingLabel(status.label);
+                            setEditingDesc(status.description);
+                          }}
+                          className="px-2 py-1 text-sm text-blue-600 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => {
+                            if (!deleteCheck.canDelete) {
+                              setError(deleteCheck.reason);
+                            } else {
+                              setDeleteConfirmId(status.id);
+                              setMigrateToId('');
+                            }
+                          }}
+                          disabled={!deleteCheck.canDelete}
+                          className="px-2 py-1 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+                          title={deleteCheck.canDelete ? 'Delete status' : deleteCheck.reason}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </motion.div>
+              );
+            })}
+          </div>
+
+          {/* Restore Defaults */}
+          <div className="border-t border-slate-200 dark:border-zinc-800 pt-4">
+            {restoreConfirm ? (
+              <div className="p-3 bg-amber-50 dark:bg-amber-900/25 border border-amber-200 dark:border-amber-700/40 rounded-lg">
+                <p className="text-sm text-amber-800 dark:text-amber-300 mb-3">
+                  This will reset to 8 default statuses. All tasks will be migrated. Continue?
+                </p>
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleRestoreDefaults}
+                    className="px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors"
+                  >
+                    Yes, Restore Defaults
+                  </button>
+                  <button
+                    onClick={() => setRestoreConfirm(false)}
+                    className="px-4 py-2 bg-slate-200 text-slate-700 dark:bg-zinc-800 dark:text-zinc-200 rounded-lg hover:bg-slate-300 dark:hover:bg-zinc-700 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <button
+                onClick={() => setRestoreConfirm(true)}
+                className="w-full px-4 py-2 border border-slate-300 dark:border-zinc-800 text-slate-700 dark:text-zinc-200 rounded-lg hover:bg-slate-50 dark:hover:bg-zinc-800/50 transition-colors"
+              >
+                Restore Default Statuses
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+function BulkAssignOwnerDialog({ taskIds, onClose, onSuccess }) {
+  const bulkAssignOwner = useStore((s) => s.bulkAssignOwner);
+  const getAllOwnersWithStats = useStore((s) => s.getAllOwnersWithStats);
+
+  const [selectedOwner, setSelectedOwner] = useState('');
+  const [newOwnerName, setNewOwnerName] = useState('');
+  const [isAddingNew, setIsAddingNew] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const owners = getAllOwnersWithStats();
+
+  const handleAssign = () => {
+    const ownerToAssign = isAddingNew ? newOwnerName.trim() : selectedOwner;
+    if (!ownerToAssign) return;
+
+    const result = bulkAssignOwner(taskIds, ownerToAssign);
+    setResult(result);
+
+    if (result.success) {
+      setTimeout(() => {
+        onSuccess();
+      }, 1500);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm p-4">
+      <div className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-96 max-w-full">
+        <div className="p-4 border-b border-slate-200 dark:border-zinc-800">
+          <h3 className="text-lg font-semibold">Assign Owner to {taskIds.length} Tasks</h3>
+        </div>
+
+        <div className="p-4">
+          {!result ? (
+            <>
+              <div className="mb-4">
+                <p className="text-sm text-slate-600 dark:text-zinc-400 mb-3">
+                  Select an existing owner or add a new one to assign to the selected tasks.
+                </p>
+
+                <div className="space-y-3">
+                  {!isAddingNew ? (
+                    <>
+                      <div>
+                        <label
+                          htmlFor="bulk-owner-select"
+                          className="block text-sm font-medium mb-1"
+                        >
+                          Select existing owner:
+                        </label>
+                        <select
+                          id="bulk-owner-select"
+                          value={selectedOwner}
+                          onChange={(e) => setSelectedOwner(e.target.value)}
+                          className="w-full px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
+                        >
+                          <option value="">Choose an owner...</option>
+                          {owners.map((owner) => (
+                            <option key={owner.name} value={owner.name}>
+                              {owner.name} ({owner.taskCount} tasks)
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div className="text-center">
+                        <button
+                          type="button"
+                          onClick={() => setIsAddingNew(true)}
+                          className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                        >
+                          Or add a new owner
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div>
+                        <label htmlFor="new-owner-name" className="block text-sm font-medium mb-1">
+                          New owner name:
+                        </label>
+                        <input
+                          id="new-owner-name"
+                          type="text"
+                          value={newOwnerName}
+                          onChange={(e) => setNewOwnerName(e.target.value)}
+                          maxLength={30}
+                          placeholder="Enter owner name"
+                          className="w-full px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
+                        />
+                      </div>
+
+                      <div className="text-center">
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setIsAddingNew(false);
+                            setNewOwnerName('');
+                          }}
+                          className="text-sm text-slate-600 dark:text-zinc-400 hover:underline"
+                        >
+                          Back to existing owners
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              <div className="bg-amber-50 dark:bg-amber-900/20 rounded p-3 text-sm">
+                <p className="text-amber-800 dark:text-amber-200">
+                  Note: Tasks that already have 5 owners will be skipped.
+                </p>
+              </div>
+            </>
+          ) : (
+            <div className="text-center py-4">
+              {result.success ? (
+                <>
+                  <div className="text-green-600 dark:text-green-400 mb-2">
+                    <svg
+                      className="w-12 h-12 mx-auto"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
+                      />
+                    </svg>
+                  </div>
+                  <p className="font-medium">Owner assigned successfully!</p>
+                  <p className="text-sm text-slate-600 dark:text-zinc-400 mt-1">
+                    Updated {result.tasksUpdated} task{result.tasksUpdated !== 1 ? 's' : ''}
+                    {result.tasksFailed > 0 && (
+                      <span className="block text-amber-600 dark:text-amber-400 mt-1">
+                        {result.tasksFailed} task{result.tasksFailed !== 1 ? 's' : ''} skipped (5
+                        owner limit)
+                      </span>
+                    )}
+                  </p>
+                </>
+              ) : (
+                <>
+                  <div className="text-red-600 dark:text-red-400 mb-2">
+                    <svg
+                      className="w-12 h-12 mx-auto"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
+                      />
+                    </svg>
+                  </div>
+                  <p className="font-medium">Assignment failed</p>
+                  <p className="text-sm text-slate-600 dark:text-zinc-400 mt-1">{result.error}</p>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-slate-200 dark:border-zinc-800 flex justify-end gap-2">
+          {!result ? (
+            <>
+              <button
+                onClick={onClose}
+                className="px-4 py-2 text-sm text-slate-600 dark:text-zinc-300 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleAssign}
+                disabled={!isAddingNew ? !selectedOwner : !newOwnerName.trim()}
+                className={`px-4 py-2 text-sm rounded transition-colors ${
+                  (!isAddingNew ? !selectedOwner : !newOwnerName.trim())
+                    ? 'bg-slate-200 dark:bg-zinc-800 text-slate-400 dark:text-zinc-500 cursor-not-allowed'
+                    : 'bg-blue-600 text-white hover:bg-blue-700'
+                }`}
+              >
+                Assign Owner
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={result.success ? onSuccess : onClose}
+              className="px-4 py-2 text-sm bg-zinc-700 text-white hover:bg-zinc-800 dark:bg-zinc-800 dark:hover:bg-zinc-700 rounded transition-colors"
+            >
+              Close
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function BulkMoveDialog({ taskIds, onClose, onSuccess }) {
+  const projects = useStore((s) => s.projects);
+  const currentProjectId = useStore((s) => s.currentProjectId);
+  const moveTasksToProject = useStore((s) => s.moveTasksToProject);
+  const tasks = useStore((s) => s.tasks);
+
+  const [selectedProjectId, setSelectedProjectId] = useState('');
+  const [error, setError] = useState('');
+
+  // Selections on the combined board can span projects
+  const selectedTasks = tasks.filter((t) => taskIds.includes(t.id));
+  const sourceProjectIds = new Set(selectedTasks.map((t) => t.projectId));
+  const availableProjects = projects.filter(
+    (p) => sourceProjectIds.size > 1 || !sourceProjectIds.has(p.id),
+  );
+
+  const handleMove = () => {
+    if (!selectedProjectId) {
+      setError('Please select a target project');
+      return;
+    }
+
+    const result = moveTasksToProject(taskIds, selectedProjectId);
+    if (result.error) {
+      setError(result.error);
+    } else {
+      onSuccess();
+    }
+  };
+
+  const sourceProject =
+    sourceProjectIds.size === 1
+      ? projects.find((p) => sourceProjectIds.has(p.id))
+      : projects.find((p) => p.id === currentProjectId);
+
+  return ReactDOM.createPortal(
+    <div className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4">
+      <div className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-auto relative z-[201]">
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800">
+          <h2 className="text-lg font-semibold">Move Tasks to Project</h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4">
+          {error && (
+            <div className="mb-4 p-2 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-sm">
+              {error}
+            </div>
+          )}
+
+          <div className="mb-4">
+            <p className="text-sm text-slate-600 dark:text-zinc-400 mb-2">
+              Moving{' '}
+              <span className="font-semibold">
+                {taskIds.length} task{taskIds.length > 1 ? 's' : ''}
+              </span>{' '}
+              from{' '}
+              <span className="font-semibold">
+                {sourceProjectIds.size > 1
+                  ? `${sourceProjectIds.size} projects`
+                  : sourceProject?.name}
+              </span>
+            </p>
+
+            {selectedTasks.length > 0 && (
+              <div className="mb-4 p-2 bg-slate-50 dark:bg-zinc-800/40 border border-slate-200 dark:border-zinc-800 rounded max-h-32 overflow-y-auto">
+                <div className="text-xs text-slate-500 dark:text-zinc-400 mb-1">
+                  Selected tasks:
+                </div>
+                {selectedTasks.slice(0, 5).map((task) => (
+                  <div key={task.id} className="text-sm truncate text-slate-700 dark:text-zinc-300">
+                    • {task.title}
+                  </div>
+                ))}
+                {selectedTasks.length > 5 && (
+                  <div className="text-sm text-slate-500 dark:text-zinc-400">
+                    ...and {selectedTasks.length - 5} more
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="mb-4">
+            <label htmlFor="target-project" className="block text-sm font-medium mb-2">
+              Select Target Project
+            </label>
+            <select
+              id="target-project"
+              value={selectedProjectId}
+              onChange={(e) => setSelectedProjectId(e.target.value)}
+              className="w-full px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
+            >
+              <option value="">Choose a project...</option>
+              {availableProjects.map((project) => (
+                <option key={project.id} value={project.id}>
+                  {project.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg text-slate-700 dark:text-zinc-200 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleMove}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Move Tasks
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+function describeQuickAddLine(line, projects, statuses) {
+  // An unmatched >status is listed with the other unrecognized tokens
+  const parsed = flagUnmatchedStatus(line, statuses);
+  const parts = [];
+  if (parsed.statusQuery) {
+    parts.push(`→ ${matchStatus(statuses, parsed.statusQuery).status.label}`);
+  }
+  if (parsed.priorityBucket) parts.push(parsed.priorityBucket);
+  if (parsed.estimateMins) parts.push(`est ${formatEstimate(parsed.estimateMins)}`);
+  if (parsed.dueAt) parts.push(`due ${humanDue(parsed.dueAt)}`);
+  if (parsed.ownerType === 'ai') parts.push('AI');
+  parsed.owners?.forEach((owner) => parts.push(`@${owner}`));
+  parsed.tags.forEach((tag) => parts.push(`+${tag}`));
+  if (parsed.projectQuery) {
+    const { project, unknownToken } = resolveQuickAddProject(parsed, '', projects);
+    parts.push(project ? `#${project.name}` : `${unknownToken}? (no project, kept in the title)`);
+  }
+  if (parsed.recurrence) parts.push(describeRecurrence(parsed.recurrence));
+  parsed.invalidTokens?.forEach((token) => parts.push(`${token}?`));
+  return parts.join(' · ');
+}
+
+function BulkPasteDialog({ text, onClose }) {
+  const projects = useStore((s) => s.projects);
+  const statuses = useStore((s) => s.statusConfig.statuses);
+  const tasks = useStore((s) => s.tasks);
+  const addTask = useStore((s) => s.addTask);
+  const addSubtask = useStore((s) => s.addSubtask);
+  const updateTask = useStore((s) => s.updateTask);
+  const addOwnerToRegistry = useStore((s) => s.addOwnerToRegistry);
+  const getOwnerSuggestions = useStore((s) => s.getOwnerSuggestions);
+  const runCommand = useStore((s) => s.runCommand);
+  const showNotification = useStore((s) => s.showNotification);
+  const [rows, setRows] = useState(() => parsePastedLines(text));
+
+  const updateRow = (key, patch) =>
+    setRows((current) => current.map((row) => (row.key === key ? { ...row, ...patch } : row)));
+  const included = rows.filter((row) => row.include && row.text.trim());
+  const subtaskCount = included.filter((row, index) => row.isSubtask && index > 0).length;
+
+  const handleCreate = () => {
+    const known = {
+      tags: getTagFrequencies(tasks).map((tag) => tag.name),
+      owners: getOwnerSuggestions().map((owner) => owner.name),
+      statuses,
+    };
+    let unmatched = 0;
+    runCommand(`Add ${pluralize(included.length, 'task')} from paste`, () => {
+      let parentId = null;
+      rows.forEach((row) => {
+        if (!row.include || !row.text.trim()) {
+          if (!row.isSubtask) parentId = null;
+          return;
+        }
+        const parsed = flagUnmatchedStatus(parseQuickAdd(row.text), statuses);
+        const { title, ...fields } = buildQuickAddTask(parsed, known);
+        if (row.isSubtask && parentId) {
+          const result = addSubtask(parentId, title);
+          if (!result.success) return;
+          fields.owners.forEach((owner) => addOwnerToRegistry(owner));
+          updateTask(result.subtaskId, fields);
+          return;
+        }
+        const route = resolveQuickAddProject(parsed, title, projects);
+        if (route.unknownToken) unmatched += 1;
+        parentId = addTask({
+          ...fields,
+          title: route.title,
+          ...(route.project && { projectId: route.project.id }),
+        });
+      });
+    });
+    if (unmatched > 0) {
+      showNotification(
+        `Added ${pluralize(included.length, 'task')}; ${unmatched} matched no #project and stayed on this board`,
+        'info',
+      );
+    } else {
+      showNotification(`Added ${pluralize(included.length, 'task')}`);
+    }
+    onClose();
+  };
+
+  return ReactDOM.createPortal(
+    <div className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4">
+      <div className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col relative z-[201]">
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800">
+          <h2 className="text-lg font-semibold">Add Pasted Tasks</h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto">
+          <p className="text-sm text-slate-600 dark:text-zinc-400 mb-3">
+            Each line becomes a task and quick-add tokens still apply. Indented lines and bullets
+            under a line become subtasks.
+          </p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-500 dark:text-zinc-400">
+                <th className="w-8 pb-2 font-medium">Add</th>
+                <th className="w-16 pb-2 font-medium">Subtask</th>
+                <th className="pb-2 font-medium">Task</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => {
+                const parsed = parseQuickAdd(row.text);
+                const summary = describeQuickAddLine(parsed, projects, statuses);
+                return (
+                  <tr
+                    key={row.key}
+                    className={clsx(
+                      'border-t border-slate-100 dark:border-zinc-800 align-top',
+                      !row.include && 'opacity-50',
+                    )}
+                  >
+                    <td className="py-2">
+                      <input
+                        type="checkbox"
+                        checked={row.include}
+                        onChange={(e) => updateRow(row.key, { include: e.target.checked })}
+                        aria-label={`Add "${parsed.title}"`}
+                      />
+                    </td>
+                    <td className="py-2">
+                      <input
+                        type="checkbox"
+                        checked={row.isSubtask}
+                        disabled={index === 0}
+                        onChange={(e) => updateRow(row.key, { isSubtask: e.target.checked })}
+                        aria-label={`Make "${parsed.title}" a subtask of the line above`}
+                      />
+                    </td>
+                    <td className={clsx('py-1.5', row.isSubtask && 'pl-6')}>
+                      <input
+                        value={row.text}
+                        onChange={(e) => updateRow(row.key, { text: e.target.value })}
+                        aria-label="Task text"
+                        className="w-full px-2 py-1 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
+                      />
+                      {summary && (
+                        <div className="mt-0.5 px-2 text-xs text-slate-500 dark:text-zinc-400">
+                          {summary}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex items-center justify-between gap-2 p-4 border-t border-slate-200 dark:border-zinc-800">
+          <span className="text-sm text-slate-500 dark:text-zinc-400">
+            {pluralize(included.length, 'task')}
+            {subtaskCount > 0 && `, ${subtaskCount} as subtasks`}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg text-slate-700 dark:text-zinc-200 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleCreate}
+              disabled={included.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:cursor-not-allowed disabled:bg-slate-300 dark:disabled:bg-zinc-800"
+            >
+              Add {pluralize(included.length, 'task')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+function ImportBoardDialog({ bundle, fileName, onClose }) {
+  const importBoard = useStore((s) => s.importBoard);
+  const [mode, setMode] = useState('merge');
+  const [error, setError] = useState('');
+
+  const read = useMemo(() => readBoardBundle(bundle), [bundle]);
+  const summary = read.data
+    ? {
+        tasks: read.data.tasks.length,
+        projects: (read.data.projects || []).length,
+        owners: (read.data.ownerRegistry?.owners || []).length,
+        statuses: (read.data.statusConfig?.statuses || []).length,
+      }
+    : null;
+
+  const handleImport = () => {
+    const result = importBoard(bundle, mode);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    useStore
+      .getState()
+      .showNotification(
+        `${mode === 'replace' ? 'Replaced board with' : 'Merged'} ${result.tasksImported} task${
+          result.tasksImported !== 1 ? 's' : ''
+        } from export${
+          result.repaired > 0 ? ` (${result.repaired} problems repaired or quarantined)` : ''
+        }`,
+        'success',
+      );
+    onClose();
+  };
+
+  const modes = [
+    {
+      id: 'merge',
+      label: 'Merge into this board',
+      hint: 'Adds new tasks and projects. Tasks on both sides keep the most recently updated copy.',
+    },
+    {
+      id: 'replace',
+      label: 'Replace this board',
+      hint: 'Discards everything stored in this browser and loads the export as-is.',
+    },
+  ];
+
+  return ReactDOM.createPortal(
+    <div className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4">
+      <div className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-auto relative z-[201]">
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800">
+          <h2 className="text-lg font-semibold">Import Board</h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4">
+          {(error || read.error) && (
+            <div className="mb-4 p-2 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-sm">
+              {error || read.error}
+            </div>
+          )}
+
+          {summary && (
+            <>
+              <div className="mb-4 p-3 bg-slate-50 dark:bg-zinc-800/40 border border-slate-200 dark:border-zinc-800 rounded text-sm">
+                <div className="font-medium truncate" title={fileName}>
+                  {fileName}
+                </div>
+                {bundle.exportedAt && !Number.isNaN(new Date(bundle.exportedAt).getTime()) && (
+                  <div className="text-xs text-slate-500 dark:text-zinc-400 mt-0.5">
+                    Exported {format(new Date(bundle.exportedAt), 'MMM d, yyyy HH:mm')}
+                  </div>
+                )}
+                <div className="mt-2 text-xs text-slate-600 dark:text-zinc-300">
+                  {summary.tasks} tasks • {summary.projects} projects • {summary.owners} owners •{' '}
+                  {summary.statuses} statuses
+                </div>
+              </div>
+
+              <div className="space-y-2 mb-4">
+                {modes.map((option) => (
+                  <label
+                    key={option.id}
+                    className={clsx(
+                      'flex items-start gap-3 p-3 rounded-lg border cursor-pointer transition-colors',
+                      mode === option.id
+                        ? 'border-blue-400 bg-blue-50 dark:bg-blue-900/20'
+                        : 'border-slate-200 dark:border-zinc-800 hover:bg-slate-50 dark:hover:bg-zinc-800/40',
+                    )}
+                  >
+                    <input
+                      type="radio"
+                      name="import-mode"
+                      value={option.id}
+                      checked={mode === option.id}
+                      onChange={() => setMode(option.id)}
+                      className="mt-1"
+                    />
+                    <span className="text-sm font-medium">
+                      {option.label}
+                      <span className="block text-xs font-normal text-slate-500 dark:text-zinc-400 mt-0.5">
+                        {option.hint}
+                      </span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg text-slate-700 dark:text-zinc-200 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={!summary}
+              className={clsx(
+                'px-4 py-2 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed',
+                mode === 'replace'
+                  ? 'bg-red-600 hover:bg-red-700'
+                  : 'bg-blue-600 hover:bg-blue-700',
+              )}
+            >
+              {mode === 'replace' ? 'Replace Board' : 'Merge Board'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+const RECOVERY_ISSUE_PREVIEW = 8;
+
+function RecoveryDialog({ report }) {
+  const dismissRecovery = useStore((s) => s.dismissRecovery);
+  const discardRecoveryBackup = useStore((s) => s.discardRecoveryBackup);
+  const [backup, setBackup] = useState(null);
+  useEffect(() => {
+    useStore.getState().getRecoveryBackup().then(setBackup);
+  }, []);
+  const stamp = format(new Date(report.detectedAt), 'yyyy-MM-dd-HHmm');
+  const hiddenIssues = report.issues.length - RECOVERY_ISSUE_PREVIEW;
+
+  const handleDiscard = () => {
+    if (!window.confirm('Delete the saved backup of the original board data?')) return;
+    discardRecoveryBackup();
+  };
+
+  return ReactDOM.createPortal(
+    <div className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4">
+      <div className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-auto relative z-[201]">
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800">
+          <h2 className="text-lg font-semibold flex items-center gap-2">
+            <AlertTriangle className="w-5 h-5 text-amber-500" />
+            Board Data Recovered
+          </h2>
+          <button
+            onClick={dismissRecovery}
+            className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 text-sm">
+          {report.error ? (
+            <p className="mb-3">
+              {report.error}, so the board could not be loaded. An empty board was started instead;
+              the original data is kept as a backup in this browser.
+            </p>
+          ) : (
+            <p className="mb-3">
+              Some saved data did not match the expected format. Fixable records were repaired
+              {report.quarantinedCount > 0 &&
+                ` and ${report.quarantinedCount} unreadable record${
+                  report.quarantinedCount !== 1 ? 's were' : ' was'
+                } set aside`}
+              . The original data is kept as a backup in this browser.
+            </p>
+          )}
+
+          {report.issues.length > 0 && (
+            <ul className="mb-4 p-3 bg-slate-50 dark:bg-zinc-800/40 border border-slate-200 dark:border-zinc-800 rounded text-xs space-y-1 list-disc list-inside">
+              {report.issues.slice(0, RECOVERY_ISSUE_PREVIEW).map((issue, index) => (
+                <li key={index}>{issue}</li>
+              ))}
+              {hiddenIssues > 0 && (
+                <li className="list-none text-slate-500 dark:text-zinc-400">
+                  …and {hiddenIssues} more
+                </li>
+              )}
+            </ul>
+          )}
+
+          <div className="flex flex-wrap justify-end gap-2">
+            {backup?.raw && (
+              <button
+                onClick={() => downloadTextFile(`workday-board-backup-${stamp}.json`, backup.raw)}
+                className="px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg text-slate-700 dark:text-zinc-200 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors flex items-center gap-1.5"
+              >
+                <Download className="w-4 h-4" />
+                Backup
+              </button>
+            )}
+            {backup?.quarantined && (
+              <button
+                onClick={() =>
+                  downloadTextFile(
+                    `workday-board-quarantine-${stamp}.json`,
+                    JSON.stringify(backup.quarantined, null, 2),
+                  )
+                }
+                className="px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg text-slate-700 dark:text-zinc-200 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors flex items-center gap-1.5"
+              >
+                <Download className="w-4 h-4" />
+                Quarantined records
+              </button>
+            )}
+            <button
+              onClick={handleDiscard}
+              className="px-3 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+            >
+              Discard backup
+            </button>
+            <button
+              onClick={dismissRecovery}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Continue
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+function RestorePointsPanel({ onClose }) {
+  const snapshots = useStore((s) => s.snapshots);
+  const retention = useStore((s) => s.snapshotRetention);
+  const createSnapshot = useStore((s) => s.createSnapshot);
+  const deleteSnapshot = useStore((s) => s.deleteSnapshot);
+  const restoreSnapshot = useStore((s) => s.restoreSnapshot);
+  const setSnapshotRetention = useStore((s) => s.setSnapshotRetention);
+  const [selectedId, setSelectedId] = useState(snapshots[0]?.id ?? null);
+  const [selectedProjects, setSelectedProjects] = useState([]);
+  const [error, setError] = useState('');
+
+  const snapshot = snapshots.find((s) => s.id === selectedId) || null;
+  const summary = useMemo(
+    () => (snapshot ? summarizeSnapshot(snapshot.payload) : null),
+    [snapshot],
+  );
+
+  const selectSnapshot = (id) => {
+    setSelectedId(id);
+    setSelectedProjects([]);
+    setError('');
+  };
+
+  const toggleProject = (projectId) => {
+    setSelectedProjects((ids) =>
+      ids.includes(projectId) ? ids.filter((id) => id !== projectId) : [...ids, projectId],
+    );
+  };
+
+  const handleRestore = (projectIds) => {
+    const scope = projectIds
+      ? `${projectIds.length} project${projectIds.length !== 1 ? 's' : ''}`
+      : 'the whole board';
+    if (
+      !window.confirm(`Restore ${scope} from this restore point? Current data will be replaced.`)
+    ) {
+      return;
+    }
+    const result = restoreSnapshot(snapshot.id, projectIds);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    useStore
+      .getState()
+      .showNotification(
+        `Restored ${result.tasksRestored} task${result.tasksRestored !== 1 ? 's' : ''}`,
+        'success',
+      );
+    onClose();
+  };
+
+  return ReactDOM.createPortal(
+    <div className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4">
+      <div className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col relative z-[201]">
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800">
+          <h2 className="text-lg font-semibold flex items-center gap-2">
+            <History className="w-5 h-5" />
+            Restore Points
+          </h2>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => selectSnapshot(createSnapshot('manual')?.id ?? selectedId)}
+              className="px-3 py-1.5 text-sm border border-slate-300 dark:border-zinc-800 rounded-lg text-slate-700 dark:text-zinc-200 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors"
+            >
+              Create restore point
+            </button>
+            <button
+              onClick={onClose}
+              className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          <ul className="w-64 shrink-0 border-r border-slate-200 dark:border-zinc-800 overflow-auto">
+            {snapshots.length === 0 && (
+              <li className="p-4 text-sm text-slate-500 dark:text-zinc-400">
+                No restore points yet. They are taken hourly, daily and before destructive actions.
+              </li>
+            )}
+            {snapshots.map((s) => (
+              <li key={s.id}>
+                <button
+                  onClick={() => selectSnapshot(s.id)}
+                  className={clsx(
+                    'w-full text-left px-4 py-2.5 text-sm border-b border-slate-100 dark:border-zinc-800/60 transition-colors',
+                    s.id === selectedId
+                      ? 'bg-blue-50 dark:bg-blue-900/20'
+                      : 'hover:bg-slate-50 dark:hover:bg-zinc-800/40',
+                  )}
+                >
+                  <div className="font-medium truncate">{s.label}</div>
+                  <div className="text-xs text-slate-500 dark:text-zinc-400">
+                    {SNAPSHOT_KINDS[s.kind]?.label} •{' '}
+                    {formatDistanceToNow(new Date(s.createdAt), { addSuffix: true })}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex-1 p-4 overflow-auto text-sm">
+            {error && (
+              <div className="mb-4 p-2 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded">
+                {error}
+              </div>
+            )}
+            {summary ? (
+              <>
+                <div className="mb-3 flex items-center justify-between">
+                  <div>
+                    <div className="font-medium">
+                      {format(new Date(snapshot.createdAt), 'MMM d, yyyy HH:mm')}
+                    </div>
+                    <div className="text-xs text-slate-500 dark:text-zinc-400">
+                      {summary.taskCount} tasks in {summary.projects.length} projects
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => deleteSnapshot(snapshot.id)}
+                    className="p-1.5 text-slate-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded transition-colors"
+                    title="Delete restore point"
+                    aria-label="Delete restore point"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+
+                <div className="space-y-2 mb-4">
+                  {summary.projects.map((project) => (
+                    <label
+                      key={project.id}
+                      className="flex items-start gap-3 p-2 rounded-lg border border-slate-200 dark:border-zinc-800 cursor-pointer hover:bg-slate-50 dark:hover:bg-zinc-800/40"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={selectedProjects.includes(project.id)}
+                        onChange={() => toggleProject(project.id)}
+                        className="mt-1"
+                      />
+                      <span className="flex-1 min-w-0">
+                        {project.name} ({project.total})
+                        <span className="flex flex-wrap gap-1 mt-1">
+                          {summary.statuses
+                            .filter((status) => project.byStatus[status.id])
+                            .map((status) => (
+                              <span
+                                key={status.id}
+                                className="px-1.5 py-0.5 rounded bg-slate-100 dark:bg-zinc-800 text-xs text-slate-600 dark:text-zinc-300"
+                              >
+                                {status.label}: {project.byStatus[status.id]}
+                              </span>
+                            ))}
+                        </span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => handleRestore(selectedProjects)}
+                    disabled={selectedProjects.length === 0}
+                    className="px-4 py-2 border border-slate-300 dark:border-zinc-800 rounded-lg text-slate-700 dark:text-zinc-200 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Restore selected projects
+                  </button>
+                  <button
+                    onClick={() => handleRestore(null)}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                  >
+                    Restore everything
+                  </button>
+                </div>
+              </>
+            ) : (
+              <p className="text-slate-500 dark:text-zinc-400">
+                Select a restore point to preview.
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="p-4 border-t border-slate-200 dark:border-zinc-800 flex flex-wrap items-center gap-4 text-xs text-slate-600 dark:text-zinc-300">
+          <span className="font-medium">Keep:</span>
+          {Object.entries(SNAPSHOT_KINDS).map(([kind, meta]) => (
+            <label key={kind} className="flex items-center gap-1.5">
+              {meta.label}
+              <input
+                type="number"
+                min={0}
+                max={100}
+                value={retention[kind]}
+                onChange={(e) => setSnapshotRetention(kind, e.target.value)}
+                className="w-14 px-2 py-1 border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-950"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+function HistoryPanel({ onClose }) {
+  const undoStack = useStore((s) => s.undoStack);
+  const redoStack = useStore((s) => s.redoStack);
+  const undo = useStore((s) => s.undo);
+  const redo = useStore((s) => s.redo);
+  const undoTo = useStore((s) => s.undoTo);
+  const redoTo = useStore((s) => s.redoTo);
+
+  // Newest first: undone entries on top, then the applied ones
+  const entries = [
+    ...redoStack.map((entry) => ({ entry, undone: true })),
+    ...[...undoStack].reverse().map((entry) => ({ entry, undone: false })),
+  ];
+
+  return ReactDOM.createPortal(
+    <div className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm flex items-center justify-center z-[200] p-4">
+      <div className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg shadow-xl w-full max-w-md max-h-[80vh] flex flex-col relative z-[201]">
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-zinc-800">
+          <h2 className="text-lg font-semibold">History</h2>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={undo}
+              disabled={undoStack.length === 0}
+              className="p-1.5 rounded hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Undo (Ctrl+Z)"
+              aria-label="Undo"
+            >
+              <Undo2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={redo}
+              disabled={redoStack.length === 0}
+              className="p-1.5 rounded hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Redo (Ctrl+Shift+Z)"
+              aria-label="Redo"
+            >
+              <Redo2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={onClose}
+              className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <ul className="flex-1 overflow-auto text-sm">
+          {entries.length === 0 && (
+            <li className="p-4 text-slate-500 dark:text-zinc-400">No changes yet this session.</li>
+          )}
+          {entries.map(({ entry, undone }) => (
+            <li key={entry.id}>
+              <button
+                onClick={() => (undone ? redoTo(entry.id) : undoTo(entry.id))}
+                className={clsx(
+                  'w-full text-left px-4 py-2 border-b border-slate-100 dark:border-zinc-800/60 hover:bg-slate-50 dark:hover:bg-zinc-800/40 transition-colors',
+                  undone && 'text-slate-400 dark:text-zinc-500 line-through',
+                )}
+                title={undone ? 'Redo up to here' : 'Undo back to here'}
+              >
+                <div className="truncate">{entry.label}</div>
+                <div className="text-xs text-slate-500 dark:text-zinc-400 no-underline">
+                  {format(new Date(entry.timestamp), 'HH:mm:ss')}
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+// ----- Error Boundary -----
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false, error: null, info: null };
+  }
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+  componentDidCatch(error, info) {
+    this.setState({ hasError: true, error, info });
+  }
+  render() {
+    if (this.state.hasError) {
+      const msg = this.state.error?.message || String(this.state.error || 'Unknown error');
+      const stack = this.state.error?.stack || this.state.info?.componentStack || '';
+      return (
+        <div className="min-h-screen bg-rose-50 text-rose-900 p-4">
+          <div className="max-w-3xl mx-auto">
+            <div className="rounded-2xl border border-rose-300 bg-white shadow p-4">
+              <h1 className="text-lg font-semibold mb-2">Something went wrong</h1>
+              <p className="mb-3 text-sm">An unexpected error occurred in the UI. Try reloading.</p>
+              <div className="mb-3 p-3 rounded bg-rose-50 border border-rose-200 text-xs whitespace-pre-wrap break-words">
+                {msg}
+                {stack ? '\n\n' + stack : ''}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => window.location.reload()}
+                  className="px-3 py-2 rounded-lg bg-rose-600 text-white hover:bg-rose-700"
+                >
+                  Reload
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      );
+    }
+    return this.props.children;
+  }
+}
+
+// ----- Quick Add Parser -----
+
+function parseQuickAdd(input) {
+  // Tokenize by spaces but keep quoted phrases
+  const tokens = input.match(/\S*"[^"]+"|\S+/g) || [];
+  let titleParts = [];
+  let dueAt = null,
+    ownerType = 'self',
+    owners = [],
+    tags = [],
+    priorityBucket = null,
+    expectedBy = null,
+    recurrence = null,
+    projectQuery = null,
+    statusQuery = null,
+    estimateMins = null;
+  const ratings = {};
+  const invalidTokens = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const raw = tokens[i].replaceAll('"', '');
+    if (raw.startsWith('+')) {
+      tags.push(raw.slice(1));
+      continue;
+    }
+    // #123 is a ticket or issue number, not a project; keep it in the title
+    if (raw.startsWith('#') && raw.length > 1 && !/^#\d+$/.test(raw)) {
+      projectQuery = raw.slice(1);
+      continue;
+    }
+    if (raw.startsWith('>') && raw.length > 1) {
+      statusQuery = raw.slice(1);
+      continue;
+    }
+    if (raw.startsWith('est:')) {
+      const minutes = parseEstimate(raw.slice(4));
+      if (minutes) estimateMins = minutes;
+      else invalidTokens.push(raw);
+      continue;
+    }
+    if (/^!p[0-4]$/i.test(raw)) {
+      priorityBucket = raw.toUpperCase().slice(1);
+      continue;
+    }
+    // Handle @owner tokens
+    if (raw.startsWith('@')) {
+      const ownerName = raw.slice(1);
+      if (ownerName === 'ai') {
+        ownerType = 'ai';
+      } else if (ownerName === 'me') {
+        ownerType = 'self';
+      } else if (ownerName.length > 0) {
+        // It's a specific owner name
+        owners.push(ownerName);
+      }
+      continue;
+    }
+    // due:/expect: may span several tokens ("due:next monday 5pm")
+    const dateField = raw.startsWith('due:') ? 'due' : raw.startsWith('expect:') ? 'expect' : null;
+    if (dateField) {
+      const rest = raw.slice(dateField.length + 1);
+      const parsed = rest ? consumeDateTokens(rest, tokens, i + 1) : null;
+      if (parsed) {
+        if (dateField === 'due') dueAt = parsed.date.toISOString();
+        else expectedBy = parsed.date.toISOString();
+        i += parsed.consumed;
+      } else {
+        invalidTokens.push(raw);
+      }
+      continue;
+    }
+    if (raw.startsWith('every:')) {
+      recurrence = parseRecurrence(raw.slice(6));
+      if (!recurrence) invalidTokens.push(raw);
+      continue;
+    }
+    const ratingMatch = raw.match(/^(impact|urgency|effort):([0-5])$/i);
+    if (ratingMatch) {
+      ratings[ratingMatch[1].toLowerCase()] = Number(ratingMatch[2]);
+      continue;
+    }
+    titleParts.push(raw);
+  }
+  const title = titleParts.join(' ').trim();
+  const base = { title, dueAt, ownerType, tags, expectedBy };
+  if (owners.length > 0) base.owners = owners;
+  if (priorityBucket) base.priorityBucket = priorityBucket;
+  if (recurrence) base.recurrence = recurrence;
+  if (projectQuery) base.projectQuery = projectQuery;
+  if (statusQuery) base.statusQuery = statusQuery;
+  if (estimateMins) base.estimateMins = estimateMins;
+  Object.assign(base, ratings);
+  if (invalidTokens.length > 0) base.invalidTokens = invalidTokens;
+  return base;
+}
+
+// ----- Quick-add Autocomplete -----
+
+const QUICK_ADD_TRIGGERS = ['due:', 'expect:', '@', '+', '#', '!', '>'];
+const QUICK_ADD_SUGGESTION_LIMIT = 8;
+const DATE_SUGGESTIONS = [
+  'today',
+  'tomorrow',
+  'eod',
+  'eow',
+  'eom',
+  'mon',
+  'fri',
+  'next monday',
+  'in 3d',
+  '+1w',
+  'end of sprint',
+];
+const PRIORITY_HINTS = {
+  P0: 'Drop everything',
+  P1: 'High',
+  P2: 'Medium',
+  P3: 'Normal',
+  P4: 'Someday',
+};
+
+// The token under the caret when it starts with a quick-add trigger, e.g.
+// `{ trigger: '@', query: 'pri', start, end }` for "Call @pri|".
+function getActiveQuickAddToken(input, caret) {
+  const start = input.slice(0, caret).search(/\S*$/);
+  const rest = input.slice(start).search(/\s|$/);
+  const end = start + rest;
+  const word = input.slice(start, end);
+  const trigger = QUICK_ADD_TRIGGERS.find((candidate) => word.startsWith(candidate));
+  if (!trigger || caret < start + trigger.length) return null;
+  return { trigger, query: word.slice(trigger.length).replaceAll('"', ''), start, end };
+}
+
+// Tags in use, most frequent first.
+function getTagFrequencies(tasks) {
+  const counts = new Map();
+  tasks.forEach((task) => task.tags?.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return Array.from(counts, ([name, count]) => ({ name, count })).sort(
+    (a, b) => b.count - a.count || a.name.localeCompare(b.name),
+  );
+}
+
+// Prefix matches before substring matches; input order (already ranked) otherwise.
+function rankByQuery(items, query, getName) {
+  const needle = query.toLowerCase();
+  if (!needle) return items;
+  const prefix = [];
+  const contains = [];
+  items.forEach((item) => {
+    const name = getName(item).toLowerCase();
+    if (name.startsWith(needle)) prefix.push(item);
+    else if (name.includes(needle)) contains.push(item);
+  });
+  return [...prefix, ...contains];
+}
+
+/**
+ * Completions for the active token. Each is `{ id, label, hint, insert }`, where
+ * `insert` replaces the whole token.
+ */
+function getQuickAddSuggestions(token, { owners, tags, projects, statuses }) {
+  if (!token) return [];
+  const { trigger, query } = token;
+  let suggestions = [];
+  if (trigger === '@') {
+    const special = [
+      { name: 'me', hint: 'Yourself' },
+      { name: 'ai', hint: 'AI agent' },
+    ];
+    suggestions = [
+      ...rankByQuery(special, query, (item) => item.name),
+      ...owners.map((owner) => ({ name: owner.name, hint: pluralize(owner.taskCount, 'task') })),
+    ].map((item) => ({ label: `@${item.name}`, hint: item.hint, insert: `@${item.name}` }));
+  } else if (trigger === '+') {
+    suggestions = rankByQuery(tags, query, (tag) => tag.name).map((tag) => ({
+      label: `+${tag.name}`,
+      hint: pluralize(tag.count, 'task'),
+      insert: `+${tag.name}`,
+    }));
+  } else if (trigger === '#') {
+    const ranked = rankByQuery(projects, query, (project) => project.name);
+    const closest = matchProject(projects, query)?.project;
+    if (query && closest && !ranked.includes(closest)) ranked.push(closest);
+    suggestions = ranked.map((project) => ({
+      label: `#${project.name}`,
+      hint: 'Project',
+      color: project.color,
+      insert: /\s/.test(project.name) ? `#"${project.name}"` : `#${project.name}`,
+    }));
+  } else if (trigger === '>') {
+    const ranked = rankByQuery(statuses, query, (status) => status.label);
+    const closest = matchStatus(statuses, query)?.status;
+    if (query && closest && !ranked.includes(closest)) ranked.push(closest);
+    suggestions = ranked.map((status) => ({
+      label: `>${status.label}`,
+      hint: 'Status',
+      insert: `>${/\s/.test(status.label) ? status.id : status.label.toLowerCase()}`,
+    }));
+  } else if (trigger === '!') {
+    suggestions = rankByQuery(PRIORITY_BUCKETS, query, (bucket) => bucket).map((bucket) => ({
+      label: `!${bucket.toLowerCase()}`,
+      hint: PRIORITY_HINTS[bucket],
+      insert: `!${bucket.toLowerCase()}`,
+    }));
+  } else {
+    suggestions = rankByQuery(DATE_SUGGESTIONS, query, (phrase) => phrase).map((phrase) => ({
+      label: `${trigger}${phrase}`,
+      hint: humanDue(parseNaturalDate(phrase)),
+      insert: `${trigger}${phrase}`,
+    }));
+  }
+  return suggestions
+    .filter((suggestion) => suggestion.insert !== `${trigger}${query}`)
+    .slice(0, QUICK_ADD_SUGGESTION_LIMIT)
+    .map((suggestion) => ({ ...suggestion, id: suggestion.insert }));
+}
+
+// Reuse the existing spelling of an owner or tag that differs only in case.
+function canonicalizeNames(names, known) {
+  const byLower = new Map(known.map((name) => [name.toLowerCase(), name]));
+  return names.map((name) => byLower.get(name.toLowerCase()) ?? name);
+}
+
+// The #project token as typed, quoted again when the name has spaces
+function formatProjectToken(name) {
+  return /\s/.test(name) ? `#"${name}"` : `#${name}`;
+}
+
+// Where a parsed line's #project sends the task. An unknown name never blocks
+// the add: its token stays in the title and the task goes to the current board.
+// Returns `{ project, title, unknownToken }`.
+function resolveQuickAddProject(parsed, title, projects) {
+  const match = parsed.projectQuery ? matchProject(projects, parsed.projectQuery) : null;
+  if (!parsed.projectQuery || match) {
+    return { project: match?.project ?? null, title, unknownToken: null };
+  }
+  const unknownToken = formatProjectToken(parsed.projectQuery);
+  return { project: null, title: `${title} ${unknownToken}`.trim(), unknownToken };
+}
+
+// A >status naming no status is reported with the other unrecognized tokens
+// (like a bad est:) instead of silently landing the task in the default lane.
+function flagUnmatchedStatus(parsed, statuses) {
+  if (!parsed.statusQuery || matchStatus(statuses, parsed.statusQuery)) return parsed;
+  return {
+    ...parsed,
+    statusQuery: null,
+    invalidTokens: [...(parsed.invalidTokens || []), `>${parsed.statusQuery}`],
+  };
+}
+
+// addTask() fields for a parsed quick-add line; `known` holds existing tag and
+// owner names (so near-duplicates reuse their spelling) and the statuses `>name`
+// resolves against. #project is left to the caller.
+function buildQuickAddTask(parsed, known) {
+  const status = parsed.statusQuery ? matchStatus(known.statuses, parsed.statusQuery) : null;
+  const base = {
+    title: parsed.title || 'Untitled',
+    // An explicit >status wins; otherwise only AI tasks get one and addTask()
+    // handles the default for the rest
+    ...(parsed.ownerType === 'ai' && { status: 'waiting_ai' }),
+    ...(status && { status: status.status.id }),
+    ownerType: parsed.ownerType,
+    tags: canonicalizeNames(parsed.tags, known.tags),
+    dueAt: parsed.dueAt,
+    expectedBy: parsed.expectedBy,
+    owners: canonicalizeNames(parsed.owners || [], known.owners),
+  };
+  if (parsed.priorityBucket) base.priorityBucket = parsed.priorityBucket;
+  if (parsed.estimateMins) base.estimateMins = parsed.estimateMins;
+  SCORE_FIELDS.forEach((field) => {
+    if (parsed[field] !== undefined) base[field] = parsed[field];
+  });
+  if (parsed.recurrence) {
+    base.recurrence = parsed.recurrence;
+    base.dueAt = parsed.dueAt ?? firstOccurrence(parsed.recurrence).toISOString();
+  }
+  return base;
+}
+
+const PASTE_BULLET = /^(?:[-*•]|\d+[.)])\s+/;
+const PASTE_CHECKBOX = /^\[[ xX]?\]\s+/;
+
+// Split pasted text into quick-add rows. A line becomes a subtask of the last
+// top-level line when it is indented further, or when it is a bullet directly
+// under a plain (unbulleted) line at the same indentation. Blank lines reset.
+function parsePastedLines(text) {
+  const rows = [];
+  let parent = null;
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const indent = line.match(/^\s*/)[0].replace(/\t/g, '  ').length;
+      const trimmed = line.trim();
+      const bulleted = PASTE_BULLET.test(trimmed) || PASTE_CHECKBOX.test(trimmed);
+      const content = trimmed.replace(PASTE_BULLET, '').replace(PASTE_CHECKBOX, '').trim();
+      if (!content) {
+        // A blank line ends the current group
+        if (!trimmed) parent = null;
+        return;
+      }
+      const isSubtask =
+        !!parent &&
+        (indent > parent.indent || (bulleted && !parent.bulleted && indent === parent.indent));
+      if (!isSubtask) parent = { indent, bulleted };
+      rows.push({ key: uid(), text: content, isSubtask, include: true });
+    });
+  return rows;
+}
+
+// ----- UI Components -----
+
+function Badge({ children, className, variant = 'default' }) {
+  const variants = {
+    default: 'bg-slate-100 text-gray-700 dark:bg-zinc-800 dark:text-zinc-300',
+    primary: 'bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-300',
+    success: 'bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-300',
+    warning: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900 dark:text-yellow-300',
+    danger: 'bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300',
+  };
+  return (
+    <span
+      className={clsx(
+        'inline-flex items-center rounded-md px-2 py-0.5 text-xs font-medium',
+        variants[variant] || variants.default,
+        className,
+      )}
+    >
+      {children}
+    </span>
+  );
+}
+
+// Marks each case-insensitive occurrence of `terms` in `text`.
+function HighlightedText({ text, terms }) {
+  if (!terms?.length) return text;
+  const escaped = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return text.split(new RegExp(`(${escaped.join('|')})`, 'gi')).map((part, index) =>
+    index % 2 ? (
+      <mark
+        key={index}
+        className="rounded-sm bg-yellow-200/80 text-inherit dark:bg-yellow-500/30 dark:text-inherit"
+      >
+        {part}
+      </mark>
+    ) : (
+      part
+    ),
+  );
+}
+
+const STATUS_STYLES = {
+  inbox: {
+    border: 'border-t-sky-500 dark:border-t-sky-400',
+    badge:
+      'bg-sky-50 text-sky-700 dark:bg-sky-950/30 dark:text-sky-400 border border-sky-200/50 dark:border-sky-800/50',
+    title: 'text-sky-800 dark:text-sky-300',
+  },
+  ready: {
+    border: 'border-t-blue-500 dark:border-t-blue-400',
+    badge:
+      'bg-blue-50 text-blue-700 dark:bg-blue-950/30 dark:text-blue-400 border border-blue-200/50 dark:border-blue-800/50',
+    title: 'text-blue-800 dark:text-blue-300',
+  },
+  in_progress: {
+    border: 'border-t-amber-500 dark:border-t-amber-400',
+    badge:
+      'bg-amber-50 text-amber-700 dark:bg-amber-950/30 dark:text-amber-400 border border-amber-200/50 dark:border-amber-800/50',
+    title: 'text-amber-800 dark:text-amber-300',
+  },
+  in_review: {
+    border: 'border-t-purple-500 dark:border-t-purple-400',
+    badge:
+      'bg-purple-50 text-purple-700 dark:bg-purple-950/30 dark:text-purple-400 border border-purple-200/50 dark:border-purple-800/50',
+    title: 'text-purple-800 dark:text-purple-300',
+  },
+  waiting: {
+    border: 'border-t-rose-500 dark:border-t-rose-400',
+    badge:
+      'bg-rose-50 text-rose-700 dark:bg-rose-950/30 dark:text-rose-400 border border-rose-200/50 dark:border-rose-800/50',
+    title: 'text-rose-800 dark:text-rose-300',
+  },
+  done: {
+    border: 'border-t-emerald-500 dark:border-t-emerald-400',
+    badge:
+      'bg-emerald-50 text-emerald-700 dark:bg-emerald-950/30 dark:text-emerald-400 border border-emerald-200/50 dark:border-emerald-800/50',
+    title: 'text-emerald-800 dark:text-emerald-300',
+  },
+  bin: {
+    border: 'border-t-zinc-400 dark:border-t-zinc-500',
+    badge:
+      'bg-zinc-50 text-zinc-600 dark:bg-zinc-800 dark:text-zinc-400 border border-zinc-200/50 dark:border-zinc-700/50',
+    title: 'text-zinc-700 dark:text-zinc-300',
+  },
+  backlog: {
+    border: 'border-t-zinc-400 dark:border-t-zinc-600',
+    badge:
+      'bg-slate-50 text-slate-600 dark:bg-zinc-800 dark:text-zinc-400 border border-slate-200/50 dark:border-zinc-800/50',
+    title: 'text-slate-700 dark:text-zinc-300',
+  },
+};
+
+function getStatusStyle(status, columnName = '') {
+  const norm = (columnName || status || '').toLowerCase();
+  if (norm.includes('inbox')) return STATUS_STYLES.inbox;
+  if (norm.includes('next') || norm.includes('ready')) return STATUS_STYLES.ready;
+  if (norm.includes('progress')) return STATUS_STYLES.in_progress;
+  if (norm.includes('review')) return STATUS_STYLES.in_review;
+  if (norm.includes('wait')) return STATUS_STYLES.waiting;
+  if (norm.includes('done')) return STATUS_STYLES.done;
+  if (norm.includes('bin') || norm.includes('archive')) return STATUS_STYLES.bin;
+  if (norm.includes('backlog')) return STATUS_STYLES.backlog;
+  return STATUS_STYLES.ready;
+}
+
+const EmptyColumnSvg = React.memo(({ columnName }) => {
+  const norm = columnName.toLowerCase();
+  if (norm.includes('inbox')) {
+    return (
+      <svg
+        className="w-7 h-7 text-sky-400/80 dark:text-sky-500/80"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={1.5}
+        viewBox="0 0 24 24"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          d="M2.25 13.5h3.86a2.25 2.25 0 012.008 1.24l.885 1.77a2.25 2.25 0 002.007 1.24h1.98a2.25 2.25 0 002.007-1.24l.885-1.77a2.25 2.25 0 012.007-1.24h3.86m-18 0h18a2.25 2.25 0 012.25 2.25v4.5A2.25 2.25 0 0119.5 21h-15A2.25 2.25 0 012 18.75v-4.5A2.25 2.25 0 012.25 13.5zm7.5-6h4.5M12 3v4.5m0 0l-1.5-1.5M12 7.5l1.5-1.5"
+        />
+      </svg>
+    );
+  }
+  if (norm.includes('next') || norm.includes('ready')) {
+    return (
+      <svg
+        className="w-7 h-7 text-blue-400/80 dark:text-blue-500/80"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={1.5}
+        viewBox="0 0 24 24"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+        />
+      </svg>
+    );
+  }
+  if (norm.includes('progress')) {
+    return (
+      <svg
+        className="w-7 h-7 text-amber-400/80 dark:text-amber-500/80 animate-[spin_6s_linear_infinite]"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={1.5}
+        viewBox="0 0 24 24"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          d="M4.5 12a7.5 7.5 0 0015 0m-15 0a7.5 7.5 0 1115 0m-15 0H3m16.5 0H21m-1.5 0a5.978 5.978 0 01-1.076 3.428M19.5 12a5.978 5.978 0 00-1.076-3.428m-12 0A5.978 5.978 0 004.5 12m4.846-5.328a6 6 0 016.308 0"
+        />
+      </svg>
+    );
+  }
+  if (norm.includes('review')) {
+    return (
+      <svg
+        className="w-7 h-7 text-purple-400/80 dark:text-purple-500/80"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={1.5}
+        viewBox="0 0 24 24"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          d="M2.036 12.322a1.012 1.012 0 010-.639C3.423 7.51 7.36 4.5 12 4.5c4.638 0 8.573 3.007 9.963 7.178.07.207.07.431 0 .639C20.577 16.49 16.64 19.5 12 19.5c-4.638 0-8.573-3.007-9.963-7.178z"
+        />
+        <path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+      </svg>
+    );
+  }
+  if (norm.includes('wait')) {
+    return (
+      <svg
+        className="w-7 h-7 text-rose-400/80 dark:text-rose-500/80"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={1.5}
+        viewBox="0 0 24 24"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          d="M12 6v6h4.5m4.5 0a9 9 0 11-18 0 9 9 0 0118 0z"
+        />
+      </svg>
+    );
+  }
+  if (norm.includes('done')) {
+    return (
+      <svg
+        className="w-7 h-7 text-emerald-400/80 dark:text-emerald-500/80"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={1.5}
+        viewBox="0 0 24 24"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          d="M9 12.75L11.25 15 15 9.75M21 12c0 1.268-.63 2.39-1.593 3.068a3.745 3.745 0 01-1.043 3.296 3.745 3.745 0 01-3.296 1.043A3.745 3.745 0 0112 21c-1.268 0-2.39-.63-3.068-1.593a3.746 3.746 0 01-3.296-1.043 3.746 3.746 0 01-1.043-3.296A3.745 3.745 0 013 12c0-1.268.63-2.39 1.593-3.068a3.745 3.745 0 011.043-3.296 3.746 3.746 0 013.296-1.043A3.746 3.746 0 0112 3c1.268 0 2.39.63 3.068 1.593a3.746 3.746 0 013.296 1.043 3.746 3.746 0 011.043 3.296A3.745 3.745 0 0121 12z"
+        />
+      </svg>
+    );
+  }
+  if (norm.includes('bin') || norm.includes('trash') || norm.includes('archive')) {
+    return (
+      <svg
+        className="w-7 h-7 text-zinc-400/80 dark:text-zinc-500/80"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={1.5}
+        viewBox="0 0 24 24"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          d="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052.682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059.68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0"
+        />
+      </svg>
+    );
+  }
+  return (
+    <svg
+      className="w-7 h-7 text-slate-400/80 dark:text-zinc-500/80"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth={1.5}
+      viewBox="0 0 24 24"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M20.25 7.5l-.625 10.632a2.25 2.25 0 01-2.247 2.118H6.622a2.25 2.25 0 01-2.247-2.118L3.75 7.5M10 11.25h4M3.375 7.5h17.25c.621 0 1.125-.504 1.125-1.125v-1.5c0-.621-.504-1.125-1.125-1.125H3.375c-.621 0-1.125.504-1.125 1.125v1.5c0 .621.504 1.125 1.125 1.125z"
+      />
+    </svg>
+  );
+});
+EmptyColumnSvg.displayName = 'EmptyColumnSvg';
+
+const Column = React.memo(function Column({
+  status,
+  tasks,
+  labelOverride = null,
+  hintOverride = null,
+  dropStatus = null,
+  tone = 'primary',
+  swimlane,
+}) {
+  const dragHoverStatus = useStore((s) => s.dragHoverStatus);
+  const dragHoverSwimlane = useStore((s) => s.dragHoverSwimlane);
+  const statusMeta = useStore((s) => s.getStatusMetaMap());
+  const sortByScore = useStore((s) => s.scoreSortedLanes.includes(status));
+  const toggleLaneScoreSort = useStore((s) => s.toggleLaneScoreSort);
+  const collapsed = useStore((s) => s.collapsedLanes.includes(status));
+  const toggleLaneCollapsed = useStore((s) => s.toggleLaneCollapsed);
+  const [triageOpen, setTriageOpen] = useState(false);
+  const effectiveDropStatus = dropStatus || status;
+  const highlight =
+    dragHoverStatus === effectiveDropStatus &&
+    (swimlane === undefined || dragHoverSwimlane === swimlane);
+  const meta = statusMeta[status] || { label: status, hint: '' };
+  const label = labelOverride || meta.label;
+  const hint = hintOverride || meta.hint;
+  const isSecondary = tone === 'secondary';
+
+  const style = getStatusStyle(status, label);
+
+  if (collapsed) {
+    return (
+      <button
+        type="button"
+        data-col={effectiveDropStatus}
+        className="w-12 rounded-2xl p-2.5 border transition-all flex flex-col items-center bg-slate-50/50 dark:bg-zinc-900/20 border-slate-200 dark:border-zinc-800/80 shadow-sm shrink-0 select-none cursor-pointer hover:bg-slate-100 dark:hover:bg-zinc-800/40"
+        onClick={() => toggleLaneCollapsed(status)}
+        title={`Expand ${label}`}
+      >
+        <span
+          className={clsx(
+            'text-[10px] font-bold px-1.5 py-0.5 rounded-full mb-4 shrink-0',
+            style.badge,
+          )}
+        >
+          {tasks.length}
+        </span>
+        <div className="flex-1 flex items-center justify-center">
+          <h3
+            className="font-bold text-slate-500 dark:text-zinc-400 text-xs tracking-wider uppercase whitespace-nowrap"
+            style={{ writingMode: 'vertical-rl', transform: 'rotate(180deg)' }}
+          >
+            {label}
+          </h3>
+        </div>
+        <ChevronDown className="w-4 h-4 text-slate-400 shrink-0 mt-4 -rotate-90" />
+      </button>
+    );
+  }
+
+  return (
+    <div
+      data-col={effectiveDropStatus}
+      className={clsx(
+        'flex-1 min-w-[280px] max-w-[520px] rounded-2xl p-4 border transition-all flex flex-col',
+        isSecondary
+          ? 'bg-slate-50/70 dark:bg-zinc-950/20 border-slate-200/80 dark:border-zinc-800/85'
+          : 'bg-white dark:bg-zinc-900 border-slate-200/80 dark:border-zinc-800/80',
+        highlight && 'ring-2 ring-blue-400 border-blue-300 shadow-lg',
+        !highlight && 'shadow-sm',
+      )}
+    >
+      <div className="flex items-center gap-2 mb-4 shrink-0">
+        <button
+          type="button"
+          onClick={() => toggleLaneCollapsed(status)}
+          className="flex items-center gap-2 min-w-0 text-left hover:opacity-80 transition-opacity"
+        >
+          <ChevronDown
+            className={clsx(
+              'w-4 h-4 text-slate-400 transition-transform duration-200',
+              collapsed && '-rotate-90',
+            )}
+          />
+          <h3 className={clsx('font-bold text-sm tracking-wide', style.title)}>{label}</h3>
+        </button>
+        {hint && (
+          <span
+            className="text-[11px] text-slate-400 dark:text-zinc-500 truncate max-w-[120px] sm:max-w-none"
+            title={hint}
+          >
+            {hint}
+          </span>
+        )}
+        {status === 'inbox' && tasks.length > 0 && (
+          <button
+            type="button"
+            onClick={() => setTriageOpen(true)}
+            className="ml-auto inline-flex items-center gap-1 rounded-md px-1.5 py-0.5 text-[11px] font-semibold text-slate-500 hover:bg-slate-100 hover:text-slate-700 dark:text-zinc-400 dark:hover:bg-zinc-800 dark:hover:text-zinc-200 transition-colors"
+            title="Triage these tasks one at a time (T)"
+          >
+            <Inbox className="w-3.5 h-3.5" />
+            Triage
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => toggleLaneScoreSort(status)}
+          aria-pressed={sortByScore}
+          className={clsx(
+            'p-1 rounded-md transition-colors',
+            !(status === 'inbox' && tasks.length > 0) && 'ml-auto',
+            sortByScore
+              ? 'text-indigo-600 bg-indigo-50 dark:text-indigo-400 dark:bg-indigo-950/40'
+              : 'text-slate-400 hover:text-slate-600 hover:bg-slate-100 dark:hover:text-zinc-300 dark:hover:bg-zinc-800',
+          )}
+          title={sortByScore ? 'Sorted by score (click for manual order)' : 'Sort by score'}
+        >
+          <ArrowDownWideNarrow className="w-3.5 h-3.5" />
+        </button>
+        <span className={clsx('text-xs font-semibold px-2 py-0.5 rounded-full', style.badge)}>
+          {tasks.length}
+        </span>
+      </div>
+      <div className="column-tasklist space-y-2.5 min-h-[150px] flex-1 overflow-y-auto pr-0.5 custom-scrollbar">
+        {tasks.length === 0 ? (
+          <EmptyColumnState columnName={label} />
+        ) : (
+          (sortByScore ? sortTasksByScore(tasks) : tasks).map((t) => (
+            <TaskCard key={t.id} task={t} swimlane={swimlane} />
+          ))
+        )}
+      </div>
+      {triageOpen && (
+        <InboxTriageDialog
+          taskIds={(sortByScore ? sortTasksByScore(tasks) : tasks).map((t) => t.id)}
+          onClose={() => setTriageOpen(false)}
+        />
+      )}
+    </div>
+  );
+});
+
+// Owner display components
+function OwnerBadge({ owner }) {
+  return (
+    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-700 dark:bg-zinc-800 dark:text-zinc-300">
+      {owner}
+    </span>
+  );
+}
+
+function OwnersList({ owners }) {
+  if (!owners || owners.length === 0) return null;
+
+  const displayCount = 3;
+  const visibleOwners = owners.slice(0, displayCount);
+  const remainingCount = owners.length - displayCount;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {visibleOwners.map((owner) => (
+        <OwnerBadge key={owner} owner={owner} />
+      ))}
+      {remainingCount > 0 && (
+        <span className="text-xs text-slate-500 dark:text-zinc-400">+{remainingCount} more</span>
+      )}
+    </div>
+  );
+}
+
+// ===== NEW UI/UX IMPROVEMENT COMPONENTS (Feature 004) =====
+
+// TokenHelpTooltip - Collapsible help for token syntax (FR-001 to FR-005)
+function TokenHelpTooltip({ visible, onDismiss }) {
+  const tooltipRef = useRef(null);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onDismiss();
+    };
+
+    const handleClickOutside = (e) => {
+      if (tooltipRef.current && !tooltipRef.current.contains(e.target)) {
+        onDismiss();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    document.addEventListener('mousedown', handleClickOutside);
+
+    return () => {
+      document.removeEventListener('keydown', handleEscape);
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [visible, onDismiss]);
+
+  if (!visible) return null;
+
+  return (
+    <div
+      ref={tooltipRef}
+      className="absolute z-50 mt-2 w-96 p-4 bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 rounded-lg shadow-xl"
+      role="dialog"
+      aria-label="Token syntax help"
+    >
+      <div className="flex justify-between items-start mb-3">
+        <h3 className="text-lg font-semibold text-slate-900 dark:text-zinc-100">Token Syntax</h3>
+        <button
+          onClick={onDismiss}
+          className="text-slate-400 hover:text-slate-600 dark:hover:text-zinc-300"
+          aria-label="Close help"
+        >
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="space-y-3 text-sm text-gray-700 dark:text-zinc-300">
+        <div>
+          <strong className="text-slate-900 dark:text-zinc-100">!p0..p4</strong> - Set priority
+          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
+            Example: !p0 (highest), !p4 (lowest)
+          </div>
+        </div>
+
+        <div>
+          <strong className="text-slate-900 dark:text-zinc-100">@owner</strong> - Assign owner
+          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
+            Example: @ai, @me, @john
+          </div>
+        </div>
+
+        <div>
+          <strong className="text-slate-900 dark:text-zinc-100">#project</strong> - Add to project
+          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
+            Example: #website, {'#"Mobile App"'} (close matches work; unknown names can be created)
+          </div>
+        </div>
+
+        <div>
+          <strong className="text-slate-900 dark:text-zinc-100">&gt;status</strong> - Set column
+          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
+            Example: &gt;next, &gt;review, &gt;blocked (custom statuses work too)
+          </div>
+        </div>
+
+        <div>
+          <strong className="text-slate-900 dark:text-zinc-100">est:</strong> - Estimate
+          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
+            Example: est:30m, est:2h, est:1h30m, est:1d
+          </div>
+        </div>
+
+        <div>
+          <strong className="text-slate-900 dark:text-zinc-100">+tag</strong> - Add tag
+          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
+            Example: +bug, +feature
+          </div>
+        </div>
+
+        <div>
+          <strong className="text-slate-900 dark:text-zinc-100">due:</strong> - Set due date
+          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
+            Example: due:today, due:fri 5pm, due:next monday, due:in 3d, due:+2w, due:eod, due:eow,
+            due:eom, due:end of sprint, due:
+            {format(addDays(new Date(), 7), 'yyyy-MM-dd')}, due:16:00
+          </div>
+        </div>
+
+        <div>
+          <strong className="text-slate-900 dark:text-zinc-100">every:</strong> - Repeat task
+          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
+            Example: every:day, every:2w, every:mon,wed, every:1st-mon, every:after-3d
+          </div>
+        </div>
+
+        <div>
+          <strong className="text-slate-900 dark:text-zinc-100">impact: urgency: effort:</strong> -
+          Rate 0..5 for the priority score
+          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
+            Example: impact:4 urgency:3 effort:1
+          </div>
+        </div>
+
+        <div>
+          <strong className="text-slate-900 dark:text-zinc-100">expect:</strong> - Expected
+          completion
+          <div className="text-xs text-slate-500 dark:text-zinc-400 ml-2">
+            Example: expect:today, expect:+4h, expect:tomorrow noon, expect:
+            {format(addDays(new Date(), 7), 'yyyy-MM-dd')}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// getPriorityBorderClass - Returns Tailwind classes for priority color (FR-006 to FR-012)
+// Priority accent is a rounded inset bar, NOT a border-left: a 4px left
+// border sweeps around the 16px card radius and paints a thick crescent
+// that pokes outside selection/timer rings at the corners.
+function getPriorityAccentClass(priority) {
+  const colors = {
+    P0: 'bg-rose-500',
+    P1: 'bg-orange-500',
+    P2: 'bg-amber-500',
+    P3: 'bg-slate-300 dark:bg-zinc-700',
+    P4: 'bg-slate-200 dark:bg-zinc-800',
+  };
+  return colors[priority] || colors.P3;
+}
+
+// EmptyColumnState - Contextual empty state messages (FR-013 to FR-019)
+const EmptyColumnState = React.memo(({ columnName }) => {
+  const messages = {
+    Inbox: { text: 'Capture ideas and requests here' },
+    Backlog: { text: 'Park lower-priority work here' },
+    'Next Up': { text: 'Pull your next task from here' },
+    'In Progress': { text: 'Start working on a task' },
+    Review: { text: 'Tasks waiting for PR/review/QA' },
+    Waiting: { text: 'Pending AI, people, or external dependencies' },
+    'Waiting on AI': { text: 'Delegate to AI agents' },
+    'Waiting on Others': { text: 'Waiting on teammate or external input' },
+    Blocked: { text: 'Needs decision or unblock to continue' },
+    Done: { text: 'Ready to ship!' },
+    Bin: { text: 'Dump older completed tasks here' },
+  };
+
+  const message = messages[columnName] || { text: 'No tasks' };
+
+  return (
+    <div className="flex flex-col items-center justify-center text-center border border-dashed border-slate-200 dark:border-zinc-800/80 rounded-2xl px-4 py-8 bg-slate-50/30 dark:bg-zinc-950/10">
+      <div className="mb-3 p-3 rounded-full bg-slate-100 dark:bg-zinc-800/40">
+        <EmptyColumnSvg columnName={columnName} />
+      </div>
+      <p className="text-xs text-slate-500 dark:text-zinc-400 font-medium leading-relaxed max-w-[200px]">
+        {message.text}
+      </p>
+    </div>
+  );
+});
+EmptyColumnState.displayName = 'EmptyColumnState';
+
+// ===== END NEW COMPONENTS =====
+
+function TaskPriorityBadge({ priority }) {
+  const styles = {
+    P0: 'bg-rose-50 text-rose-600 border border-rose-200/60 dark:bg-rose-950/20 dark:text-rose-400 dark:border-rose-800/40 text-[10px] font-bold px-1.5 py-0.5 rounded-full inline-flex items-center gap-0.5 shadow-sm shadow-rose-100/10',
+    P1: 'bg-orange-50 text-orange-600 border border-orange-200/60 dark:bg-orange-950/20 dark:text-orange-400 dark:border-orange-800/40 text-[10px] font-bold px-1.5 py-0.5 rounded-full inline-flex items-center gap-0.5 shadow-sm shadow-orange-100/10',
+    P2: 'bg-amber-50 text-amber-600 border border-amber-200/60 dark:bg-amber-950/20 dark:text-amber-400 dark:border-amber-800/40 text-[10px] font-bold px-1.5 py-0.5 rounded-full inline-flex items-center gap-0.5 shadow-sm shadow-amber-100/10',
+    P3: 'bg-slate-50 text-slate-600 border border-slate-200/50 dark:bg-zinc-800/40 dark:text-zinc-400 dark:border-zinc-700/40 text-[10px] font-semibold px-1.5 py-0.5 rounded-full inline-flex items-center gap-0.5',
+    P4: 'bg-slate-100 text-slate-500 border border-slate-200/40 dark:bg-zinc-800/30 dark:text-zinc-500 dark:border-zinc-700/30 text-[10px] font-medium px-1.5 py-0.5 rounded-full inline-flex items-center gap-0.5',
+  };
+
+  const icons = {
+    P0: (
+      <svg
+        className="w-2.5 h-2.5 fill-current animate-pulse text-rose-500 dark:text-rose-400"
+        viewBox="0 0 24 24"
+      >
+        <path d="M12 2C6.477 2 2 6.477 2 12s4.477 10 10 10 10-4.477 10-10S17.523 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z" />
+      </svg>
+    ),
+    P1: (
+      <svg
+        className="w-2.5 h-2.5 fill-current text-orange-500 dark:text-orange-400"
+        viewBox="0 0 24 24"
+      >
+        <path d="M12 2C6.477 2 2 6.477 2 12s4.477 10 10 10 10-4.477 10-10S17.523 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z" />
+      </svg>
+    ),
+    P2: (
+      <svg
+        className="w-2.5 h-2.5 fill-current text-amber-500 dark:text-amber-400"
+        viewBox="0 0 24 24"
+      >
+        <path d="M12 2C6.477 2 2 6.477 2 12s4.477 10 10 10 10-4.477 10-10S17.523 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z" />
+      </svg>
+    ),
+  };
+
+  return (
+    <span className={styles[priority] || styles.P3}>
+      {icons[priority]}
+      {priority}
+    </span>
+  );
+}
+
+function getTagStyle(tag) {
+  let hash = 0;
+  for (let i = 0; i < tag.length; i++) {
+    hash = tag.charCodeAt(i) + ((hash << 5) - hash);
+  }
+  const colors = [
+    {
+      bg: 'bg-blue-50 text-blue-600 dark:bg-blue-950/20 dark:text-blue-400 border border-blue-100 dark:border-blue-900/30',
+    },
+    {
+      bg: 'bg-indigo-50 text-indigo-600 dark:bg-indigo-950/20 dark:text-indigo-400 border border-indigo-100 dark:border-indigo-900/30',
+    },
+    {
+      bg: 'bg-purple-50 text-purple-600 dark:bg-purple-950/20 dark:text-purple-400 border border-purple-100 dark:border-purple-900/30',
+    },
+    {
+      bg: 'bg-pink-50 text-pink-600 dark:bg-pink-950/20 dark:text-pink-400 border border-pink-100 dark:border-pink-900/30',
+    },
+    {
+      bg: 'bg-teal-50 text-teal-600 dark:bg-teal-950/20 dark:text-teal-400 border border-teal-100 dark:border-teal-900/30',
+    },
+    {
+      bg: 'bg-emerald-50 text-emerald-600 dark:bg-emerald-950/20 dark:text-emerald-400 border border-emerald-100 dark:border-emerald-900/30',
+    },
+    {
+      bg: 'bg-cyan-50 text-cyan-600 dark:bg-cyan-950/20 dark:text-cyan-400 border border-cyan-100 dark:border-cyan-900/30',
+    },
+  ];
+  const index = Math.abs(hash) % colors.length;
+  return colors[index];
+}
+
+function TaskCard({ task, swimlane }) {
+  const move = useStore((s) => s.moveTask);
+  const stopTimer = useStore((s) => s.stopTimer);
+  const startTimer = useStore((s) => s.startTimer);
+  const toggleSelected = useStore((s) => s.toggleSelected);
+  const selectedIds = useStore((s) => s.selectedIds);
+  const tasks = useStore((s) => s.tasks);
+  const projects = useStore((s) => s.projects);
+  const currentProjectId = useStore((s) => s.currentProjectId);
+  const lastAddedTaskId = useStore((s) => s.lastAddedTaskId);
+  const statusConfig = useStore((s) => s.statusConfig);
+  const isCombinedBoard = useStore((s) => s.projectScope !== 'current');
+  const searchHighlights = useStore((s) => getParsedSearchQuery(s.filters.q).highlights);
+  const isInMyDay = useStore((s) => s.myDay.taskIds.includes(task.id));
+  const [open, setOpen] = useState(false);
+  const overdue = task.dueAt ? isBefore(new Date(task.dueAt), new Date()) : false;
+  const isNewlyAdded = lastAddedTaskId === task.id;
+
+  const taskProject = projects.find((p) => p.id === task.projectId);
+
+  // Live ticker for running tasks
+  const [, setTick] = useState(0);
+  useEffect(() => {
+    if (!task.timerStartedAt) return;
+    const id = setInterval(() => setTick((t) => t + 1), 1000);
+    return () => clearInterval(id);
+  }, [task.timerStartedAt]);
+
+  const elapsedSecs = computeElapsedSecs(task);
+  const elapsedLabel = formatDurationShort(elapsedSecs);
+  const isRunning = !!task.timerStartedAt;
+  const isSelected = selectedIds.includes(task.id);
+  const childTasks = getChildTasks(tasks, task.id);
+  const parentTask = getParentTask(tasks, task);
+  const openBlockers = getOpenBlockers(tasks, task, getCompletionIds(statusConfig));
+  const accentColor =
+    task.groupColor ||
+    parentTask?.groupColor ||
+    (childTasks.length > 0 ? pickTaskGroupColor(task.id) : null);
+  const isSubtask = !!task.parentTaskId;
+
+  // Only show the priority accent bar when there's no group/accent color
+  const hasGroupColor = !!accentColor;
+  const priorityAccentClass = hasGroupColor ? null : getPriorityAccentClass(task.priorityBucket);
+
+  return (
+    <motion.div
+      layout
+      drag
+      dragSnapToOrigin
+      data-task-id={task.id}
+      initial={isNewlyAdded ? { scale: 0.95, opacity: 0.7 } : false}
+      animate={isNewlyAdded ? { scale: 1, opacity: 1 } : undefined}
+      transition={isNewlyAdded ? { duration: 0.3 } : undefined}
+      whileDrag={{ scale: 1.03, zIndex: 60, cursor: 'grabbing' }}
+      onDragStart={() => {
+        // Body class (not React state) so drag start causes no re-render,
+        // which would reset the in-flight drag transform on layout cards.
+        document.body.classList.add('board-dragging');
+        useStore.getState().setDraggingId(task.id);
+      }}
+      onDrag={(e, info) => {
+        const now = Date.now();
+        if (!useStore.getState().lastDragCheck || now - useStore.getState().lastDragCheck > 100) {
+          const status = getStatusFromPoint(info.point.x, info.point.y);
+          const hoverSwimlane =
+            swimlane === undefined ? null : getSwimlaneFromPoint(info.point.x, info.point.y);
+          useStore.getState().setDragHoverStatus(status, hoverSwimlane);
+          useStore.getState().setLastDragCheck(now);
+        }
+      }}
+      onDragEnd={(e, info) => {
+        document.body.classList.remove('board-dragging');
+        const status = getStatusFromPoint(info.point.x, info.point.y);
+        if (status) {
+          const targetIndex = getTaskDropTargetIndex(
+            status,
+            info.point.x,
+            info.point.y,
+            task.id,
+            useStore.getState().tasks,
+          );
+          const toSwimlane =
+            swimlane === undefined ? null : getSwimlaneFromPoint(info.point.x, info.point.y);
+          if (toSwimlane !== null && toSwimlane !== swimlane) {
+            // Status and swimlane change together as one undo step
+            const state = useStore.getState();
+            const axis = state.swimlaneAxis;
+            state.runCommand(
+              `Move "${task.title}" to ${getSwimlaneLabel(axis, toSwimlane, state)}`,
+              () => {
+                move(task.id, status, targetIndex);
+                const result = state.moveTaskToSwimlane(task.id, axis, swimlane, toSwimlane);
+                if (result.error) state.showNotification(result.error, 'info');
+              },
+            );
+          } else {
+            move(task.id, status, targetIndex);
+          }
+        }
+        useStore.getState().clearDrag();
+      }}
+      className={clsx(
+        // transition must NOT include transform: framer-motion drives drag via
+        // transform each frame, and a CSS transition on it makes the card lag
+        // behind the pointer instead of following it.
+        // overflow-hidden clips the straight accent bar to the rounded corners;
+        // without it the bar's square ends poke out through the corner radius.
         'cursor-grab active:cursor-grabbing rounded-2xl overflow-hidden border border-slate-200/80 dark:border-zinc-800 p-3.5 relative transition-[background-color,border-color,box-shadow,opacity] duration-300 group',
         'bg-white dark:bg-zinc-900',
         isSelected
@@ -4373,2111 +9426,5214 @@ function TaskCard({ task }) {
       style={
         accentColor
           ? {
-              backgroundImage: `linear-gradient(135deg, ${colorWithAlpha(accentColor, 0.14)}, transparent 42%)`,
-              boxShadow: `inset 0 0 0 1px ${colorWithAlpha(accentColor, 0.22)}, inset 4px 0 0 0 ${colorWithAlpha(accentColor, 0.98)}, -8px 0 16px -12px ${colorWithAlpha(accentColor, 0.9)}`,
+              backgroundImage: `linear-gradient(135deg, ${colorWithAlpha(accentColor, 0.14)}, transparent 42%)`,
+              boxShadow: `inset 0 0 0 1px ${colorWithAlpha(accentColor, 0.22)}, inset 4px 0 0 0 ${colorWithAlpha(accentColor, 0.98)}, -8px 0 16px -12px ${colorWithAlpha(accentColor, 0.9)}`,
+            }
+          : undefined
+      }
+    >
+      {priorityAccentClass && (
+        <span
+          aria-hidden
+          className={clsx('pointer-events-none absolute inset-y-0 left-0 w-1', priorityAccentClass)}
+        />
+      )}
+      <div className="flex items-start gap-3">
+        {/* eslint-disable-next-line jsx-a11y/click-events-have-key-events, jsx-a11y/no-static-element-interactions */}
+        <div className="mt-1 shrink-0" onClick={(e) => e.stopPropagation()}>
+          <label className="relative flex items-center justify-center cursor-pointer">
+            <input
+              type="checkbox"
+              className="sr-only peer"
+              checked={isSelected}
+              onChange={() => toggleSelected(task.id)}
+            />
+            <div
+              className={clsx(
+                'w-4 h-4 rounded border flex items-center justify-center transition-all duration-200',
+                isSelected
+                  ? 'bg-blue-600 border-blue-600 text-white dark:bg-blue-500 dark:border-blue-500'
+                  : 'border-slate-300 dark:border-zinc-800 bg-white dark:bg-zinc-950 hover:border-slate-400 dark:hover:border-zinc-700',
+              )}
+            >
+              {isSelected && (
+                <svg
+                  className="w-2.5 h-2.5 stroke-white fill-none"
+                  viewBox="0 0 24 24"
+                  strokeWidth="4"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                >
+                  <polyline points="20 6 9 17 4 12" />
+                </svg>
+              )}
+            </div>
+          </label>
+        </div>
+
+        <div className="flex-1 min-w-0">
+          <button
+            className="text-left font-semibold text-slate-900 dark:text-zinc-100 hover:text-blue-600 dark:hover:text-blue-400 transition-colors truncate block w-full text-sm"
+            title={task.title}
+            onClick={() => setOpen(true)}
+          >
+            <HighlightedText text={task.title} terms={searchHighlights.text} />
+          </button>
+          <div className="flex flex-wrap items-center gap-1.5 mt-1.5">
+            <TaskPriorityBadge priority={task.priorityBucket} />
+            {hasScoreRatings(task) && (
+              <span
+                className="inline-flex items-center gap-0.5 rounded-full bg-indigo-50 px-1.5 py-0.5 text-[10px] font-bold text-indigo-700 dark:bg-indigo-950/30 dark:text-indigo-400"
+                title={`Priority score (impact ${task.impact ?? '—'}, urgency ${task.urgency ?? '—'}, effort ${task.effort ?? '—'})`}
+              >
+                <Gauge className="w-2.5 h-2.5" />
+                {computePriorityScore(task)}
+              </span>
+            )}
+            {task.estimateMins && (
+              <span
+                className="inline-flex items-center gap-0.5 rounded-full bg-slate-100 px-1.5 py-0.5 text-[10px] font-semibold text-slate-600 dark:bg-zinc-800 dark:text-zinc-400"
+                title="Estimate"
+              >
+                <Hourglass className="w-2.5 h-2.5" />
+                {formatEstimate(task.estimateMins)}
+              </span>
+            )}
+            {taskProject && (isCombinedBoard || task.projectId !== currentProjectId) && (
+              <div className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded-full text-[10px] font-semibold bg-slate-100 dark:bg-zinc-800">
+                <span
+                  className="w-1.5 h-1.5 rounded-full"
+                  style={{ backgroundColor: taskProject.color }}
+                />
+                <span className="text-slate-600 dark:text-zinc-400">{taskProject.name}</span>
+              </div>
+            )}
+            {task.ownerType === 'ai' && (
+              <Badge variant="primary" className="text-[10px] font-bold px-1.5 py-0.5 rounded-full">
+                <Bot className="w-2.5 h-2.5 mr-0.5" />
+                AI
+              </Badge>
+            )}
+            {(elapsedSecs > 0 || isRunning) && (
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  if (isRunning) {
+                    stopTimer(task.id);
+                  } else {
+                    startTimer(task.id);
+                  }
+                }}
+                className={clsx(
+                  'inline-flex items-center rounded-full px-2 py-0.5 text-[10px] font-bold border transition-all select-none hover:scale-105 active:scale-95',
+                  isRunning
+                    ? 'bg-emerald-50 text-emerald-700 border-emerald-200/60 dark:bg-emerald-950/20 dark:text-emerald-400 dark:border-emerald-800/40 shadow-sm shadow-emerald-100/10'
+                    : 'bg-slate-50 text-slate-600 border-slate-200 dark:bg-zinc-800/50 dark:text-zinc-400 dark:border-zinc-800/50',
+                )}
+                title={isRunning ? 'Pause focus timer' : 'Start focus timer'}
+              >
+                {isRunning ? (
+                  <span className="relative flex h-1.5 w-1.5 mr-1">
+                    <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-emerald-400 opacity-75"></span>
+                    <span className="relative inline-flex rounded-full h-1.5 w-1.5 bg-emerald-500"></span>
+                  </span>
+                ) : (
+                  <Play className="w-2 h-2 mr-1 fill-current text-slate-500 dark:text-zinc-400" />
+                )}
+                <span className="font-mono">{elapsedLabel}</span>
+              </button>
+            )}
+            {(isSubtask || childTasks.length > 0) && accentColor && (
+              <div className="inline-flex items-center gap-1 rounded-full bg-slate-100 px-2 py-0.5 text-[10px] font-bold text-slate-600 dark:bg-zinc-800 dark:text-zinc-200">
+                <span
+                  className="h-1.5 w-1.5 rounded-full"
+                  style={{ backgroundColor: accentColor }}
+                />
+                {isSubtask ? 'Subtask' : `${childTasks.length} subtasks`}
+              </div>
+            )}
+            {openBlockers.length > 0 && (
+              <span
+                className="inline-flex items-center gap-1 rounded-full bg-amber-50 px-2 py-0.5 text-[10px] font-bold text-amber-700 dark:bg-amber-950/30 dark:text-amber-400"
+                title={`Blocked by ${openBlockers.map((blocker) => blocker.title).join(', ')}`}
+              >
+                <Lock className="w-2.5 h-2.5" />
+                {openBlockers.length === 1 ? 'Blocked' : `${openBlockers.length} blockers`}
+              </span>
+            )}
+          </div>
+          {isSubtask && parentTask && (
+            <div className="mt-1 flex items-center gap-1.5 text-[11px] text-slate-500 dark:text-zinc-400">
+              <span
+                className="h-1.5 w-1.5 rounded-full shrink-0"
+                style={{ backgroundColor: accentColor || pickTaskGroupColor(parentTask.id) }}
+              />
+              <span className="truncate">Subtask of {parentTask.title}</span>
+            </div>
+          )}
+          {task.owners && task.owners.length > 0 && (
+            <div className="mt-2">
+              <OwnersList owners={task.owners} />
+            </div>
+          )}
+          <div className="mt-2.5 flex flex-wrap items-center gap-1.5 text-[11px] text-slate-500 dark:text-zinc-400">
+            {task.project && (
+              <span className="px-1.5 py-0.5 bg-slate-100 dark:bg-zinc-800 rounded-full font-semibold">
+                #{task.project}
+              </span>
+            )}
+            {task.tags?.map((t) => {
+              const tStyle = getTagStyle(t);
+              return (
+                <span
+                  key={t}
+                  className={clsx(
+                    'text-[10px] font-semibold px-2 py-0.5 rounded-full inline-flex items-center',
+                    tStyle.bg,
+                    (searchHighlights.tags.includes(t.toLowerCase()) ||
+                      searchHighlights.text.some((term) => t.toLowerCase().includes(term))) &&
+                      'ring-2 ring-yellow-400 dark:ring-yellow-500/60',
+                  )}
+                >
+                  #{t}
+                </span>
+              );
+            })}
+            {task.dueAt && (
+              <span
+                className={clsx(
+                  'inline-flex items-center gap-0.5 font-medium',
+                  overdue ? 'text-red-500 dark:text-red-400' : 'text-blue-500 dark:text-blue-400',
+                )}
+              >
+                <Clock className="w-2.5 h-2.5" />
+                {humanDue(task.dueAt)}
+              </span>
+            )}
+            {task.recurrence && (
+              <span
+                className="inline-flex items-center text-emerald-600 dark:text-emerald-400"
+                title={describeRecurrence(task.recurrence)}
+              >
+                <Repeat className="w-2.5 h-2.5" />
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* RHS hover slide-in action panel */}
+      {/* eslint-disable-next-line jsx-a11y/click-events-have-key-events, jsx-a11y/no-static-element-interactions */}
+      <div
+        className={clsx(
+          'absolute bottom-1.5 right-1.5 flex items-center gap-0.5 bg-white/95 dark:bg-zinc-900/95 shadow-lg border border-slate-200 dark:border-zinc-800 rounded-lg p-0.5 transition-all duration-200 ease-in-out',
+          'hidden group-hover:flex z-10',
+        )}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          title="Move left"
+          className="p-1 rounded-md text-slate-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors"
+          onClick={() => {
+            const order = useStore.getState().getStatusOrder();
+            const idx = order.indexOf(task.status);
+            if (idx > 0)
+              useStore.getState().moveTask(task.id, /** @type{Status} */ (order[idx - 1]));
+          }}
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        {elapsedSecs === 0 && (
+          <button
+            title="Start focus timer"
+            onClick={() => startTimer(task.id)}
+            className="p-1 rounded-md text-slate-400 hover:text-green-600 dark:hover:text-green-400 hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors"
+          >
+            <Play className="w-4 h-4" />
+          </button>
+        )}
+        <button
+          title={isInMyDay ? 'Remove from My Day' : 'Add to My Day'}
+          aria-pressed={isInMyDay}
+          onClick={() =>
+            isInMyDay
+              ? useStore.getState().removeFromMyDay(task.id)
+              : useStore.getState().addToMyDay(task.id)
+          }
+          className={clsx(
+            'p-1 rounded-md hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors',
+            isInMyDay
+              ? 'text-amber-500 hover:text-amber-600'
+              : 'text-slate-400 hover:text-amber-500 dark:hover:text-amber-400',
+          )}
+        >
+          <Sunrise className="w-4 h-4" />
+        </button>
+        <button
+          title="Move right"
+          onClick={() => {
+            const order = useStore.getState().getStatusOrder();
+            const idx = order.indexOf(task.status);
+            if (idx < order.length - 1)
+              useStore.getState().moveTask(task.id, /** @type{Status} */ (order[idx + 1]));
+          }}
+          className="p-1 rounded-md text-slate-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+
+      <AnimatePresence>
+        {open && <TaskDrawer task={task} onClose={() => setOpen(false)} />}
+      </AnimatePresence>
+    </motion.div>
+  );
+}
+
+function ChildTaskManager({ task }) {
+  const addSubtask = useStore((s) => s.addSubtask);
+  const deleteSubtask = useStore((s) => s.deleteSubtask);
+  const tasks = useStore((s) => s.tasks);
+  const [draftTitle, setDraftTitle] = useState('');
+  const childTasks = getChildTasks(tasks, task.id);
+  const accentColor =
+    task.groupColor || (childTasks.length > 0 ? pickTaskGroupColor(task.id) : null);
+  const { total, completed, remaining, percent } = getTaskGroupStats(tasks, task.id);
+
+  const handleAdd = () => {
+    const result = addSubtask(task.id, draftTitle);
+    if (result?.success) setDraftTitle('');
+  };
+
+  return (
+    <section
+      className="overflow-hidden rounded-3xl border border-slate-200 bg-white p-5 shadow-sm dark:border-zinc-800 dark:bg-zinc-950/40"
+      style={
+        accentColor
+          ? {
+              borderLeft: `5px solid ${accentColor}`,
+              boxShadow: '0 1px 3px rgba(0,0,0,0.05)',
             }
           : undefined
       }
-    >
-      {priorityAccentClass && (
-        <span
-          aria-hidden
-          className={clsx('pointer-events-none absolute inset-y-0 left-0 w-1', priorityAccentClass)}
-        />
-      )}
-      <div className="flex items-start gap-3">
-        {/* eslint-disable-next-line jsx-a11y/click-events-have-key-events, jsx-a11y/no-static-element-interactions */}
-        <div className="mt-1 shrink-0" onClick={(e) => e.stopPropagation()}>
-          <label className="relative flex items-center justify-center cursor-pointer">
-            <input
-              type="checkbox"
-              className="sr-only peer"
-              checked={isSelected}
-              onChange={() => toggleSelected(task.id)}
-            />
+    >
+      <div className="flex flex-col gap-4 lg:flex-row lg:items-start lg:justify-between">
+        <div>
+          <h4 className="text-base font-semibold text-slate-950 dark:text-zinc-50">Subtasks</h4>
+        </div>
+      </div>
+
+      <div className="mt-4 flex gap-2">
+        <input
+          value={draftTitle}
+          onChange={(e) => setDraftTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAdd();
+            }
+          }}
+          id="add-subtask-input"
+          name="add-subtask"
+          aria-label="Add a new subtask title"
+          placeholder="Add a subtask..."
+          className="flex-1 rounded-2xl border border-slate-200 bg-slate-50 px-4 py-2.5 text-slate-900 placeholder:text-slate-400 outline-none transition focus:border-blue-400 focus:ring-1 focus:ring-blue-400 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100 dark:placeholder:text-zinc-500"
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!draftTitle.trim()}
+          className="inline-flex items-center gap-2 rounded-2xl bg-blue-600 px-5 py-2.5 text-sm font-medium text-white transition hover:bg-blue-700 active:bg-blue-800 disabled:cursor-not-allowed disabled:bg-slate-300 dark:disabled:bg-zinc-800"
+        >
+          <Plus className="h-4 w-4" /> Add subtask
+        </button>
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+        <span className="inline-flex items-center gap-2 rounded-full bg-slate-100 px-3 py-1 font-medium text-slate-700 dark:bg-zinc-900 dark:text-zinc-200">
+          <span
+            className="h-2 w-2 rounded-full"
+            style={{ backgroundColor: accentColor || pickTaskGroupColor(task.id) }}
+          />
+          {percent}% complete
+        </span>
+        <span className="inline-flex rounded-full bg-slate-100 px-3 py-1 text-slate-600 dark:bg-zinc-900 dark:text-zinc-300">
+          {completed} of {total} done
+        </span>
+        {remaining > 0 && (
+          <span className="inline-flex rounded-full bg-slate-100 px-3 py-1 text-slate-600 dark:bg-zinc-900 dark:text-zinc-300">
+            {remaining} active
+          </span>
+        )}
+      </div>
+
+      <div className="mt-3 h-2 overflow-hidden rounded-full bg-slate-200 dark:bg-zinc-800">
+        <div
+          className="h-full rounded-full transition-all"
+          style={{
+            width: `${percent}%`,
+            backgroundColor: accentColor || pickTaskGroupColor(task.id),
+          }}
+        />
+      </div>
+
+      <div className="mt-4 space-y-2">
+        {childTasks.length === 0 ? (
+          <div className="rounded-xl border border-dashed border-slate-300 px-4 py-5 text-center text-sm text-slate-500 dark:border-zinc-800 dark:text-zinc-400">
+            No subtasks yet
+          </div>
+        ) : (
+          childTasks.map((subtask) => (
+            <div
+              key={subtask.id}
+              className="group flex items-center gap-3 rounded-xl border border-slate-200 bg-white px-3 py-2.5 transition-colors hover:border-slate-300 dark:border-zinc-800 dark:bg-zinc-900/70 dark:hover:border-zinc-700"
+            >
+              <span
+                className="h-2.5 w-2.5 rounded-full flex-shrink-0"
+                style={{ backgroundColor: accentColor || pickTaskGroupColor(task.id) }}
+              />
+              <div className="min-w-0 flex-1">
+                <div className="truncate text-sm font-medium text-slate-900 dark:text-zinc-100">
+                  {subtask.title}
+                </div>
+                <div className="mt-0.5 text-xs text-slate-500 dark:text-zinc-400">
+                  {subtask.status === 'done' || subtask.status === 'done_yesterday' ? (
+                    <span className="text-emerald-600 dark:text-emerald-400">Completed</span>
+                  ) : (
+                    <span>{subtask.status.replace(/_/g, ' ')}</span>
+                  )}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => deleteSubtask(task.id, subtask.id)}
+                className="rounded-lg p-1.5 text-slate-400 opacity-0 transition-all group-hover:opacity-100 focus-visible:opacity-100 hover:bg-rose-50 hover:text-rose-600 dark:hover:bg-rose-950/40"
+                title="Delete subtask"
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+
+      {total > 0 && completed === total && (
+        <div className="mt-4 rounded-2xl bg-emerald-50 px-4 py-3 text-sm text-emerald-700 dark:bg-emerald-950/40 dark:text-emerald-300">
+          All subtasks are complete. This parent task is ready to wrap up.
+        </div>
+      )}
+    </section>
+  );
+}
+
+// Owner editing components
+
+function OwnerCombobox({ onAdd, currentOwners = [], maxOwners = 5 }) {
+  const getOwnerSuggestions = useStore((s) => s.getOwnerSuggestions);
+  const [value, setValue] = useState('');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(-1);
+  const inputRef = useRef(null);
+  const dropdownRef = useRef(null);
+  const debounceTimerRef = useRef(null);
+
+  // Update suggestions with debounce
+  useEffect(() => {
+    if (debounceTimerRef.current) {
+      clearTimeout(debounceTimerRef.current);
+    }
+
+    debounceTimerRef.current = setTimeout(() => {
+      const searchTerm = value.trim();
+      if (searchTerm.length > 0) {
+        const results = getOwnerSuggestions(searchTerm);
+        // Filter out already assigned owners
+        const filtered = results.filter((s) => !currentOwners.includes(s.name));
+        setSuggestions(filtered.slice(0, 8)); // Limit to 8 suggestions
+        setShowSuggestions(filtered.length > 0);
+      } else {
+        // When input is empty, prepare all suggestions for when user focuses
+        const results = getOwnerSuggestions('');
+        const filtered = results.filter((s) => !currentOwners.includes(s.name));
+        setSuggestions(filtered.slice(0, 8));
+        // Don't auto-show, wait for user to focus the input
+        // setShowSuggestions will be handled by onFocus
+      }
+    }, 150);
+
+    return () => {
+      if (debounceTimerRef.current) {
+        clearTimeout(debounceTimerRef.current);
+      }
+    };
+  }, [value, getOwnerSuggestions, currentOwners]);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (
+        inputRef.current &&
+        !inputRef.current.contains(e.target) &&
+        dropdownRef.current &&
+        !dropdownRef.current.contains(e.target)
+      ) {
+        setShowSuggestions(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSubmit = (ownerName = null) => {
+    const nameToAdd = ownerName || value.trim();
+    if (nameToAdd && !currentOwners.includes(nameToAdd)) {
+      const result = onAdd(nameToAdd);
+      if (result?.success !== false) {
+        setValue('');
+        setShowSuggestions(false);
+        setSelectedIndex(-1);
+      }
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (!showSuggestions || suggestions.length === 0) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        handleSubmit();
+      }
+      return;
+    }
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setSelectedIndex((prev) => (prev < suggestions.length - 1 ? prev + 1 : prev));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setSelectedIndex((prev) => (prev > 0 ? prev - 1 : -1));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (selectedIndex >= 0 && selectedIndex < suggestions.length) {
+          handleSubmit(suggestions[selectedIndex].name);
+        } else {
+          handleSubmit();
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        setShowSuggestions(false);
+        setSelectedIndex(-1);
+        break;
+    }
+  };
+
+  const isDisabled = currentOwners.length >= maxOwners;
+
+  return (
+    <div className="relative">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleSubmit();
+        }}
+        className="flex gap-2"
+      >
+        <div className="relative flex-1">
+          <input
+            ref={inputRef}
+            type="text"
+            name="owner-search"
+            aria-label="Search or add owner"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            onFocus={() => {
+              // Show suggestions when focused, even if input is empty (to show existing owners)
+              if (suggestions.length > 0) {
+                setShowSuggestions(true);
+              }
+            }}
+            onKeyDown={handleKeyDown}
+            placeholder={
+              isDisabled ? `Maximum ${maxOwners} owners reached` : 'Type to search or add owner'
+            }
+            disabled={isDisabled}
+            maxLength={30}
+            className={`w-full px-3 py-1 text-sm rounded border ${
+              isDisabled
+                ? 'border-slate-200 dark:border-zinc-800 bg-slate-100 dark:bg-zinc-800 text-slate-500 dark:text-zinc-500 cursor-not-allowed'
+                : 'border-slate-300 dark:border-zinc-800 bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500'
+            }`}
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded={showSuggestions}
+            aria-controls="owner-suggestions"
+            aria-activedescendant={selectedIndex >= 0 ? `owner-option-${selectedIndex}` : undefined}
+          />
+
+          {/* Dropdown suggestions */}
+          {showSuggestions && suggestions.length > 0 && (
             <div
-              className={clsx(
-                'w-4 h-4 rounded border flex items-center justify-center transition-all duration-200',
-                isSelected
-                  ? 'bg-blue-600 border-blue-600 text-white dark:bg-blue-500 dark:border-blue-500'
-                  : 'border-slate-300 dark:border-zinc-800 bg-white dark:bg-zinc-950 hover:border-slate-400 dark:hover:border-zinc-700',
-              )}
+              ref={dropdownRef}
+              id="owner-suggestions"
+              className="absolute z-50 top-full left-0 right-0 mt-1 max-h-48 overflow-y-auto bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 rounded shadow-lg"
+              role="listbox"
             >
-              {isSelected && (
-                <svg
-                  className="w-2.5 h-2.5 stroke-white fill-none"
-                  viewBox="0 0 24 24"
-                  strokeWidth="4"
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
+              {suggestions.map((suggestion, index) => (
+                <div
+                  key={suggestion.name}
+                  id={`owner-option-${index}`}
+                  onClick={() => handleSubmit(suggestion.name)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                      e.preventDefault();
+                      handleSubmit(suggestion.name);
+                    }
+                  }}
+                  onMouseEnter={() => setSelectedIndex(index)}
+                  tabIndex={0}
+                  className={`px-3 py-2 cursor-pointer flex justify-between items-center ${
+                    index === selectedIndex
+                      ? 'bg-blue-100 dark:bg-blue-900'
+                      : 'hover:bg-slate-100 dark:hover:bg-zinc-800'
+                  }`}
+                  role="option"
+                  aria-selected={index === selectedIndex}
                 >
-                  <polyline points="20 6 9 17 4 12" />
-                </svg>
-              )}
+                  <span className="text-sm text-slate-900 dark:text-zinc-100">
+                    {suggestion.name}
+                  </span>
+                  <span className="text-xs text-slate-500 dark:text-zinc-400">
+                    {suggestion.taskCount} {suggestion.taskCount === 1 ? 'task' : 'tasks'}
+                  </span>
+                </div>
+              ))}
+              {value.trim() &&
+                !suggestions.find((s) => s.name.toLowerCase() === value.trim().toLowerCase()) && (
+                  <div
+                    onClick={() => handleSubmit()}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        handleSubmit();
+                      }
+                    }}
+                    onMouseEnter={() => setSelectedIndex(suggestions.length)}
+                    tabIndex={0}
+                    className={`px-3 py-2 cursor-pointer border-t border-slate-200 dark:border-zinc-805 ${
+                      selectedIndex === suggestions.length
+                        ? 'bg-blue-100 dark:bg-blue-900'
+                        : 'hover:bg-slate-100 dark:hover:bg-zinc-800'
+                    }`}
+                    role="option"
+                    aria-selected={selectedIndex === suggestions.length}
+                  >
+                    <span className="text-sm text-slate-900 dark:text-zinc-100">
+                      Add &quot;<span className="font-medium">{value.trim()}</span>&quot; as new
+                      owner
+                    </span>
+                  </div>
+                )}
             </div>
-          </label>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={isDisabled || !value.trim()}
+          className={`px-3 py-1 text-sm rounded transition-colors ${
+            isDisabled || !value.trim()
+              ? 'bg-slate-200 dark:bg-zinc-800 text-slate-400 dark:text-zinc-500 cursor-not-allowed'
+              : 'bg-blue-500 text-white hover:bg-blue-600'
+          }`}
+        >
+          Add
+        </button>
+      </form>
+
+      {currentOwners.length > 0 && (
+        <div className="text-xs text-slate-500 dark:text-zinc-400 mt-1">
+          {currentOwners.length}/{maxOwners} owners assigned
         </div>
+      )}
+    </div>
+  );
+}
+
+function OwnerEditor({ taskId, owners = [] }) {
+  const addOwner = useStore((s) => s.addOwnerToTask);
+  const removeOwner = useStore((s) => s.removeOwnerFromTask);
+  const clearOwners = useStore((s) => s.clearTaskOwners);
+
+  return (
+    <div className="space-y-2">
+      <div className="space-y-1">
+        {owners.map((owner) => (
+          <div
+            key={owner}
+            className="flex items-center justify-between rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm shadow-sm dark:border-zinc-800 dark:bg-zinc-900"
+          >
+            <span className="font-medium text-slate-900 dark:text-zinc-100">{owner}</span>
+            <button
+              onClick={() => removeOwner(taskId, owner)}
+              className="rounded p-1 text-red-500 transition-colors hover:bg-red-100 hover:text-red-600 dark:hover:bg-red-950"
+              aria-label={`Remove ${owner}`}
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </div>
+        ))}
+        {owners.length === 0 && (
+          <div className="rounded-lg border border-dashed border-slate-300 px-3 py-1.5 text-xs text-slate-500 dark:border-zinc-800 dark:text-zinc-400">
+            No owners assigned
+          </div>
+        )}
+      </div>
 
-        <div className="flex-1 min-w-0">
+      <div className="space-y-2">
+        <OwnerCombobox
+          onAdd={(name) => addOwner(taskId, name)}
+          currentOwners={owners}
+          maxOwners={5}
+        />
+        {owners.length > 0 && (
           <button
-            className="text-left font-semibold text-slate-900 dark:text-zinc-100 hover:text-blue-600 dark:hover:text-blue-400 transition-colors truncate block w-full text-sm"
-            title={task.title}
-            onClick={() => setOpen(true)}
+            onClick={() => clearOwners(taskId)}
+            className="text-xs text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 transition-colors"
           >
-            {task.title}
+            Clear all owners
           </button>
-          <div className="flex flex-wrap items-center gap-1.5 mt-1.5">
-            <TaskPriorityBadge priority={task.priorityBucket} />
-            {taskProject && task.projectId !== currentProjectId && (
-              <div className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded-full text-[10px] font-semibold bg-slate-100 dark:bg-zinc-800">
-                <span
-                  className="w-1.5 h-1.5 rounded-full"
-                  style={{ backgroundColor: taskProject.color }}
-                />
-                <span className="text-slate-600 dark:text-zinc-400">{taskProject.name}</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function OwnerManagerPanel({ isOpen, onClose }) {
+  const getAllOwnersWithStats = useStore((s) => s.getAllOwnersWithStats);
+  const removeOwnerFromRegistry = useStore((s) => s.removeOwnerFromRegistry);
+  const transferOwnerTasks = useStore((s) => s.transferOwnerTasks);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [transferMode, setTransferMode] = useState(null);
+  const [targetOwner, setTargetOwner] = useState('');
+  const [removeAfterTransfer, setRemoveAfterTransfer] = useState(false);
+  const [owners, setOwners] = useState([]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setOwners(getAllOwnersWithStats());
+    }
+  }, [isOpen, getAllOwnersWithStats]);
+
+  const filteredOwners = owners.filter((owner) =>
+    owner.name.toLowerCase().includes(searchTerm.toLowerCase()),
+  );
+
+  const handleRemoveOwner = (ownerName) => {
+    const result = removeOwnerFromRegistry(ownerName);
+    if (result.success) {
+      setOwners(getAllOwnersWithStats());
+      setConfirmDelete(null);
+    }
+  };
+
+  const handleTransferOwner = (fromOwner) => {
+    if (!targetOwner.trim()) return;
+
+    const result = transferOwnerTasks(fromOwner, targetOwner.trim(), removeAfterTransfer);
+    if (result.success) {
+      setOwners(getAllOwnersWithStats());
+      setTransferMode(null);
+      setTargetOwner('');
+      setRemoveAfterTransfer(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Never';
+    const date = new Date(dateString);
+    const now = new Date();
+    const diffMs = now - date;
+    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+
+    if (diffDays === 0) return 'Today';
+    if (diffDays === 1) return 'Yesterday';
+    if (diffDays < 7) return `${diffDays} days ago`;
+    if (diffDays < 30) return `${Math.floor(diffDays / 7)} weeks ago`;
+    return `${Math.floor(diffDays / 30)} months ago`;
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-hidden">
+      <div
+        className="absolute inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm"
+        onClick={onClose}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onClose();
+        }}
+        role="button"
+        tabIndex={0}
+        aria-label="Close panel"
+      />
+      <div className="absolute right-0 top-0 bottom-0 w-96 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 border-l border-slate-200 dark:border-zinc-800 shadow-xl overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b border-slate-200 dark:border-zinc-800">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-semibold">Owner Management</h2>
+            <button
+              onClick={onClose}
+              className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {/* Search */}
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search owners..."
+              className="w-full pl-10 pr-3 py-2 text-sm border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
+            />
+          </div>
+
+          <div className="mt-2 text-sm text-slate-500 dark:text-zinc-400">
+            Total: {owners.length} owners
+          </div>
+        </div>
+
+        {/* Owner List */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {filteredOwners.length === 0 && searchTerm && (
+            <div className="text-center py-8 text-slate-500 dark:text-zinc-400">
+              No owners found matching &quot;{searchTerm}&quot;
+            </div>
+          )}
+
+          {filteredOwners.length === 0 && !searchTerm && (
+            <div className="text-center py-8">
+              <Users className="w-12 h-12 mx-auto mb-3 text-slate-300 dark:text-zinc-600" />
+              <div className="text-slate-500 dark:text-zinc-400">No owners yet</div>
+              <div className="text-sm text-slate-400 dark:text-zinc-400 mt-1">
+                Owners will appear here as you assign them to tasks
               </div>
-            )}
-            {task.ownerType === 'ai' && (
-              <Badge variant="primary" className="text-[10px] font-bold px-1.5 py-0.5 rounded-full">
-                <Bot className="w-2.5 h-2.5 mr-0.5" />
-                AI
-              </Badge>
-            )}
-            {(elapsedSecs > 0 || isRunning) && (
-              <button
-                type="button"
-                onClick={(e) => {
-                  e.stopPropagation();
-                  if (isRunning) {
-                    stopTimer(task.id);
-                  } else {
-                    startTimer(task.id);
-                  }
-                }}
-                className={clsx(
-                  'inline-flex items-center rounded-full px-2 py-0.5 text-[10px] font-bold border transition-all select-none hover:scale-105 active:scale-95',
-                  isRunning
-                    ? 'bg-emerald-50 text-emerald-700 border-emerald-200/60 dark:bg-emerald-950/20 dark:text-emerald-400 dark:border-emerald-800/40 shadow-sm shadow-emerald-100/10'
-                    : 'bg-slate-50 text-slate-600 border-slate-200 dark:bg-zinc-800/50 dark:text-zinc-400 dark:border-zinc-800/50',
+            </div>
+          )}
+
+          <div className="space-y-2">
+            {filteredOwners.map((owner) => (
+              <div
+                key={owner.name}
+                className="p-3 bg-slate-50 dark:bg-zinc-800/40 border border-transparent dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg"
+              >
+                <div className="flex items-start justify-between">
+                  <div className="flex-1">
+                    <div className="font-medium text-sm">{owner.name}</div>
+                    <div className="text-xs text-slate-500 dark:text-zinc-400 mt-1">
+                      {owner.taskCount} {owner.taskCount === 1 ? 'task' : 'tasks'}
+                      {owner.lastUsed && <span> • Last used {formatDate(owner.lastUsed)}</span>}
+                    </div>
+                  </div>
+
+                  {transferMode === owner.name ? (
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => {
+                          setTransferMode(null);
+                          setTargetOwner('');
+                          setRemoveAfterTransfer(false);
+                        }}
+                        className="p-1 hover:bg-gray-200 dark:hover:bg-zinc-800 rounded transition-colors"
+                        title="Cancel transfer"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ) : confirmDelete === owner.name ? (
+                    <div className="flex items-center gap-1">
+                      <span className="text-xs text-red-600 dark:text-red-400 mr-2">Remove?</span>
+                      <button
+                        onClick={() => handleRemoveOwner(owner.name)}
+                        className="p-1 bg-red-500 text-white rounded hover:bg-red-600"
+                      >
+                        <Check className="w-3 h-3" />
+                      </button>
+                      <button
+                        onClick={() => setConfirmDelete(null)}
+                        className="p-1 bg-gray-400 text-white rounded hover:bg-slate-500"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-1">
+                      {owner.taskCount > 0 && (
+                        <button
+                          onClick={() => {
+                            setTransferMode(owner.name);
+                            setTargetOwner('');
+                            setRemoveAfterTransfer(false);
+                            setConfirmDelete(null);
+                          }}
+                          className="p-1 hover:bg-blue-100 dark:hover:bg-blue-950 rounded transition-colors"
+                          title={`Transfer ${owner.name}'s tasks to another owner`}
+                        >
+                          <UserCheck className="w-4 h-4 text-blue-500" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => {
+                          setConfirmDelete(owner.name);
+                          setTransferMode(null);
+                        }}
+                        className="p-1 hover:bg-red-100 dark:hover:bg-red-950 rounded transition-colors"
+                        title={`Remove ${owner.name} from all tasks`}
+                      >
+                        <Trash2 className="w-4 h-4 text-red-500" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {transferMode === owner.name && (
+                  <div className="mt-2 p-2 bg-blue-50 dark:bg-blue-950/40 border border-blue-100/50 dark:border-blue-900/40 rounded space-y-2">
+                    <div className="text-xs font-medium text-blue-800 dark:text-blue-200">
+                      Transfer {owner.taskCount} task{owner.taskCount !== 1 ? 's' : ''} to:
+                    </div>
+                    <div className="space-y-2">
+                      <input
+                        type="text"
+                        value={targetOwner}
+                        onChange={(e) => setTargetOwner(e.target.value)}
+                        placeholder="Enter target owner name"
+                        list="transfer-owner-suggestions"
+                        className="w-full px-2 py-1 text-xs border border-blue-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                      />
+                      <datalist id="transfer-owner-suggestions">
+                        {owners
+                          .filter(
+                            (o) =>
+                              o.name !== owner.name &&
+                              o.name.toLowerCase().includes(targetOwner.toLowerCase()),
+                          )
+                          .map((o) => (
+                            <option key={o.name} value={o.name} />
+                          ))}
+                      </datalist>
+                      <label className="flex items-center gap-2 text-xs">
+                        <input
+                          type="checkbox"
+                          checked={removeAfterTransfer}
+                          onChange={(e) => setRemoveAfterTransfer(e.target.checked)}
+                          className="rounded"
+                        />
+                        <span className="text-gray-700 dark:text-zinc-300">
+                          Remove {owner.name} after transfer
+                        </span>
+                      </label>
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleTransferOwner(owner.name)}
+                        disabled={!targetOwner.trim() || targetOwner.trim() === owner.name}
+                        className="px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Transfer
+                      </button>
+                      <button
+                        onClick={() => {
+                          setTransferMode(null);
+                          setTargetOwner('');
+                          setRemoveAfterTransfer(false);
+                        }}
+                        className="px-3 py-1 text-xs bg-slate-500 hover:bg-slate-600 dark:bg-zinc-800 dark:hover:bg-zinc-700 text-white rounded transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
                 )}
-                title={isRunning ? 'Pause focus timer' : 'Start focus timer'}
-              >
-                {isRunning ? (
-                  <span className="relative flex h-1.5 w-1.5 mr-1">
-                    <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-emerald-400 opacity-75"></span>
-                    <span className="relative inline-flex rounded-full h-1.5 w-1.5 bg-emerald-500"></span>
-                  </span>
-                ) : (
-                  <Play className="w-2 h-2 mr-1 fill-current text-slate-500 dark:text-zinc-400" />
+
+                {owner.taskCount > 0 && confirmDelete === owner.name && (
+                  <div className="mt-2 p-2 bg-amber-100 dark:bg-amber-900/30 rounded text-xs text-amber-800 dark:text-amber-200">
+                    Warning: This will remove {owner.name} from {owner.taskCount} task
+                    {owner.taskCount !== 1 ? 's' : ''}
+                  </div>
                 )}
-                <span className="font-mono">{elapsedLabel}</span>
-              </button>
-            )}
-            {(isSubtask || childTasks.length > 0) && accentColor && (
-              <div className="inline-flex items-center gap-1 rounded-full bg-slate-100 px-2 py-0.5 text-[10px] font-bold text-slate-600 dark:bg-zinc-800 dark:text-zinc-200">
-                <span
-                  className="h-1.5 w-1.5 rounded-full"
-                  style={{ backgroundColor: accentColor }}
-                />
-                {isSubtask ? 'Subtask' : `${childTasks.length} subtasks`}
               </div>
-            )}
+            ))}
           </div>
-          {isSubtask && parentTask && (
-            <div className="mt-1 flex items-center gap-1.5 text-[11px] text-slate-500 dark:text-zinc-400">
-              <span
-                className="h-1.5 w-1.5 rounded-full shrink-0"
-                style={{ backgroundColor: accentColor || pickTaskGroupColor(parentTask.id) }}
-              />
-              <span className="truncate">Subtask of {parentTask.title}</span>
-            </div>
-          )}
-          {task.owners && task.owners.length > 0 && (
-            <div className="mt-2">
-              <OwnersList owners={task.owners} />
-            </div>
-          )}
-          <div className="mt-2.5 flex flex-wrap items-center gap-1.5 text-[11px] text-slate-500 dark:text-zinc-400">
-            {task.project && (
-              <span className="px-1.5 py-0.5 bg-slate-100 dark:bg-zinc-800 rounded-full font-semibold">
-                #{task.project}
-              </span>
-            )}
-            {task.tags?.map((t) => {
-              const tStyle = getTagStyle(t);
-              return (
-                <span
-                  key={t}
-                  className={clsx(
-                    'text-[10px] font-semibold px-2 py-0.5 rounded-full inline-flex items-center',
-                    tStyle.bg,
-                  )}
-                >
-                  #{t}
-                </span>
-              );
-            })}
-            {task.dueAt && (
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DependencyList({ title, emptyLabel, linked, candidates, onLink, onUnlink, statusMeta }) {
+  const [pickerValue, setPickerValue] = useState('');
+
+  return (
+    <div>
+      <h5 className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-500 dark:text-zinc-400">
+        {title}
+      </h5>
+      {linked.length === 0 ? (
+        <p className="text-sm text-slate-400 dark:text-zinc-500">{emptyLabel}</p>
+      ) : (
+        <ul className="space-y-1.5">
+          {linked.map(({ task, open }) => (
+            <li
+              key={task.id}
+              className="group flex items-center gap-2 rounded-xl border border-slate-200 px-3 py-2 text-sm dark:border-zinc-800"
+            >
+              {open ? (
+                <Lock className="h-3.5 w-3.5 shrink-0 text-amber-500" />
+              ) : (
+                <Check className="h-3.5 w-3.5 shrink-0 text-emerald-500" />
+              )}
               <span
                 className={clsx(
-                  'inline-flex items-center gap-0.5 font-medium',
-                  overdue ? 'text-red-500 dark:text-red-400' : 'text-blue-500 dark:text-blue-400',
+                  'min-w-0 flex-1 truncate',
+                  open
+                    ? 'text-slate-900 dark:text-zinc-100'
+                    : 'text-slate-400 line-through dark:text-zinc-500',
                 )}
               >
-                <Clock className="w-2.5 h-2.5" />
-                {humanDue(task.dueAt)}
+                {task.title}
               </span>
-            )}
-          </div>
-        </div>
-      </div>
-
-      {/* RHS hover slide-in action panel */}
-      {/* eslint-disable-next-line jsx-a11y/click-events-have-key-events, jsx-a11y/no-static-element-interactions */}
-      <div
-        className={clsx(
-          'absolute bottom-1.5 right-1.5 flex items-center gap-0.5 bg-white/95 dark:bg-zinc-900/95 shadow-lg border border-slate-200 dark:border-zinc-800 rounded-lg p-0.5 transition-all duration-200 ease-in-out',
-          'hidden group-hover:flex z-10',
-        )}
-        onClick={(e) => e.stopPropagation()}
-      >
-        <button
-          title="Move left"
-          className="p-1 rounded-md text-slate-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors"
-          onClick={() => {
-            const order = useStore.getState().getStatusOrder();
-            const idx = order.indexOf(task.status);
-            if (idx > 0)
-              useStore.getState().moveTask(task.id, /** @type{Status} */ (order[idx - 1]));
-          }}
-        >
-          <ChevronLeft className="w-4 h-4" />
-        </button>
-        {elapsedSecs === 0 && (
-          <button
-            title="Start focus timer"
-            onClick={() => startTimer(task.id)}
-            className="p-1 rounded-md text-slate-400 hover:text-green-600 dark:hover:text-green-400 hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors"
-          >
-            <Play className="w-4 h-4" />
-          </button>
-        )}
-        <button
-          title="Move right"
-          onClick={() => {
-            const order = useStore.getState().getStatusOrder();
-            const idx = order.indexOf(task.status);
-            if (idx < order.length - 1)
-              useStore.getState().moveTask(task.id, /** @type{Status} */ (order[idx + 1]));
+              <span className="shrink-0 text-[11px] text-slate-400 dark:text-zinc-500">
+                {statusMeta[task.status]?.label || task.status}
+              </span>
+              <button
+                type="button"
+                onClick={() => onUnlink(task.id)}
+                className="rounded-lg p-1 text-slate-400 opacity-0 transition-all group-hover:opacity-100 focus-visible:opacity-100 hover:bg-rose-50 hover:text-rose-600 dark:hover:bg-rose-950/40"
+                title="Remove link"
+              >
+                <X className="h-3.5 w-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {candidates.length > 0 && (
+        <select
+          aria-label={`Add to ${title.toLowerCase()}`}
+          value={pickerValue}
+          onChange={(e) => {
+            if (e.target.value) onLink(e.target.value);
+            setPickerValue('');
           }}
-          className="p-1 rounded-md text-slate-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors"
+          className="mt-2 w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-200"
         >
-          <ChevronRight className="w-4 h-4" />
-        </button>
-      </div>
-
-      <AnimatePresence>
-        {open && <TaskDrawer task={task} onClose={() => setOpen(false)} />}
-      </AnimatePresence>
-    </motion.div>
+          <option value="">Link a task…</option>
+          {candidates.map((candidate) => (
+            <option key={candidate.id} value={candidate.id}>
+              {candidate.title}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
   );
 }
 
-function ChildTaskManager({ task }) {
-  const addSubtask = useStore((s) => s.addSubtask);
-  const deleteSubtask = useStore((s) => s.deleteSubtask);
+function TaskDependencyManager({ task }) {
   const tasks = useStore((s) => s.tasks);
-  const [draftTitle, setDraftTitle] = useState('');
-  const childTasks = getChildTasks(tasks, task.id);
-  const accentColor =
-    task.groupColor || (childTasks.length > 0 ? pickTaskGroupColor(task.id) : null);
-  const { total, completed, remaining, percent } = getTaskGroupStats(tasks, task.id);
+  const statusConfig = useStore((s) => s.statusConfig);
+  const statusMeta = useStore((s) => s.getStatusMetaMap());
+  const addDependency = useStore((s) => s.addDependency);
+  const removeDependency = useStore((s) => s.removeDependency);
+  const [error, setError] = useState('');
+  const completionIds = getCompletionIds(statusConfig);
 
-  const handleAdd = () => {
-    const result = addSubtask(task.id, draftTitle);
-    if (result?.success) setDraftTitle('');
-  };
+  const describe = (linkedTask) => ({
+    task: linkedTask,
+    open: !completionIds.has(linkedTask.status),
+  });
+  const blockers = getBlockingTasks(tasks, task).map(describe);
+  const dependents = getDependentTasks(tasks, task.id).map(describe);
+  // Offer only links that are new and would not close a cycle
+  const blockerCandidates = tasks.filter(
+    (candidate) =>
+      !task.dependencies.includes(candidate.id) &&
+      !wouldCreateDependencyCycle(tasks, task.id, candidate.id),
+  );
+  const dependentCandidates = tasks.filter(
+    (candidate) =>
+      !candidate.dependencies.includes(task.id) &&
+      !wouldCreateDependencyCycle(tasks, candidate.id, task.id),
+  );
+  const handle = (result) => setError(result?.success ? '' : result?.error || '');
 
   return (
-    <section
-      className="overflow-hidden rounded-3xl border border-slate-200 bg-white p-5 shadow-sm dark:border-zinc-800 dark:bg-zinc-950/40"
-      style={
-        accentColor
-          ? {
-              borderLeft: `5px solid ${accentColor}`,
-              boxShadow: '0 1px 3px rgba(0,0,0,0.05)',
-            }
-          : undefined
-      }
-    >
-      <div className="flex flex-col gap-4 lg:flex-row lg:items-start lg:justify-between">
-        <div>
-          <h4 className="text-base font-semibold text-slate-950 dark:text-zinc-50">Subtasks</h4>
-        </div>
+    <section className="mt-4 rounded-3xl border border-slate-200 bg-white p-4 shadow-sm dark:border-zinc-800 dark:bg-zinc-950/40">
+      <div className="mb-3 flex items-center gap-2">
+        <Link2 className="h-4 w-4 text-slate-400" />
+        <h4 className="text-base font-semibold text-slate-950 dark:text-zinc-50">Dependencies</h4>
       </div>
-
-      <div className="mt-4 flex gap-2">
-        <input
-          value={draftTitle}
-          onChange={(e) => setDraftTitle(e.target.value)}
-          onKeyDown={(e) => {
-            if (e.key === 'Enter') {
-              e.preventDefault();
-              handleAdd();
-            }
-          }}
-          id="add-subtask-input"
-          name="add-subtask"
-          aria-label="Add a new subtask title"
-          placeholder="Add a subtask..."
-          className="flex-1 rounded-2xl border border-slate-200 bg-slate-50 px-4 py-2.5 text-slate-900 placeholder:text-slate-400 outline-none transition focus:border-blue-400 focus:ring-1 focus:ring-blue-400 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100 dark:placeholder:text-zinc-500"
+      <div className="grid gap-4 sm:grid-cols-2">
+        <DependencyList
+          title="Blocked by"
+          emptyLabel="Nothing blocks this task."
+          linked={blockers}
+          candidates={blockerCandidates}
+          statusMeta={statusMeta}
+          onLink={(id) => handle(addDependency(task.id, id))}
+          onUnlink={(id) => handle(removeDependency(task.id, id))}
+        />
+        <DependencyList
+          title="Blocks"
+          emptyLabel="No tasks wait on this one."
+          linked={dependents}
+          candidates={dependentCandidates}
+          statusMeta={statusMeta}
+          onLink={(id) => handle(addDependency(id, task.id))}
+          onUnlink={(id) => handle(removeDependency(id, task.id))}
         />
-        <button
-          type="button"
-          onClick={handleAdd}
-          disabled={!draftTitle.trim()}
-          className="inline-flex items-center gap-2 rounded-2xl bg-blue-600 px-5 py-2.5 text-sm font-medium text-white transition hover:bg-blue-700 active:bg-blue-800 disabled:cursor-not-allowed disabled:bg-slate-300 dark:disabled:bg-zinc-800"
-        >
-          <Plus className="h-4 w-4" /> Add subtask
-        </button>
       </div>
+      {error && <p className="mt-2 text-xs text-rose-600 dark:text-rose-400">{error}</p>}
+    </section>
+  );
+}
+
+const ACTIVITY_FIELD_LABELS = {
+  title: 'Title',
+  description: 'Notes',
+  status: 'Status',
+  projectId: 'Project',
+  priorityBucket: 'Priority',
+  startAt: 'Start',
+  dueAt: 'Due',
+  expectedBy: 'Expected by',
+  ownerType: 'Owner type',
+  owners: 'Owners',
+  tags: 'Tags',
+  dependencies: 'Dependencies',
+  timeLogSecs: 'Time logged',
+  timerStartedAt: 'Timer',
+  parentTaskId: 'Parent task',
+  groupColor: 'Color',
+  recurrence: 'Repeats',
+  estimateMins: 'Estimate',
+  urgentOverride: 'Urgent',
+  importantOverride: 'Important',
+};
+
+const ACTIVITY_DATE_FIELDS = new Set(['startAt', 'dueAt', 'expectedBy', 'timerStartedAt']);
+
+function TaskActivityTimeline({ task }) {
+  const statusMeta = useStore((s) => s.getStatusMetaMap());
+  const tasks = useStore((s) => s.tasks);
+  const projects = useStore((s) => s.projects);
+  const userName = useStore((s) => s.userName);
+  const setUserName = useStore((s) => s.setUserName);
+  const [expanded, setExpanded] = useState(false);
+  const events = [...(task.activity || [])].reverse();
+  const visible = expanded ? events : events.slice(0, 8);
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'status') return statusMeta[value]?.label || value;
+    if (field === 'projectId') return projects.find((p) => p.id === value)?.name || value;
+    if (field === 'timeLogSecs') return formatDurationShort(value);
+    if (field === 'estimateMins') return formatEstimate(value);
+    if (field === 'recurrence') return describeRecurrence(value);
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (field === 'dependencies') {
+      return value.length > 0
+        ? value.map((id) => tasks.find((t) => t.id === id)?.title ?? 'deleted task').join(', ')
+        : '—';
+    }
+    if (ACTIVITY_DATE_FIELDS.has(field)) return format(new Date(value), 'MMM d HH:mm');
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+    const text = String(value);
+    return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+  };
 
-      <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
-        <span className="inline-flex items-center gap-2 rounded-full bg-slate-100 px-3 py-1 font-medium text-slate-700 dark:bg-zinc-900 dark:text-zinc-200">
-          <span
-            className="h-2 w-2 rounded-full"
-            style={{ backgroundColor: accentColor || pickTaskGroupColor(task.id) }}
-          />
-          {percent}% complete
-        </span>
-        <span className="inline-flex rounded-full bg-slate-100 px-3 py-1 text-slate-600 dark:bg-zinc-900 dark:text-zinc-300">
-          {completed} of {total} done
+  return (
+    <section className="mt-4 rounded-3xl border border-slate-200 bg-white p-4 shadow-sm dark:border-zinc-800 dark:bg-zinc-950/40">
+      <div className="mb-2 flex items-center justify-between">
+        <h4 className="text-base font-semibold text-slate-950 dark:text-zinc-50">Activity</h4>
+        <span className="text-[11px] text-slate-400 dark:text-zinc-500">
+          {events.length} event{events.length !== 1 ? 's' : ''}
         </span>
-        {remaining > 0 && (
-          <span className="inline-flex rounded-full bg-slate-100 px-3 py-1 text-slate-600 dark:bg-zinc-900 dark:text-zinc-300">
-            {remaining} active
-          </span>
-        )}
       </div>
-
-      <div className="mt-3 h-2 overflow-hidden rounded-full bg-slate-200 dark:bg-zinc-800">
-        <div
-          className="h-full rounded-full transition-all"
-          style={{
-            width: `${percent}%`,
-            backgroundColor: accentColor || pickTaskGroupColor(task.id),
+      <label className="mb-3 flex items-center gap-2 text-xs text-slate-500 dark:text-zinc-400">
+        Your changes are recorded as
+        <input
+          key={userName}
+          defaultValue={userName}
+          onBlur={(e) => setUserName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') e.currentTarget.blur();
           }}
+          placeholder="Your name"
+          maxLength={USER_NAME_MAX_LENGTH}
+          className="w-32 rounded border border-slate-300 bg-white px-2 py-0.5 text-xs text-slate-900 focus:border-blue-500 focus:outline-none dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100"
         />
-      </div>
-
-      <div className="mt-4 space-y-2">
-        {childTasks.length === 0 ? (
-          <div className="rounded-xl border border-dashed border-slate-300 px-4 py-5 text-center text-sm text-slate-500 dark:border-zinc-800 dark:text-zinc-400">
-            No subtasks yet
-          </div>
-        ) : (
-          childTasks.map((subtask) => (
-            <div
-              key={subtask.id}
-              className="group flex items-center gap-3 rounded-xl border border-slate-200 bg-white px-3 py-2.5 transition-colors hover:border-slate-300 dark:border-zinc-800 dark:bg-zinc-900/70 dark:hover:border-zinc-700"
-            >
-              <span
-                className="h-2.5 w-2.5 rounded-full flex-shrink-0"
-                style={{ backgroundColor: accentColor || pickTaskGroupColor(task.id) }}
-              />
-              <div className="min-w-0 flex-1">
-                <div className="truncate text-sm font-medium text-slate-900 dark:text-zinc-100">
-                  {subtask.title}
-                </div>
-                <div className="mt-0.5 text-xs text-slate-500 dark:text-zinc-400">
-                  {subtask.status === 'done' || subtask.status === 'done_yesterday' ? (
-                    <span className="text-emerald-600 dark:text-emerald-400">Completed</span>
-                  ) : (
-                    <span>{subtask.status.replace(/_/g, ' ')}</span>
+      </label>
+      {events.length === 0 ? (
+        <p className="text-sm text-slate-500 dark:text-zinc-400">No changes recorded yet.</p>
+      ) : (
+        <ol className="relative ml-1.5 border-l border-slate-200 dark:border-zinc-800">
+          {visible.map((event) => (
+            <li key={event.id} className="mb-3 ml-4 text-sm">
+              <span className="absolute -left-[5px] mt-1.5 h-2.5 w-2.5 rounded-full border border-white bg-slate-300 dark:border-zinc-900 dark:bg-zinc-600" />
+              <div className="flex items-baseline justify-between gap-2">
+                <span className="text-slate-800 dark:text-zinc-200">
+                  {event.label}
+                  {event.actor && (
+                    <span className="text-slate-400 dark:text-zinc-500"> · {event.actor}</span>
                   )}
-                </div>
+                </span>
+                <time
+                  dateTime={event.at}
+                  className="shrink-0 text-[11px] text-slate-400 dark:text-zinc-500"
+                  title={format(new Date(event.at), 'PPpp')}
+                >
+                  {format(new Date(event.at), 'MMM d HH:mm')}
+                </time>
               </div>
-              <button
-                type="button"
-                onClick={() => deleteSubtask(task.id, subtask.id)}
-                className="rounded-lg p-1.5 text-slate-400 opacity-0 transition-all group-hover:opacity-100 hover:bg-rose-50 hover:text-rose-600 dark:hover:bg-rose-950/40"
-                title="Delete subtask"
-              >
-                <Trash2 className="h-3.5 w-3.5" />
-              </button>
-            </div>
-          ))
-        )}
-      </div>
-
-      {total > 0 && completed === total && (
-        <div className="mt-4 rounded-2xl bg-emerald-50 px-4 py-3 text-sm text-emerald-700 dark:bg-emerald-950/40 dark:text-emerald-300">
-          All subtasks are complete. This parent task is ready to wrap up.
-        </div>
+              {event.changes.length > 0 && (
+                <ul className="mt-0.5 space-y-0.5 text-xs text-slate-500 dark:text-zinc-400">
+                  {event.changes.map((change) => (
+                    <li key={change.field}>
+                      {ACTIVITY_FIELD_LABELS[change.field] || change.field}:{' '}
+                      <span className="line-through">{formatValue(change.field, change.from)}</span>{' '}
+                      → {formatValue(change.field, change.to)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+      {events.length > visible.length && (
+        <button
+          onClick={() => setExpanded(true)}
+          className="text-xs font-medium text-blue-600 hover:text-blue-700 dark:text-blue-400"
+        >
+          Show all {events.length} events
+        </button>
       )}
     </section>
   );
 }
 
-// Owner editing components
+function TaskDrawer({ task, onClose }) {
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // 2026-05-15 MODAL REDESIGN v3 (Design Doc c5306299)
+  // Starting PR #1: Header + Compact Meta Strip (Due | Priority | Status)
+  // Behavior, store calls, local state, save logic, focus trap, and portal preserved.
+  // ═══════════════════════════════════════════════════════════════════════════════
+  const update = useStore((s) => s.updateTask);
+  const del = useStore((s) => s.deleteTask);
+  const setTaskGroupColor = useStore((s) => s.setTaskGroupColor);
+  const statusMeta = useStore((s) => s.getStatusMetaMap());
+  const tasks = useStore((s) => s.tasks);
+  const autoPriorityFromScore = useStore((s) => s.autoPriorityFromScore);
+  const [local, setLocal] = useState(task);
+  useEffect(() => setLocal(task), [task]);
+  const [recurrenceDraft, setRecurrenceDraft] = useState(formatRecurrence(task.recurrence));
+  useEffect(() => setRecurrenceDraft(formatRecurrence(task.recurrence)), [task.recurrence]);
+  const [estimateDraft, setEstimateDraft] = useState(formatEstimate(task.estimateMins));
+  useEffect(() => setEstimateDraft(formatEstimate(task.estimateMins)), [task.estimateMins]);
 
-function OwnerCombobox({ onAdd, currentOwners = [], maxOwners = 5 }) {
-  const getOwnerSuggestions = useStore((s) => s.getOwnerSuggestions);
-  const [value, setValue] = useState('');
-  const [showSuggestions, setShowSuggestions] = useState(false);
-  const [suggestions, setSuggestions] = useState([]);
-  const [selectedIndex, setSelectedIndex] = useState(-1);
-  const inputRef = useRef(null);
-  const dropdownRef = useRef(null);
-  const debounceTimerRef = useRef(null);
+  const drawerRef = useRef(null);
+  const previousFocusRef = useRef(null);
 
-  // Update suggestions with debounce
+  // Escape key handler
   useEffect(() => {
-    if (debounceTimerRef.current) {
-      clearTimeout(debounceTimerRef.current);
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Focus trapping
+  useEffect(() => {
+    previousFocusRef.current = document.activeElement;
+    const drawer = drawerRef.current;
+    if (!drawer) return;
+
+    const focusableSelectors =
+      'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    const focusableElements = drawer.querySelectorAll(focusableSelectors);
+    if (focusableElements.length > 0) {
+      focusableElements[0].focus();
     }
 
-    debounceTimerRef.current = setTimeout(() => {
-      const searchTerm = value.trim();
-      if (searchTerm.length > 0) {
-        const results = getOwnerSuggestions(searchTerm);
-        // Filter out already assigned owners
-        const filtered = results.filter((s) => !currentOwners.includes(s.name));
-        setSuggestions(filtered.slice(0, 8)); // Limit to 8 suggestions
-        setShowSuggestions(filtered.length > 0);
+    const handleTab = (e) => {
+      if (e.key !== 'Tab') return;
+      const focusable = drawer.querySelectorAll(focusableSelectors);
+      if (focusable.length === 0) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey) {
+        if (document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        }
       } else {
-        // When input is empty, prepare all suggestions for when user focuses
-        const results = getOwnerSuggestions('');
-        const filtered = results.filter((s) => !currentOwners.includes(s.name));
-        setSuggestions(filtered.slice(0, 8));
-        // Don't auto-show, wait for user to focus the input
-        // setShowSuggestions will be handled by onFocus
+        if (document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
       }
-    }, 150);
+    };
 
+    document.addEventListener('keydown', handleTab);
     return () => {
-      if (debounceTimerRef.current) {
-        clearTimeout(debounceTimerRef.current);
+      document.removeEventListener('keydown', handleTab);
+      if (previousFocusRef.current && previousFocusRef.current.focus) {
+        previousFocusRef.current.focus();
       }
     };
-  }, [value, getOwnerSuggestions, currentOwners]);
+  }, []);
 
-  // Close dropdown when clicking outside
-  useEffect(() => {
-    const handleClickOutside = (e) => {
-      if (
-        inputRef.current &&
-        !inputRef.current.contains(e.target) &&
-        dropdownRef.current &&
-        !dropdownRef.current.contains(e.target)
-      ) {
-        setShowSuggestions(false);
-      }
-    };
+  function save(patch) {
+    update(task.id, patch);
+  }
 
-    document.addEventListener('mousedown', handleClickOutside);
-    return () => document.removeEventListener('mousedown', handleClickOutside);
-  }, []);
+  const dueSummary = local.dueAt ? humanDue(local.dueAt) : 'No due date';
+  const isOverdue = local.dueAt ? isBefore(new Date(local.dueAt), new Date()) : false;
+  const statusLabel = statusMeta[local.status]?.label || local.status;
+  const childTasks = getChildTasks(tasks, task.id);
+  const parentTask = getParentTask(tasks, task);
+  const isSubtask = !!task.parentTaskId;
+  const accentColor =
+    local.groupColor ||
+    parentTask?.groupColor ||
+    (childTasks.length > 0 ? pickTaskGroupColor(local.id) : pickTaskGroupColor(local.id));
+  const statusInputId = `task-status-${task.id}`;
+  const priorityInputId = `task-priority-${task.id}`;
+  const dueInputId = `task-due-${task.id}`;
+  const startInputId = `task-start-${task.id}`;
+  const ownersInputId = `task-owners-${task.id}`;
+  const expectedByInputId = `task-expected-by-${task.id}`;
+  const tagsInputId = `task-tags-${task.id}`;
+  const notesInputId = `task-notes-${task.id}`;
+  const recurrenceInputId = `task-recurrence-${task.id}`;
+  const estimateInputId = `task-estimate-${task.id}`;
+  const scoreBreakdown = getPriorityScoreBreakdown(local);
 
-  const handleSubmit = (ownerName = null) => {
-    const nameToAdd = ownerName || value.trim();
-    if (nameToAdd && !currentOwners.includes(nameToAdd)) {
-      const result = onAdd(nameToAdd);
-      if (result?.success !== false) {
-        setValue('');
-        setShowSuggestions(false);
-        setSelectedIndex(-1);
-      }
-    }
-  };
+  return ReactDOM.createPortal(
+    <>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="fixed inset-0 z-[300] bg-black/60 dark:bg-zinc-950/80 backdrop-blur-md"
+        style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0 }}
+      />
+      <div className="pointer-events-none fixed inset-0 z-[301] flex items-center justify-center p-4">
+        <motion.div
+          ref={drawerRef}
+          role="dialog"
+          aria-modal="true"
+          aria-label="Task details"
+          initial={{ opacity: 0, y: 24, scale: 0.98 }}
+          animate={{ opacity: 1, y: 0, scale: 1 }}
+          exit={{ opacity: 0, y: 24, scale: 0.98 }}
+          className="pointer-events-auto flex max-h-[88vh] w-[min(1040px,100%)] flex-col overflow-hidden rounded-[28px] border border-slate-200/80 bg-white shadow-[0_30px_80px_rgba(15,23,42,0.28)] dark:border-zinc-800/80 dark:bg-zinc-900 dark:shadow-[0_32px_90px_rgba(2,6,23,0.7)]"
+        >
+          <div className="border-b border-slate-200/80 bg-[radial-gradient(circle_at_top_left,_rgba(59,130,246,0.14),_transparent_40%),linear-gradient(135deg,_rgba(248,250,252,0.98),_rgba(241,245,249,0.92))] px-6 py-5 dark:border-zinc-800 dark:bg-[radial-gradient(circle_at_top_left,_rgba(56,189,248,0.06),_transparent_34%),linear-gradient(135deg,_rgba(24,24,27,0.98),_rgba(9,9,11,0.98))]">
+            <div className="flex items-start justify-between gap-4">
+              <div className="min-w-0 flex-1">
+                <div className="mb-2 flex flex-wrap items-center gap-2">
+                  <Badge
+                    variant="primary"
+                    className="bg-blue-100 text-blue-700 dark:bg-blue-950/70 dark:text-blue-300"
+                  >
+                    {statusLabel}
+                  </Badge>
+                  <Badge className={clsx('border-l-0', PRIORITY_COLORS[local.priorityBucket])}>
+                    {local.priorityBucket}
+                  </Badge>
+
+                  {/* Color picker in header - small and always visible (user request) */}
+                  <div className="flex items-center gap-1.5 ml-1.5">
+                    {SUBTASK_GROUP_COLORS.map((color) => (
+                      <button
+                        key={color}
+                        type="button"
+                        onClick={() => {
+                          setTaskGroupColor(task.id, color);
+                          setLocal((prev) => ({ ...prev, groupColor: color }));
+                        }}
+                        className={clsx(
+                          'h-5 w-5 rounded-full border-2 transition-all hover:scale-110 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:focus:ring-offset-zinc-950',
+                          accentColor === color
+                            ? 'border-white shadow-sm ring-1 ring-offset-2 ring-offset-white dark:ring-offset-zinc-950 ring-slate-400'
+                            : 'border-slate-300 dark:border-zinc-700 hover:border-slate-400 dark:hover:border-zinc-600',
+                        )}
+                        style={{ backgroundColor: color }}
+                        aria-label={`Set color ${color}`}
+                      />
+                    ))}
+                  </div>
 
-  const handleKeyDown = (e) => {
-    if (!showSuggestions || suggestions.length === 0) {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        handleSubmit();
-      }
-      return;
-    }
+                  {isOverdue && (
+                    <Badge
+                      variant="warning"
+                      className="bg-amber-100 text-amber-800 dark:bg-amber-950 dark:text-amber-300"
+                    >
+                      Overdue
+                    </Badge>
+                  )}
+                </div>
+                <input
+                  value={local.title}
+                  onChange={(e) => setLocal({ ...local, title: e.target.value })}
+                  onBlur={() => save({ title: local.title })}
+                  className="w-full bg-transparent text-2xl font-semibold tracking-tight text-slate-950 outline-none placeholder:text-slate-400 dark:text-zinc-50 dark:placeholder:text-slate-500"
+                  placeholder="Task title"
+                />
+              </div>
+              <button
+                onClick={onClose}
+                aria-label="Close task details"
+                className="rounded-full border border-slate-200 bg-white/80 p-2 text-slate-500 transition-colors hover:bg-white hover:text-slate-900 dark:border-zinc-800 dark:bg-zinc-900/80 dark:text-zinc-400 dark:hover:bg-zinc-800 dark:hover:text-zinc-100"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
 
-    switch (e.key) {
-      case 'ArrowDown':
-        e.preventDefault();
-        setSelectedIndex((prev) => (prev < suggestions.length - 1 ? prev + 1 : prev));
-        break;
-      case 'ArrowUp':
-        e.preventDefault();
-        setSelectedIndex((prev) => (prev > 0 ? prev - 1 : -1));
-        break;
-      case 'Enter':
-        e.preventDefault();
-        if (selectedIndex >= 0 && selectedIndex < suggestions.length) {
-          handleSubmit(suggestions[selectedIndex].name);
-        } else {
-          handleSubmit();
-        }
-        break;
-      case 'Escape':
-        e.preventDefault();
-        setShowSuggestions(false);
-        setSelectedIndex(-1);
-        break;
-    }
-  };
+            {/* PR #1: Compact Meta Strip — Due + Priority + Status in one dense row */}
+            <div className="mt-4 flex flex-wrap items-center gap-4 rounded-2xl border border-slate-200/80 bg-white/80 px-4 py-3 dark:border-zinc-800/80 dark:bg-zinc-900/70">
+              {/* Start (plots the task as a bar on the timeline) */}
+              <div className="flex items-center gap-2">
+                <label
+                  htmlFor={startInputId}
+                  className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400"
+                >
+                  Start
+                </label>
+                <input
+                  id={startInputId}
+                  type="datetime-local"
+                  value={toDateTimeLocalValue(local.startAt)}
+                  onChange={(e) => {
+                    const iso = e.target.value ? new Date(e.target.value).toISOString() : null;
+                    setLocal({ ...local, startAt: iso });
+                    save({ startAt: iso });
+                  }}
+                  className="w-40 rounded-xl border border-slate-300 bg-white px-2.5 py-1 text-xs text-slate-900 outline-none transition focus:border-blue-500 focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100"
+                />
+              </div>
 
-  const isDisabled = currentOwners.length >= maxOwners;
+              {/* Due */}
+              <div className="flex items-center gap-2">
+                <div className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400">
+                  Due
+                </div>
+                <div className="flex items-center gap-1.5 text-sm font-medium text-slate-900 dark:text-zinc-100">
+                  <Clock className="h-4 w-4 text-slate-400" />
+                  <span>{dueSummary}</span>
+                </div>
+                <input
+                  id={dueInputId}
+                  type="datetime-local"
+                  value={toDateTimeLocalValue(local.dueAt)}
+                  onChange={(e) => {
+                    const iso = e.target.value ? new Date(e.target.value).toISOString() : null;
+                    setLocal({ ...local, dueAt: iso });
+                    save({ dueAt: iso });
+                  }}
+                  className="w-40 rounded-xl border border-slate-300 bg-white px-2.5 py-1 text-xs text-slate-900 outline-none transition focus:border-blue-500 focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100"
+                  aria-label="Due date and time"
+                />
+              </div>
 
-  return (
-    <div className="relative">
-      <form
-        onSubmit={(e) => {
-          e.preventDefault();
-          handleSubmit();
-        }}
-        className="flex gap-2"
-      >
-        <div className="relative flex-1">
-          <input
-            ref={inputRef}
-            type="text"
-            name="owner-search"
-            aria-label="Search or add owner"
-            value={value}
-            onChange={(e) => setValue(e.target.value)}
-            onFocus={() => {
-              // Show suggestions when focused, even if input is empty (to show existing owners)
-              if (suggestions.length > 0) {
-                setShowSuggestions(true);
-              }
-            }}
-            onKeyDown={handleKeyDown}
-            placeholder={
-              isDisabled ? `Maximum ${maxOwners} owners reached` : 'Type to search or add owner'
-            }
-            disabled={isDisabled}
-            maxLength={30}
-            className={`w-full px-3 py-1 text-sm rounded border ${
-              isDisabled
-                ? 'border-slate-200 dark:border-zinc-800 bg-slate-100 dark:bg-zinc-800 text-slate-500 dark:text-zinc-500 cursor-not-allowed'
-                : 'border-slate-300 dark:border-zinc-800 bg-white dark:bg-zinc-950 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500'
-            }`}
-            role="combobox"
-            aria-autocomplete="list"
-            aria-expanded={showSuggestions}
-            aria-controls="owner-suggestions"
-            aria-activedescendant={selectedIndex >= 0 ? `owner-option-${selectedIndex}` : undefined}
-          />
+              {/* Priority */}
+              <div className="flex items-center gap-2">
+                <div className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400">
+                  Priority
+                </div>
+                <select
+                  id={priorityInputId}
+                  value={local.priorityBucket}
+                  disabled={autoPriorityFromScore && hasScoreRatings(local)}
+                  title={
+                    autoPriorityFromScore && hasScoreRatings(local)
+                      ? 'Derived from the priority score'
+                      : undefined
+                  }
+                  onChange={(e) => {
+                    const v = e.target.value;
+                    setLocal({ ...local, priorityBucket: v });
+                    save({ priorityBucket: v });
+                  }}
+                  className="rounded-xl border border-slate-300 bg-white px-2.5 py-1 text-sm font-medium text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 disabled:opacity-60 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100 dark:focus:ring-blue-400"
+                >
+                  {PRIORITY_BUCKETS.map((priority) => (
+                    <option key={priority} value={priority}>
+                      {priority}
+                    </option>
+                  ))}
+                </select>
+              </div>
 
-          {/* Dropdown suggestions */}
-          {showSuggestions && suggestions.length > 0 && (
-            <div
-              ref={dropdownRef}
-              id="owner-suggestions"
-              className="absolute z-50 top-full left-0 right-0 mt-1 max-h-48 overflow-y-auto bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 rounded shadow-lg"
-              role="listbox"
-            >
-              {suggestions.map((suggestion, index) => (
-                <div
-                  key={suggestion.name}
-                  id={`owner-option-${index}`}
-                  onClick={() => handleSubmit(suggestion.name)}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                      e.preventDefault();
-                      handleSubmit(suggestion.name);
-                    }
+              {/* Status (moved into meta strip per design) */}
+              <div className="flex items-center gap-2">
+                <div className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400">
+                  Status
+                </div>
+                <select
+                  id={statusInputId}
+                  value={local.status}
+                  onChange={(e) => {
+                    const v = /** @type{Status} */ (e.target.value);
+                    setLocal({ ...local, status: v });
+                    save({ status: v });
                   }}
-                  onMouseEnter={() => setSelectedIndex(index)}
-                  tabIndex={0}
-                  className={`px-3 py-2 cursor-pointer flex justify-between items-center ${
-                    index === selectedIndex
-                      ? 'bg-blue-100 dark:bg-blue-900'
-                      : 'hover:bg-slate-100 dark:hover:bg-zinc-800'
-                  }`}
-                  role="option"
-                  aria-selected={index === selectedIndex}
+                  className="rounded-xl border border-slate-300 bg-white px-2.5 py-1 text-sm text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100"
                 >
-                  <span className="text-sm text-slate-900 dark:text-zinc-100">
-                    {suggestion.name}
-                  </span>
-                  <span className="text-xs text-slate-500 dark:text-zinc-400">
-                    {suggestion.taskCount} {suggestion.taskCount === 1 ? 'task' : 'tasks'}
-                  </span>
+                  {MODAL_STATUS_OPTIONS.map((k) => (
+                    <option key={k} value={k}>
+                      {statusMeta[k].label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div className="min-h-0 flex-1 overflow-y-auto px-6 pb-8 pt-4">
+            <div className="grid gap-4 xl:grid-cols-[minmax(0,1.9fr)_minmax(280px,1fr)] mb-4">
+              <div>
+                {/* Notes - height matches the right Properties panel, user resizable */}
+                <section className="rounded-3xl border border-slate-200 bg-white p-4 shadow-sm dark:border-zinc-800 dark:bg-zinc-950/40 flex flex-col h-full">
+                  <div className="mb-1.5 flex items-center justify-between flex-shrink-0">
+                    <h4 className="text-base font-semibold text-slate-950 dark:text-zinc-50">
+                      Notes
+                    </h4>
+                    <span className="text-[11px] text-slate-400 dark:text-zinc-500">
+                      context, decisions, next steps
+                    </span>
+                  </div>
+                  <label htmlFor={notesInputId} className="sr-only">
+                    Notes
+                  </label>
+                  <textarea
+                    id={notesInputId}
+                    value={local.description || ''}
+                    onChange={(e) => setLocal({ ...local, description: e.target.value })}
+                    onBlur={() => save({ description: local.description })}
+                    placeholder="Add context, decisions, links, or the next useful action..."
+                    className="flex-1 min-h-[120px] max-h-[380px] overflow-auto resize-y rounded-2xl border border-slate-300 bg-white px-3 py-2.5 text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100 dark:focus:ring-blue-400"
+                  />
+                </section>
+
+                {/* Subtasks moved to full-width hero section below the 2-col grid (Image 2 target) */}
+              </div>
+
+              {/* Right sidebar: Tags + Owners + minimal delete */}
+              <div className="space-y-2.5 rounded-3xl border border-slate-200 bg-slate-100/70 p-4 min-h-[300px] flex flex-col dark:border-zinc-800 dark:bg-zinc-950/50">
+                {/* Tags */}
+                <div>
+                  <label
+                    htmlFor={tagsInputId}
+                    className="mb-1 block text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400"
+                  >
+                    Tags
+                  </label>
+                  <input
+                    id={tagsInputId}
+                    value={local.tags?.join(' ') || ''}
+                    placeholder="+tag +another"
+                    onChange={(e) => {
+                      const arr = e.target.value
+                        .split(/\s+/)
+                        .filter(Boolean)
+                        .map((s) => s.replace(/^\+/, ''));
+                      setLocal({ ...local, tags: arr });
+                      save({ tags: arr });
+                    }}
+                    className="w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100 dark:placeholder:text-zinc-500"
+                  />
                 </div>
-              ))}
-              {value.trim() &&
-                !suggestions.find((s) => s.name.toLowerCase() === value.trim().toLowerCase()) && (
-                  <div
-                    onClick={() => handleSubmit()}
-                    onKeyDown={(e) => {
-                      if (e.key === 'Enter' || e.key === ' ') {
-                        e.preventDefault();
-                        handleSubmit();
+
+                {/* Recurrence */}
+                <div>
+                  <label
+                    htmlFor={recurrenceInputId}
+                    className="mb-1 block text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400"
+                  >
+                    Repeats
+                  </label>
+                  <input
+                    id={recurrenceInputId}
+                    value={recurrenceDraft}
+                    placeholder="day, 2w, mon,wed, 1st-mon, after-3d"
+                    onChange={(e) => setRecurrenceDraft(e.target.value)}
+                    onBlur={() => {
+                      const text = recurrenceDraft.trim();
+                      const rule = text ? parseRecurrence(text) : null;
+                      if (text && !rule) return;
+                      if (JSON.stringify(rule) !== JSON.stringify(task.recurrence ?? null)) {
+                        save({
+                          recurrence: rule,
+                          ...(rule &&
+                            !task.dueAt && { dueAt: firstOccurrence(rule).toISOString() }),
+                        });
                       }
                     }}
-                    onMouseEnter={() => setSelectedIndex(suggestions.length)}
-                    tabIndex={0}
-                    className={`px-3 py-2 cursor-pointer border-t border-slate-200 dark:border-zinc-805 ${
-                      selectedIndex === suggestions.length
-                        ? 'bg-blue-100 dark:bg-blue-900'
-                        : 'hover:bg-slate-100 dark:hover:bg-zinc-800'
-                    }`}
-                    role="option"
-                    aria-selected={selectedIndex === suggestions.length}
+                    className="w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100 dark:placeholder:text-zinc-500"
+                  />
+                  <p
+                    className={clsx(
+                      'mt-1 text-[11px]',
+                      recurrenceDraft.trim() && !parseRecurrence(recurrenceDraft)
+                        ? 'text-rose-600 dark:text-rose-400'
+                        : 'text-slate-500 dark:text-zinc-400',
+                    )}
                   >
-                    <span className="text-sm text-slate-900 dark:text-zinc-100">
-                      Add &quot;<span className="font-medium">{value.trim()}</span>&quot; as new
-                      owner
+                    {recurrenceDraft.trim() && !parseRecurrence(recurrenceDraft)
+                      ? 'Unrecognized rule'
+                      : describeRecurrence(parseRecurrence(recurrenceDraft))}
+                  </p>
+                </div>
+
+                {/* Estimate */}
+                <div>
+                  <label
+                    htmlFor={estimateInputId}
+                    className="mb-1 block text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400"
+                  >
+                    Estimate
+                  </label>
+                  <input
+                    id={estimateInputId}
+                    value={estimateDraft}
+                    placeholder="30m, 2h, 1h30m, 1d"
+                    onChange={(e) => setEstimateDraft(e.target.value)}
+                    onBlur={() => {
+                      const text = estimateDraft.trim();
+                      const minutes = text ? parseEstimate(text) : null;
+                      if (text && !minutes) return;
+                      if (minutes !== (task.estimateMins ?? null)) save({ estimateMins: minutes });
+                    }}
+                    className={clsx(
+                      'w-full rounded-xl border bg-white px-3 py-2 text-sm text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:bg-zinc-950 dark:text-zinc-100 dark:placeholder:text-zinc-500',
+                      estimateDraft.trim() && !parseEstimate(estimateDraft)
+                        ? 'border-rose-400 dark:border-rose-700'
+                        : 'border-slate-300 dark:border-zinc-800',
+                    )}
+                  />
+                </div>
+
+                {/* Priority score */}
+                <div>
+                  <div className="mb-1 flex items-baseline justify-between">
+                    <span className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400">
+                      Score
                     </span>
+                    <span
+                      className="text-sm font-semibold text-indigo-700 dark:text-indigo-300"
+                      title={`Impact ${scoreBreakdown.impact} + urgency ${scoreBreakdown.urgency} + low effort ${scoreBreakdown.effort} + due ${scoreBreakdown.due} (of 60)`}
+                    >
+                      {scoreBreakdown.score} · {priorityFromScore(scoreBreakdown.score)}
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-3 gap-1.5">
+                    {SCORE_FIELDS.map((field) => (
+                      <select
+                        key={field}
+                        aria-label={`${field} rating`}
+                        value={local[field] ?? ''}
+                        onChange={(e) => {
+                          const v = normalizeScoreRating(e.target.value);
+                          setLocal({ ...local, [field]: v });
+                          save({ [field]: v });
+                        }}
+                        className="rounded-xl border border-slate-300 bg-white px-2 py-1.5 text-xs text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100"
+                      >
+                        <option value="">{field[0].toUpperCase() + field.slice(1)} —</option>
+                        {[0, 1, 2, 3, 4, 5].map((rating) => (
+                          <option key={rating} value={rating}>
+                            {field[0].toUpperCase() + field.slice(1)} {rating}
+                          </option>
+                        ))}
+                      </select>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Eisenhower quadrant, with optional hand-set urgency and importance */}
+                <div>
+                  <div className="mb-1 flex items-baseline justify-between">
+                    <span className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400">
+                      Matrix
+                    </span>
+                    <span className="text-sm font-semibold text-slate-700 dark:text-zinc-200">
+                      {MATRIX_QUADRANTS.find((q) => q.id === getTaskQuadrant(local)).label}
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-2 gap-1.5">
+                    {[
+                      ['urgentOverride', 'Urgent', isTaskUrgent],
+                      ['importantOverride', 'Important', isTaskImportant],
+                    ].map(([field, label, derive]) => (
+                      <select
+                        key={field}
+                        aria-label={label}
+                        value={
+                          local[field] === null || local[field] === undefined
+                            ? ''
+                            : String(local[field])
+                        }
+                        onChange={(e) => {
+                          const v = e.target.value === '' ? null : e.target.value === 'true';
+                          setLocal({ ...local, [field]: v });
+                          save({ [field]: v });
+                        }}
+                        className="rounded-xl border border-slate-300 bg-white px-2 py-1.5 text-xs text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100"
+                      >
+                        <option value="">
+                          {label}: auto ({derive({ ...local, [field]: null }) ? 'yes' : 'no'})
+                        </option>
+                        <option value="true">{label}: yes</option>
+                        <option value="false">{label}: no</option>
+                      </select>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Owners */}
+                <div>
+                  <label
+                    htmlFor={ownersInputId}
+                    className="mb-1 block text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400"
+                  >
+                    Owners
+                  </label>
+                  <div id={ownersInputId}>
+                    <OwnerEditor taskId={task.id} owners={task.owners} />
+                  </div>
+                </div>
+
+                {/* Expected by (only for AI tasks) */}
+                {local.ownerType === 'ai' && (
+                  <div>
+                    <label
+                      htmlFor={expectedByInputId}
+                      className="mb-1 block text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400"
+                    >
+                      Expected by
+                    </label>
+                    <input
+                      id={expectedByInputId}
+                      type="datetime-local"
+                      value={toDateTimeLocalValue(local.expectedBy)}
+                      onChange={(e) => {
+                        const iso = e.target.value ? new Date(e.target.value).toISOString() : null;
+                        setLocal({ ...local, expectedBy: iso });
+                        save({ expectedBy: iso });
+                      }}
+                      className="w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100"
+                    />
                   </div>
                 )}
+
+                {/* Minimal Delete - pushed to bottom of the panel */}
+                <button
+                  onClick={() => {
+                    del(task.id);
+                    onClose();
+                  }}
+                  className="text-sm font-medium text-rose-600 hover:text-rose-700 dark:text-rose-400 dark:hover:text-rose-300 transition-colors flex items-center gap-1.5 pt-4 mt-auto"
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                  Delete task
+                </button>
+              </div>
             </div>
-          )}
-        </div>
 
-        <button
-          type="submit"
-          disabled={isDisabled || !value.trim()}
-          className={`px-3 py-1 text-sm rounded transition-colors ${
-            isDisabled || !value.trim()
-              ? 'bg-slate-200 dark:bg-zinc-800 text-slate-400 dark:text-zinc-500 cursor-not-allowed'
-              : 'bg-blue-500 text-white hover:bg-blue-600'
-          }`}
-        >
-          Add
-        </button>
-      </form>
+            {/* Full-width Subtasks hero section — brought closer for better flow */}
+            {!isSubtask && (
+              <div className="mt-4">
+                <ChildTaskManager task={task} />
+              </div>
+            )}
 
-      {currentOwners.length > 0 && (
-        <div className="text-xs text-slate-500 dark:text-zinc-400 mt-1">
-          {currentOwners.length}/{maxOwners} owners assigned
-        </div>
-      )}
-    </div>
+            <TaskDependencyManager task={task} />
+
+            <TaskActivityTimeline task={task} />
+          </div>
+        </motion.div>
+      </div>
+    </>,
+    document.body,
   );
 }
 
-function OwnerEditor({ taskId, owners = [] }) {
-  const addOwner = useStore((s) => s.addOwnerToTask);
-  const removeOwner = useStore((s) => s.removeOwnerFromTask);
-  const clearOwners = useStore((s) => s.clearTaskOwners);
-
+const WipBanner = React.memo(function WipBanner() {
+  const visibleTasks = useBoardTasks();
+  const wip = visibleTasks.filter((t) => t.status === 'in_progress').length;
+  if (wip <= 3) return null;
   return (
-    <div className="space-y-2">
-      <div className="space-y-1">
-        {owners.map((owner) => (
-          <div
-            key={owner}
-            className="flex items-center justify-between rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm shadow-sm dark:border-zinc-800 dark:bg-zinc-900"
-          >
-            <span className="font-medium text-slate-900 dark:text-zinc-100">{owner}</span>
-            <button
-              onClick={() => removeOwner(taskId, owner)}
-              className="rounded p-1 text-red-500 transition-colors hover:bg-red-100 hover:text-red-600 dark:hover:bg-red-950"
-              aria-label={`Remove ${owner}`}
-            >
-              <X className="h-3 w-3" />
-            </button>
-          </div>
-        ))}
-        {owners.length === 0 && (
-          <div className="rounded-lg border border-dashed border-slate-300 px-3 py-1.5 text-xs text-slate-500 dark:border-zinc-800 dark:text-zinc-400">
-            No owners assigned
-          </div>
-        )}
-      </div>
+    <div className="mb-3 rounded-xl border border-amber-300 bg-amber-50 text-amber-800 px-3 py-2 text-sm flex items-center gap-2">
+      <Flame className="w-4 h-4" /> High WIP ({wip}). Consider moving some to Next Up or Waiting.
+    </div>
+  );
+});
+
+function Toolbar() {
+  const addTask = useStore((s) => s.addTask);
+  const statuses = useStore((s) => s.statusConfig.statuses);
+  const createProject = useStore((s) => s.createProject);
+  const projects = useStore((s) => s.projects);
+  const setFilters = useStore((s) => s.setFilters);
+  const filters = useStore((s) => s.filters);
+  const ownerFilter = useStore((s) => s.ownerFilter);
+  const setOwnerFilter = useStore((s) => s.setOwnerFilter);
+  const toggleFilterValue = useStore((s) => s.toggleFilterValue);
+  const removeFilterChip = useStore((s) => s.removeFilterChip);
+  const clearFilters = useStore((s) => s.clearFilters);
+  const statusMeta = useStore((s) => s.getStatusMetaMap());
+  const getAllOwnersWithStats = useStore((s) => s.getAllOwnersWithStats);
+  const selectedIds = useStore((s) => s.selectedIds);
+  const deleteSelected = useStore((s) => s.deleteSelected);
+  const clearSelection = useStore((s) => s.clearSelection);
+  const [input, setInput] = useState('');
+  const inputRef = useRef(null);
+  const [showOwnerDropdown, setShowOwnerDropdown] = useState(false);
+  const [showPriorityDropdown, setShowPriorityDropdown] = useState(false);
+  const [showFilterDropdown, setShowFilterDropdown] = useState(false);
+  const [showViewsDropdown, setShowViewsDropdown] = useState(false);
+  const [viewName, setViewName] = useState('');
+  const [viewError, setViewError] = useState('');
+  const savedViews = useStore((s) => s.savedViews);
+  const activeView = useStore(findActiveView);
+  const applyView = useStore((s) => s.applyView);
+  const saveView = useStore((s) => s.saveView);
+  const deleteView = useStore((s) => s.deleteView);
+  const showNotification = useStore((s) => s.showNotification);
+  const [showTokenHelp, setShowTokenHelp] = useState(false);
+
+  // Real-time token preview
+  const parsedTokens = useMemo(() => {
+    if (!input.trim()) return null;
+    return parseQuickAdd(input);
+  }, [input]);
+  const projectMatch = useMemo(
+    () => (parsedTokens?.projectQuery ? matchProject(projects, parsedTokens.projectQuery) : null),
+    [parsedTokens, projects],
+  );
+  const statusMatch = useMemo(
+    () => (parsedTokens?.statusQuery ? matchStatus(statuses, parsedTokens.statusQuery) : null),
+    [parsedTokens, statuses],
+  );
+
+  // Token autocomplete
+  const tasks = useStore((s) => s.tasks);
+  const getOwnerSuggestions = useStore((s) => s.getOwnerSuggestions);
+  const [caret, setCaret] = useState(0);
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+  const [suggestionsDismissed, setSuggestionsDismissed] = useState(false);
+  // Set once ↑/↓ picks a suggestion; until then Enter keeps what was typed
+  const [suggestionChosen, setSuggestionChosen] = useState(false);
+  const activeToken = useMemo(() => getActiveQuickAddToken(input, caret), [input, caret]);
+  const tagFrequencies = useMemo(() => getTagFrequencies(tasks), [tasks]);
+  const boardTasks = useBoardTasks();
+  const boardTags = useMemo(
+    () => getTagFrequencies(boardTasks).map((tag) => tag.name),
+    [boardTasks],
+  );
+  const tokenSuggestions = useMemo(
+    () =>
+      getQuickAddSuggestions(activeToken, {
+        owners: activeToken?.trigger === '@' ? getOwnerSuggestions(activeToken.query) : [],
+        tags: tagFrequencies,
+        projects,
+        statuses,
+      }),
+    [activeToken, getOwnerSuggestions, tagFrequencies, projects, statuses],
+  );
+  const showSuggestions = !suggestionsDismissed && tokenSuggestions.length > 0;
+  useEffect(() => {
+    setSuggestionIndex(0);
+    setSuggestionsDismissed(false);
+    setSuggestionChosen(false);
+  }, [activeToken?.start, activeToken?.trigger]);
+
+  const completeToken = (suggestion) => {
+    const before = input.slice(0, activeToken.start) + suggestion.insert;
+    const after = input.slice(activeToken.end);
+    const next = `${before}${after.startsWith(' ') ? '' : ' '}${after}`;
+    setInput(next);
+    setCaret(before.length + 1);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(before.length + 1, before.length + 1);
+    });
+  };
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (!e.target.closest('.owner-dropdown-container')) {
+        setShowOwnerDropdown(false);
+      }
+      if (!e.target.closest('.priority-dropdown-container')) {
+        setShowPriorityDropdown(false);
+      }
+      if (!e.target.closest('.filter-dropdown-container')) {
+        setShowFilterDropdown(false);
+      }
+      if (!e.target.closest('.views-dropdown-container')) {
+        setShowViewsDropdown(false);
+      }
+    };
+    if (showOwnerDropdown || showPriorityDropdown || showFilterDropdown || showViewsDropdown) {
+      document.addEventListener('click', handleClickOutside);
+      return () => document.removeEventListener('click', handleClickOutside);
+    }
+  }, [showOwnerDropdown, showPriorityDropdown, showFilterDropdown, showViewsDropdown]);
 
-      <div className="space-y-2">
-        <OwnerCombobox
-          onAdd={(name) => addOwner(taskId, name)}
-          currentOwners={owners}
-          maxOwners={5}
-        />
-        {owners.length > 0 && (
-          <button
-            onClick={() => clearOwners(taskId)}
-            className="text-xs text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 transition-colors"
-          >
-            Clear all owners
-          </button>
-        )}
-      </div>
-    </div>
-  );
-}
+  const onSaveView = (e) => {
+    e.preventDefault();
+    const result = saveView(viewName);
+    if (result.error) {
+      setViewError(result.error);
+      return;
+    }
+    showNotification(
+      `${result.replaced ? 'Updated' : 'Saved'} view "${viewName.trim()}"`,
+      'success',
+    );
+    setViewName('');
+    setViewError('');
+  };
 
-function OwnerManagerPanel({ isOpen, onClose }) {
-  const getAllOwnersWithStats = useStore((s) => s.getAllOwnersWithStats);
-  const removeOwnerFromRegistry = useStore((s) => s.removeOwnerFromRegistry);
-  const transferOwnerTasks = useStore((s) => s.transferOwnerTasks);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [confirmDelete, setConfirmDelete] = useState(null);
-  const [transferMode, setTransferMode] = useState(null);
-  const [targetOwner, setTargetOwner] = useState('');
-  const [removeAfterTransfer, setRemoveAfterTransfer] = useState(false);
-  const [owners, setOwners] = useState([]);
+  const onCopyViewLink = () => {
+    navigator.clipboard
+      ?.writeText(window.location.href)
+      .then(() => showNotification('Link to this view copied', 'success'))
+      .catch(() => showNotification('Could not copy the link', 'info'));
+    setShowViewsDropdown(false);
+  };
+
+  // Dictation (Chrome Web Speech API)
+  const [isListening, setIsListening] = useState(false);
+  const [interim, setInterim] = useState('');
+  const [speechErr, setSpeechErr] = useState('');
+  const [speechSupported, setSpeechSupported] = useState(false);
+  const recRef = useRef(null);
+  const discardNextRef = useRef(false);
 
   useEffect(() => {
-    if (isOpen) {
-      setOwners(getAllOwnersWithStats());
+    const supported =
+      typeof window !== 'undefined' &&
+      ('SpeechRecognition' in window || 'webkitSpeechRecognition' in window);
+    setSpeechSupported(!!supported);
+  }, []);
+
+  const appendTranscript = (text) => {
+    const t = (text || '').trim();
+    if (!t) return;
+    setInput((prev) => (prev ? prev + ' ' : '') + t);
+    try {
+      inputRef.current?.focus?.();
+    } catch (e) {
+      /* ignore */
     }
-  }, [isOpen, getAllOwnersWithStats]);
+  };
 
-  const filteredOwners = owners.filter((owner) =>
-    owner.name.toLowerCase().includes(searchTerm.toLowerCase()),
-  );
+  const stopDictation = (discard = false) => {
+    discardNextRef.current = discard;
+    try {
+      recRef.current?.stop?.();
+    } catch (e) {
+      /* ignore */
+    }
+  };
 
-  const handleRemoveOwner = (ownerName) => {
-    const result = removeOwnerFromRegistry(ownerName);
-    if (result.success) {
-      setOwners(getAllOwnersWithStats());
-      setConfirmDelete(null);
+  const startDictation = () => {
+    setSpeechErr('');
+    if (!speechSupported) {
+      setSpeechErr('Speech recognition not supported in this browser.');
+      return;
+    }
+    try {
+      const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
+      const rec = new SR();
+      recRef.current = rec;
+      rec.interimResults = true;
+      rec.continuous = false;
+      rec.lang = (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+      let finals = [];
+      rec.onresult = (event) => {
+        let interimText = '';
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+          const res = event.results[i];
+          if (res.isFinal) finals.push(res[0].transcript);
+          else interimText += res[0].transcript;
+        }
+        setInterim(interimText);
+      };
+      rec.onerror = (e) => {
+        setSpeechErr(e?.error ? String(e.error) : 'speech-error');
+      };
+      rec.onend = () => {
+        setIsListening(false);
+        const text = (finals.join(' ') || interim).trim();
+        setInterim('');
+        if (!discardNextRef.current) appendTranscript(text);
+        discardNextRef.current = false;
+      };
+      setIsListening(true);
+      setInterim('');
+      rec.start();
+    } catch (e) {
+      setSpeechErr('Failed to start dictation');
+      setIsListening(false);
     }
   };
 
-  const handleTransferOwner = (fromOwner) => {
-    if (!targetOwner.trim()) return;
+  const onAdd = () => {
+    const p = flagUnmatchedStatus(parseQuickAdd(input), statuses);
+    const base = buildQuickAddTask(p, {
+      tags: tagFrequencies.map((tag) => tag.name),
+      owners: getOwnerSuggestions().map((owner) => owner.name),
+      statuses,
+    });
 
-    const result = transferOwnerTasks(fromOwner, targetOwner.trim(), removeAfterTransfer);
-    if (result.success) {
-      setOwners(getAllOwnersWithStats());
-      setTransferMode(null);
-      setTargetOwner('');
-      setRemoveAfterTransfer(false);
+    // #project routes the task without switching boards; the preview offers to
+    // create an unknown project beforehand
+    const { currentProjectId, showNotification } = useStore.getState();
+    const route = resolveQuickAddProject(p, base.title, projects);
+    const targetProject = route.project;
+    addTask({ ...base, title: route.title, ...(targetProject && { projectId: targetProject.id }) });
+
+    // Show notification with column name
+    const statusMeta = useStore.getState().getStatusMetaMap();
+    const targetStatus = base.status || useStore.getState().getDefaultStatus()?.id || 'inbox';
+    const columnLabel = statusMeta[targetStatus]?.label || targetStatus;
+    const destination =
+      targetProject && targetProject.id !== currentProjectId
+        ? `${columnLabel} in ${targetProject.name}`
+        : columnLabel;
+    const notes = [];
+    if (p.invalidTokens) notes.push(`without ${p.invalidTokens.join(', ')} (not recognized)`);
+    if (route.unknownToken) notes.push(`no project matches ${route.unknownToken}`);
+    if (notes.length > 0) {
+      showNotification(`Task added to ${destination} ${notes.join('; ')}`, 'info');
+    } else {
+      showNotification(`Task added to ${destination}`, 'success');
     }
+    setInput('');
   };
 
-  const formatDate = (dateString) => {
-    if (!dateString) return 'Never';
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+  const onCreateQuickAddProject = () => {
+    const result = createProject(parsedTokens.projectQuery);
+    if (result.error) useStore.getState().showNotification(result.error, 'info');
+  };
 
-    if (diffDays === 0) return 'Today';
-    if (diffDays === 1) return 'Yesterday';
-    if (diffDays < 7) return `${diffDays} days ago`;
-    if (diffDays < 30) return `${Math.floor(diffDays / 7)} weeks ago`;
-    return `${Math.floor(diffDays / 30)} months ago`;
+  const [showMoveDialog, setShowMoveDialog] = useState(false);
+  const [showAssignOwnerDialog, setShowAssignOwnerDialog] = useState(false);
+  const [pastedText, setPastedText] = useState(null);
+
+  const onBulkDelete = () => {
+    deleteSelected();
   };
 
-  if (!isOpen) return null;
+  const onBulkMove = () => {
+    setShowMoveDialog(true);
+  };
+
+  const onBulkAssignOwner = () => {
+    setShowAssignOwnerDialog(true);
+  };
+
+  const filterChips = getActiveFilterChips(filters, ownerFilter, statusMeta);
+  const hasActiveFilters = filterChips.length > 0;
+  const searchErrors = getParsedSearchQuery(filters.q).errors;
+  // Dropdown-only filters; search, owner and priority have their own controls
+  const dropdownFilterCount =
+    filters.statuses.length +
+    filters.tags.length +
+    filters.due.length +
+    filters.ownerTypes.length +
+    (filters.timerRunning ? 1 : 0);
 
   return (
-    <div className="fixed inset-0 z-50 overflow-hidden">
-      <div
-        className="absolute inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm"
-        onClick={onClose}
-        onKeyDown={(e) => {
-          if (e.key === 'Escape') onClose();
-        }}
-        role="button"
-        tabIndex={0}
-        aria-label="Close panel"
-      />
-      <div className="absolute right-0 top-0 bottom-0 w-96 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 border-l border-slate-200 dark:border-zinc-800 shadow-xl overflow-hidden flex flex-col">
-        {/* Header */}
-        <div className="p-4 border-b border-slate-200 dark:border-zinc-800">
-          <div className="flex items-center justify-between mb-3">
-            <h2 className="text-lg font-semibold">Owner Management</h2>
+    <div className="sticky top-0 z-10 -mx-6 px-6 py-4 bg-[#fafafa]/90 dark:bg-zinc-950/90 backdrop-blur-md border-b border-slate-200/80 dark:border-zinc-800/80 mb-6">
+      <div className="space-y-4">
+        {/* Main Controls Flex Row */}
+        <div className="flex flex-col lg:flex-row gap-4 items-stretch lg:items-center justify-between">
+          {/* Left: Quick Add Input */}
+          <div className="flex items-center gap-2 max-w-full lg:max-w-xl w-full lg:w-auto flex-1">
+            <div className="relative flex-1 min-w-[200px] sm:min-w-[280px] lg:w-[360px]">
+              <input
+                ref={inputRef}
+                value={input}
+                onChange={(e) => {
+                  setInput(e.target.value);
+                  setCaret(e.target.selectionStart ?? e.target.value.length);
+                  setSuggestionsDismissed(false);
+                  setSuggestionChosen(false);
+                  // Auto-dismiss token help when user starts typing
+                  if (showTokenHelp && e.target.value) {
+                    setShowTokenHelp(false);
+                  }
+                }}
+                onFocus={() => {
+                  try {
+                    const seen = localStorage.getItem('flowtrackr-token-help-seen');
+                    if (!seen) {
+                      setShowTokenHelp(true);
+                      localStorage.setItem('flowtrackr-token-help-seen', '1');
+                    }
+                  } catch (e) {
+                    /* ignore */
+                  }
+                }}
+                onSelect={(e) => setCaret(e.target.selectionStart ?? 0)}
+                onPaste={(e) => {
+                  const text = e.clipboardData.getData('text');
+                  if (parsePastedLines(text).length > 1) {
+                    e.preventDefault();
+                    setPastedText(text);
+                  }
+                }}
+                onBlur={() => setSuggestionsDismissed(true)}
+                onKeyDown={(e) => {
+                  if (showSuggestions) {
+                    const count = tokenSuggestions.length;
+                    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                      e.preventDefault();
+                      const step = e.key === 'ArrowDown' ? 1 : -1;
+                      setSuggestionIndex((index) => (index + step + count) % count);
+                      setSuggestionChosen(true);
+                      return;
+                    }
+                    // Enter only completes a suggestion picked with the arrows, so a new
+                    // tag that is a prefix of an existing one (+bug vs +bugfix) stays as typed
+                    if (e.key === 'Tab' || (e.key === 'Enter' && suggestionChosen)) {
+                      e.preventDefault();
+                      completeToken(tokenSuggestions[Math.min(suggestionIndex, count - 1)]);
+                      return;
+                    }
+                    if (e.key === 'Escape') {
+                      e.preventDefault();
+                      setSuggestionsDismissed(true);
+                      return;
+                    }
+                  }
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    onAdd();
+                  }
+                }}
+                role="combobox"
+                aria-autocomplete="list"
+                aria-expanded={showSuggestions}
+                aria-controls="quick-add-suggestions"
+                aria-activedescendant={
+                  showSuggestions ? `quick-add-option-${suggestionIndex}` : undefined
+                }
+                id="quick-add-input"
+                name="quick-add"
+                aria-label="Quick add task"
+                placeholder="Quick add task... (e.g. Fix login @john !p1)"
+                className="w-full px-3 pl-9 pr-9 py-2 text-sm rounded-lg border border-slate-200/80 dark:border-zinc-800 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500 dark:focus:border-blue-400 transition-all duration-150 shadow-sm"
+              />
+              <Plus className="absolute left-3 top-3 w-4 h-4 text-slate-400" />
+              {/* Help button */}
+              <button
+                type="button"
+                onClick={() => setShowTokenHelp(!showTokenHelp)}
+                className="absolute right-3 top-3 text-slate-400 hover:text-slate-600 dark:hover:text-zinc-400 transition-colors"
+                title="Show token syntax help"
+                aria-label="Help"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
+                  />
+                </svg>
+              </button>
+              {showSuggestions && (
+                <ul
+                  id="quick-add-suggestions"
+                  role="listbox"
+                  aria-label="Token suggestions"
+                  className="absolute z-50 top-full left-0 right-0 mt-1 max-h-64 overflow-y-auto bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 rounded-lg shadow-lg py-1"
+                >
+                  {tokenSuggestions.map((suggestion, index) => (
+                    <li
+                      key={suggestion.id}
+                      id={`quick-add-option-${index}`}
+                      role="option"
+                      aria-selected={index === suggestionIndex}
+                      // mousedown keeps focus in the input so the caret stays put
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        completeToken(suggestion);
+                      }}
+                      onMouseEnter={() => setSuggestionIndex(index)}
+                      className={clsx(
+                        'px-3 py-1.5 cursor-pointer flex items-center gap-2 text-sm',
+                        index === suggestionIndex
+                          ? 'bg-blue-50 text-blue-900 dark:bg-blue-950/50 dark:text-blue-100'
+                          : 'text-slate-900 dark:text-zinc-100',
+                      )}
+                    >
+                      {suggestion.color && (
+                        <span
+                          className="w-2 h-2 rounded-full shrink-0"
+                          style={{ backgroundColor: suggestion.color }}
+                        />
+                      )}
+                      <span className="truncate font-medium">{suggestion.label}</span>
+                      {suggestion.hint && (
+                        <span className="ml-auto shrink-0 text-xs text-slate-500 dark:text-zinc-400">
+                          {suggestion.hint}
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {/* Token help tooltip */}
+              <TokenHelpTooltip visible={showTokenHelp} onDismiss={() => setShowTokenHelp(false)} />
+            </div>
+            {/* Mic toggle */}
             <button
-              onClick={onClose}
-              className="p-1 hover:bg-slate-100 dark:hover:bg-zinc-800 rounded transition-colors"
+              type="button"
+              title={
+                speechSupported
+                  ? isListening
+                    ? 'Stop dictation'
+                    : 'Start dictation'
+                  : 'Dictation not supported'
+              }
+              aria-label={
+                speechSupported
+                  ? isListening
+                    ? 'Stop dictation'
+                    : 'Start dictation'
+                  : 'Dictation not supported'
+              }
+              onClick={() => {
+                isListening ? stopDictation(false) : startDictation();
+              }}
+              disabled={!speechSupported}
+              className={clsx(
+                'p-2 rounded-lg transition-colors shadow-sm',
+                isListening
+                  ? 'bg-red-500 text-white hover:bg-red-600 animate-pulse'
+                  : 'bg-white dark:bg-zinc-900 border border-slate-200/80 dark:border-zinc-800 text-slate-600 dark:text-zinc-400 hover:bg-slate-50 dark:hover:bg-zinc-800/50',
+                !speechSupported && 'opacity-50 cursor-not-allowed',
+              )}
             >
-              <X className="w-5 h-5" />
+              {isListening ? <MicOff className="w-4.5 h-4.5" /> : <Mic className="w-4.5 h-4.5" />}
+            </button>
+            <button
+              onClick={onAdd}
+              disabled={!input.trim()}
+              className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all font-medium disabled:opacity-50 disabled:cursor-not-allowed shadow-sm hover:shadow active:scale-[0.98] shrink-0"
+            >
+              Add Task
             </button>
           </div>
 
-          {/* Search */}
-          <div className="relative">
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
-            <input
-              type="text"
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              placeholder="Search owners..."
-              className="w-full pl-10 pr-3 py-2 text-sm border border-slate-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500"
-            />
-          </div>
-
-          <div className="mt-2 text-sm text-slate-500 dark:text-zinc-400">
-            Total: {owners.length} owners
-          </div>
-        </div>
-
-        {/* Owner List */}
-        <div className="flex-1 overflow-y-auto p-4">
-          {filteredOwners.length === 0 && searchTerm && (
-            <div className="text-center py-8 text-slate-500 dark:text-zinc-400">
-              No owners found matching &quot;{searchTerm}&quot;
-            </div>
-          )}
-
-          {filteredOwners.length === 0 && !searchTerm && (
-            <div className="text-center py-8">
-              <Users className="w-12 h-12 mx-auto mb-3 text-slate-300 dark:text-zinc-600" />
-              <div className="text-slate-500 dark:text-zinc-400">No owners yet</div>
-              <div className="text-sm text-slate-400 dark:text-zinc-400 mt-1">
-                Owners will appear here as you assign them to tasks
-              </div>
-            </div>
-          )}
-
-          <div className="space-y-2">
-            {filteredOwners.map((owner) => (
-              <div
-                key={owner.name}
-                className="p-3 bg-slate-50 dark:bg-zinc-800/40 border border-transparent dark:border-zinc-800 text-slate-900 dark:text-zinc-100 rounded-lg"
+          {/* Right: Search & Filter Dropdowns */}
+          <div className="flex flex-wrap items-center gap-2.5">
+            {/* Saved views */}
+            <div className="relative views-dropdown-container">
+              <button
+                onClick={() => setShowViewsDropdown(!showViewsDropdown)}
+                aria-expanded={showViewsDropdown}
+                className={clsx(
+                  'px-3 py-2 rounded-lg border text-sm font-medium flex items-center gap-2 transition-all duration-150 shadow-sm',
+                  activeView
+                    ? 'bg-blue-50 border-blue-200 text-blue-700 dark:bg-blue-900/20 dark:border-blue-800 dark:text-blue-400'
+                    : 'bg-white border-slate-200 text-slate-700 dark:bg-zinc-900 dark:border-zinc-800 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800/50',
+                )}
+                title="Saved views"
               >
-                <div className="flex items-start justify-between">
-                  <div className="flex-1">
-                    <div className="font-medium text-sm">{owner.name}</div>
-                    <div className="text-xs text-slate-500 dark:text-zinc-400 mt-1">
-                      {owner.taskCount} {owner.taskCount === 1 ? 'task' : 'tasks'}
-                      {owner.lastUsed && <span> • Last used {formatDate(owner.lastUsed)}</span>}
+                <Bookmark className="w-4 h-4 shrink-0 text-slate-500 dark:text-zinc-400" />
+                <span className="max-w-[10rem] truncate">{activeView?.name || 'Views'}</span>
+                <ChevronDown className="w-4 h-4 opacity-50 shrink-0" />
+              </button>
+              {showViewsDropdown && (
+                <div className="absolute top-full mt-1 left-0 w-72 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 border border-slate-200 dark:border-zinc-800/80 rounded-lg shadow-lg z-50 py-1">
+                  {savedViews.length === 0 && (
+                    <div className="px-3 py-2 text-xs text-slate-500 dark:text-zinc-400">
+                      No saved views yet. Set up filters, then name the view below.
                     </div>
-                  </div>
-
-                  {transferMode === owner.name ? (
-                    <div className="flex items-center gap-2">
+                  )}
+                  {savedViews.map((view) => (
+                    <div
+                      key={view.id}
+                      className="group flex items-center hover:bg-slate-50 dark:hover:bg-zinc-800"
+                    >
                       <button
                         onClick={() => {
-                          setTransferMode(null);
-                          setTargetOwner('');
-                          setRemoveAfterTransfer(false);
+                          applyView(view);
+                          setShowViewsDropdown(false);
                         }}
-                        className="p-1 hover:bg-gray-200 dark:hover:bg-zinc-800 rounded transition-colors"
-                        title="Cancel transfer"
-                      >
-                        <X className="w-4 h-4" />
-                      </button>
-                    </div>
-                  ) : confirmDelete === owner.name ? (
-                    <div className="flex items-center gap-1">
-                      <span className="text-xs text-red-600 dark:text-red-400 mr-2">Remove?</span>
-                      <button
-                        onClick={() => handleRemoveOwner(owner.name)}
-                        className="p-1 bg-red-500 text-white rounded hover:bg-red-600"
+                        className="flex-1 min-w-0 text-left px-3 py-2 text-sm flex items-center"
                       >
-                        <Check className="w-3 h-3" />
+                        <span className="truncate">{view.name}</span>
+                        {activeView?.id === view.id && (
+                          <Check className="w-3.5 h-3.5 ml-2 text-blue-600 dark:text-blue-400 shrink-0" />
+                        )}
                       </button>
                       <button
-                        onClick={() => setConfirmDelete(null)}
-                        className="p-1 bg-gray-400 text-white rounded hover:bg-slate-500"
+                        onClick={() => deleteView(view.id)}
+                        className="mr-2 p-1 rounded text-slate-400 opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-red-600 dark:hover:text-red-400"
+                        aria-label={`Delete view ${view.name}`}
+                        title="Delete view"
                       >
-                        <X className="w-3 h-3" />
+                        <Trash2 className="w-3.5 h-3.5" />
                       </button>
                     </div>
-                  ) : (
-                    <div className="flex items-center gap-1">
-                      {owner.taskCount > 0 && (
-                        <button
-                          onClick={() => {
-                            setTransferMode(owner.name);
-                            setTargetOwner('');
-                            setRemoveAfterTransfer(false);
-                            setConfirmDelete(null);
-                          }}
-                          className="p-1 hover:bg-blue-100 dark:hover:bg-blue-950 rounded transition-colors"
-                          title={`Transfer ${owner.name}'s tasks to another owner`}
-                        >
-                          <UserCheck className="w-4 h-4 text-blue-500" />
-                        </button>
-                      )}
-                      <button
-                        onClick={() => {
-                          setConfirmDelete(owner.name);
-                          setTransferMode(null);
+                  ))}
+                  <form
+                    onSubmit={onSaveView}
+                    className="mt-1 border-t border-slate-100 dark:border-zinc-800 px-3 pt-2 pb-1"
+                  >
+                    <div className="flex items-center gap-1.5">
+                      <input
+                        value={viewName}
+                        onChange={(e) => {
+                          setViewName(e.target.value);
+                          setViewError('');
                         }}
-                        className="p-1 hover:bg-red-100 dark:hover:bg-red-950 rounded transition-colors"
-                        title={`Remove ${owner.name} from all tasks`}
+                        maxLength={VIEW_NAME_MAX_LENGTH}
+                        placeholder="Save current view as…"
+                        aria-label="View name"
+                        className="flex-1 min-w-0 rounded-md border border-slate-200 dark:border-zinc-700 bg-white dark:bg-zinc-950 px-2 py-1 text-sm outline-none focus:ring-1 focus:ring-blue-500"
+                      />
+                      <button
+                        type="submit"
+                        disabled={!viewName.trim()}
+                        className="px-2.5 py-1 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
                       >
-                        <Trash2 className="w-4 h-4 text-red-500" />
+                        Save
                       </button>
                     </div>
-                  )}
+                    {viewError && (
+                      <p className="mt-1 text-xs text-rose-600 dark:text-rose-400">{viewError}</p>
+                    )}
+                  </form>
+                  <button
+                    onClick={onCopyViewLink}
+                    className="w-full text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm flex items-center gap-2"
+                  >
+                    <Link2 className="w-3.5 h-3.5 text-slate-500 dark:text-zinc-400" />
+                    Copy link to this view
+                  </button>
                 </div>
+              )}
+            </div>
 
-                {transferMode === owner.name && (
-                  <div className="mt-2 p-2 bg-blue-50 dark:bg-blue-950/40 border border-blue-100/50 dark:border-blue-900/40 rounded space-y-2">
-                    <div className="text-xs font-medium text-blue-800 dark:text-blue-200">
-                      Transfer {owner.taskCount} task{owner.taskCount !== 1 ? 's' : ''} to:
-                    </div>
-                    <div className="space-y-2">
-                      <input
-                        type="text"
-                        value={targetOwner}
-                        onChange={(e) => setTargetOwner(e.target.value)}
-                        placeholder="Enter target owner name"
-                        list="transfer-owner-suggestions"
-                        className="w-full px-2 py-1 text-xs border border-blue-300 dark:border-zinc-800 rounded bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-1 focus:ring-blue-500"
-                      />
-                      <datalist id="transfer-owner-suggestions">
-                        {owners
-                          .filter(
-                            (o) =>
-                              o.name !== owner.name &&
-                              o.name.toLowerCase().includes(targetOwner.toLowerCase()),
-                          )
-                          .map((o) => (
-                            <option key={o.name} value={o.name} />
-                          ))}
-                      </datalist>
-                      <label className="flex items-center gap-2 text-xs">
-                        <input
-                          type="checkbox"
-                          checked={removeAfterTransfer}
-                          onChange={(e) => setRemoveAfterTransfer(e.target.checked)}
-                          className="rounded"
-                        />
-                        <span className="text-gray-700 dark:text-zinc-300">
-                          Remove {owner.name} after transfer
+            {/* Search Input */}
+            <div className="relative w-full sm:w-60 md:w-64">
+              <Search className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
+              <input
+                value={filters.q}
+                onChange={(e) => setFilters({ q: e.target.value })}
+                placeholder="Search, or tag:ui due<fri -is:subtask"
+                title={
+                  'Words and "phrases" match text. Fields: owner: tag: status: p:P0..P1 due<date due:none overdue is:subtask|ai|mine|recurring has:timer|due|estimate|deps|tags. Prefix - to exclude, OR to alternate, ( ) to group.'
+                }
+                aria-invalid={searchErrors.length > 0}
+                aria-describedby={searchErrors.length > 0 ? 'search-query-errors' : undefined}
+                className={clsx(
+                  'w-full pl-9 pr-3 py-2 text-sm rounded-lg border bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500/10 transition-all duration-150 shadow-sm',
+                  searchErrors.length > 0
+                    ? 'border-rose-400 focus:border-rose-500 dark:border-rose-700'
+                    : 'border-slate-200/80 dark:border-zinc-800 focus:border-blue-500 dark:focus:border-blue-400',
+                )}
+              />
+              {searchErrors.length > 0 && (
+                <div
+                  id="search-query-errors"
+                  aria-live="polite"
+                  className="absolute top-full left-0 right-0 mt-1 z-30 rounded-lg border border-rose-200 bg-white p-2 text-xs shadow-lg dark:border-rose-900/60 dark:bg-zinc-900"
+                >
+                  <div className="font-mono whitespace-pre-wrap break-all text-slate-700 dark:text-zinc-300">
+                    {getSearchErrorSegments(filters.q, searchErrors).map((segment, index) =>
+                      segment.error ? (
+                        <span
+                          key={index}
+                          className="rounded-sm bg-rose-100 text-rose-700 underline decoration-wavy decoration-rose-500 dark:bg-rose-900/40 dark:text-rose-300"
+                        >
+                          {segment.text}
                         </span>
-                      </label>
-                    </div>
-                    <div className="flex gap-2">
-                      <button
-                        onClick={() => handleTransferOwner(owner.name)}
-                        disabled={!targetOwner.trim() || targetOwner.trim() === owner.name}
-                        className="px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        Transfer
-                      </button>
+                      ) : (
+                        <span key={index}>{segment.text}</span>
+                      ),
+                    )}
+                  </div>
+                  <ul className="mt-1.5 space-y-0.5 text-rose-600 dark:text-rose-400">
+                    {searchErrors.map((error) => (
+                      <li key={`${error.start}:${error.message}`}>{error.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+
+            {/* Owner Dropdown */}
+            <div className="relative owner-dropdown-container">
+              <button
+                onClick={() => setShowOwnerDropdown(!showOwnerDropdown)}
+                className={clsx(
+                  'px-3 py-2 rounded-lg border text-sm font-medium flex items-center gap-2 transition-all duration-150 shadow-sm',
+                  ownerFilter
+                    ? 'bg-blue-50 border-blue-200 text-blue-700 dark:bg-blue-900/20 dark:border-blue-800 dark:text-blue-400'
+                    : 'bg-white border-slate-200 text-slate-700 dark:bg-zinc-900 dark:border-zinc-800 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800/50',
+                )}
+                title={ownerFilter ? `Filtering by: ${ownerFilter}` : 'Filter by Owner'}
+              >
+                <Users className="w-4 h-4 shrink-0 text-slate-500 dark:text-zinc-400" />
+                <span>{ownerFilter || 'All Owners'}</span>
+                <ChevronDown className="w-4 h-4 opacity-50 shrink-0" />
+              </button>
+              {showOwnerDropdown && (
+                <div className="absolute top-full mt-1 left-0 w-48 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 border border-slate-200 dark:border-zinc-800/80 rounded-lg shadow-lg z-50 py-1">
+                  <button
+                    onClick={() => {
+                      setOwnerFilter(null);
+                      setShowOwnerDropdown(false);
+                    }}
+                    className="w-full text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm text-slate-900 dark:text-zinc-100"
+                  >
+                    All Owners
+                  </button>
+                  {getAllOwnersWithStats()
+                    .sort((a, b) => b.taskCount - a.taskCount)
+                    .map((owner) => (
                       <button
+                        key={owner.name}
                         onClick={() => {
-                          setTransferMode(null);
-                          setTargetOwner('');
-                          setRemoveAfterTransfer(false);
+                          setOwnerFilter(owner.name);
+                          setShowOwnerDropdown(false);
                         }}
-                        className="px-3 py-1 text-xs bg-slate-500 hover:bg-slate-600 dark:bg-zinc-800 dark:hover:bg-zinc-700 text-white rounded transition-colors"
+                        className="w-full text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm text-slate-900 dark:text-zinc-100 flex items-center justify-between"
                       >
-                        Cancel
+                        <span className="truncate">{owner.name}</span>
+                        <span className="text-slate-500 dark:text-zinc-400 text-xs ml-2 shrink-0">
+                          ({owner.taskCount})
+                        </span>
+                        {ownerFilter === owner.name && (
+                          <Check className="w-3.5 h-3.5 ml-2 text-blue-600 dark:text-blue-400 shrink-0" />
+                        )}
                       </button>
+                    ))}
+                </div>
+              )}
+            </div>
+
+            {/* Priority Dropdown */}
+            <div className="relative priority-dropdown-container">
+              <button
+                onClick={() => setShowPriorityDropdown(!showPriorityDropdown)}
+                className={clsx(
+                  'px-3 py-2 rounded-lg border text-sm font-medium flex items-center gap-2 transition-all duration-150 shadow-sm',
+                  filters.priority !== 'all'
+                    ? 'bg-blue-50 border-blue-200 text-blue-700 dark:bg-blue-900/20 dark:border-blue-800 dark:text-blue-400'
+                    : 'bg-white border-slate-200 text-slate-700 dark:bg-zinc-900 dark:border-zinc-800 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800/50',
+                )}
+                title={
+                  filters.priority !== 'all'
+                    ? `Filtering priority: ${filters.priority}`
+                    : 'Filter by Priority'
+                }
+              >
+                <SlidersHorizontal className="w-4 h-4 shrink-0 text-slate-500 dark:text-zinc-400" />
+                <span>
+                  {filters.priority === 'all' ? 'All Priorities' : `Priority: ${filters.priority}`}
+                </span>
+                <ChevronDown className="w-4 h-4 opacity-50 shrink-0" />
+              </button>
+              {showPriorityDropdown && (
+                <div className="absolute top-full mt-1 left-0 w-48 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 border border-slate-200 dark:border-zinc-800/85 rounded-lg shadow-lg z-50 py-1">
+                  <button
+                    onClick={() => {
+                      setFilters({ priority: 'all' });
+                      setShowPriorityDropdown(false);
+                    }}
+                    className="w-full text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm text-slate-900 dark:text-zinc-100"
+                  >
+                    All Priorities
+                  </button>
+                  {[
+                    { id: 'P0', label: 'P0 - Critical', colorClass: 'bg-red-500' },
+                    { id: 'P1', label: 'P1 - High', colorClass: 'bg-orange-500' },
+                    { id: 'P2', label: 'P2 - Medium', colorClass: 'bg-amber-500' },
+                    { id: 'P3', label: 'P3 - Low', colorClass: 'bg-slate-400' },
+                    { id: 'P4', label: 'P4 - None', colorClass: 'bg-slate-300 dark:bg-zinc-700' },
+                  ].map((prio) => (
+                    <button
+                      key={prio.id}
+                      onClick={() => {
+                        setFilters({ priority: prio.id });
+                        setShowPriorityDropdown(false);
+                      }}
+                      className="w-full text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm text-slate-900 dark:text-zinc-100 flex items-center"
+                    >
+                      <span
+                        className={clsx(
+                          'w-2.5 h-2.5 rounded-full mr-2.5 shrink-0',
+                          prio.colorClass,
+                        )}
+                      />
+                      <span>{prio.label}</span>
+                      {filters.priority === prio.id && (
+                        <Check className="w-3.5 h-3.5 ml-auto text-blue-600 dark:text-blue-400 shrink-0" />
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Status, tag, due, owner type and timer filters */}
+            <div className="relative filter-dropdown-container">
+              <button
+                onClick={() => setShowFilterDropdown(!showFilterDropdown)}
+                aria-expanded={showFilterDropdown}
+                className={clsx(
+                  'px-3 py-2 rounded-lg border text-sm font-medium flex items-center gap-2 transition-all duration-150 shadow-sm',
+                  dropdownFilterCount > 0
+                    ? 'bg-blue-50 border-blue-200 text-blue-700 dark:bg-blue-900/20 dark:border-blue-800 dark:text-blue-400'
+                    : 'bg-white border-slate-200 text-slate-700 dark:bg-zinc-900 dark:border-zinc-800 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800/50',
+                )}
+                title="Filter by status, tag, due date, owner type or running timer"
+              >
+                <Filter className="w-4 h-4 shrink-0 text-slate-500 dark:text-zinc-400" />
+                <span>
+                  {dropdownFilterCount > 0 ? `Filters (${dropdownFilterCount})` : 'Filters'}
+                </span>
+                <ChevronDown className="w-4 h-4 opacity-50 shrink-0" />
+              </button>
+              {showFilterDropdown && (
+                <div
+                  role="menu"
+                  aria-label="Filters"
+                  className="absolute top-full mt-1 right-0 w-64 max-h-[70vh] overflow-y-auto bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 border border-slate-200 dark:border-zinc-800/80 rounded-lg shadow-lg z-50 py-1"
+                >
+                  {[
+                    {
+                      key: 'statuses',
+                      title: 'Status',
+                      options: statuses.map((status) => ({ id: status.id, label: status.label })),
+                    },
+                    {
+                      key: 'tags',
+                      title: 'Tags',
+                      options: boardTags.map((tag) => ({ id: tag, label: `+${tag}` })),
+                    },
+                    { key: 'due', title: 'Due', options: DUE_WINDOWS },
+                    {
+                      key: 'ownerTypes',
+                      title: 'Owner type',
+                      options: Object.entries(OWNER_TYPE_LABELS).map(([id, label]) => ({
+                        id,
+                        label,
+                      })),
+                    },
+                  ].map((group) => (
+                    <div
+                      key={group.key}
+                      className="py-1 border-b border-slate-100 dark:border-zinc-800 last:border-b-0"
+                    >
+                      <div className="px-3 py-1 text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400">
+                        {group.title}
+                      </div>
+                      {group.options.length === 0 && (
+                        <div className="px-3 py-1.5 text-xs text-slate-400 dark:text-zinc-500">
+                          None on this board
+                        </div>
+                      )}
+                      {group.options.map((option) => {
+                        const active = filters[group.key].includes(option.id);
+                        return (
+                          <button
+                            key={option.id}
+                            role="menuitemcheckbox"
+                            aria-checked={active}
+                            onClick={() => toggleFilterValue(group.key, option.id)}
+                            className="w-full text-left px-3 py-1.5 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm text-slate-900 dark:text-zinc-100 flex items-center"
+                          >
+                            <span className="truncate">{option.label}</span>
+                            {active && (
+                              <Check className="w-3.5 h-3.5 ml-auto text-blue-600 dark:text-blue-400 shrink-0" />
+                            )}
+                          </button>
+                        );
+                      })}
                     </div>
-                  </div>
+                  ))}
+                  <button
+                    role="menuitemcheckbox"
+                    aria-checked={filters.timerRunning}
+                    onClick={() => setFilters({ timerRunning: !filters.timerRunning })}
+                    className="w-full text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm text-slate-900 dark:text-zinc-100 flex items-center gap-2"
+                  >
+                    <Clock className="w-3.5 h-3.5 text-slate-500 dark:text-zinc-400" />
+                    <span>Has running timer</span>
+                    {filters.timerRunning && (
+                      <Check className="w-3.5 h-3.5 ml-auto text-blue-600 dark:text-blue-400 shrink-0" />
+                    )}
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* Clear Filters */}
+            {hasActiveFilters && (
+              <button
+                onClick={clearFilters}
+                className="px-3 py-2 text-sm font-medium text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 flex items-center gap-1.5 transition-colors"
+                title="Clear all active search and dropdown filters"
+              >
+                <X className="w-4 h-4" />
+                <span>Clear Filters</span>
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Active filter chips */}
+        {hasActiveFilters && (
+          <div className="flex flex-wrap items-center gap-1.5 pl-1">
+            <span className="text-xs text-slate-400 mr-1">Filtered by:</span>
+            {filterChips.map((chip) => (
+              <span
+                key={chip.id}
+                className="inline-flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-full text-xs font-medium bg-blue-50 text-blue-700 dark:bg-blue-900/20 dark:text-blue-300"
+              >
+                {chip.label}
+                <button
+                  onClick={() => removeFilterChip(chip)}
+                  className="rounded-full p-0.5 hover:bg-blue-100 dark:hover:bg-blue-900/40"
+                  aria-label={`Remove filter ${chip.label}`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+
+        {/* Token preview chips (renders inline below controls row to prevent overlapping separator) */}
+        {parsedTokens && input.trim() && (
+          <div className="flex flex-wrap items-center gap-1.5 pt-2 border-t border-slate-100 dark:border-zinc-800/60 pl-1">
+            <span className="text-xs text-slate-400 mr-1 flex items-center">Token preview:</span>
+            {parsedTokens.projectQuery &&
+              (projectMatch ? (
+                <span
+                  className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-700 dark:bg-zinc-800 dark:text-zinc-300"
+                  title={
+                    projectMatch.exact
+                      ? undefined
+                      : `Closest match for #${parsedTokens.projectQuery}`
+                  }
+                >
+                  <span
+                    className="w-1.5 h-1.5 rounded-full"
+                    style={{ backgroundColor: projectMatch.project.color }}
+                  />
+                  {projectMatch.project.name}
+                  {!projectMatch.exact && (
+                    <span className="text-slate-400 dark:text-zinc-500">
+                      ← #{parsedTokens.projectQuery}
+                    </span>
+                  )}
+                </span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={onCreateQuickAddProject}
+                  className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium border border-dashed border-blue-300 text-blue-700 hover:bg-blue-50 dark:border-blue-800 dark:text-blue-300 dark:hover:bg-blue-950/40"
+                  title="No project matches this name; without one the token stays in the title"
+                >
+                  <Plus className="w-3 h-3" /> Create project “{parsedTokens.projectQuery}”
+                </button>
+              ))}
+            {parsedTokens.statusQuery && (
+              <span
+                className={clsx(
+                  'inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium',
+                  statusMatch
+                    ? 'bg-teal-100 text-teal-700 dark:bg-teal-900/30 dark:text-teal-300'
+                    : 'bg-rose-100 text-rose-700 dark:bg-rose-900/30 dark:text-rose-300',
                 )}
+              >
+                <ChevronRight className="w-3 h-3" />
+                {statusMatch ? statusMatch.status.label : `No status “${parsedTokens.statusQuery}”`}
+              </span>
+            )}
+            {parsedTokens.priorityBucket && (
+              <span
+                className={clsx(
+                  'inline-flex items-center px-2 py-0.5 rounded text-xs font-medium',
+                  PRIORITY_COLORS[parsedTokens.priorityBucket],
+                )}
+              >
+                {parsedTokens.priorityBucket}
+              </span>
+            )}
+            {parsedTokens.estimateMins && (
+              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-700 dark:bg-zinc-800 dark:text-zinc-300">
+                <Hourglass className="w-3 h-3" /> {formatEstimate(parsedTokens.estimateMins)}
+              </span>
+            )}
+            {parsedTokens.ownerType === 'ai' && (
+              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300">
+                <Bot className="w-3 h-3" /> AI
+              </span>
+            )}
+            {parsedTokens.owners &&
+              parsedTokens.owners.map((owner) => (
+                <span
+                  key={owner}
+                  className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300"
+                >
+                  @{owner}
+                </span>
+              ))}
+            {parsedTokens.tags &&
+              parsedTokens.tags.map((tag) => (
+                <span
+                  key={tag}
+                  className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-700 dark:bg-zinc-800 dark:text-zinc-300"
+                >
+                  +{tag}
+                </span>
+              ))}
+            {parsedTokens.dueAt && (
+              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-300">
+                <Clock className="w-3 h-3" /> {humanDue(parsedTokens.dueAt)}
+              </span>
+            )}
+            {parsedTokens.expectedBy && (
+              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-sky-100 text-sky-700 dark:bg-sky-900/30 dark:text-sky-300">
+                <Bot className="w-3 h-3" /> Expect {humanDue(parsedTokens.expectedBy)}
+              </span>
+            )}
+            {parsedTokens.invalidTokens?.map((token) => (
+              <span
+                key={token}
+                className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-rose-100 text-rose-700 dark:bg-rose-900/30 dark:text-rose-300"
+              >
+                <AlertTriangle className="w-3 h-3" /> Unrecognized: {token}
+              </span>
+            ))}
+            {parsedTokens.recurrence && (
+              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-300">
+                <Repeat className="w-3 h-3" /> {describeRecurrence(parsedTokens.recurrence)}
+              </span>
+            )}
+            {hasScoreRatings(parsedTokens) && (
+              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-indigo-100 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300">
+                <Gauge className="w-3 h-3" /> Score {computePriorityScore(parsedTokens)}
+              </span>
+            )}
+          </div>
+        )}
+
+        {/* Speech Dictation status */}
+        {(isListening || speechErr) && (
+          <div className="flex items-center justify-between rounded-xl border border-indigo-200 dark:border-indigo-900/50 bg-indigo-50/50 dark:bg-indigo-900/20 text-indigo-900 dark:text-indigo-300 px-3 py-2 text-sm">
+            <div className="text-sm flex-1 min-w-0">
+              <span className="font-medium">{isListening ? 'Listening…' : 'Dictation'}</span>
+              {interim && (
+                <span className="ml-2 text-indigo-800 dark:text-indigo-400 truncate inline-block max-w-full align-bottom">
+                  {interim}
+                </span>
+              )}
+              {speechErr && !isListening && (
+                <span className="ml-2 text-rose-700 dark:text-rose-405">{speechErr}</span>
+              )}
+            </div>
+            <div className="flex items-center gap-2 shrink-0">
+              {isListening && (
+                <>
+                  <button
+                    onClick={() => stopDictation(true)}
+                    className="px-2 py-1.5 text-xs rounded-lg border border-slate-300 dark:border-zinc-800 bg-white dark:bg-zinc-900 hover:bg-slate-50 dark:hover:bg-zinc-800/50 text-slate-800 dark:text-zinc-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => stopDictation(false)}
+                    className="px-2 py-1.5 text-xs rounded-lg bg-zinc-900 dark:bg-zinc-100 text-white dark:text-zinc-900 hover:bg-zinc-800 dark:hover:bg-white/90"
+                  >
+                    Use
+                  </button>
+                </>
+              )}
+              {!isListening && speechErr && (
+                <button
+                  onClick={() => startDictation()}
+                  className="px-2 py-1.5 text-xs rounded-lg bg-zinc-900 dark:bg-zinc-100 text-white dark:text-zinc-900 hover:bg-zinc-800 dark:hover:bg-white/90"
+                >
+                  Retry
+                </button>
+              )}
+            </div>
+          </div>
+        )}
 
-                {owner.taskCount > 0 && confirmDelete === owner.name && (
-                  <div className="mt-2 p-2 bg-amber-100 dark:bg-amber-900/30 rounded text-xs text-amber-800 dark:text-amber-200">
-                    Warning: This will remove {owner.name} from {owner.taskCount} task
-                    {owner.taskCount !== 1 ? 's' : ''}
-                  </div>
-                )}
-              </div>
-            ))}
+        {/* Bulk Action Controls */}
+        {selectedIds.length > 0 && (
+          <div className="flex items-center justify-between rounded-xl border border-rose-200 dark:border-rose-900/50 bg-rose-50/50 dark:bg-rose-900/20 text-rose-900 dark:text-rose-300 px-3 py-2 text-sm">
+            <div className="text-sm font-medium">{selectedIds.length} selected</div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={onBulkAssignOwner}
+                className="inline-flex items-center gap-2 px-3 py-1.5 rounded-lg bg-purple-600 hover:bg-purple-700 text-white transition-colors"
+              >
+                <Users className="w-4 h-4" />
+                <span>Assign Owner</span>
+              </button>
+              <button
+                onClick={onBulkMove}
+                className="inline-flex items-center gap-2 px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white transition-colors"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4"
+                  />
+                </svg>
+                <span>Move to Project</span>
+              </button>
+              <button
+                onClick={onBulkDelete}
+                className="inline-flex items-center gap-2 px-3 py-1.5 rounded-lg bg-rose-600 hover:bg-rose-700 text-white transition-colors"
+              >
+                <Trash2 className="w-4 h-4" />
+                <span>Delete</span>
+              </button>
+              <button
+                onClick={clearSelection}
+                className="text-sm hover:underline text-slate-500 dark:text-zinc-400"
+              >
+                Clear
+              </button>
+            </div>
           </div>
-        </div>
+        )}
+
+        {/* Dialogs */}
+        {pastedText !== null && (
+          <BulkPasteDialog text={pastedText} onClose={() => setPastedText(null)} />
+        )}
+        {showMoveDialog && (
+          <BulkMoveDialog
+            taskIds={selectedIds}
+            onClose={() => setShowMoveDialog(false)}
+            onSuccess={() => {
+              setShowMoveDialog(false);
+              clearSelection();
+            }}
+          />
+        )}
+        {showAssignOwnerDialog && (
+          <BulkAssignOwnerDialog
+            taskIds={selectedIds}
+            onClose={() => setShowAssignOwnerDialog(false)}
+            onSuccess={() => {
+              setShowAssignOwnerDialog(false);
+              clearSelection();
+            }}
+          />
+        )}
       </div>
     </div>
   );
 }
 
-function TaskDrawer({ task, onClose }) {
-  // ═══════════════════════════════════════════════════════════════════════════════
-  // 2026-05-15 MODAL REDESIGN v3 (Design Doc c5306299)
-  // Starting PR #1: Header + Compact Meta Strip (Due | Priority | Status)
-  // Behavior, store calls, local state, save logic, focus trap, and portal preserved.
-  // ═══════════════════════════════════════════════════════════════════════════════
-  const update = useStore((s) => s.updateTask);
-  const del = useStore((s) => s.deleteTask);
-  const setTaskGroupColor = useStore((s) => s.setTaskGroupColor);
-  const statusMeta = useStore((s) => s.getStatusMetaMap());
+// Tasks of every project the board shows, in store order.
+function useBoardTasks() {
   const tasks = useStore((s) => s.tasks);
-  const [local, setLocal] = useState(task);
-  useEffect(() => setLocal(task), [task]);
-
-  const drawerRef = useRef(null);
-  const previousFocusRef = useRef(null);
+  const projects = useStore((s) => s.projects);
+  const currentProjectId = useStore((s) => s.currentProjectId);
+  const projectScope = useStore((s) => s.projectScope);
+  return useMemo(() => {
+    const projectIds = getBoardProjectIds({ projects, currentProjectId, projectScope });
+    return tasks.filter((t) => projectIds.has(t.projectId));
+  }, [tasks, projects, currentProjectId, projectScope]);
+}
 
-  // Escape key handler
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (e.key === 'Escape') {
-        e.stopPropagation();
-        onClose();
-      }
-    };
-    document.addEventListener('keydown', handleKeyDown);
-    return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [onClose]);
+function useFilteredTasks() {
+  const visibleTasks = useBoardTasks();
+  const filters = useStore((s) => s.filters);
+  const ownerFilter = useStore((s) => s.ownerFilter);
+  const statusOrder = useStore((s) => s.getStatusOrder());
+  const statuses = useStore((s) => s.statusConfig.statuses);
 
-  // Focus trapping
-  useEffect(() => {
-    previousFocusRef.current = document.activeElement;
-    const drawer = drawerRef.current;
-    if (!drawer) return;
+  return useMemo(() => {
+    const statusMeta = Object.fromEntries(statuses.map((status) => [status.id, status]));
+    const context = { now: new Date(), search: getParsedSearchQuery(filters.q), statusMeta };
+    return visibleTasks
+      .filter((t) => taskMatchesFilters(t, filters, ownerFilter, context))
+      .sort((a, b) => {
+        // Sort by status lane first
+        if (a.status !== b.status)
+          return statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status);
+        // Within the same status, preserve store array order (manual order)
+        return visibleTasks.indexOf(a) - visibleTasks.indexOf(b);
+      });
+  }, [visibleTasks, filters, ownerFilter, statusOrder, statuses]);
+}
 
-    const focusableSelectors =
-      'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
-    const focusableElements = drawer.querySelectorAll(focusableSelectors);
-    if (focusableElements.length > 0) {
-      focusableElements[0].focus();
+function groupTasksByStatus(tasks, statusOrder = null) {
+  // If no statusOrder provided, fall back to STATUS_ORDER constant
+  const order = statusOrder || STATUS_ORDER;
+  /** @type{Record<Status, Task[]>} */
+  const grouped = order.reduce((acc, status) => {
+    acc[status] = [];
+    return acc;
+  }, /** @type{Record<Status, Task[]>} */ ({}));
+  for (const t of tasks) {
+    if (grouped[t.status]) {
+      grouped[t.status].push(t);
     }
+  }
+  return grouped;
+}
 
-    const handleTab = (e) => {
-      if (e.key !== 'Tab') return;
-      const focusable = drawer.querySelectorAll(focusableSelectors);
-      if (focusable.length === 0) return;
-      const first = focusable[0];
-      const last = focusable[focusable.length - 1];
-      if (e.shiftKey) {
-        if (document.activeElement === first) {
-          e.preventDefault();
-          last.focus();
-        }
-      } else {
-        if (document.activeElement === last) {
-          e.preventDefault();
-          first.focus();
-        }
-      }
-    };
-
-    document.addEventListener('keydown', handleTab);
-    return () => {
-      document.removeEventListener('keydown', handleTab);
-      if (previousFocusRef.current && previousFocusRef.current.focus) {
-        previousFocusRef.current.focus();
-      }
-    };
-  }, []);
+const Board = React.memo(function Board() {
+  const filtered = useFilteredTasks();
+  const projectTasks = useBoardTasks();
+  const currentProjectId = useStore((s) => s.currentProjectId);
+  const projects = useStore((s) => s.projects);
+  const projectScope = useStore((s) => s.projectScope);
+  const filters = useStore((s) => s.filters);
+  const ownerFilter = useStore((s) => s.ownerFilter);
+  const clearFilters = useStore((s) => s.clearFilters);
+  const statusMeta = useStore((s) => s.getStatusMetaMap());
+  const allTasks = useStore((s) => s.tasks);
+  const ownerRegistry = useStore((s) => s.ownerRegistry);
+  const swimlaneAxis = useStore((s) => s.swimlaneAxis);
+  const collapsedSwimlanes = useStore((s) => s.collapsedSwimlanes);
+  const toggleSwimlaneCollapsed = useStore((s) => s.toggleSwimlaneCollapsed);
+  const laneRowClass =
+    'board-lane-row flex flex-col xl:flex-row gap-3 items-stretch w-full overflow-x-auto pb-2';
+  const statusOrder = useStore((s) => s.getStatusOrder());
+  const grouped = useMemo(() => groupTasksByStatus(filtered, statusOrder), [filtered, statusOrder]);
+  const standardStatuses = useMemo(() => new Set(STANDARD_STATUS_ORDER), []);
+  const primaryStatuses = useMemo(
+    () => ['ready', 'in_progress', 'in_review'].filter((status) => statusOrder.includes(status)),
+    [statusOrder],
+  );
+  const waitingStatuses = useMemo(
+    () => WAITING_STATUSES.filter((status) => statusOrder.includes(status)),
+    [statusOrder],
+  );
+  const waitingTasks = useMemo(
+    () => waitingStatuses.flatMap((status) => grouped[status] || []),
+    [grouped, waitingStatuses],
+  );
+  const waitingDropStatus = waitingStatuses[0] || null;
+  const backlogStatus = statusOrder.includes('backlog') ? 'backlog' : null;
+  const secondaryStatuses = useMemo(
+    () =>
+      statusOrder.filter(
+        (status) =>
+          status === 'inbox' ||
+          status === 'done' ||
+          status === 'done_yesterday' ||
+          (!primaryStatuses.includes(status) &&
+            !waitingStatuses.includes(status) &&
+            !standardStatuses.has(status) &&
+            status !== 'backlog'),
+      ),
+    [primaryStatuses, statusOrder, standardStatuses, waitingStatuses],
+  );
+  const swimlanes = useMemo(
+    () =>
+      swimlaneAxis === 'none'
+        ? null
+        : getSwimlanes(filtered, swimlaneAxis, {
+            tasks: allTasks,
+            projects,
+            ownerRegistry,
+            currentProjectId,
+            projectScope,
+          }),
+    [filtered, swimlaneAxis, allTasks, projects, ownerRegistry, currentProjectId, projectScope],
+  );
 
-  function save(patch) {
-    update(task.id, patch);
-  }
+  const currentProject = projects.find((p) => p.id === currentProjectId);
+  const hasNoTasks = filtered.length === 0;
+  const filterChips = getActiveFilterChips(filters, ownerFilter, statusMeta);
+  const hasFiltersActive = filterChips.length > 0;
+  const isFilteredEmpty = hasNoTasks && hasFiltersActive && projectTasks.length > 0;
 
-  const dueSummary = local.dueAt ? humanDue(local.dueAt) : 'No due date';
-  const isOverdue = local.dueAt ? isBefore(new Date(local.dueAt), new Date()) : false;
-  const statusLabel = statusMeta[local.status]?.label || local.status;
-  const childTasks = getChildTasks(tasks, task.id);
-  const parentTask = getParentTask(tasks, task);
-  const isSubtask = !!task.parentTaskId;
-  const accentColor =
-    local.groupColor ||
-    parentTask?.groupColor ||
-    (childTasks.length > 0 ? pickTaskGroupColor(local.id) : pickTaskGroupColor(local.id));
-  const statusInputId = `task-status-${task.id}`;
-  const priorityInputId = `task-priority-${task.id}`;
-  const dueInputId = `task-due-${task.id}`;
-  const ownersInputId = `task-owners-${task.id}`;
-  const expectedByInputId = `task-expected-by-${task.id}`;
-  const tagsInputId = `task-tags-${task.id}`;
-  const notesInputId = `task-notes-${task.id}`;
+  if (isFilteredEmpty) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="text-center max-w-md">
+          <div className="mb-4">
+            <Search className="w-16 h-16 mx-auto text-slate-400" />
+          </div>
+          <h3 className="text-lg font-semibold text-slate-900 dark:text-zinc-100 mb-2">
+            No tasks match your filters
+          </h3>
+          <div className="text-sm text-slate-600 dark:text-zinc-400 mb-4 space-y-1">
+            {filterChips.map((chip) => (
+              <p key={chip.id}>{chip.label}</p>
+            ))}
+          </div>
+          <button
+            onClick={clearFilters}
+            className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors font-medium"
+          >
+            Clear All Filters
+          </button>
+        </div>
+      </div>
+    );
+  }
 
-  return ReactDOM.createPortal(
-    <>
-      <motion.div
-        initial={{ opacity: 0 }}
-        animate={{ opacity: 1 }}
-        exit={{ opacity: 0 }}
-        onClick={onClose}
-        className="fixed inset-0 z-[300] bg-black/60 dark:bg-zinc-950/80 backdrop-blur-md"
-        style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0 }}
-      />
-      <div className="pointer-events-none fixed inset-0 z-[301] flex items-center justify-center p-4">
-        <motion.div
-          ref={drawerRef}
-          role="dialog"
-          aria-modal="true"
-          aria-label="Task details"
-          initial={{ opacity: 0, y: 24, scale: 0.98 }}
-          animate={{ opacity: 1, y: 0, scale: 1 }}
-          exit={{ opacity: 0, y: 24, scale: 0.98 }}
-          className="pointer-events-auto flex max-h-[88vh] w-[min(1040px,100%)] flex-col overflow-hidden rounded-[28px] border border-slate-200/80 bg-white shadow-[0_30px_80px_rgba(15,23,42,0.28)] dark:border-zinc-800/80 dark:bg-zinc-900 dark:shadow-[0_32px_90px_rgba(2,6,23,0.7)]"
-        >
-          <div className="border-b border-slate-200/80 bg-[radial-gradient(circle_at_top_left,_rgba(59,130,246,0.14),_transparent_40%),linear-gradient(135deg,_rgba(248,250,252,0.98),_rgba(241,245,249,0.92))] px-6 py-5 dark:border-zinc-800 dark:bg-[radial-gradient(circle_at_top_left,_rgba(56,189,248,0.06),_transparent_34%),linear-gradient(135deg,_rgba(24,24,27,0.98),_rgba(9,9,11,0.98))]">
-            <div className="flex items-start justify-between gap-4">
-              <div className="min-w-0 flex-1">
-                <div className="mb-2 flex flex-wrap items-center gap-2">
-                  <Badge
-                    variant="primary"
-                    className="bg-blue-100 text-blue-700 dark:bg-blue-950/70 dark:text-blue-300"
-                  >
-                    {statusLabel}
-                  </Badge>
-                  <Badge className={clsx('border-l-0', PRIORITY_COLORS[local.priorityBucket])}>
-                    {local.priorityBucket}
-                  </Badge>
+  if (hasNoTasks) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="text-center max-w-md">
+          <div className="mb-4">
+            <svg
+              className="w-16 h-16 mx-auto text-slate-400"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={1.5}
+                d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2"
+              />
+            </svg>
+          </div>
+          <h3 className="text-lg font-semibold text-slate-900 dark:text-zinc-100 mb-2">
+            {projectScope === 'current'
+              ? `No tasks in ${currentProject?.name || 'this project'}`
+              : 'No tasks in the selected projects'}
+          </h3>
+          <p className="text-slate-600 dark:text-zinc-400 mb-4">
+            Get started by adding your first task using the quick-add bar above.
+          </p>
+          <div className="text-sm text-slate-500 dark:text-zinc-400">
+            <p className="mb-2">Quick tips:</p>
+            <ul className="text-left inline-block">
+              <li>
+                • Use <code className="px-1 py-0.5 bg-slate-100 dark:bg-zinc-800 rounded">!p0</code>{' '}
+                for high priority
+              </li>
+              <li>
+                • Use{' '}
+                <code className="px-1 py-0.5 bg-slate-100 dark:bg-zinc-800 rounded">
+                  due:tomorrow
+                </code>{' '}
+                for deadlines
+              </li>
+              <li>
+                • Use <code className="px-1 py-0.5 bg-slate-100 dark:bg-zinc-800 rounded">@ai</code>{' '}
+                to delegate to AI
+              </li>
+            </ul>
+          </div>
+        </div>
+      </div>
+    );
+  }
 
-                  {/* Color picker in header - small and always visible (user request) */}
-                  <div className="flex items-center gap-1.5 ml-1.5">
-                    {SUBTASK_GROUP_COLORS.map((color) => (
-                      <button
-                        key={color}
-                        type="button"
-                        onClick={() => {
-                          setTaskGroupColor(task.id, color);
-                          setLocal((prev) => ({ ...prev, groupColor: color }));
-                        }}
-                        className={clsx(
-                          'h-5 w-5 rounded-full border-2 transition-all hover:scale-110 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:focus:ring-offset-zinc-950',
-                          accentColor === color
-                            ? 'border-white shadow-sm ring-1 ring-offset-2 ring-offset-white dark:ring-offset-zinc-950 ring-slate-400'
-                            : 'border-slate-300 dark:border-zinc-700 hover:border-slate-400 dark:hover:border-zinc-600',
-                        )}
-                        style={{ backgroundColor: color }}
-                        aria-label={`Set color ${color}`}
-                      />
-                    ))}
-                  </div>
+  const showWaitingLane = waitingStatuses.length > 0;
+  const hasSecondary = secondaryStatuses.length > 0;
+  const hasBacklogLane = !!backlogStatus;
 
-                  {isOverdue && (
-                    <Badge
-                      variant="warning"
-                      className="bg-amber-100 text-amber-800 dark:bg-amber-950 dark:text-amber-300"
-                    >
-                      Overdue
-                    </Badge>
-                  )}
-                </div>
-                <input
-                  value={local.title}
-                  onChange={(e) => setLocal({ ...local, title: e.target.value })}
-                  onBlur={() => save({ title: local.title })}
-                  className="w-full bg-transparent text-2xl font-semibold tracking-tight text-slate-950 outline-none placeholder:text-slate-400 dark:text-zinc-50 dark:placeholder:text-slate-500"
-                  placeholder="Task title"
-                />
-              </div>
+  // Swimlanes: every row holds all lanes, with secondary and backlog lanes after the main ones
+  if (swimlanes) {
+    const trailingStatuses = [...secondaryStatuses, ...(backlogStatus ? [backlogStatus] : [])];
+    return (
+      <div className="space-y-3" style={{ position: 'relative', zIndex: 1 }}>
+        {swimlanes.map((lane) => {
+          const collapsed = collapsedSwimlanes.includes(`${swimlaneAxis}:${lane.key}`);
+          const laneGrouped = groupTasksByStatus(lane.tasks, statusOrder);
+          const statusCounts = statusOrder
+            .filter((status) => laneGrouped[status]?.length)
+            .map(
+              (status) => `${laneGrouped[status].length} ${statusMeta[status]?.label ?? status}`,
+            );
+          return (
+            <section
+              key={lane.key}
+              data-swimlane={lane.key}
+              aria-label={`${lane.label} swimlane`}
+              className="rounded-2xl border border-slate-200/80 bg-slate-50/40 p-3 dark:border-zinc-800 dark:bg-zinc-950/20"
+            >
               <button
-                onClick={onClose}
-                aria-label="Close task details"
-                className="rounded-full border border-slate-200 bg-white/80 p-2 text-slate-500 transition-colors hover:bg-white hover:text-slate-900 dark:border-zinc-800 dark:bg-zinc-900/80 dark:text-zinc-400 dark:hover:bg-zinc-800 dark:hover:text-zinc-100"
+                type="button"
+                onClick={() => toggleSwimlaneCollapsed(lane.key)}
+                aria-expanded={!collapsed}
+                className="flex w-full items-center gap-2 text-left"
               >
-                <X className="h-4 w-4" />
+                <ChevronDown
+                  className={clsx(
+                    'w-4 h-4 shrink-0 text-slate-400 transition-transform duration-200',
+                    collapsed && '-rotate-90',
+                  )}
+                />
+                <h3 className="truncate text-sm font-bold text-slate-800 dark:text-zinc-100">
+                  {lane.label}
+                </h3>
+                <span className="rounded-full bg-slate-200/70 px-2 py-0.5 text-xs font-semibold text-slate-600 dark:bg-zinc-800 dark:text-zinc-300">
+                  {lane.tasks.length}
+                </span>
+                <span className="truncate text-[11px] text-slate-400 dark:text-zinc-500">
+                  {statusCounts.join(' · ')}
+                </span>
               </button>
-            </div>
-
-            {/* PR #1: Compact Meta Strip — Due + Priority + Status in one dense row */}
-            <div className="mt-4 flex flex-wrap items-center gap-4 rounded-2xl border border-slate-200/80 bg-white/80 px-4 py-3 dark:border-zinc-800/80 dark:bg-zinc-900/70">
-              {/* Due */}
-              <div className="flex items-center gap-2">
-                <div className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400">
-                  Due
-                </div>
-                <div className="flex items-center gap-1.5 text-sm font-medium text-slate-900 dark:text-zinc-100">
-                  <Clock className="h-4 w-4 text-slate-400" />
-                  <span>{dueSummary}</span>
+              {!collapsed && (
+                <div className={clsx(laneRowClass, 'mt-3')}>
+                  {primaryStatuses.map((status) => (
+                    <Column
+                      key={status}
+                      status={status}
+                      tasks={laneGrouped[status] || []}
+                      swimlane={lane.key}
+                    />
+                  ))}
+                  {showWaitingLane && (
+                    <Column
+                      status={waitingDropStatus}
+                      dropStatus={waitingDropStatus}
+                      labelOverride="Waiting"
+                      hintOverride="AI, people, or external dependencies"
+                      tasks={waitingStatuses.flatMap((status) => laneGrouped[status] || [])}
+                      swimlane={lane.key}
+                    />
+                  )}
+                  {trailingStatuses.map((status) => (
+                    <Column
+                      key={status}
+                      status={status}
+                      tasks={laneGrouped[status] || []}
+                      tone={standardStatuses.has(status) ? 'secondary' : 'primary'}
+                      swimlane={lane.key}
+                    />
+                  ))}
                 </div>
-                <input
-                  id={dueInputId}
-                  type="datetime-local"
-                  value={toDateTimeLocalValue(local.dueAt)}
-                  onChange={(e) => {
-                    const iso = e.target.value ? new Date(e.target.value).toISOString() : null;
-                    setLocal({ ...local, dueAt: iso });
-                    save({ dueAt: iso });
-                  }}
-                  className="w-40 rounded-xl border border-slate-300 bg-white px-2.5 py-1 text-xs text-slate-900 outline-none transition focus:border-blue-500 focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100"
-                  aria-label="Due date and time"
-                />
-              </div>
+              )}
+            </section>
+          );
+        })}
+      </div>
+    );
+  }
 
-              {/* Priority */}
-              <div className="flex items-center gap-2">
-                <div className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400">
-                  Priority
-                </div>
-                <select
-                  id={priorityInputId}
-                  value={local.priorityBucket}
-                  onChange={(e) => {
-                    const v = e.target.value;
-                    setLocal({ ...local, priorityBucket: v });
-                    save({ priorityBucket: v });
-                  }}
-                  className="rounded-xl border border-slate-300 bg-white px-2.5 py-1 text-sm font-medium text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100 dark:focus:ring-blue-400"
-                >
-                  {PRIORITY_BUCKETS.map((priority) => (
-                    <option key={priority} value={priority}>
-                      {priority}
-                    </option>
-                  ))}
-                </select>
-              </div>
+  return (
+    <div className="space-y-6" style={{ position: 'relative', zIndex: 1 }}>
+      <div className={laneRowClass}>
+        {primaryStatuses.map((status) => (
+          <Column key={status} status={status} tasks={grouped[status] || []} />
+        ))}
+        {showWaitingLane && (
+          <Column
+            status={waitingDropStatus}
+            dropStatus={waitingDropStatus}
+            labelOverride="Waiting"
+            hintOverride="AI, people, or external dependencies"
+            tasks={waitingTasks}
+          />
+        )}
+      </div>
 
-              {/* Status (moved into meta strip per design) */}
-              <div className="flex items-center gap-2">
-                <div className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400">
-                  Status
-                </div>
-                <select
-                  id={statusInputId}
-                  value={local.status}
-                  onChange={(e) => {
-                    const v = /** @type{Status} */ (e.target.value);
-                    setLocal({ ...local, status: v });
-                    save({ status: v });
-                  }}
-                  className="rounded-xl border border-slate-300 bg-white px-2.5 py-1 text-sm text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100"
-                >
-                  {MODAL_STATUS_OPTIONS.map((k) => (
-                    <option key={k} value={k}>
-                      {statusMeta[k].label}
-                    </option>
-                  ))}
-                </select>
-              </div>
-            </div>
+      {hasSecondary && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between border-b border-slate-200/80 dark:border-zinc-800 pb-2 mt-4">
+            <h4 className="text-xs font-bold uppercase tracking-wider text-slate-500 dark:text-zinc-400">
+              Secondary Lanes
+            </h4>
+            <span className="text-[11px] font-medium text-slate-400 dark:text-zinc-500">
+              Inbox and completed work
+            </span>
+          </div>
+          <div className={laneRowClass}>
+            {secondaryStatuses.map((status) => (
+              <Column
+                key={status}
+                status={status}
+                tasks={grouped[status] || []}
+                tone={
+                  status === 'inbox' || status === 'done' || status === 'done_yesterday'
+                    ? 'secondary'
+                    : 'primary'
+                }
+              />
+            ))}
           </div>
+        </div>
+      )}
 
-          <div className="min-h-0 flex-1 overflow-y-auto px-6 pb-8 pt-4">
-            <div className="grid gap-4 xl:grid-cols-[minmax(0,1.9fr)_minmax(280px,1fr)] mb-4">
-              <div>
-                {/* Notes - height matches the right Properties panel, user resizable */}
-                <section className="rounded-3xl border border-slate-200 bg-white p-4 shadow-sm dark:border-zinc-800 dark:bg-zinc-950/40 flex flex-col h-full">
-                  <div className="mb-1.5 flex items-center justify-between flex-shrink-0">
-                    <h4 className="text-base font-semibold text-slate-950 dark:text-zinc-50">
-                      Notes
-                    </h4>
-                    <span className="text-[11px] text-slate-400 dark:text-zinc-500">
-                      context, decisions, next steps
-                    </span>
-                  </div>
-                  <label htmlFor={notesInputId} className="sr-only">
-                    Notes
-                  </label>
-                  <textarea
-                    id={notesInputId}
-                    value={local.description || ''}
-                    onChange={(e) => setLocal({ ...local, description: e.target.value })}
-                    onBlur={() => save({ description: local.description })}
-                    placeholder="Add context, decisions, links, or the next useful action..."
-                    className="flex-1 min-h-[120px] max-h-[380px] overflow-auto resize-y rounded-2xl border border-slate-300 bg-white px-3 py-2.5 text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100 dark:focus:ring-blue-400"
-                  />
-                </section>
+      {hasBacklogLane && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between border-b border-slate-200/80 dark:border-zinc-800 pb-2 mt-4">
+            <h4 className="text-xs font-bold uppercase tracking-wider text-slate-500 dark:text-zinc-400">
+              Backlog
+            </h4>
+            <span className="text-[11px] font-medium text-slate-400 dark:text-zinc-500">
+              Longer-horizon work queue
+            </span>
+          </div>
+          <div className={laneRowClass}>
+            <Column status={backlogStatus} tasks={grouped[backlogStatus] || []} tone="secondary" />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
 
-                {/* Subtasks moved to full-width hero section below the 2-col grid (Image 2 target) */}
-              </div>
+// ----- Views -----
 
-              {/* Right sidebar: Tags + Owners + minimal delete */}
-              <div className="space-y-2.5 rounded-3xl border border-slate-200 bg-slate-100/70 p-4 min-h-[300px] flex flex-col dark:border-zinc-800 dark:bg-zinc-950/50">
-                {/* Tags */}
-                <div>
-                  <label
-                    htmlFor={tagsInputId}
-                    className="mb-1 block text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400"
-                  >
-                    Tags
-                  </label>
-                  <input
-                    id={tagsInputId}
-                    value={local.tags?.join(' ') || ''}
-                    placeholder="+tag +another"
-                    onChange={(e) => {
-                      const arr = e.target.value
-                        .split(/\s+/)
-                        .filter(Boolean)
-                        .map((s) => s.replace(/^\+/, ''));
-                      setLocal({ ...local, tags: arr });
-                      save({ tags: arr });
-                    }}
-                    className="w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100 dark:placeholder:text-zinc-500"
-                  />
-                </div>
+function ViewSwitcher() {
+  const viewMode = useStore((s) => s.viewMode);
+  const setViewMode = useStore((s) => s.setViewMode);
+  return (
+    <div
+      role="tablist"
+      aria-label="Board views"
+      className="inline-flex items-center gap-0.5 rounded-lg border border-slate-200 bg-white p-0.5 dark:border-zinc-800 dark:bg-zinc-900"
+    >
+      {VIEW_MODES.map(({ id, label, icon: Icon }) => (
+        <button
+          key={id}
+          role="tab"
+          aria-selected={viewMode === id}
+          onClick={() => setViewMode(id)}
+          className={clsx(
+            'inline-flex items-center gap-1.5 rounded-md px-3 py-1.5 text-xs font-semibold transition-colors',
+            viewMode === id
+              ? 'bg-slate-900 text-white dark:bg-zinc-100 dark:text-zinc-900'
+              : 'text-slate-600 hover:bg-slate-100 dark:text-zinc-400 dark:hover:bg-zinc-800',
+          )}
+        >
+          <Icon className="w-3.5 h-3.5" />
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
 
-                {/* Owners */}
-                <div>
-                  <label
-                    htmlFor={ownersInputId}
-                    className="mb-1 block text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400"
-                  >
-                    Owners
-                  </label>
-                  <div id={ownersInputId}>
-                    <OwnerEditor taskId={task.id} owners={task.owners} />
-                  </div>
-                </div>
+function SwimlanePicker() {
+  const swimlaneAxis = useStore((s) => s.swimlaneAxis);
+  const setSwimlaneAxis = useStore((s) => s.setSwimlaneAxis);
+  const isCombinedBoard = useStore((s) => s.projectScope !== 'current');
+  return (
+    <label className="flex items-center gap-1.5 text-xs font-medium text-slate-500 dark:text-zinc-400">
+      <Rows3 className="w-3.5 h-3.5" />
+      Swimlanes
+      <select
+        value={swimlaneAxis}
+        onChange={(e) => setSwimlaneAxis(e.target.value)}
+        className="rounded-md border border-slate-200 bg-white px-1.5 py-1 text-xs text-slate-700 dark:border-zinc-800 dark:bg-zinc-900 dark:text-zinc-200"
+      >
+        {SWIMLANE_AXES.map((axis) => (
+          <option
+            key={axis.id}
+            value={axis.id}
+            disabled={axis.id === 'project' && !isCombinedBoard && swimlaneAxis !== 'project'}
+          >
+            {axis.id === 'project' && !isCombinedBoard
+              ? 'Project (all-projects board)'
+              : axis.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
 
-                {/* Expected by (only for AI tasks) */}
-                {local.ownerType === 'ai' && (
-                  <div>
-                    <label
-                      htmlFor={expectedByInputId}
-                      className="mb-1 block text-[11px] font-medium uppercase tracking-[0.16em] text-slate-500 dark:text-zinc-400"
-                    >
-                      Expected by
-                    </label>
-                    <input
-                      id={expectedByInputId}
-                      type="datetime-local"
-                      value={toDateTimeLocalValue(local.expectedBy)}
-                      onChange={(e) => {
-                        const iso = e.target.value ? new Date(e.target.value).toISOString() : null;
-                        setLocal({ ...local, expectedBy: iso });
-                        save({ expectedBy: iso });
-                      }}
-                      className="w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm text-slate-900 outline-none transition focus:ring-1 focus:ring-blue-500 dark:border-zinc-800 dark:bg-zinc-950 dark:text-zinc-100"
-                    />
-                  </div>
-                )}
+// ----- My Day View -----
 
-                {/* Minimal Delete - pushed to bottom of the panel */}
-                <button
-                  onClick={() => {
-                    del(task.id);
-                    onClose();
-                  }}
-                  className="text-sm font-medium text-rose-600 hover:text-rose-700 dark:text-rose-400 dark:hover:text-rose-300 transition-colors flex items-center gap-1.5 pt-4 mt-auto"
-                >
-                  <Trash2 className="h-3.5 w-3.5" />
-                  Delete task
-                </button>
-              </div>
-            </div>
+function MyDayRow({ entry, index, count, now, dragState, onMove, onOpen }) {
+  const { task, reason } = entry;
+  const moveTask = useStore((s) => s.moveTask);
+  const startTimer = useStore((s) => s.startTimer);
+  const stopTimer = useStore((s) => s.stopTimer);
+  const removeFromMyDay = useStore((s) => s.removeFromMyDay);
+  const project = useStore((s) => s.projects.find((p) => p.id === task.projectId));
+  const statusConfig = useStore((s) => s.statusConfig);
+  const completionIds = getCompletionIds(statusConfig);
+  const isDone = completionIds.has(task.status);
+  const doneStatus = completionIds.has('done') ? 'done' : Array.from(completionIds)[0];
+  const isRunning = !!task.timerStartedAt;
+  const overdue = task.dueAt && !isDone && new Date(task.dueAt) < now;
 
-            {/* Full-width Subtasks hero section — brought closer for better flow */}
-            {!isSubtask && (
-              <div className="mt-4">
-                <ChildTaskManager task={task} />
-              </div>
+  return (
+    <li
+      draggable
+      onDragStart={(e) => dragState.onDragStart(e, index)}
+      onDragOver={(e) => dragState.onDragOver(e, index)}
+      onDrop={(e) => dragState.onDrop(e, index)}
+      onDragEnd={dragState.onDragEnd}
+      className={clsx(
+        'group flex items-center gap-3 rounded-lg border px-3 py-2.5 transition-colors',
+        dragState.overIndex === index
+          ? 'border-blue-200 bg-blue-50/60 dark:border-blue-900/40 dark:bg-blue-950/30'
+          : 'border-slate-200 bg-white dark:border-zinc-800 dark:bg-zinc-900',
+        dragState.draggedIndex === index && 'opacity-50',
+      )}
+    >
+      <button
+        className="cursor-move rounded p-0.5 text-slate-300 hover:text-slate-500 dark:text-zinc-600 dark:hover:text-zinc-400"
+        aria-label={`Reorder "${task.title}" (arrow keys move it)`}
+        title="Drag to reorder"
+        onKeyDown={(e) => {
+          if (e.key === 'ArrowUp' && index > 0) {
+            e.preventDefault();
+            onMove(index, index - 1);
+          }
+          if (e.key === 'ArrowDown' && index < count - 1) {
+            e.preventDefault();
+            onMove(index, index + 1);
+          }
+        }}
+      >
+        <GripVertical className="w-4 h-4" />
+      </button>
+      <button
+        role="checkbox"
+        aria-checked={isDone}
+        aria-label={isDone ? `Reopen "${task.title}"` : `Complete "${task.title}"`}
+        onClick={() => moveTask(task.id, isDone ? 'ready' : doneStatus)}
+        disabled={!doneStatus}
+        className={clsx(
+          'flex h-5 w-5 shrink-0 items-center justify-center rounded-full border transition-colors',
+          isDone
+            ? 'border-emerald-500 bg-emerald-500 text-white'
+            : 'border-slate-300 hover:border-emerald-500 dark:border-zinc-600',
+        )}
+      >
+        {isDone && <Check className="w-3 h-3" />}
+      </button>
+      <div className="min-w-0 flex-1">
+        <button
+          onClick={() => onOpen(task.id)}
+          className={clsx(
+            'block max-w-full truncate text-left text-sm font-medium hover:underline',
+            isDone && 'text-slate-400 line-through dark:text-zinc-500',
+          )}
+        >
+          {task.title}
+        </button>
+        <div className="mt-1 flex flex-wrap items-center gap-1.5 text-[11px] text-slate-500 dark:text-zinc-400">
+          <span
+            className={clsx(
+              'rounded-full px-2 py-0.5 font-semibold',
+              MY_DAY_REASONS[reason].className,
             )}
-          </div>
-        </motion.div>
+          >
+            {MY_DAY_REASONS[reason].label}
+          </span>
+          {project && (
+            <span className="inline-flex items-center gap-1">
+              <span
+                className="h-1.5 w-1.5 rounded-full"
+                style={{ backgroundColor: project.color }}
+              />
+              {project.name}
+            </span>
+          )}
+          {task.dueAt && (
+            <span
+              className={clsx(
+                'inline-flex items-center gap-0.5',
+                overdue && 'font-medium text-red-500 dark:text-red-400',
+              )}
+            >
+              <Clock className="w-2.5 h-2.5" />
+              {humanDue(task.dueAt)}
+            </span>
+          )}
+        </div>
       </div>
-    </>,
-    document.body,
+      <div className="flex shrink-0 items-center gap-2 text-[11px] font-mono text-slate-500 dark:text-zinc-400">
+        <span title="Logged / estimated">
+          {formatDurationShort(computeElapsedSecs(task, now))}
+          {task.estimateMins ? ` / ${formatEstimate(task.estimateMins)}` : ''}
+        </span>
+        {!isDone && (
+          <button
+            onClick={() => (isRunning ? stopTimer(task.id) : startTimer(task.id))}
+            className={clsx(
+              'rounded-md p-1 transition-colors hover:bg-slate-100 dark:hover:bg-zinc-800',
+              isRunning ? 'text-emerald-600 dark:text-emerald-400' : 'text-slate-400',
+            )}
+            title={isRunning ? 'Pause focus timer' : 'Start focus timer'}
+            aria-label={isRunning ? 'Pause focus timer' : 'Start focus timer'}
+          >
+            {isRunning ? <Pause className="w-3.5 h-3.5" /> : <Play className="w-3.5 h-3.5" />}
+          </button>
+        )}
+        {reason === 'picked' && (
+          <button
+            onClick={() => removeFromMyDay(task.id)}
+            className="rounded-md p-1 text-slate-400 opacity-0 transition-colors hover:bg-slate-100 hover:text-red-500 group-hover:opacity-100 focus:opacity-100 dark:hover:bg-zinc-800"
+            title="Remove from My Day"
+            aria-label={`Remove "${task.title}" from My Day`}
+          >
+            <X className="w-3.5 h-3.5" />
+          </button>
+        )}
+      </div>
+    </li>
   );
 }
 
-const WipBanner = React.memo(function WipBanner() {
-  const tasks = useStore((s) => s.tasks);
-  const currentProjectId = useStore((s) => s.currentProjectId);
-  const visibleTasks = useMemo(
-    () => tasks.filter((t) => t.projectId === currentProjectId),
-    [tasks, currentProjectId],
-  );
-  const wip = visibleTasks.filter((t) => t.status === 'in_progress').length;
-  if (wip <= 3) return null;
-  return (
-    <div className="mb-3 rounded-xl border border-amber-300 bg-amber-50 text-amber-800 px-3 py-2 text-sm flex items-center gap-2">
-      <Flame className="w-4 h-4" /> High WIP ({wip}). Consider moving some to Next Up or Waiting.
-    </div>
-  );
-});
-
-function Toolbar() {
-  const addTask = useStore((s) => s.addTask);
-  const setFilters = useStore((s) => s.setFilters);
-  const filters = useStore((s) => s.filters);
-  const ownerFilter = useStore((s) => s.ownerFilter);
-  const setOwnerFilter = useStore((s) => s.setOwnerFilter);
-  const getAllOwnersWithStats = useStore((s) => s.getAllOwnersWithStats);
-  const selectedIds = useStore((s) => s.selectedIds);
-  const deleteSelected = useStore((s) => s.deleteSelected);
-  const clearSelection = useStore((s) => s.clearSelection);
-  const [input, setInput] = useState('');
-  const inputRef = useRef(null);
-  const [showOwnerDropdown, setShowOwnerDropdown] = useState(false);
-  const [showPriorityDropdown, setShowPriorityDropdown] = useState(false);
-  const [showTokenHelp, setShowTokenHelp] = useState(false);
-
-  // Real-time token preview
-  const parsedTokens = useMemo(() => {
-    if (!input.trim()) return null;
-    return parseQuickAdd(input);
-  }, [input]);
+// Morning prompt: suggest Next Up and Inbox work until the day has been planned
+function MyDayPlanningPanel({ candidates, planned, onDone }) {
+  const addToMyDay = useStore((s) => s.addToMyDay);
+  const projects = useStore((s) => s.projects);
+  const statusMeta = useStore((s) => s.getStatusMetaMap());
 
-  // Close dropdown when clicking outside
-  useEffect(() => {
-    const handleClickOutside = (e) => {
-      if (!e.target.closest('.owner-dropdown-container')) {
-        setShowOwnerDropdown(false);
-      }
-      if (!e.target.closest('.priority-dropdown-container')) {
-        setShowPriorityDropdown(false);
-      }
-    };
-    if (showOwnerDropdown || showPriorityDropdown) {
-      document.addEventListener('click', handleClickOutside);
-      return () => document.removeEventListener('click', handleClickOutside);
-    }
-  }, [showOwnerDropdown, showPriorityDropdown]);
+  return (
+    <section
+      aria-label="Plan your day"
+      className="rounded-xl border border-amber-200 bg-amber-50/60 p-4 dark:border-amber-900/40 dark:bg-amber-950/20"
+    >
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <h3 className="flex items-center gap-1.5 text-sm font-semibold text-amber-900 dark:text-amber-200">
+            <Sunrise className="w-4 h-4" />
+            {planned ? 'Add more to today' : 'Good morning — what will you work on today?'}
+          </h3>
+          <p className="mt-0.5 text-xs text-amber-800/80 dark:text-amber-300/70">
+            Top-scoring tasks from Next Up and Inbox, across all projects.
+          </p>
+        </div>
+        <button
+          onClick={onDone}
+          className="shrink-0 rounded-lg bg-amber-600 px-3 py-1.5 text-xs font-semibold text-white transition-colors hover:bg-amber-700"
+        >
+          Done planning
+        </button>
+      </div>
+      {candidates.length === 0 ? (
+        <p className="mt-3 text-xs text-amber-800/80 dark:text-amber-300/70">
+          Nothing waiting in Next Up or Inbox.
+        </p>
+      ) : (
+        <ul className="mt-3 space-y-1.5">
+          {candidates.map((task) => {
+            const project = projects.find((p) => p.id === task.projectId);
+            return (
+              <li
+                key={task.id}
+                className="flex items-center gap-2 rounded-lg bg-white/80 px-3 py-2 text-sm dark:bg-zinc-900/70"
+              >
+                <span
+                  className={clsx(
+                    'rounded px-1.5 py-0.5 text-[10px] font-bold',
+                    PRIORITY_COLORS[task.priorityBucket] || PRIORITY_COLORS.P2,
+                  )}
+                >
+                  {task.priorityBucket || 'P2'}
+                </span>
+                <span className="min-w-0 flex-1 truncate">{task.title}</span>
+                <span className="hidden text-[11px] text-slate-500 dark:text-zinc-400 sm:inline">
+                  {[
+                    statusMeta[task.status]?.label,
+                    project?.name,
+                    task.estimateMins && formatEstimate(task.estimateMins),
+                  ]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </span>
+                <button
+                  onClick={() => addToMyDay(task.id)}
+                  className="inline-flex items-center gap-1 rounded-md px-2 py-1 text-xs font-semibold text-amber-700 transition-colors hover:bg-amber-100 dark:text-amber-300 dark:hover:bg-amber-900/30"
+                  aria-label={`Add "${task.title}" to My Day`}
+                >
+                  <Plus className="w-3.5 h-3.5" />
+                  Add
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
 
-  // Dictation (Chrome Web Speech API)
-  const [isListening, setIsListening] = useState(false);
-  const [interim, setInterim] = useState('');
-  const [speechErr, setSpeechErr] = useState('');
-  const [speechSupported, setSpeechSupported] = useState(false);
-  const recRef = useRef(null);
-  const discardNextRef = useRef(false);
+function MyDayView() {
+  const tasks = useStore((s) => s.tasks);
+  const myDay = useStore((s) => s.myDay);
+  const myDayResetHour = useStore((s) => s.myDayResetHour);
+  const statusConfig = useStore((s) => s.statusConfig);
+  const setMyDayOrder = useStore((s) => s.setMyDayOrder);
+  const setMyDayResetHour = useStore((s) => s.setMyDayResetHour);
+  const finishMyDayPlanning = useStore((s) => s.finishMyDayPlanning);
+  const [planning, setPlanning] = useState(false);
+  const [openTaskId, setOpenTaskId] = useState(null);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [dragOverIndex, setDragOverIndex] = useState(null);
 
+  // Running timers tick every second; otherwise the minute is enough for due times
+  const [now, setNow] = useState(() => new Date());
+  const hasRunningTimer = tasks.some((task) => task.timerStartedAt);
   useEffect(() => {
-    const supported =
-      typeof window !== 'undefined' &&
-      ('SpeechRecognition' in window || 'webkitSpeechRecognition' in window);
-    setSpeechSupported(!!supported);
-  }, []);
-
-  const appendTranscript = (text) => {
-    const t = (text || '').trim();
-    if (!t) return;
-    setInput((prev) => (prev ? prev + ' ' : '') + t);
-    try {
-      inputRef.current?.focus?.();
-    } catch (e) {
-      /* ignore */
-    }
+    const id = setInterval(() => setNow(new Date()), hasRunningTimer ? 1000 : 60 * 1000);
+    return () => clearInterval(id);
+  }, [hasRunningTimer]);
+
+  const planDay = getPlanDay(now, myDayResetHour);
+  // A plan from an earlier day reads as empty until rollMyDay() clears it
+  const plan = myDay.date === planDay.key ? myDay : EMPTY_MY_DAY;
+  const entries = getMyDayEntries(tasks, plan, planDay, getCompletionIds(statusConfig), now);
+  const candidates = getMyDayCandidates(tasks, entries, now);
+  const totals = getMyDayTotals(entries, now);
+  const progress = totals.estimateMins
+    ? Math.min(100, Math.round((totals.loggedSecs / (totals.estimateMins * 60)) * 100))
+    : 0;
+  const openTask = tasks.find((task) => task.id === openTaskId);
+
+  const moveEntry = (from, to) => {
+    const ids = entries.map((entry) => entry.task.id);
+    const [moved] = ids.splice(from, 1);
+    ids.splice(to, 0, moved);
+    setMyDayOrder(ids);
   };
 
-  const stopDictation = (discard = false) => {
-    discardNextRef.current = discard;
-    try {
-      recRef.current?.stop?.();
-    } catch (e) {
-      /* ignore */
-    }
+  const dragState = {
+    draggedIndex,
+    overIndex: dragOverIndex,
+    onDragStart: (e, index) => {
+      setDraggedIndex(index);
+      e.dataTransfer.effectAllowed = 'move';
+    },
+    onDragOver: (e, index) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDragOverIndex(index);
+    },
+    onDrop: (e, index) => {
+      e.preventDefault();
+      if (draggedIndex !== null && draggedIndex !== index) moveEntry(draggedIndex, index);
+      setDraggedIndex(null);
+      setDragOverIndex(null);
+    },
+    onDragEnd: () => {
+      setDraggedIndex(null);
+      setDragOverIndex(null);
+    },
   };
 
-  const startDictation = () => {
-    setSpeechErr('');
-    if (!speechSupported) {
-      setSpeechErr('Speech recognition not supported in this browser.');
-      return;
-    }
-    try {
-      const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-      const rec = new SR();
-      recRef.current = rec;
-      rec.interimResults = true;
-      rec.continuous = false;
-      rec.lang = (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
-      let finals = [];
-      rec.onresult = (event) => {
-        let interimText = '';
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-          const res = event.results[i];
-          if (res.isFinal) finals.push(res[0].transcript);
-          else interimText += res[0].transcript;
-        }
-        setInterim(interimText);
-      };
-      rec.onerror = (e) => {
-        setSpeechErr(e?.error ? String(e.error) : 'speech-error');
-      };
-      rec.onend = () => {
-        setIsListening(false);
-        const text = (finals.join(' ') || interim).trim();
-        setInterim('');
-        if (!discardNextRef.current) appendTranscript(text);
-        discardNextRef.current = false;
-      };
-      setIsListening(true);
-      setInterim('');
-      rec.start();
-    } catch (e) {
-      setSpeechErr('Failed to start dictation');
-      setIsListening(false);
-    }
-  };
+  return (
+    <div className="mx-auto max-w-3xl space-y-4">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold">My Day</h2>
+          <p className="text-xs text-slate-500 dark:text-zinc-400">
+            {format(planDay.start, 'EEEE, MMMM d')} · across all projects
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-1.5 text-xs text-slate-500 dark:text-zinc-400">
+            Day starts at
+            <select
+              value={myDayResetHour}
+              onChange={(e) => setMyDayResetHour(Number(e.target.value))}
+              className="rounded-md border border-slate-200 bg-white px-1.5 py-1 text-xs dark:border-zinc-800 dark:bg-zinc-900"
+            >
+              {Array.from({ length: 24 }, (_, hour) => (
+                <option key={hour} value={hour}>
+                  {`${String(hour).padStart(2, '0')}:00`}
+                </option>
+              ))}
+            </select>
+          </label>
+          {plan.plannedAt && !planning && (
+            <button
+              onClick={() => setPlanning(true)}
+              className="inline-flex items-center gap-1.5 rounded-lg border border-slate-200 px-3 py-1.5 text-xs font-semibold text-slate-600 transition-colors hover:bg-slate-100 dark:border-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-800"
+            >
+              <Sunrise className="w-3.5 h-3.5" />
+              Plan
+            </button>
+          )}
+        </div>
+      </div>
 
-  const onAdd = () => {
-    const p = parseQuickAdd(input);
-    const base = {
-      title: p.title || 'Untitled',
-      // Only set status for AI tasks, let addTask() handle default for others
-      ...(p.ownerType === 'ai' && { status: 'waiting_ai' }),
-      ownerType: p.ownerType,
-      tags: p.tags,
-      dueAt: p.dueAt,
-      expectedBy: p.expectedBy,
-      owners: p.owners || [],
-    };
-    if (p.priorityBucket) base.priorityBucket = p.priorityBucket;
-    addTask(base);
-    // Show notification with column name
-    const statusMeta = useStore.getState().getStatusMetaMap();
-    const targetStatus = base.status || useStore.getState().getDefaultStatus()?.id || 'inbox';
-    const columnLabel = statusMeta[targetStatus]?.label || targetStatus;
-    useStore.getState().showNotification(`Task added to ${columnLabel}`, 'success');
-    setInput('');
-  };
+      {(planning || !plan.plannedAt) && (
+        <MyDayPlanningPanel
+          candidates={candidates}
+          planned={!!plan.plannedAt}
+          onDone={() => {
+            finishMyDayPlanning();
+            setPlanning(false);
+          }}
+        />
+      )}
 
-  const [showMoveDialog, setShowMoveDialog] = useState(false);
-  const [showAssignOwnerDialog, setShowAssignOwnerDialog] = useState(false);
+      <div className="rounded-xl border border-slate-200 bg-white p-4 dark:border-zinc-800 dark:bg-zinc-900">
+        <div className="flex items-center justify-between text-xs text-slate-600 dark:text-zinc-300">
+          <span>
+            <span className="font-mono font-semibold">
+              {formatDurationShort(totals.loggedSecs)}
+            </span>{' '}
+            logged of{' '}
+            <span className="font-mono font-semibold">
+              {totals.estimateMins ? formatEstimate(totals.estimateMins) : '0m'}
+            </span>{' '}
+            estimated
+          </span>
+          {totals.unestimated > 0 && (
+            <span className="text-slate-400 dark:text-zinc-500">
+              {pluralize(totals.unestimated, 'task')} without an estimate
+            </span>
+          )}
+        </div>
+        <div
+          className="mt-2 h-1.5 overflow-hidden rounded-full bg-slate-100 dark:bg-zinc-800"
+          role="progressbar"
+          aria-label="Logged time against estimate"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={progress}
+        >
+          <div
+            className={clsx(
+              'h-full rounded-full',
+              totals.loggedSecs > totals.estimateMins * 60 && totals.estimateMins
+                ? 'bg-amber-500'
+                : 'bg-emerald-500',
+            )}
+            style={{ width: `${progress}%` }}
+          />
+        </div>
+      </div>
 
-  const onBulkDelete = () => {
-    deleteSelected();
-  };
+      {entries.length === 0 ? (
+        <div className="rounded-xl border border-dashed border-slate-200 p-8 text-center text-sm text-slate-500 dark:border-zinc-800 dark:text-zinc-400">
+          Nothing on today&apos;s plan. Tasks due today, overdue or in progress appear here on their
+          own; add others from the suggestions or a card&apos;s{' '}
+          <Sunrise className="inline w-3.5 h-3.5" /> button.
+        </div>
+      ) : (
+        <ol className="space-y-2" aria-label="Today's plan">
+          {entries.map((entry, index) => (
+            <MyDayRow
+              key={entry.task.id}
+              entry={entry}
+              index={index}
+              count={entries.length}
+              now={now}
+              dragState={dragState}
+              onMove={moveEntry}
+              onOpen={setOpenTaskId}
+            />
+          ))}
+        </ol>
+      )}
 
-  const onBulkMove = () => {
-    setShowMoveDialog(true);
-  };
+      <AnimatePresence>
+        {openTask && <TaskDrawer task={openTask} onClose={() => setOpenTaskId(null)} />}
+      </AnimatePresence>
+    </div>
+  );
+}
 
-  const onBulkAssignOwner = () => {
-    setShowAssignOwnerDialog(true);
-  };
+// ----- Calendar View -----
+
+const CALENDAR_VISIBLE_ENTRIES = 3;
 
-  const hasActiveFilters =
-    !!ownerFilter || !!filters.q || (!!filters.priority && filters.priority !== 'all');
+function CalendarEntryChip({ entry, showTime, onOpen, onDragStart, onDragEnd }) {
+  const { task, field, at } = entry;
+  const statusConfig = useStore((s) => s.statusConfig);
+  const isDone = getCompletionIds(statusConfig).has(task.status);
+  const isExpectation = field === 'expectedBy';
+  const overdue = !isDone && !isExpectation && at < new Date();
 
   return (
-    <div className="sticky top-0 z-10 -mx-6 px-6 py-4 bg-[#fafafa]/90 dark:bg-zinc-950/90 backdrop-blur-md border-b border-slate-200/80 dark:border-zinc-800/80 mb-6">
-      <div className="space-y-4">
-        {/* Main Controls Flex Row */}
-        <div className="flex flex-col lg:flex-row gap-4 items-stretch lg:items-center justify-between">
-          {/* Left: Quick Add Input */}
-          <div className="flex items-center gap-2 max-w-full lg:max-w-xl w-full lg:w-auto flex-1">
-            <div className="relative flex-1 min-w-[200px] sm:min-w-[280px] lg:w-[360px]">
-              <input
-                ref={inputRef}
-                value={input}
-                onChange={(e) => {
-                  setInput(e.target.value);
-                  // Auto-dismiss token help when user starts typing
-                  if (showTokenHelp && e.target.value) {
-                    setShowTokenHelp(false);
-                  }
-                }}
-                onFocus={() => {
-                  try {
-                    const seen = localStorage.getItem('flowtrackr-token-help-seen');
-                    if (!seen) {
-                      setShowTokenHelp(true);
-                      localStorage.setItem('flowtrackr-token-help-seen', '1');
-                    }
-                  } catch (e) {
-                    /* ignore */
-                  }
-                }}
-                onKeyDown={(e) => {
-                  if (e.key === 'Enter') {
-                    e.preventDefault();
-                    onAdd();
-                  }
-                }}
-                id="quick-add-input"
-                name="quick-add"
-                aria-label="Quick add task"
-                placeholder="Quick add task... (e.g. Fix login @john !p1)"
-                className="w-full px-3 pl-9 pr-9 py-2 text-sm rounded-lg border border-slate-200/80 dark:border-zinc-800 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500 dark:focus:border-blue-400 transition-all duration-150 shadow-sm"
-              />
-              <Plus className="absolute left-3 top-3 w-4 h-4 text-slate-400" />
-              {/* Help button */}
-              <button
-                type="button"
-                onClick={() => setShowTokenHelp(!showTokenHelp)}
-                className="absolute right-3 top-3 text-slate-400 hover:text-slate-600 dark:hover:text-zinc-400 transition-colors"
-                title="Show token syntax help"
-                aria-label="Help"
-              >
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
-                  />
-                </svg>
-              </button>
-              {/* Token help tooltip */}
-              <TokenHelpTooltip visible={showTokenHelp} onDismiss={() => setShowTokenHelp(false)} />
-            </div>
-            {/* Mic toggle */}
-            <button
-              type="button"
-              title={
-                speechSupported
-                  ? isListening
-                    ? 'Stop dictation'
-                    : 'Start dictation'
-                  : 'Dictation not supported'
-              }
-              aria-label={
-                speechSupported
-                  ? isListening
-                    ? 'Stop dictation'
-                    : 'Start dictation'
-                  : 'Dictation not supported'
-              }
-              onClick={() => {
-                isListening ? stopDictation(false) : startDictation();
-              }}
-              disabled={!speechSupported}
-              className={clsx(
-                'p-2 rounded-lg transition-colors shadow-sm',
-                isListening
-                  ? 'bg-red-500 text-white hover:bg-red-600 animate-pulse'
-                  : 'bg-white dark:bg-zinc-900 border border-slate-200/80 dark:border-zinc-800 text-slate-600 dark:text-zinc-400 hover:bg-slate-50 dark:hover:bg-zinc-800/50',
-                !speechSupported && 'opacity-50 cursor-not-allowed',
-              )}
-            >
-              {isListening ? <MicOff className="w-4.5 h-4.5" /> : <Mic className="w-4.5 h-4.5" />}
-            </button>
-            <button
-              onClick={onAdd}
-              disabled={!input.trim()}
-              className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all font-medium disabled:opacity-50 disabled:cursor-not-allowed shadow-sm hover:shadow active:scale-[0.98] shrink-0"
-            >
-              Add Task
-            </button>
-          </div>
+    <button
+      draggable
+      onDragStart={(e) => onDragStart(e, entry)}
+      onDragEnd={onDragEnd}
+      onClick={() => onOpen(task.id)}
+      title={`${task.title} — ${isExpectation ? 'AI expected' : 'due'} ${format(at, 'MMM d, HH:mm')}`}
+      className={clsx(
+        'flex w-full items-center gap-1 truncate rounded px-1.5 py-0.5 text-left text-[11px] font-medium cursor-grab',
+        isExpectation
+          ? 'border border-dashed border-violet-300 bg-violet-50 text-violet-700 dark:border-violet-800 dark:bg-violet-950/30 dark:text-violet-300'
+          : overdue
+            ? 'bg-red-50 text-red-700 dark:bg-red-950/30 dark:text-red-300'
+            : 'bg-blue-50 text-blue-700 dark:bg-blue-950/30 dark:text-blue-300',
+        isDone && 'line-through opacity-60',
+      )}
+    >
+      {isExpectation && <Bot className="w-3 h-3 shrink-0" />}
+      {showTime && <span className="font-mono opacity-70">{format(at, 'HH:mm')}</span>}
+      <span className="truncate">{task.title}</span>
+    </button>
+  );
+}
 
-          {/* Right: Search & Filter Dropdowns */}
-          <div className="flex flex-wrap items-center gap-2.5">
-            {/* Search Input */}
-            <div className="relative w-full sm:w-60 md:w-64">
-              <Search className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
-              <input
-                value={filters.q}
-                onChange={(e) => setFilters({ q: e.target.value })}
-                placeholder="Search tasks..."
-                className="w-full pl-9 pr-3 py-2 text-sm rounded-lg border border-slate-200/80 dark:border-zinc-800 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 placeholder-slate-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500/10 focus:border-blue-500 dark:focus:border-blue-400 transition-all duration-150 shadow-sm"
-              />
-            </div>
+function CalendarView() {
+  const tasks = useFilteredTasks();
+  const allTasks = useStore((s) => s.tasks);
+  const statusConfig = useStore((s) => s.statusConfig);
+  const updateTask = useStore((s) => s.updateTask);
+  const dailyCapacityMins = useStore((s) => s.dailyCapacityMins);
+  const setDailyCapacityMins = useStore((s) => s.setDailyCapacityMins);
+  const [mode, setMode] = useState(/** @type{'month'|'week'} */ ('month'));
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [dragged, setDragged] = useState(null);
+  const [dropDayKey, setDropDayKey] = useState(null);
+  const [openTaskId, setOpenTaskId] = useState(null);
+  const [capacityDraft, setCapacityDraft] = useState(null);
+
+  const days = getCalendarDays(anchor, mode);
+  const entriesByDay = useMemo(() => getCalendarEntries(tasks), [tasks]);
+  const completionIds = getCompletionIds(statusConfig);
+  const openTask = allTasks.find((task) => task.id === openTaskId);
+  const shift = (step) =>
+    setAnchor((date) => (mode === 'week' ? addWeeks(date, step) : addMonths(date, step)));
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    if (dragged && dayKey(dragged.at) !== dayKey(day)) {
+      updateTask(dragged.task.id, {
+        [dragged.field]: moveDateToDay(dragged.task[dragged.field], day),
+      });
+    }
+    setDragged(null);
+    setDropDayKey(null);
+  };
 
-            {/* Owner Dropdown */}
-            <div className="relative owner-dropdown-container">
+  const commitCapacity = () => {
+    if (capacityDraft === null) return;
+    const minutes = parseEstimate(capacityDraft);
+    const result = minutes
+      ? setDailyCapacityMins(minutes)
+      : { error: 'Use a duration like 6h or 7h30m' };
+    if (result.error) useStore.getState().showNotification(result.error, 'info');
+    setCapacityDraft(null);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => shift(-1)}
+            className="rounded-md p-1.5 text-slate-500 hover:bg-slate-100 dark:text-zinc-400 dark:hover:bg-zinc-800"
+            aria-label={mode === 'week' ? 'Previous week' : 'Previous month'}
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setAnchor(new Date())}
+            className="rounded-md border border-slate-200 px-2.5 py-1 text-xs font-semibold text-slate-600 hover:bg-slate-100 dark:border-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-800"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => shift(1)}
+            className="rounded-md p-1.5 text-slate-500 hover:bg-slate-100 dark:text-zinc-400 dark:hover:bg-zinc-800"
+            aria-label={mode === 'week' ? 'Next week' : 'Next month'}
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+          <h2 className="text-lg font-semibold">
+            {mode === 'week'
+              ? `Week of ${format(days[0], 'MMM d, yyyy')}`
+              : format(anchor, 'MMMM yyyy')}
+          </h2>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-1.5 text-xs text-slate-500 dark:text-zinc-400">
+            Daily capacity
+            <input
+              value={capacityDraft ?? formatEstimate(dailyCapacityMins)}
+              onChange={(e) => setCapacityDraft(e.target.value)}
+              onBlur={commitCapacity}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') e.currentTarget.blur();
+              }}
+              className="w-16 rounded-md border border-slate-200 bg-white px-1.5 py-1 text-xs dark:border-zinc-800 dark:bg-zinc-900"
+            />
+          </label>
+          <div className="inline-flex rounded-lg border border-slate-200 p-0.5 dark:border-zinc-800">
+            {['month', 'week'].map((option) => (
               <button
-                onClick={() => setShowOwnerDropdown(!showOwnerDropdown)}
+                key={option}
+                onClick={() => setMode(option)}
+                aria-pressed={mode === option}
                 className={clsx(
-                  'px-3 py-2 rounded-lg border text-sm font-medium flex items-center gap-2 transition-all duration-150 shadow-sm',
-                  ownerFilter
-                    ? 'bg-blue-50 border-blue-200 text-blue-700 dark:bg-blue-900/20 dark:border-blue-800 dark:text-blue-400'
-                    : 'bg-white border-slate-200 text-slate-700 dark:bg-zinc-900 dark:border-zinc-800 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800/50',
+                  'rounded-md px-2.5 py-1 text-xs font-semibold capitalize',
+                  mode === option
+                    ? 'bg-slate-900 text-white dark:bg-zinc-100 dark:text-zinc-900'
+                    : 'text-slate-600 hover:bg-slate-100 dark:text-zinc-400 dark:hover:bg-zinc-800',
                 )}
-                title={ownerFilter ? `Filtering by: ${ownerFilter}` : 'Filter by Owner'}
               >
-                <Users className="w-4 h-4 shrink-0 text-slate-500 dark:text-zinc-400" />
-                <span>{ownerFilter || 'All Owners'}</span>
-                <ChevronDown className="w-4 h-4 opacity-50 shrink-0" />
+                {option}
               </button>
-              {showOwnerDropdown && (
-                <div className="absolute top-full mt-1 left-0 w-48 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 border border-slate-200 dark:border-zinc-800/80 rounded-lg shadow-lg z-50 py-1">
-                  <button
-                    onClick={() => {
-                      setOwnerFilter(null);
-                      setShowOwnerDropdown(false);
-                    }}
-                    className="w-full text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm text-slate-900 dark:text-zinc-100"
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-7 gap-px overflow-hidden rounded-xl border border-slate-200 bg-slate-200 dark:border-zinc-800 dark:bg-zinc-800">
+        {days.slice(0, 7).map((day) => (
+          <div
+            key={`label-${dayKey(day)}`}
+            className="bg-slate-50 px-2 py-1.5 text-[11px] font-bold uppercase tracking-wider text-slate-500 dark:bg-zinc-900 dark:text-zinc-400"
+          >
+            {format(day, 'EEE')}
+          </div>
+        ))}
+        {days.map((day) => {
+          const key = dayKey(day);
+          const entries = entriesByDay.get(key) || [];
+          const load = getCalendarDayLoad(entries, completionIds);
+          const overloaded = load > dailyCapacityMins;
+          const visible = mode === 'week' ? entries : entries.slice(0, CALENDAR_VISIBLE_ENTRIES);
+          const hidden = entries.length - visible.length;
+          return (
+            <div
+              key={key}
+              role="group"
+              aria-label={format(day, 'EEEE, MMMM d')}
+              onDragOver={(e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                setDropDayKey(key);
+              }}
+              onDrop={(e) => handleDrop(e, day)}
+              className={clsx(
+                'flex flex-col gap-1 bg-white p-1.5 dark:bg-zinc-900',
+                mode === 'week' ? 'min-h-[20rem]' : 'min-h-[7rem]',
+                mode === 'month' &&
+                  !isSameMonth(day, anchor) &&
+                  'bg-slate-50/80 dark:bg-zinc-950/60',
+                dropDayKey === key && 'ring-2 ring-inset ring-blue-400',
+                overloaded && 'ring-1 ring-inset ring-red-300 dark:ring-red-900/60',
+              )}
+            >
+              <div className="flex items-center justify-between">
+                <span
+                  className={clsx(
+                    'flex h-6 w-6 items-center justify-center rounded-full text-xs font-semibold',
+                    isToday(day)
+                      ? 'bg-blue-600 text-white'
+                      : isSameMonth(day, anchor) || mode === 'week'
+                        ? 'text-slate-700 dark:text-zinc-200'
+                        : 'text-slate-400 dark:text-zinc-600',
+                  )}
+                >
+                  {format(day, 'd')}
+                </span>
+                {load > 0 && (
+                  <span
+                    className={clsx(
+                      'inline-flex items-center gap-0.5 text-[10px] font-mono',
+                      overloaded
+                        ? 'font-bold text-red-600 dark:text-red-400'
+                        : 'text-slate-400 dark:text-zinc-500',
+                    )}
+                    title={
+                      overloaded
+                        ? `${formatEstimate(load)} of work due — over the ${formatEstimate(dailyCapacityMins)} daily capacity`
+                        : `${formatEstimate(load)} of work due`
+                    }
                   >
-                    All Owners
-                  </button>
-                  {getAllOwnersWithStats()
-                    .sort((a, b) => b.taskCount - a.taskCount)
-                    .map((owner) => (
-                      <button
-                        key={owner.name}
-                        onClick={() => {
-                          setOwnerFilter(owner.name);
-                          setShowOwnerDropdown(false);
-                        }}
-                        className="w-full text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm text-slate-900 dark:text-zinc-100 flex items-center justify-between"
-                      >
-                        <span className="truncate">{owner.name}</span>
-                        <span className="text-slate-500 dark:text-zinc-400 text-xs ml-2 shrink-0">
-                          ({owner.taskCount})
-                        </span>
-                        {ownerFilter === owner.name && (
-                          <Check className="w-3.5 h-3.5 ml-2 text-blue-600 dark:text-blue-400 shrink-0" />
-                        )}
-                      </button>
-                    ))}
-                </div>
+                    {overloaded && <AlertTriangle className="w-3 h-3" />}
+                    {formatEstimate(load)}
+                  </span>
+                )}
+              </div>
+              {visible.map((entry) => (
+                <CalendarEntryChip
+                  key={`${entry.task.id}:${entry.field}`}
+                  entry={entry}
+                  showTime={mode === 'week'}
+                  onOpen={setOpenTaskId}
+                  onDragStart={(e, dragEntry) => {
+                    setDragged(dragEntry);
+                    e.dataTransfer.effectAllowed = 'move';
+                  }}
+                  onDragEnd={() => {
+                    setDragged(null);
+                    setDropDayKey(null);
+                  }}
+                />
+              ))}
+              {hidden > 0 && (
+                <button
+                  onClick={() => {
+                    setAnchor(day);
+                    setMode('week');
+                  }}
+                  className="text-left text-[11px] font-semibold text-slate-500 hover:underline dark:text-zinc-400"
+                >
+                  +{hidden} more
+                </button>
               )}
             </div>
+          );
+        })}
+      </div>
+      <p className="flex items-center gap-3 text-[11px] text-slate-500 dark:text-zinc-400">
+        <span className="inline-flex items-center gap-1">
+          <span className="h-2 w-2 rounded-sm bg-blue-200 dark:bg-blue-900" /> Due
+        </span>
+        <span className="inline-flex items-center gap-1">
+          <span className="h-2 w-2 rounded-sm border border-dashed border-violet-400" /> AI expected
+          by
+        </span>
+        <span>Drag a task to another day to reschedule it; the time of day is kept.</span>
+      </p>
 
-            {/* Priority Dropdown */}
-            <div className="relative priority-dropdown-container">
-              <button
-                onClick={() => setShowPriorityDropdown(!showPriorityDropdown)}
+      <AnimatePresence>
+        {openTask && <TaskDrawer task={openTask} onClose={() => setOpenTaskId(null)} />}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+// ----- Table View -----
+
+// A cell that shows its value and turns into an input on click; Enter or blur
+// commits, Escape cancels.
+function TableTextCell({ value, label, placeholder, type = 'text', disabled, onCommit, children }) {
+  const [draft, setDraft] = useState(null);
+  const inputRef = useRef(null);
+  const isEditing = draft !== null;
+  useEffect(() => {
+    if (isEditing) inputRef.current?.focus();
+  }, [isEditing]);
+  if (draft === null) {
+    return (
+      <button
+        onClick={() => setDraft(value)}
+        disabled={disabled}
+        aria-label={`Edit ${label}`}
+        className="h-full w-full truncate px-2 text-left hover:bg-slate-100/70 disabled:cursor-default disabled:hover:bg-transparent dark:hover:bg-zinc-800/60"
+      >
+        {children ?? (value || <span className="text-slate-300 dark:text-zinc-600">—</span>)}
+      </button>
+    );
+  }
+  return (
+    <input
+      ref={inputRef}
+      type={type}
+      value={draft}
+      placeholder={placeholder}
+      aria-label={label}
+      onChange={(e) => setDraft(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.currentTarget.blur();
+        if (e.key === 'Escape') setDraft(null);
+      }}
+      onBlur={() => {
+        if (draft !== value) onCommit(draft);
+        setDraft(null);
+      }}
+      className="h-full w-full rounded-none border-0 bg-white px-2 text-sm outline-none ring-2 ring-inset ring-blue-500 dark:bg-zinc-950"
+    />
+  );
+}
+
+const tableSelectClass =
+  'h-full w-full cursor-pointer border-0 bg-transparent px-1.5 text-sm outline-none hover:bg-slate-100/70 focus:ring-2 focus:ring-inset focus:ring-blue-500 dark:hover:bg-zinc-800/60';
+
+function TaskTableRow({ task, columns, rowIndex, isSelected, now, onSelect, onOpen }) {
+  const updateTask = useStore((s) => s.updateTask);
+  const setTaskOwners = useStore((s) => s.setTaskOwners);
+  const moveTasksToProject = useStore((s) => s.moveTasksToProject);
+  const showNotification = useStore((s) => s.showNotification);
+  const statuses = useStore((s) => s.statusConfig.statuses);
+  const projects = useStore((s) => s.projects);
+  const autoPriorityFromScore = useStore((s) => s.autoPriorityFromScore);
+  const title = `"${task.title}"`;
+
+  const renderCell = (columnId) => {
+    switch (columnId) {
+      case 'title':
+        return (
+          <div className="flex h-full items-center">
+            <TableTextCell
+              value={task.title}
+              label={`title of ${title}`}
+              onCommit={(text) => text.trim() && updateTask(task.id, { title: text.trim() })}
+            >
+              <span className="font-medium">{task.title}</span>
+            </TableTextCell>
+            <button
+              onClick={() => onOpen(task.id)}
+              className="mr-1 shrink-0 rounded p-0.5 text-slate-400 hover:bg-slate-100 hover:text-slate-600 dark:hover:bg-zinc-800"
+              aria-label={`Open ${title}`}
+              title="Open details"
+            >
+              <ChevronRight className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        );
+      case 'status':
+        return (
+          <select
+            value={task.status}
+            aria-label={`Status of ${title}`}
+            onChange={(e) => updateTask(task.id, { status: e.target.value })}
+            className={tableSelectClass}
+          >
+            {statuses.map((status) => (
+              <option key={status.id} value={status.id}>
+                {status.label}
+              </option>
+            ))}
+          </select>
+        );
+      case 'priority':
+        return (
+          <select
+            value={task.priorityBucket}
+            aria-label={`Priority of ${title}`}
+            disabled={autoPriorityFromScore && hasScoreRatings(task)}
+            title={
+              autoPriorityFromScore && hasScoreRatings(task)
+                ? 'Derived from the priority score'
+                : undefined
+            }
+            onChange={(e) => updateTask(task.id, { priorityBucket: e.target.value })}
+            className={tableSelectClass}
+          >
+            {PRIORITY_BUCKETS.map((bucket) => (
+              <option key={bucket} value={bucket}>
+                {bucket}
+              </option>
+            ))}
+          </select>
+        );
+      case 'owners':
+        return (
+          <TableTextCell
+            value={(task.owners || []).join(', ')}
+            label={`owners of ${title}`}
+            placeholder="Alice, Bob"
+            onCommit={(text) => {
+              const names = text
+                .split(',')
+                .map((name) => name.trim())
+                .filter(Boolean);
+              const result = setTaskOwners(task.id, names);
+              if (result.error) showNotification(result.error, 'info');
+            }}
+          />
+        );
+      case 'tags':
+        return (
+          <TableTextCell
+            value={(task.tags || []).join(' ')}
+            label={`tags of ${title}`}
+            placeholder="+tag +another"
+            onCommit={(text) =>
+              updateTask(task.id, {
+                tags: Array.from(
+                  new Set(
+                    text
+                      .split(/[\s,]+/)
+                      .map((tag) => tag.replace(/^[+#]/, ''))
+                      .filter(Boolean),
+                  ),
+                ),
+              })
+            }
+          >
+            {task.tags?.length ? task.tags.map((tag) => `#${tag}`).join(' ') : null}
+          </TableTextCell>
+        );
+      case 'due':
+        return (
+          <TableTextCell
+            type="datetime-local"
+            value={toDateTimeLocalValue(task.dueAt)}
+            label={`due date of ${title}`}
+            onCommit={(text) =>
+              updateTask(task.id, { dueAt: text ? new Date(text).toISOString() : null })
+            }
+          >
+            {task.dueAt ? (
+              <span
                 className={clsx(
-                  'px-3 py-2 rounded-lg border text-sm font-medium flex items-center gap-2 transition-all duration-150 shadow-sm',
-                  filters.priority !== 'all'
-                    ? 'bg-blue-50 border-blue-200 text-blue-700 dark:bg-blue-900/20 dark:border-blue-800 dark:text-blue-400'
-                    : 'bg-white border-slate-200 text-slate-700 dark:bg-zinc-900 dark:border-zinc-800 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800/50',
+                  new Date(task.dueAt) < now &&
+                    !statuses.find((s) => s.id === task.status)?.isCompletionState &&
+                    'text-red-600 dark:text-red-400',
                 )}
-                title={
-                  filters.priority !== 'all'
-                    ? `Filtering priority: ${filters.priority}`
-                    : 'Filter by Priority'
-                }
               >
-                <SlidersHorizontal className="w-4 h-4 shrink-0 text-slate-500 dark:text-zinc-400" />
-                <span>
-                  {filters.priority === 'all' ? 'All Priorities' : `Priority: ${filters.priority}`}
-                </span>
-                <ChevronDown className="w-4 h-4 opacity-50 shrink-0" />
-              </button>
-              {showPriorityDropdown && (
-                <div className="absolute top-full mt-1 left-0 w-48 bg-white dark:bg-zinc-900 text-slate-900 dark:text-zinc-100 border border-slate-200 dark:border-zinc-800/85 rounded-lg shadow-lg z-50 py-1">
-                  <button
-                    onClick={() => {
-                      setFilters({ priority: 'all' });
-                      setShowPriorityDropdown(false);
-                    }}
-                    className="w-full text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm text-slate-900 dark:text-zinc-100"
-                  >
-                    All Priorities
-                  </button>
-                  {[
-                    { id: 'P0', label: 'P0 - Critical', colorClass: 'bg-red-500' },
-                    { id: 'P1', label: 'P1 - High', colorClass: 'bg-orange-500' },
-                    { id: 'P2', label: 'P2 - Medium', colorClass: 'bg-amber-500' },
-                    { id: 'P3', label: 'P3 - Low', colorClass: 'bg-slate-400' },
-                    { id: 'P4', label: 'P4 - None', colorClass: 'bg-slate-300 dark:bg-zinc-700' },
-                  ].map((prio) => (
-                    <button
-                      key={prio.id}
-                      onClick={() => {
-                        setFilters({ priority: prio.id });
-                        setShowPriorityDropdown(false);
-                      }}
-                      className="w-full text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-zinc-800 text-sm text-slate-900 dark:text-zinc-100 flex items-center"
-                    >
-                      <span
-                        className={clsx(
-                          'w-2.5 h-2.5 rounded-full mr-2.5 shrink-0',
-                          prio.colorClass,
-                        )}
-                      />
-                      <span>{prio.label}</span>
-                      {filters.priority === prio.id && (
-                        <Check className="w-3.5 h-3.5 ml-auto text-blue-600 dark:text-blue-400 shrink-0" />
-                      )}
-                    </button>
-                  ))}
-                </div>
-              )}
-            </div>
+                {format(new Date(task.dueAt), 'MMM d, HH:mm')}
+              </span>
+            ) : null}
+          </TableTextCell>
+        );
+      case 'project':
+        return (
+          <select
+            value={task.projectId}
+            aria-label={`Project of ${title}`}
+            onChange={(e) => {
+              // Subtasks move with their parent, as in a bulk move
+              const children = getChildTasks(useStore.getState().tasks, task.id);
+              const ids = [task.id, ...children.map((t) => t.id)];
+              const result = moveTasksToProject(ids, e.target.value);
+              if (result.error) showNotification(result.error, 'info');
+            }}
+            className={tableSelectClass}
+          >
+            {projects.map((project) => (
+              <option key={project.id} value={project.id}>
+                {project.name}
+              </option>
+            ))}
+          </select>
+        );
+      case 'logged':
+        return (
+          <TableTextCell
+            value={formatEstimate(Math.round(computeElapsedSecs(task, now) / 60)) || ''}
+            label={`logged time of ${title}`}
+            placeholder="1h30m"
+            disabled={!!task.timerStartedAt}
+            onCommit={(text) => {
+              const minutes = text.trim() ? parseEstimate(text) : 0;
+              if (minutes === null) {
+                showNotification('Use a duration like 45m or 1h30m', 'info');
+                return;
+              }
+              updateTask(task.id, { timeLogSecs: minutes * 60 });
+            }}
+          >
+            <span className="font-mono text-xs">
+              {formatDurationShort(computeElapsedSecs(task, now))}
+            </span>
+          </TableTextCell>
+        );
+      case 'updated':
+        return (
+          <span
+            className="block truncate px-2 text-xs text-slate-500 dark:text-zinc-400"
+            title={format(new Date(task.updatedAt), 'PPpp')}
+          >
+            {formatDistanceToNow(new Date(task.updatedAt), { addSuffix: true })}
+          </span>
+        );
+      default:
+        return null;
+    }
+  };
 
-            {/* Clear Filters */}
-            {hasActiveFilters && (
-              <button
-                onClick={() => {
-                  setFilters({ q: '', priority: 'all' });
-                  setOwnerFilter(null);
-                }}
-                className="px-3 py-2 text-sm font-medium text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 flex items-center gap-1.5 transition-colors"
-                title="Clear all active search and dropdown filters"
-              >
-                <X className="w-4 h-4" />
-                <span>Clear Filters</span>
-              </button>
-            )}
-          </div>
+  return (
+    <div
+      role="row"
+      aria-rowindex={rowIndex + 2}
+      aria-selected={isSelected}
+      className={clsx(
+        'contents text-sm',
+        isSelected
+          ? '[&>*]:bg-blue-50 dark:[&>*]:bg-blue-950/30'
+          : '[&>*]:bg-white dark:[&>*]:bg-zinc-900',
+      )}
+    >
+      <div
+        role="cell"
+        style={{ height: TABLE_ROW_HEIGHT }}
+        className="flex items-center justify-center border-b border-slate-100 dark:border-zinc-800"
+      >
+        <input
+          type="checkbox"
+          checked={isSelected}
+          onChange={(e) => onSelect(task.id, e.nativeEvent.shiftKey)}
+          aria-label={`Select ${title}`}
+          className="h-3.5 w-3.5 cursor-pointer accent-blue-600"
+        />
+      </div>
+      {columns.map((column) => (
+        <div
+          key={column.id}
+          role="cell"
+          style={{ height: TABLE_ROW_HEIGHT }}
+          className="flex min-w-0 items-center overflow-hidden border-b border-slate-100 dark:border-zinc-800"
+        >
+          {renderCell(column.id)}
         </div>
+      ))}
+    </div>
+  );
+}
 
-        {/* Token preview chips (renders inline below controls row to prevent overlapping separator) */}
-        {parsedTokens && input.trim() && (
-          <div className="flex flex-wrap items-center gap-1.5 pt-2 border-t border-slate-100 dark:border-zinc-800/60 pl-1">
-            <span className="text-xs text-slate-400 mr-1 flex items-center">Token preview:</span>
-            {parsedTokens.priorityBucket && (
-              <span
-                className={clsx(
-                  'inline-flex items-center px-2 py-0.5 rounded text-xs font-medium',
-                  PRIORITY_COLORS[parsedTokens.priorityBucket],
-                )}
-              >
-                {parsedTokens.priorityBucket}
-              </span>
-            )}
-            {parsedTokens.ownerType === 'ai' && (
-              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300">
-                <Bot className="w-3 h-3" /> AI
-              </span>
-            )}
-            {parsedTokens.owners &&
-              parsedTokens.owners.map((owner) => (
-                <span
-                  key={owner}
-                  className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300"
+function TableView() {
+  const tasks = useFilteredTasks();
+  const allTasks = useStore((s) => s.tasks);
+  const projects = useStore((s) => s.projects);
+  const statusOrder = useStore((s) => s.getStatusOrder());
+  const selectedIds = useStore((s) => s.selectedIds);
+  const hiddenTableColumns = useStore((s) => s.hiddenTableColumns);
+  const toggleTableColumn = useStore((s) => s.toggleTableColumn);
+  const [sort, setSort] = useState(null);
+  const [openTaskId, setOpenTaskId] = useState(null);
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(640);
+  const scrollRef = useRef(null);
+  const anchorIdRef = useRef(null);
+
+  useEffect(() => {
+    const measure = () => setViewportHeight(scrollRef.current?.clientHeight || 640);
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  useEffect(() => {
+    if (!showColumnMenu) return;
+    const handleClickOutside = (e) => {
+      if (!e.target.closest('.table-columns-dropdown-container')) setShowColumnMenu(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showColumnMenu]);
+
+  const now = new Date();
+  const rows = useMemo(() => {
+    const projectNames = Object.fromEntries(projects.map((p) => [p.id, p.name]));
+    return sortTableTasks(tasks, sort, { statusOrder, projectNames, now: new Date() });
+  }, [tasks, sort, statusOrder, projects]);
+  const rowIds = rows.map((task) => task.id);
+  const columns = TABLE_COLUMNS.filter((column) => !hiddenTableColumns.includes(column.id));
+  const gridTemplateColumns = ['2.25rem', ...columns.map((column) => column.width)].join(' ');
+  const { start, end } = getVisibleRowRange(rows.length, scrollTop, viewportHeight);
+  const allSelected = rows.length > 0 && rowIds.every((id) => selectedIds.includes(id));
+  const openTask = allTasks.find((task) => task.id === openTaskId);
+
+  // asc → desc → manual order
+  const cycleSort = (column) =>
+    setSort((current) => {
+      if (current?.column !== column) return { column, direction: 'asc' };
+      return current.direction === 'asc' ? { column, direction: 'desc' } : null;
+    });
+
+  const handleSelect = (id, shiftKey) => {
+    const { toggleSelected, selectTasks } = useStore.getState();
+    if (shiftKey && anchorIdRef.current) {
+      selectTasks(getRangeIds(rowIds, anchorIdRef.current, id));
+    } else {
+      toggleSelected(id);
+    }
+    anchorIdRef.current = id;
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-xs text-slate-500 dark:text-zinc-400">
+        <span>
+          {pluralize(rows.length, 'task')}
+          {selectedIds.length > 0 && ` · ${selectedIds.length} selected`} · shift-click to select a
+          range
+        </span>
+        <div className="relative table-columns-dropdown-container">
+          <button
+            onClick={() => setShowColumnMenu((v) => !v)}
+            aria-haspopup="menu"
+            aria-expanded={showColumnMenu}
+            className="inline-flex items-center gap-1.5 rounded-lg border border-slate-200 px-2.5 py-1.5 font-semibold text-slate-600 hover:bg-slate-100 dark:border-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-800"
+          >
+            <SlidersHorizontal className="w-3.5 h-3.5" />
+            Columns
+          </button>
+          {showColumnMenu && (
+            <div
+              role="menu"
+              className="absolute right-0 z-30 mt-1 w-44 rounded-lg border border-slate-200 bg-white p-1 shadow-lg dark:border-zinc-800 dark:bg-zinc-900"
+            >
+              {TABLE_COLUMNS.map((column) => (
+                <button
+                  key={column.id}
+                  role="menuitemcheckbox"
+                  aria-checked={!hiddenTableColumns.includes(column.id)}
+                  disabled={column.id === 'title'}
+                  onClick={() => toggleTableColumn(column.id)}
+                  className="flex w-full items-center rounded-md px-2 py-1.5 text-left text-sm text-slate-700 hover:bg-slate-100 disabled:opacity-50 dark:text-zinc-200 dark:hover:bg-zinc-800"
                 >
-                  @{owner}
-                </span>
+                  {column.label}
+                  {!hiddenTableColumns.includes(column.id) && (
+                    <Check className="ml-auto w-4 h-4 text-blue-600" />
+                  )}
+                </button>
               ))}
-            {parsedTokens.tags &&
-              parsedTokens.tags.map((tag) => (
-                <span
-                  key={tag}
-                  className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-700 dark:bg-zinc-800 dark:text-zinc-300"
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div
+        ref={scrollRef}
+        onScroll={(e) => {
+          setScrollTop(e.currentTarget.scrollTop);
+          setViewportHeight(e.currentTarget.clientHeight);
+        }}
+        className="max-h-[70vh] overflow-auto rounded-xl border border-slate-200 dark:border-zinc-800"
+      >
+        <div
+          role="table"
+          aria-label="Tasks"
+          aria-rowcount={rows.length + 1}
+          className="grid min-w-max"
+          style={{ gridTemplateColumns }}
+        >
+          <div role="row" aria-rowindex={1} className="contents">
+            <div
+              role="columnheader"
+              className="sticky top-0 z-10 flex items-center justify-center border-b border-slate-200 bg-slate-50 py-2 dark:border-zinc-800 dark:bg-zinc-900"
+            >
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={() => {
+                  const { selectTasks, clearSelection } = useStore.getState();
+                  if (allSelected) clearSelection();
+                  else selectTasks(rowIds);
+                }}
+                aria-label="Select all tasks"
+                className="h-3.5 w-3.5 cursor-pointer accent-blue-600"
+              />
+            </div>
+            {columns.map((column) => (
+              <div
+                key={column.id}
+                role="columnheader"
+                aria-sort={
+                  sort?.column === column.id
+                    ? sort.direction === 'asc'
+                      ? 'ascending'
+                      : 'descending'
+                    : 'none'
+                }
+                className="sticky top-0 z-10 border-b border-slate-200 bg-slate-50 dark:border-zinc-800 dark:bg-zinc-900"
+              >
+                <button
+                  onClick={() => cycleSort(column.id)}
+                  className="flex w-full items-center gap-1 px-2 py-2 text-left text-[11px] font-bold uppercase tracking-wider text-slate-500 hover:text-slate-800 dark:text-zinc-400 dark:hover:text-zinc-100"
                 >
-                  +{tag}
-                </span>
-              ))}
-            {parsedTokens.dueAt && (
-              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-300">
-                <Clock className="w-3 h-3" /> {humanDue(parsedTokens.dueAt)}
-              </span>
-            )}
+                  {column.label}
+                  {sort?.column === column.id &&
+                    (sort.direction === 'asc' ? (
+                      <ArrowUp className="w-3 h-3" />
+                    ) : (
+                      <ArrowDown className="w-3 h-3" />
+                    ))}
+                </button>
+              </div>
+            ))}
           </div>
+          {start > 0 && (
+            <div
+              aria-hidden="true"
+              style={{ gridColumn: '1 / -1', height: start * TABLE_ROW_HEIGHT }}
+            />
+          )}
+          {rows.slice(start, end).map((task, offset) => (
+            <TaskTableRow
+              key={task.id}
+              task={task}
+              columns={columns}
+              rowIndex={start + offset}
+              isSelected={selectedIds.includes(task.id)}
+              now={now}
+              onSelect={handleSelect}
+              onOpen={setOpenTaskId}
+            />
+          ))}
+          {end < rows.length && (
+            <div
+              aria-hidden="true"
+              style={{ gridColumn: '1 / -1', height: (rows.length - end) * TABLE_ROW_HEIGHT }}
+            />
+          )}
+        </div>
+        {rows.length === 0 && (
+          <p className="p-8 text-center text-sm text-slate-500 dark:text-zinc-400">
+            No tasks match the current filters.
+          </p>
         )}
+      </div>
 
-        {/* Speech Dictation status */}
-        {(isListening || speechErr) && (
-          <div className="flex items-center justify-between rounded-xl border border-indigo-200 dark:border-indigo-900/50 bg-indigo-50/50 dark:bg-indigo-900/20 text-indigo-900 dark:text-indigo-300 px-3 py-2 text-sm">
-            <div className="text-sm flex-1 min-w-0">
-              <span className="font-medium">{isListening ? 'Listening…' : 'Dictation'}</span>
-              {interim && (
-                <span className="ml-2 text-indigo-800 dark:text-indigo-400 truncate inline-block max-w-full align-bottom">
-                  {interim}
-                </span>
-              )}
-              {speechErr && !isListening && (
-                <span className="ml-2 text-rose-700 dark:text-rose-405">{speechErr}</span>
-              )}
-            </div>
-            <div className="flex items-center gap-2 shrink-0">
-              {isListening && (
-                <>
-                  <button
-                    onClick={() => stopDictation(true)}
-                    className="px-2 py-1.5 text-xs rounded-lg border border-slate-300 dark:border-zinc-800 bg-white dark:bg-zinc-900 hover:bg-slate-50 dark:hover:bg-zinc-800/50 text-slate-800 dark:text-zinc-200"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    onClick={() => stopDictation(false)}
-                    className="px-2 py-1.5 text-xs rounded-lg bg-zinc-900 dark:bg-zinc-100 text-white dark:text-zinc-900 hover:bg-zinc-800 dark:hover:bg-white/90"
-                  >
-                    Use
-                  </button>
-                </>
-              )}
-              {!isListening && speechErr && (
+      <AnimatePresence>
+        {openTask && <TaskDrawer task={openTask} onClose={() => setOpenTaskId(null)} />}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+// ----- Timeline View -----
+
+const TIMELINE_HEADER_HEIGHT = 40;
+
+function TimelineView() {
+  const tasks = useFilteredTasks();
+  const allTasks = useStore((s) => s.tasks);
+  const projects = useStore((s) => s.projects);
+  const statusConfig = useStore((s) => s.statusConfig);
+  const updateTask = useStore((s) => s.updateTask);
+  const [groupBy, setGroupBy] = useState(/** @type{'project'|'parent'} */ ('project'));
+  const [zoom, setZoom] = useState(/** @type{'day'|'week'} */ ('day'));
+  const [drag, setDrag] = useState(null);
+  const [openTaskId, setOpenTaskId] = useState(null);
+  // Mirrors `drag` for the window listeners, which outlive a single render
+  const dragRef = useRef(null);
+
+  const completionIds = useMemo(() => getCompletionIds(statusConfig), [statusConfig]);
+  const range = useMemo(() => getTimelineRange(tasks), [tasks]);
+  const rows = useMemo(() => getTimelineRows(tasks, groupBy, projects), [tasks, groupBy, projects]);
+  const links = useMemo(() => getTimelineLinks(tasks), [tasks]);
+  const critical = useMemo(() => getCriticalPath(tasks, completionIds), [tasks, completionIds]);
+  const dayWidth = TIMELINE_DAY_WIDTHS[zoom];
+  const width = range.days * dayWidth;
+  const height = rows.length * TIMELINE_ROW_HEIGHT;
+  const unscheduledCount = tasks.filter((task) => !getTaskSpan(task)).length;
+  const openTask = allTasks.find((task) => task.id === openTaskId);
+  const xOf = (date) => ((date - range.start) / DAY_MS) * dayWidth;
+  const rowIndex = new Map();
+  rows.forEach((row, index) => row.type === 'task' && rowIndex.set(row.task.id, index));
+  const conflictIds = new Set(links.filter((link) => link.conflict).map((link) => link.to.id));
+
+  // While dragging, draw the task where it would land
+  const display = (task) =>
+    drag?.taskId === task.id && drag.deltaDays
+      ? { ...task, ...shiftTaskSchedule(task, drag.edge, drag.deltaDays) }
+      : task;
+
+  const startDrag = (e, task, edge) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    dragRef.current = { taskId: task.id, edge, originX: e.clientX, deltaDays: 0, moved: false };
+    setDrag(dragRef.current);
+  };
+
+  const isDragging = drag !== null;
+  useEffect(() => {
+    if (!isDragging) return undefined;
+    const handleMove = (e) => {
+      const current = dragRef.current;
+      const dx = e.clientX - current.originX;
+      dragRef.current = {
+        ...current,
+        deltaDays: Math.round(dx / dayWidth),
+        moved: current.moved || Math.abs(dx) > 3,
+      };
+      setDrag(dragRef.current);
+    };
+    const handleUp = () => {
+      const { taskId, edge, deltaDays, moved } = dragRef.current;
+      const task = useStore.getState().tasks.find((t) => t.id === taskId);
+      if (task && deltaDays !== 0) updateTask(taskId, shiftTaskSchedule(task, edge, deltaDays));
+      else if (!moved) setOpenTaskId(taskId);
+      dragRef.current = null;
+      setDrag(null);
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [isDragging, dayWidth, updateTask]);
+
+  // Arrow keys move a bar a day at a time; with Shift they move only its due date
+  const handleBarKeyDown = (e, task) => {
+    const step = e.key === 'ArrowRight' ? 1 : e.key === 'ArrowLeft' ? -1 : 0;
+    if (e.key === 'Enter') setOpenTaskId(task.id);
+    if (!step) return;
+    e.preventDefault();
+    const edge = e.shiftKey && task.startAt && task.dueAt ? 'end' : 'move';
+    updateTask(task.id, shiftTaskSchedule(task, edge, step));
+  };
+
+  // The resize handles take focus too, so either edge can be moved on its own
+  const handleEdgeKeyDown = (e, task, edge) => {
+    const step = e.key === 'ArrowRight' ? 1 : e.key === 'ArrowLeft' ? -1 : 0;
+    if (!step) return;
+    e.preventDefault();
+    updateTask(task.id, shiftTaskSchedule(task, edge, step));
+  };
+
+  const segmentClass = (active) =>
+    clsx(
+      'rounded-md px-2.5 py-1 text-xs font-semibold',
+      active
+        ? 'bg-slate-900 text-white dark:bg-zinc-100 dark:text-zinc-900'
+        : 'text-slate-600 hover:bg-slate-100 dark:text-zinc-400 dark:hover:bg-zinc-800',
+    );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap items-center gap-3 text-xs text-slate-500 dark:text-zinc-400">
+          <div className="flex items-center gap-1.5">
+            Group by
+            <div className="inline-flex rounded-lg border border-slate-200 p-0.5 dark:border-zinc-800">
+              {[
+                ['project', 'Project'],
+                ['parent', 'Parent task'],
+              ].map(([id, label]) => (
                 <button
-                  onClick={() => startDictation()}
-                  className="px-2 py-1.5 text-xs rounded-lg bg-zinc-900 dark:bg-zinc-100 text-white dark:text-zinc-900 hover:bg-zinc-800 dark:hover:bg-white/90"
+                  key={id}
+                  onClick={() => setGroupBy(id)}
+                  aria-pressed={groupBy === id}
+                  className={segmentClass(groupBy === id)}
                 >
-                  Retry
+                  {label}
                 </button>
-              )}
+              ))}
             </div>
           </div>
-        )}
-
-        {/* Bulk Action Controls */}
-        {selectedIds.length > 0 && (
-          <div className="flex items-center justify-between rounded-xl border border-rose-200 dark:border-rose-900/50 bg-rose-50/50 dark:bg-rose-900/20 text-rose-900 dark:text-rose-300 px-3 py-2 text-sm">
-            <div className="text-sm font-medium">{selectedIds.length} selected</div>
-            <div className="flex items-center gap-2">
-              <button
-                onClick={onBulkAssignOwner}
-                className="inline-flex items-center gap-2 px-3 py-1.5 rounded-lg bg-purple-600 hover:bg-purple-700 text-white transition-colors"
-              >
-                <Users className="w-4 h-4" />
-                <span>Assign Owner</span>
-              </button>
+          <div className="inline-flex rounded-lg border border-slate-200 p-0.5 dark:border-zinc-800">
+            {[
+              ['day', 'Days'],
+              ['week', 'Weeks'],
+            ].map(([id, label]) => (
               <button
-                onClick={onBulkMove}
-                className="inline-flex items-center gap-2 px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white transition-colors"
+                key={id}
+                onClick={() => setZoom(id)}
+                aria-pressed={zoom === id}
+                className={segmentClass(zoom === id)}
               >
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4"
-                  />
-                </svg>
-                <span>Move to Project</span>
+                {label}
               </button>
-              <button
-                onClick={onBulkDelete}
-                className="inline-flex items-center gap-2 px-3 py-1.5 rounded-lg bg-rose-600 hover:bg-rose-700 text-white transition-colors"
+            ))}
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-[11px] text-slate-500 dark:text-zinc-400">
+          <span className="inline-flex items-center gap-1">
+            <span className="h-2 w-4 rounded-sm ring-2 ring-orange-500" /> Critical path
+          </span>
+          <span className="inline-flex items-center gap-1">
+            <span className="h-0.5 w-4 bg-red-500" /> Starts before its blocker is due
+          </span>
+          {unscheduledCount > 0 && (
+            <span>{pluralize(unscheduledCount, 'task')} without a start or due date not shown</span>
+          )}
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="rounded-xl border border-dashed border-slate-200 p-8 text-center text-sm text-slate-500 dark:border-zinc-800 dark:text-zinc-400">
+          No scheduled tasks. Give tasks a start or due date in their details to plot them here.
+        </div>
+      ) : (
+        <div className="flex overflow-hidden rounded-xl border border-slate-200 bg-white dark:border-zinc-800 dark:bg-zinc-900">
+          <div className="w-64 shrink-0 border-r border-slate-200 dark:border-zinc-800">
+            <div
+              style={{ height: TIMELINE_HEADER_HEIGHT }}
+              className="border-b border-slate-200 dark:border-zinc-800"
+            />
+            {rows.map((row) =>
+              row.type === 'group' ? (
+                <div
+                  key={`group-${row.key}`}
+                  style={{ height: TIMELINE_ROW_HEIGHT }}
+                  className="flex items-center gap-2 bg-slate-50 px-3 text-xs font-bold uppercase tracking-wider text-slate-500 dark:bg-zinc-950/50 dark:text-zinc-400"
+                >
+                  <span className="truncate">{row.label}</span>
+                  <span className="font-medium normal-case">{row.count}</span>
+                </div>
+              ) : (
+                <button
+                  key={row.task.id}
+                  onClick={() => setOpenTaskId(row.task.id)}
+                  style={{ height: TIMELINE_ROW_HEIGHT, paddingLeft: 12 + row.depth * 16 }}
+                  className={clsx(
+                    'flex w-full items-center gap-1.5 pr-3 text-left text-sm hover:bg-slate-50 dark:hover:bg-zinc-800/50',
+                    completionIds.has(row.task.status) &&
+                      'text-slate-400 line-through dark:text-zinc-500',
+                  )}
+                >
+                  {row.depth > 0 && <span className="text-slate-300 dark:text-zinc-600">└</span>}
+                  <span className="truncate">{row.task.title}</span>
+                </button>
+              ),
+            )}
+          </div>
+
+          <div className="flex-1 overflow-x-auto">
+            <div className="relative" style={{ width, height: TIMELINE_HEADER_HEIGHT + height }}>
+              {/* Day scale */}
+              <div
+                className="sticky top-0 flex border-b border-slate-200 dark:border-zinc-800"
+                style={{ height: TIMELINE_HEADER_HEIGHT }}
               >
-                <Trash2 className="w-4 h-4" />
-                <span>Delete</span>
-              </button>
-              <button
-                onClick={clearSelection}
-                className="text-sm hover:underline text-slate-500 dark:text-zinc-400"
+                {Array.from({ length: range.days }, (_, i) => {
+                  const day = addDays(range.start, i);
+                  const showLabel = zoom === 'day' || day.getDay() === 1;
+                  return (
+                    <div
+                      key={i}
+                      style={{ width: dayWidth }}
+                      className={clsx(
+                        'shrink-0 border-l border-slate-100 pt-1 text-center text-[10px] dark:border-zinc-800/70',
+                        isToday(day)
+                          ? 'font-bold text-blue-600 dark:text-blue-400'
+                          : 'text-slate-400 dark:text-zinc-500',
+                      )}
+                    >
+                      {showLabel && (
+                        <>
+                          <div className="whitespace-nowrap">
+                            {zoom === 'week' || day.getDate() === 1 || i === 0
+                              ? format(day, 'MMM')
+                              : ' '}
+                          </div>
+                          <div>{format(day, 'd')}</div>
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div
+                className="absolute left-0"
+                style={{ top: TIMELINE_HEADER_HEIGHT, width, height }}
               >
-                Clear
-              </button>
+                {/* Weekends and group header rows */}
+                {Array.from({ length: range.days }, (_, i) => addDays(range.start, i))
+                  .map((day, i) => ({ day, i }))
+                  .filter(({ day }) => day.getDay() === 0 || day.getDay() === 6)
+                  .map(({ i }) => (
+                    <div
+                      key={`weekend-${i}`}
+                      className="absolute top-0 h-full bg-slate-50 dark:bg-zinc-950/40"
+                      style={{ left: i * dayWidth, width: dayWidth }}
+                    />
+                  ))}
+                {rows.map(
+                  (row, index) =>
+                    row.type === 'group' && (
+                      <div
+                        key={`group-band-${row.key}`}
+                        className="absolute left-0 w-full bg-slate-50 dark:bg-zinc-950/50"
+                        style={{ top: index * TIMELINE_ROW_HEIGHT, height: TIMELINE_ROW_HEIGHT }}
+                      />
+                    ),
+                )}
+                <div
+                  className="absolute top-0 h-full w-px bg-blue-500/70"
+                  style={{ left: xOf(new Date()) }}
+                  title="Now"
+                />
+
+                {/* Dependency arrows */}
+                <svg
+                  className="pointer-events-none absolute left-0 top-0"
+                  width={width}
+                  height={height}
+                  aria-hidden="true"
+                >
+                  <defs>
+                    {[
+                      ['link', '#94a3b8'],
+                      ['conflict', '#ef4444'],
+                      ['critical', '#f97316'],
+                    ].map(([id, color]) => (
+                      <marker
+                        key={id}
+                        id={`timeline-arrow-${id}`}
+                        viewBox="0 0 6 6"
+                        refX="6"
+                        refY="3"
+                        markerWidth="6"
+                        markerHeight="6"
+                        orient="auto"
+                      >
+                        <path d="M0,0 L6,3 L0,6 z" fill={color} />
+                      </marker>
+                    ))}
+                  </defs>
+                  {links.map((link) => {
+                    const fromRow = rowIndex.get(link.from.id);
+                    const toRow = rowIndex.get(link.to.id);
+                    if (fromRow === undefined || toRow === undefined) return null;
+                    const x1 = xOf(getTaskSpan(display(link.from)).end);
+                    const x2 = xOf(getTaskSpan(display(link.to)).start);
+                    const y1 = fromRow * TIMELINE_ROW_HEIGHT + TIMELINE_ROW_HEIGHT / 2;
+                    const y2 = toRow * TIMELINE_ROW_HEIGHT + TIMELINE_ROW_HEIGHT / 2;
+                    const kind = link.conflict
+                      ? 'conflict'
+                      : critical.has(link.from.id) && critical.has(link.to.id)
+                        ? 'critical'
+                        : 'link';
+                    return (
+                      <path
+                        key={`${link.from.id}-${link.to.id}`}
+                        d={`M ${x1} ${y1} H ${x1 + 8} V ${y2} H ${x2}`}
+                        fill="none"
+                        strokeWidth={kind === 'link' ? 1.25 : 2}
+                        stroke={
+                          kind === 'conflict'
+                            ? '#ef4444'
+                            : kind === 'critical'
+                              ? '#f97316'
+                              : '#94a3b8'
+                        }
+                        markerEnd={`url(#timeline-arrow-${kind})`}
+                      />
+                    );
+                  })}
+                </svg>
+
+                {/* Bars and milestones */}
+                {rows.map((row, index) => {
+                  if (row.type !== 'task') return null;
+                  const task = display(row.task);
+                  const span = getTaskSpan(task);
+                  const color = projects.find((p) => p.id === task.projectId)?.color || '#6B7280';
+                  const isDone = completionIds.has(task.status);
+                  const top = index * TIMELINE_ROW_HEIGHT + 7;
+                  const barHeight = TIMELINE_ROW_HEIGHT - 14;
+                  const label = `${task.title}: ${format(span.start, 'MMM d')}${
+                    span.milestone ? '' : ` – ${format(span.end, 'MMM d')}`
+                  }`;
+                  const outline = conflictIds.has(task.id)
+                    ? 'ring-2 ring-red-500'
+                    : critical.has(task.id) && 'ring-2 ring-orange-500';
+                  if (span.milestone) {
+                    return (
+                      <button
+                        key={task.id}
+                        onPointerDown={(e) => startDrag(e, row.task, 'move')}
+                        onKeyDown={(e) => handleBarKeyDown(e, row.task)}
+                        aria-label={`${label} (arrow keys reschedule)`}
+                        title={label}
+                        className={clsx(
+                          'absolute rotate-45 cursor-grab rounded-sm',
+                          outline,
+                          isDone && 'opacity-40',
+                        )}
+                        style={{
+                          left: xOf(span.end) - barHeight / 2,
+                          top: top + 2,
+                          width: barHeight - 4,
+                          height: barHeight - 4,
+                          backgroundColor: color,
+                        }}
+                      />
+                    );
+                  }
+                  const left = xOf(span.start);
+                  const barWidth = Math.max(8, xOf(span.end) - left);
+                  return (
+                    <div
+                      key={task.id}
+                      className={clsx('group absolute', isDone && 'opacity-40')}
+                      style={{ left, top, width: barWidth, height: barHeight }}
+                    >
+                      <button
+                        onPointerDown={(e) => startDrag(e, row.task, 'move')}
+                        onKeyDown={(e) => handleBarKeyDown(e, row.task)}
+                        aria-label={`${label} (arrow keys move it, Shift+arrow changes the due date)`}
+                        title={label}
+                        className={clsx(
+                          'h-full w-full cursor-grab truncate rounded-md px-2 text-left text-[11px] font-semibold text-white shadow-sm',
+                          outline,
+                        )}
+                        style={{ backgroundColor: color }}
+                      >
+                        {task.title}
+                      </button>
+                      <button
+                        onPointerDown={(e) => startDrag(e, row.task, 'start')}
+                        onKeyDown={(e) => handleEdgeKeyDown(e, row.task, 'start')}
+                        aria-label={`Change the start date of ${task.title} (arrow keys)`}
+                        className="absolute left-0 top-0 h-full w-2 cursor-ew-resize rounded-l-md opacity-0 hover:bg-black/20 focus:opacity-100 focus:bg-black/30 group-hover:opacity-100"
+                        title="Drag to change the start date"
+                      />
+                      <button
+                        onPointerDown={(e) => startDrag(e, row.task, 'end')}
+                        onKeyDown={(e) => handleEdgeKeyDown(e, row.task, 'end')}
+                        aria-label={`Change the due date of ${task.title} (arrow keys)`}
+                        className="absolute right-0 top-0 h-full w-2 cursor-ew-resize rounded-r-md opacity-0 hover:bg-black/20 focus:opacity-100 focus:bg-black/30 group-hover:opacity-100"
+                        title="Drag to change the due date"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
             </div>
           </div>
-        )}
+        </div>
+      )}
 
-        {/* Dialogs */}
-        {showMoveDialog && (
-          <BulkMoveDialog
-            taskIds={selectedIds}
-            onClose={() => setShowMoveDialog(false)}
-            onSuccess={() => {
-              setShowMoveDialog(false);
-              clearSelection();
-            }}
-          />
-        )}
-        {showAssignOwnerDialog && (
-          <BulkAssignOwnerDialog
-            taskIds={selectedIds}
-            onClose={() => setShowAssignOwnerDialog(false)}
-            onSuccess={() => {
-              setShowAssignOwnerDialog(false);
-              clearSelection();
-            }}
-          />
-        )}
-      </div>
+      <AnimatePresence>
+        {openTask && <TaskDrawer task={openTask} onClose={() => setOpenTaskId(null)} />}
+      </AnimatePresence>
     </div>
   );
 }
 
-function useFilteredTasks() {
-  const tasks = useStore((s) => s.tasks);
-  const currentProjectId = useStore((s) => s.currentProjectId);
-  const filters = useStore((s) => s.filters);
-  const ownerFilter = useStore((s) => s.ownerFilter);
-  const statusOrder = useStore((s) => s.getStatusOrder());
+// ----- Matrix View -----
 
-  // Memoize visible tasks to avoid recalculation
-  const visibleTasks = useMemo(() => {
-    return tasks.filter((t) => t.projectId === currentProjectId);
-  }, [tasks, currentProjectId]);
+function MatrixTaskChip({ task, now, onOpen, onDragStart, onDragEnd }) {
+  const moveTaskToQuadrant = useStore((s) => s.moveTaskToQuadrant);
+  const overdue = task.dueAt && new Date(task.dueAt) < now;
+  const pinned =
+    typeof task.urgentOverride === 'boolean' || typeof task.importantOverride === 'boolean';
 
-  return useMemo(() => {
-    return visibleTasks
-      .filter((t) => {
-        if (filters.project !== 'all' && (t.project || '') !== filters.project) return false;
-        if (ownerFilter && !t.owners.includes(ownerFilter)) return false;
-        if (
-          filters.priority &&
-          filters.priority !== 'all' &&
-          (t.priorityBucket || 'P4') !== filters.priority
-        ) {
-          return false;
-        }
-        if (
-          filters.q &&
-          !`${t.title} ${t.description || ''} ${t.tags.join(' ')}`
-            .toLowerCase()
-            .includes(filters.q.toLowerCase())
-        )
-          return false;
-        return true;
-      })
-      .sort((a, b) => {
-        // Sort by status lane first
-        if (a.status !== b.status)
-          return statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status);
-        // Within the same status, preserve store array order (manual order)
-        return visibleTasks.indexOf(a) - visibleTasks.indexOf(b);
-      });
-  }, [visibleTasks, filters, ownerFilter, statusOrder]);
-}
+  // 1-4 move the focused task to that quadrant, like the triage keys
+  const handleKeyDown = (e) => {
+    const quadrant = MATRIX_QUADRANTS[parseInt(e.key, 10) - 1];
+    if (!quadrant || e.metaKey || e.ctrlKey || e.altKey) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const result = moveTaskToQuadrant(task.id, quadrant.id);
+    if (result.error) useStore.getState().showNotification(result.error, 'info');
+  };
 
-function groupTasksByStatus(tasks, statusOrder = null) {
-  // If no statusOrder provided, fall back to STATUS_ORDER constant
-  const order = statusOrder || STATUS_ORDER;
-  /** @type{Record<Status, Task[]>} */
-  const grouped = order.reduce((acc, status) => {
-    acc[status] = [];
-    return acc;
-  }, /** @type{Record<Status, Task[]>} */ ({}));
-  for (const t of tasks) {
-    if (grouped[t.status]) {
-      grouped[t.status].push(t);
-    }
-  }
-  return grouped;
+  return (
+    <button
+      draggable
+      onDragStart={(e) => onDragStart(e, task)}
+      onDragEnd={onDragEnd}
+      onClick={() => onOpen(task.id)}
+      onKeyDown={handleKeyDown}
+      aria-label={`${task.title} (keys 1-4 move it to another quadrant)`}
+      className="flex w-full cursor-grab items-center gap-2 rounded-lg border border-slate-200 bg-white px-2.5 py-1.5 text-left text-sm shadow-sm hover:border-slate-300 dark:border-zinc-800 dark:bg-zinc-900 dark:hover:border-zinc-700"
+    >
+      <span className="min-w-0 flex-1 truncate font-medium">{task.title}</span>
+      {pinned && (
+        <Pin
+          className="w-3 h-3 shrink-0 text-slate-400"
+          aria-label="Urgency or importance set by hand"
+        />
+      )}
+      {task.dueAt && (
+        <span
+          className={clsx(
+            'shrink-0 text-[11px]',
+            overdue
+              ? 'font-medium text-red-500 dark:text-red-400'
+              : 'text-slate-500 dark:text-zinc-400',
+          )}
+        >
+          {format(new Date(task.dueAt), 'MMM d')}
+        </span>
+      )}
+      <TaskPriorityBadge priority={task.priorityBucket} />
+    </button>
+  );
 }
 
-const Board = React.memo(function Board() {
-  const filtered = useFilteredTasks();
+function MatrixView() {
+  const tasks = useFilteredTasks();
   const allTasks = useStore((s) => s.tasks);
-  const currentProjectId = useStore((s) => s.currentProjectId);
-  const projects = useStore((s) => s.projects);
-  const filters = useStore((s) => s.filters);
-  const ownerFilter = useStore((s) => s.ownerFilter);
-  const setFilters = useStore((s) => s.setFilters);
-  const setOwnerFilter = useStore((s) => s.setOwnerFilter);
-  const laneRowClass =
-    'board-lane-row flex flex-col xl:flex-row gap-3 items-stretch w-full overflow-x-auto pb-2';
-  const statusOrder = useStore((s) => s.getStatusOrder());
-  const grouped = useMemo(() => groupTasksByStatus(filtered, statusOrder), [filtered, statusOrder]);
-  const standardStatuses = useMemo(() => new Set(STANDARD_STATUS_ORDER), []);
-  const primaryStatuses = useMemo(
-    () => ['ready', 'in_progress', 'in_review'].filter((status) => statusOrder.includes(status)),
-    [statusOrder],
-  );
-  const waitingStatuses = useMemo(
-    () => WAITING_STATUSES.filter((status) => statusOrder.includes(status)),
-    [statusOrder],
-  );
-  const waitingTasks = useMemo(
-    () => waitingStatuses.flatMap((status) => grouped[status] || []),
-    [grouped, waitingStatuses],
-  );
-  const waitingDropStatus = waitingStatuses[0] || null;
-  const backlogStatus = statusOrder.includes('backlog') ? 'backlog' : null;
-  const secondaryStatuses = useMemo(
-    () =>
-      statusOrder.filter(
-        (status) =>
-          status === 'inbox' ||
-          status === 'done' ||
-          status === 'done_yesterday' ||
-          (!primaryStatuses.includes(status) &&
-            !waitingStatuses.includes(status) &&
-            !standardStatuses.has(status) &&
-            status !== 'backlog'),
-      ),
-    [primaryStatuses, statusOrder, standardStatuses, waitingStatuses],
-  );
-
-  const currentProject = projects.find((p) => p.id === currentProjectId);
-  const projectTasks = useMemo(
-    () => allTasks.filter((t) => t.projectId === currentProjectId),
-    [allTasks, currentProjectId],
-  );
-  const hasNoTasks = filtered.length === 0;
-  const hasFiltersActive = !!(ownerFilter || filters.q);
-  const isFilteredEmpty = hasNoTasks && hasFiltersActive && projectTasks.length > 0;
+  const statusConfig = useStore((s) => s.statusConfig);
+  const autoPriorityFromScore = useStore((s) => s.autoPriorityFromScore);
+  const moveTaskToQuadrant = useStore((s) => s.moveTaskToQuadrant);
+  const [dragged, setDragged] = useState(null);
+  const [dropQuadrant, setDropQuadrant] = useState(null);
+  const [openTaskId, setOpenTaskId] = useState(null);
+  const [triageOpen, setTriageOpen] = useState(false);
 
-  if (isFilteredEmpty) {
-    return (
-      <div className="flex items-center justify-center min-h-[400px]">
-        <div className="text-center max-w-md">
-          <div className="mb-4">
-            <Search className="w-16 h-16 mx-auto text-slate-400" />
-          </div>
-          <h3 className="text-lg font-semibold text-slate-900 dark:text-zinc-100 mb-2">
-            No tasks match your filters
-          </h3>
-          <div className="text-sm text-slate-600 dark:text-zinc-400 mb-4 space-y-1">
-            {ownerFilter && <p>Owner: {ownerFilter}</p>}
-            {filters.q && <p>Search: &quot;{filters.q}&quot;</p>}
-          </div>
-          <button
-            onClick={() => {
-              setFilters({ q: '' });
-              setOwnerFilter(null);
-            }}
-            className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors font-medium"
-          >
-            Clear All Filters
-          </button>
-        </div>
-      </div>
-    );
-  }
+  const now = new Date();
+  const completionIds = getCompletionIds(statusConfig);
+  const openTasks = tasks.filter((task) => !completionIds.has(task.status));
+  const inboxIds = openTasks.filter((task) => task.status === 'inbox').map((task) => task.id);
+  const openTask = allTasks.find((task) => task.id === openTaskId);
+  const byQuadrant = Object.fromEntries(MATRIX_QUADRANTS.map((q) => [q.id, []]));
+  openTasks.forEach((task) => byQuadrant[getTaskQuadrant(task, now)].push(task));
+
+  const handleDrop = (e, quadrantId) => {
+    e.preventDefault();
+    if (dragged && getTaskQuadrant(dragged, now) !== quadrantId) {
+      const result = moveTaskToQuadrant(dragged.id, quadrantId);
+      if (result.error) useStore.getState().showNotification(result.error, 'info');
+    }
+    setDragged(null);
+    setDropQuadrant(null);
+  };
 
-  if (hasNoTasks) {
-    return (
-      <div className="flex items-center justify-center min-h-[400px]">
-        <div className="text-center max-w-md">
-          <div className="mb-4">
-            <svg
-              className="w-16 h-16 mx-auto text-slate-400"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
-            >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={1.5}
-                d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2"
-              />
-            </svg>
-          </div>
-          <h3 className="text-lg font-semibold text-slate-900 dark:text-zinc-100 mb-2">
-            No tasks in {currentProject?.name || 'this project'}
-          </h3>
-          <p className="text-slate-600 dark:text-zinc-400 mb-4">
-            Get started by adding your first task using the quick-add bar above.
-          </p>
-          <div className="text-sm text-slate-500 dark:text-zinc-400">
-            <p className="mb-2">Quick tips:</p>
-            <ul className="text-left inline-block">
-              <li>
-                • Use <code className="px-1 py-0.5 bg-slate-100 dark:bg-zinc-800 rounded">!p0</code>{' '}
-                for high priority
-              </li>
-              <li>
-                • Use{' '}
-                <code className="px-1 py-0.5 bg-slate-100 dark:bg-zinc-800 rounded">
-                  due:tomorrow
-                </code>{' '}
-                for deadlines
-              </li>
-              <li>
-                • Use <code className="px-1 py-0.5 bg-slate-100 dark:bg-zinc-800 rounded">@ai</code>{' '}
-                to delegate to AI
-              </li>
-            </ul>
-          </div>
-        </div>
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-xs text-slate-500 dark:text-zinc-400">
+          Important means {MATRIX_IMPORTANT_BUCKETS[0]}–
+          {MATRIX_IMPORTANT_BUCKETS[MATRIX_IMPORTANT_BUCKETS.length - 1]}; urgent means due within{' '}
+          {MATRIX_URGENT_WITHIN_HOURS / 24} days. Dragging a task changes its{' '}
+          {autoPriorityFromScore
+            ? 'priority and due date (rated tasks keep their score-based priority and have importance pinned instead)'
+            : 'priority and due date'}
+          .
+        </p>
+        <button
+          onClick={() => setTriageOpen(true)}
+          disabled={inboxIds.length === 0}
+          className="inline-flex items-center gap-1.5 rounded-lg border border-slate-200 px-3 py-1.5 text-xs font-semibold text-slate-600 hover:bg-slate-100 disabled:opacity-50 dark:border-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-800"
+          title="Triage inbox (T)"
+        >
+          <Inbox className="w-3.5 h-3.5" />
+          Triage inbox ({inboxIds.length})
+        </button>
       </div>
-    );
-  }
 
-  const showWaitingLane = waitingStatuses.length > 0;
-  const hasSecondary = secondaryStatuses.length > 0;
-  const hasBacklogLane = !!backlogStatus;
-  return (
-    <div className="space-y-6" style={{ position: 'relative', zIndex: 1 }}>
-      <div className={laneRowClass}>
-        {primaryStatuses.map((status) => (
-          <Column key={status} status={status} tasks={grouped[status] || []} />
-        ))}
-        {showWaitingLane && (
-          <Column
-            status={waitingDropStatus}
-            dropStatus={waitingDropStatus}
-            labelOverride="Waiting"
-            hintOverride="AI, people, or external dependencies"
-            tasks={waitingTasks}
-          />
-        )}
+      <div className="grid gap-3 md:grid-cols-2">
+        {MATRIX_QUADRANTS.map((quadrant, index) => (
+          <section
+            key={quadrant.id}
+            aria-label={`${quadrant.label}: ${quadrant.hint}`}
+            onDragOver={(e) => {
+              e.preventDefault();
+              e.dataTransfer.dropEffect = 'move';
+              setDropQuadrant(quadrant.id);
+            }}
+            onDrop={(e) => handleDrop(e, quadrant.id)}
+            className={clsx(
+              'flex min-h-[14rem] flex-col gap-2 rounded-2xl border p-3',
+              quadrant.className,
+              dropQuadrant === quadrant.id && 'ring-2 ring-blue-400',
+            )}
+          >
+            <div className="flex items-baseline gap-2">
+              <kbd className="rounded border border-slate-300 bg-white px-1.5 text-[10px] font-medium text-slate-500 dark:border-zinc-700 dark:bg-zinc-900 dark:text-zinc-400">
+                {index + 1}
+              </kbd>
+              <h3 className="text-sm font-bold">{quadrant.label}</h3>
+              <span className="text-[11px] text-slate-500 dark:text-zinc-400">{quadrant.hint}</span>
+              <span className="ml-auto text-xs font-semibold text-slate-500 dark:text-zinc-400">
+                {byQuadrant[quadrant.id].length}
+              </span>
+            </div>
+            <div className="flex max-h-[24rem] flex-col gap-1.5 overflow-y-auto custom-scrollbar">
+              {byQuadrant[quadrant.id].map((task) => (
+                <MatrixTaskChip
+                  key={task.id}
+                  task={task}
+                  now={now}
+                  onOpen={setOpenTaskId}
+                  onDragStart={(e, dragTask) => {
+                    setDragged(dragTask);
+                    e.dataTransfer.effectAllowed = 'move';
+                  }}
+                  onDragEnd={() => {
+                    setDragged(null);
+                    setDropQuadrant(null);
+                  }}
+                />
+              ))}
+            </div>
+          </section>
+        ))}
       </div>
 
-      {hasSecondary && (
-        <div className="space-y-3">
-          <div className="flex items-center justify-between border-b border-slate-200/80 dark:border-zinc-800 pb-2 mt-4">
-            <h4 className="text-xs font-bold uppercase tracking-wider text-slate-500 dark:text-zinc-400">
-              Secondary Lanes
-            </h4>
-            <span className="text-[11px] font-medium text-slate-400 dark:text-zinc-500">
-              Inbox and completed work
-            </span>
-          </div>
-          <div className={laneRowClass}>
-            {secondaryStatuses.map((status) => (
-              <Column
-                key={status}
-                status={status}
-                tasks={grouped[status] || []}
-                tone={
-                  status === 'inbox' || status === 'done' || status === 'done_yesterday'
-                    ? 'secondary'
-                    : 'primary'
-                }
-                defaultCollapsed={status === 'done_yesterday'}
-              />
-            ))}
-          </div>
-        </div>
-      )}
+      <AnimatePresence>
+        {openTask && <TaskDrawer task={openTask} onClose={() => setOpenTaskId(null)} />}
+      </AnimatePresence>
+      {triageOpen && <InboxTriageDialog taskIds={inboxIds} onClose={() => setTriageOpen(false)} />}
+    </div>
+  );
+}
 
-      {hasBacklogLane && (
-        <div className="space-y-3">
-          <div className="flex items-center justify-between border-b border-slate-200/80 dark:border-zinc-800 pb-2 mt-4">
-            <h4 className="text-xs font-bold uppercase tracking-wider text-slate-500 dark:text-zinc-400">
-              Backlog
-            </h4>
-            <span className="text-[11px] font-medium text-slate-400 dark:text-zinc-500">
-              Longer-horizon work queue
-            </span>
-          </div>
-          <div className={laneRowClass}>
-            <Column status={backlogStatus} tasks={grouped[backlogStatus] || []} tone="secondary" />
+// ----- Inbox Triage -----
+
+const TRIAGE_STEPS = ['quadrant', 'status', 'owner'];
+const TRIAGE_STEP_LABELS = { quadrant: 'Quadrant', status: 'Status', owner: 'Owner' };
+
+// Walks the given inbox tasks one at a time: a number key picks the quadrant,
+// then the status, then the owner (0 keeps the current owners), and the task
+// leaves the inbox. Enter takes the highlighted choice (or clicks the focused
+// button), Backspace goes back a step and S skips the task. Without `taskIds`
+// it walks the visible inbox.
+function InboxTriageDialog({ taskIds, onClose }) {
+  const visibleTasks = useFilteredTasks();
+  const tasks = useStore((s) => s.tasks);
+  const statusMeta = useStore((s) => s.getStatusMetaMap());
+  const statusOrder = useStore((s) => s.getStatusOrder());
+  const ownerRegistry = useStore((s) => s.ownerRegistry);
+  const triageTask = useStore((s) => s.triageTask);
+  const [queue] = useState(
+    () => taskIds ?? visibleTasks.filter((task) => task.status === 'inbox').map((task) => task.id),
+  );
+  const isPending = (id) => tasks.some((task) => task.id === id && task.status === 'inbox');
+  const [index, setIndex] = useState(() => queue.findIndex(isPending));
+  const [step, setStep] = useState('quadrant');
+  const [picked, setPicked] = useState({});
+  const [counts, setCounts] = useState({ triaged: 0, skipped: 0 });
+  const dialogRef = useRef(null);
+
+  const task = index === -1 ? null : tasks.find((t) => t.id === queue[index]);
+  const statusIds = statusOrder.filter((id) => id !== 'inbox');
+  const owners = Array.from(ownerRegistry.owners).sort((a, b) => a.localeCompare(b));
+  const options = {
+    quadrant: MATRIX_QUADRANTS.map((q) => ({ value: q.id, label: q.label, hint: q.hint })),
+    status: statusIds.map((id) => ({ value: id, label: statusMeta[id]?.label || id })),
+    owner: [
+      { value: null, label: 'Keep', hint: task?.owners.join(', ') || 'Unassigned' },
+      ...owners.map((owner) => ({ value: owner, label: owner })),
+    ],
+  }[step];
+  // Highlighted choice for Enter: where the task already sits, or the first option
+  const suggested = task
+    ? {
+        quadrant: getTaskQuadrant(task),
+        status: statusIds.find((id) => id === 'ready') ?? statusIds[0],
+        owner: null,
+      }[step]
+    : null;
+
+  const next = (key) => {
+    setCounts((c) => ({ ...c, [key]: c[key] + 1 }));
+    setStep('quadrant');
+    setPicked({});
+    setIndex(queue.findIndex((id, i) => i > index && isPending(id)));
+  };
+
+  const choose = (value) => {
+    if (!task) return;
+    const choices = { ...picked, [step]: value };
+    const stepIndex = TRIAGE_STEPS.indexOf(step);
+    if (stepIndex < TRIAGE_STEPS.length - 1) {
+      setPicked(choices);
+      setStep(TRIAGE_STEPS[stepIndex + 1]);
+      return;
+    }
+    const result = triageTask(task.id, choices);
+    if (result.error) {
+      useStore.getState().showNotification(result.error, 'info');
+      return;
+    }
+    next('triaged');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.metaKey || e.ctrlKey || e.altKey) return;
+    const handled = () => {
+      e.preventDefault();
+      e.stopPropagation();
+    };
+    if (e.key === 'Escape') {
+      handled();
+      onClose();
+      return;
+    }
+    // Keep the global T shortcut from stacking a second triage dialog on this one
+    if (e.key.toLowerCase() === 't') {
+      handled();
+      return;
+    }
+    if (!task) return;
+    const digit = parseInt(e.key, 10);
+    if (step === 'owner' && digit === 0) {
+      handled();
+      choose(null);
+    } else if (digit >= 1 && digit <= 9) {
+      handled();
+      const option = options[step === 'owner' ? digit : digit - 1];
+      if (option) choose(option.value);
+    } else if (e.key === 'Enter') {
+      // A focused button in the dialog (an option, or Close) gets its own click instead
+      if (dialogRef.current?.contains(e.target) && e.target.closest('button')) return;
+      handled();
+      choose(suggested);
+    } else if (e.key === 'Backspace') {
+      handled();
+      const stepIndex = TRIAGE_STEPS.indexOf(step);
+      if (stepIndex > 0) setStep(TRIAGE_STEPS[stepIndex - 1]);
+    } else if (e.key.toLowerCase() === 's') {
+      handled();
+      next('skipped');
+    }
+  };
+  // The document listener lives for the whole dialog; the handler changes every render
+  const keyHandlerRef = useRef(handleKeyDown);
+  keyHandlerRef.current = handleKeyDown;
+  useEffect(() => {
+    // Take focus from whatever opened the dialog so Enter doesn't click it again
+    dialogRef.current?.focus();
+    const listener = (e) => keyHandlerRef.current(e);
+    document.addEventListener('keydown', listener);
+    return () => document.removeEventListener('keydown', listener);
+  }, []);
+
+  const remaining = queue.filter((id, i) => i >= index && isPending(id)).length;
+
+  return ReactDOM.createPortal(
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="fixed inset-0 bg-black/60 dark:bg-zinc-950/80 backdrop-blur-sm z-[400]"
+      />
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        exit={{ opacity: 0, scale: 0.95 }}
+        className="fixed inset-0 flex items-center justify-center z-[401] pointer-events-none"
+      >
+        <div
+          ref={dialogRef}
+          tabIndex={-1}
+          role="dialog"
+          aria-modal="true"
+          aria-label="Triage inbox"
+          className="outline-none bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 rounded-2xl shadow-xl dark:shadow-2xl p-6 w-[480px] max-w-[90vw] pointer-events-auto"
+        >
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-slate-900 dark:text-zinc-100 flex items-center gap-2">
+              <Inbox className="w-5 h-5" /> Triage inbox
+            </h2>
+            <div className="flex items-center gap-3">
+              {task && (
+                <span className="text-xs text-slate-500 dark:text-zinc-400">{remaining} left</span>
+              )}
+              <button
+                onClick={onClose}
+                aria-label="Close triage"
+                className="p-1 rounded hover:bg-slate-100 dark:hover:bg-zinc-800 transition-colors"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
           </div>
+
+          {task ? (
+            <>
+              <div className="rounded-xl border border-slate-200 bg-slate-50 p-3 dark:border-zinc-800 dark:bg-zinc-950/50">
+                <div className="font-medium">{task.title}</div>
+                {task.description && (
+                  <p className="mt-1 line-clamp-3 text-xs text-slate-500 dark:text-zinc-400">
+                    {task.description}
+                  </p>
+                )}
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-[11px] text-slate-500 dark:text-zinc-400">
+                  <TaskPriorityBadge priority={task.priorityBucket} />
+                  {task.dueAt && <span>Due {format(new Date(task.dueAt), 'MMM d, HH:mm')}</span>}
+                  {task.owners.length > 0 && <span>{task.owners.join(', ')}</span>}
+                </div>
+              </div>
+
+              <ol className="mt-4 flex items-center gap-2 text-xs">
+                {TRIAGE_STEPS.map((id) => (
+                  <li
+                    key={id}
+                    className={clsx(
+                      'rounded-full px-2.5 py-0.5 font-semibold',
+                      id === step
+                        ? 'bg-slate-900 text-white dark:bg-zinc-100 dark:text-zinc-900'
+                        : picked[id] !== undefined
+                          ? 'bg-emerald-50 text-emerald-700 dark:bg-emerald-950/30 dark:text-emerald-300'
+                          : 'text-slate-400 dark:text-zinc-500',
+                    )}
+                  >
+                    {TRIAGE_STEP_LABELS[id]}
+                  </li>
+                ))}
+              </ol>
+
+              <div className="mt-3 grid max-h-64 gap-1.5 overflow-y-auto custom-scrollbar">
+                {options.map((option, i) => {
+                  const key = step === 'owner' ? i : i + 1;
+                  return (
+                    <button
+                      key={option.value ?? 'keep'}
+                      onClick={() => choose(option.value)}
+                      className={clsx(
+                        'flex items-center gap-2 rounded-lg border px-3 py-2 text-left text-sm transition-colors',
+                        option.value === suggested
+                          ? 'border-blue-300 bg-blue-50 dark:border-blue-800 dark:bg-blue-950/30'
+                          : 'border-slate-200 hover:bg-slate-50 dark:border-zinc-800 dark:hover:bg-zinc-800/50',
+                      )}
+                    >
+                      <kbd className="w-5 rounded border border-slate-300 bg-white text-center text-[10px] font-medium text-slate-500 dark:border-zinc-700 dark:bg-zinc-900 dark:text-zinc-400">
+                        {key <= 9 ? key : ' '}
+                      </kbd>
+                      <span className="font-medium">{option.label}</span>
+                      {option.hint && (
+                        <span className="truncate text-xs text-slate-500 dark:text-zinc-400">
+                          {option.hint}
+                        </span>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+
+              <p className="mt-4 text-center text-xs text-slate-500 dark:text-zinc-400">
+                Number keys choose, Enter takes the highlighted choice, Backspace goes back, S
+                skips, Esc closes
+              </p>
+            </>
+          ) : (
+            <div className="py-6 text-center text-sm text-slate-600 dark:text-zinc-300">
+              {counts.triaged + counts.skipped === 0
+                ? 'Nothing left in the inbox.'
+                : `Inbox triaged: ${pluralize(counts.triaged, 'task')} moved out, ${counts.skipped} skipped.`}
+            </div>
+          )}
         </div>
-      )}
-    </div>
+      </motion.div>
+    </AnimatePresence>,
+    document.body,
   );
-});
+}
 
 // ----- Tiny Self-Test Harness (non-blocking) -----
 // Commented out since self-tests were modifying the actual store
 /*
-function runSelfTests() {
+async function runSelfTests() {
   const results = [];
+  const pending = [];
   const test = (name, fn) => {
     try {
       const r = fn();
+      if (r instanceof Promise) {
+        pending.push(
+          r.then(
+            (ok) => results.push({ name, ok: ok === true }),
+            () => results.push({ name, ok: false }),
+          ),
+        );
+        return;
+      }
       results.push({ name, ok: r === true });
     } catch {
       results.push({ name, ok: false });
@@ -6497,9 +14653,8 @@ function runSelfTests() {
   });
 
   // Test: due parser includes time
-  test('parseDueToken time picking', () => {
-    const iso = parseDueToken(['tomorrow', '16:00']);
-    const d = new Date(iso);
+  test('parseNaturalDate time picking', () => {
+    const d = parseNaturalDate('tomorrow 16:00');
     return d.getHours() === 16; // local hour check
   });
 
@@ -6694,12 +14849,223 @@ function runSelfTests() {
     return typeof store.bulkAssignOwner === 'function';
   });
 
+  // Test: a task one tab created and another deleted stays deleted on reload
+  test('IndexedDB: delete from another tab survives reload', async () => {
+    const dbName = `${IDB_NAME}-self-test`;
+    const board = { projects: [{ id: 'default', name: 'Default' }] };
+    const tabA = createIndexedDbAdapter(indexedDB, null, dbName);
+    const tabB = createIndexedDbAdapter(indexedDB, null, dbName);
+    try {
+      await tabA.save({ ...board, tasks: [{ id: 'kept' }] });
+      await tabB.load();
+      // Tab B only hears of the new task through sync, so it never wrote it
+      await tabA.save({ ...board, tasks: [{ id: 'kept' }, { id: 'created-in-a' }] });
+      await tabB.save({ ...board, tasks: [{ id: 'kept' }] });
+      const reloaded = await createIndexedDbAdapter(indexedDB, null, dbName).load();
+      return reloaded.data.tasks.map((task) => task.id).join() === 'kept';
+    } finally {
+      await requestToPromise(indexedDB.deleteDatabase(dbName));
+    }
+  });
+
+  // Test: every: rules
+  test('parseRecurrence rules', () => {
+    const weekly = parseRecurrence('mon,wednesday');
+    const monthly = parseRecurrence('last-fri');
+    return (
+      parseRecurrence('2w').unit === 'week' &&
+      parseRecurrence('2w').every === 2 &&
+      weekly.type === 'weekdays' &&
+      weekly.days.join() === '1,3' &&
+      monthly.nth === -1 &&
+      monthly.weekday === 5 &&
+      parseRecurrence('after-3d').every === 3 &&
+      parseRecurrence('weekday').days.length === 5
+    );
+  });
+  test('parseRecurrence rejects non-weekdays and bad tokens are reported', () => {
+    return (
+      parseRecurrence('monkey') === null &&
+      parseRecurrence('1st-frisbee') === null &&
+      parseRecurrence('0d') === null &&
+      parseQuickAdd('Water plants every:monkey').invalidTokens.includes('every:monkey')
+    );
+  });
+
+  // Test: natural-language and locale-aware dates
+  test('parseNaturalDate phrases and locales', () => {
+    const now = new Date(2026, 0, 7, 9, 0); // a Wednesday
+    const monday = parseNaturalDate('next monday 5pm', now, 'en-US');
+    const inThree = parseNaturalDate('in 3d', now, 'en-US');
+    const us = parseNaturalDate('3/4', now, 'en-US');
+    const de = parseNaturalDate('3.4', now, 'de-DE');
+    return (
+      monday.getDay() === 1 &&
+      monday.getHours() === 17 &&
+      inThree.getDate() === 10 &&
+      us.getMonth() === 2 &&
+      us.getDate() === 4 &&
+      de.getMonth() === 3 &&
+      de.getDate() === 3 &&
+      parseNaturalDate('someday', now, 'en-US') === null
+    );
+  });
+
+  // Test: est: values
+  test('parseEstimate units', () => {
+    return (
+      parseEstimate('30m') === 30 &&
+      parseEstimate('1h30m') === 90 &&
+      parseEstimate('1.5h') === 90 &&
+      parseEstimate('1d') === 480 &&
+      parseEstimate('soon') === null &&
+      parseEstimate('2x') === null
+    );
+  });
+
+  // Test: name matching for #project and >status
+  test('matchByName exact and prefix only', () => {
+    const projects = [{ name: 'build' }, { name: 'Mobile App' }, { name: 'UI' }];
+    const names = (project) => [project.name];
+    return (
+      matchByName(projects, 'ui', names).exact === true &&
+      matchByName(projects, 'mob', names).item.name === 'Mobile App' &&
+      matchByName(projects, 'app', names).item.name === 'Mobile App' &&
+      matchByName([{ name: 'build' }], 'ui', names) === null &&
+      matchByName([{ name: 'debugging' }], 'bug', names) === null
+    );
+  });
+  test('unmatched >status is reported', () => {
+    const statuses = [{ id: 'in_review', label: 'In Review' }];
+    const parsed = flagUnmatchedStatus(parseQuickAdd('Ship it >nowhere'), statuses);
+    return (
+      parsed.statusQuery === null &&
+      parsed.invalidTokens.includes('>nowhere') &&
+      matchStatus(statuses, 'review').status.id === 'in_review'
+    );
+  });
+
+  // Test: multi-line paste
+  test('parsePastedLines nests indented lines and bullets', () => {
+    const rows = parsePastedLines('Plan launch\n  - Write copy\n- [x] Book venue\n\nRetro');
+    return (
+      rows.map((row) => row.text).join('|') === 'Plan launch|Write copy|Book venue|Retro' &&
+      rows.map((row) => row.isSubtask).join() === 'false,true,true,false'
+    );
+  });
+  test('pasted line keeps an unknown #project in its title', () => {
+    const parsed = parseQuickAdd('Fix header #nowhere');
+    const route = resolveQuickAddProject(parsed, parsed.title, [{ id: 'p', name: 'Web' }]);
+    return route.project === null && route.title === 'Fix header #nowhere';
+  });
+
+
+  // Test: search query language
+  test('parseSearchQuery terms, groups and errors', () => {
+    const now = new Date(2026, 0, 7, 9, 0);
+    const context = { now, statusMeta: {} };
+    const dueAt = new Date(2026, 0, 7, 17).toISOString();
+    const task = { title: 'Fix login', tags: ['auth'], dueAt };
+    const matches = (query) => evaluateSearchNode(parseSearchQuery(query, now).root, task, context);
+    return (
+      matches('login due:today') &&
+      matches('(signup OR login) -billing') &&
+      !matches('due<today') &&
+      parseSearchQuery('due:someday', now).errors.length === 1 &&
+      parseSearchQuery('(login', now).errors.length === 1
+    );
+  });
+  test('getParsedSearchQuery re-parses on a new day', () => {
+    const today = getParsedSearchQuery('due:today', new Date(2026, 0, 7, 23, 59));
+    const tomorrow = getParsedSearchQuery('due:today', new Date(2026, 0, 8, 0, 1));
+    const task = { dueAt: new Date(2026, 0, 8, 12).toISOString() };
+    return (
+      today !== tomorrow &&
+      !evaluateSearchNode(today.root, task, {}) &&
+      evaluateSearchNode(tomorrow.root, task, {})
+    );
+  });
+
+  // Test: three-way merge of another tab's save
+  test('syncBoardData keeps newer edits, remote deletes and local creates', () => {
+    const at = (minute) => new Date(2026, 0, 7, 9, minute).toISOString();
+    const board = (tasks) => ({
+      tasks,
+      projects: [{ id: 'default', name: 'Default' }],
+      ownerRegistry: { owners: [], statistics: {} },
+    });
+    const shared = board([
+      { id: 'edited', title: 'Old', updatedAt: at(0) },
+      { id: 'deleted', title: 'Gone', updatedAt: at(0) },
+    ]);
+    const local = board([...shared.tasks, { id: 'created', title: 'New', updatedAt: at(2) }]);
+    const remote = board([{ id: 'edited', title: 'Newer', updatedAt: at(1) }]);
+    const merged = syncBoardData(local, remote, createSyncBase(shared));
+    const byId = new Map(merged.tasks.map((task) => [task.id, task]));
+    return byId.get('edited').title === 'Newer' && !byId.has('deleted') && byId.has('created');
+  });
+
+  // Test: cross-tab merge cannot close a dependency loop
+  test('syncBoardData drops a link that closes a cycle across tabs', () => {
+    const at = (hour) => new Date(2026, 0, 1, hour).toISOString();
+    const task = (id, dependencies, hour) => ({ id, dependencies, updatedAt: at(hour) });
+    const board = (tasks) => ({
+      tasks,
+      projects: [{ id: 'default', name: 'Default' }],
+      ownerRegistry: { owners: [], statistics: {} },
+    });
+    const shared = board([task('a', [], 0), task('b', [], 0)]);
+    const local = board([task('a', ['b'], 1), task('b', [], 0)]);
+    const remote = board([task('a', [], 0), task('b', ['a'], 2)]);
+    const merged = syncBoardData(local, remote, createSyncBase(shared));
+    const links = merged.tasks.flatMap((t) => t.dependencies);
+    return links.length === 1 && remote.tasks[1].dependencies.length === 1;
+  });
+
+  // Test: timeline critical path
+  test('getCriticalPath follows the longest open chain and survives cycles', () => {
+    const day = (d) => new Date(2026, 0, d, 9).toISOString();
+    const task = (id, start, due, dependencies = []) => ({
+      id,
+      status: 'ready',
+      startAt: day(start),
+      dueAt: day(due),
+      dependencies,
+    });
+    const done = new Set(['done']);
+    const path = getCriticalPath(
+      [task('a', 1, 3), task('b', 3, 8, ['a']), task('c', 1, 2), task('d', 2, 3, ['c'])],
+      done,
+    );
+    const cyclic = getCriticalPath([task('x', 1, 2, ['y']), task('y', 2, 3, ['x'])], done);
+    return [...path].sort().join() === 'a,b' && cyclic instanceof Set;
+  });
+
+  // Test: Eisenhower quadrant moves
+  test('getQuadrantPatch moves a task with minimal changes', () => {
+    const now = new Date(2026, 0, 7, 9, 0);
+    const task = { priorityBucket: 'P3', dueAt: null };
+    const toDo = getQuadrantPatch(task, 'do', { now });
+    const moved = { ...task, ...toDo };
+    const toEliminate = getQuadrantPatch(moved, 'eliminate', { now });
+    const pinned = getQuadrantPatch(task, 'schedule', { now, autoPriority: true });
+    return (
+      getTaskQuadrant(moved, now) === 'do' &&
+      toDo.priorityBucket === 'P2' &&
+      getTaskQuadrant({ ...moved, ...toEliminate }, now) === 'eliminate' &&
+      !!toEliminate.dueAt &&
+      pinned.importantOverride === true &&
+      pinned.priorityBucket === undefined
+    );
+  });
+
+  await Promise.all(pending);
   return results;
 }
 */
 
 // DISABLED: Self-tests were modifying the actual store and persisting test data
-// const SELF_TEST_RESULTS = runSelfTests();
+// runSelfTests().then((results) => console.table(results));
 
 // ----- Keyboard Shortcuts Modal -----
 function KeyboardShortcutsModal({ onClose }) {
@@ -6718,6 +15084,9 @@ function KeyboardShortcutsModal({ onClose }) {
     { keys: ['?'], description: 'Show keyboard shortcuts' },
     { keys: ['1', '-', '8'], description: 'Move selected tasks to column 1-8' },
     { keys: ['n'], description: 'Focus quick-add input' },
+    { keys: ['t'], description: 'Triage inbox (on the Inbox column or Matrix view)' },
+    { keys: ['Ctrl', 'Z'], description: 'Undo last change' },
+    { keys: ['Ctrl', 'Shift', 'Z'], description: 'Redo' },
     { keys: ['Esc'], description: 'Close dialog / deselect tasks' },
     { keys: ['Ctrl', 'K'], description: 'Open project switcher' },
     { keys: ['Ctrl', 'Shift', 'N'], description: 'Create new project' },
@@ -6789,7 +15158,9 @@ function KeyboardShortcutsModal({ onClose }) {
   );
 }
 
-function OverflowMenu({ onDeleteAll }) {
+function OverflowMenu({ onExport, onImport, onHistory, onRestorePoints, onDeleteAll }) {
+  const autoPriorityFromScore = useStore((s) => s.autoPriorityFromScore);
+  const setAutoPriorityFromScore = useStore((s) => s.setAutoPriorityFromScore);
   const [isOpen, setIsOpen] = useState(false);
   const menuRef = useRef(null);
   useEffect(() => {
@@ -6829,6 +15200,62 @@ function OverflowMenu({ onDeleteAll }) {
             role="menu"
             className="absolute right-0 top-full mt-1 w-56 bg-white dark:bg-zinc-900 border border-slate-200 dark:border-zinc-800 rounded-lg shadow-xl z-50 py-1"
           >
+            <button
+              role="menuitem"
+              onClick={() => {
+                setIsOpen(false);
+                onExport();
+              }}
+              className="w-full text-left px-4 py-2.5 text-sm text-slate-700 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors flex items-center gap-2"
+            >
+              <Download className="w-4 h-4" />
+              Export Board
+            </button>
+            <button
+              role="menuitem"
+              onClick={() => {
+                setIsOpen(false);
+                onImport();
+              }}
+              className="w-full text-left px-4 py-2.5 text-sm text-slate-700 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors flex items-center gap-2"
+            >
+              <Upload className="w-4 h-4" />
+              Import Board…
+            </button>
+            <button
+              role="menuitem"
+              onClick={() => {
+                setIsOpen(false);
+                onHistory();
+              }}
+              className="w-full text-left px-4 py-2.5 text-sm text-slate-700 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors flex items-center gap-2"
+            >
+              <Undo2 className="w-4 h-4" />
+              History…
+            </button>
+            <button
+              role="menuitem"
+              onClick={() => {
+                setIsOpen(false);
+                onRestorePoints();
+              }}
+              className="w-full text-left px-4 py-2.5 text-sm text-slate-700 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors flex items-center gap-2"
+            >
+              <History className="w-4 h-4" />
+              Restore Points…
+            </button>
+            <button
+              role="menuitemcheckbox"
+              aria-checked={autoPriorityFromScore}
+              onClick={() => setAutoPriorityFromScore(!autoPriorityFromScore)}
+              className="w-full text-left px-4 py-2.5 text-sm text-slate-700 dark:text-zinc-300 hover:bg-slate-50 dark:hover:bg-zinc-800 transition-colors flex items-center gap-2"
+              title="Set each task's priority from its impact, urgency, effort and due date"
+            >
+              <Gauge className="w-4 h-4" />
+              Priority from score
+              {autoPriorityFromScore && <Check className="w-4 h-4 ml-auto text-blue-600" />}
+            </button>
+            <div className="my-1 border-t border-slate-200 dark:border-zinc-800" />
             <button
               role="menuitem"
               onClick={() => {
@@ -6909,13 +15336,38 @@ export default function WorkdayTaskBoardApp() {
   const getProjectTaskCount = useStore((s) => s.getProjectTaskCount);
   const clearCurrentProject = useStore((s) => s.clearCurrentProject);
   const undoToast = useStore((s) => s.undoToast);
-  const performUndo = useStore((s) => s.performUndo);
+  const undo = useStore((s) => s.undo);
   const dismissUndoToast = useStore((s) => s.dismissUndoToast);
   const notificationToast = useStore((s) => s.notificationToast);
+  const recoveryReport = useStore((s) => s.recoveryReport);
+  const viewMode = useStore((s) => s.viewMode);
   useEffect(() => {
-    init();
-    useStore.getState().initializeOwnerRegistry();
+    let stopSync = () => {};
+    let stopViewHashSync = () => {};
+    let cancelled = false;
+    init().then(async () => {
+      useStore.getState().initializeOwnerRegistry();
+      await useStore.getState().loadSnapshots();
+      if (cancelled) return;
+      useStore.getState().takeScheduledSnapshots();
+      useStore.getState().rollMyDay();
+      stopSync = useStore.getState().startSync();
+      stopViewHashSync = useStore.getState().startViewHashSync();
+    });
+    return () => {
+      cancelled = true;
+      stopSync();
+      stopViewHashSync();
+    };
   }, [init]);
+  useEffect(() => {
+    const id = setInterval(() => {
+      useStore.getState().takeScheduledSnapshots();
+      useStore.getState().applyScorePriorities();
+      useStore.getState().rollMyDay();
+    }, 60 * 1000);
+    return () => clearInterval(id);
+  }, []);
   useEffect(() => {
     const id = setInterval(() => persistIfDirty(), 5000);
     return () => clearInterval(id);
@@ -6924,6 +15376,30 @@ export default function WorkdayTaskBoardApp() {
   const [showOwnerManager, setShowOwnerManager] = useState(false);
   const [showWorkflowSettings, setShowWorkflowSettings] = useState(false);
   const [showShortcuts, setShowShortcuts] = useState(false);
+  const [showTriage, setShowTriage] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showRestorePoints, setShowRestorePoints] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const importInputRef = useRef(null);
+
+  const handleExport = () => {
+    const bundle = useStore.getState().exportBoard();
+    downloadTextFile(
+      `workday-board-${format(new Date(), 'yyyy-MM-dd')}.json`,
+      JSON.stringify(bundle, null, 2),
+    );
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setPendingImport({ bundle: JSON.parse(await file.text()), fileName: file.name });
+    } catch (err) {
+      useStore.getState().showNotification('Could not read export file (invalid JSON).', 'info');
+    }
+  };
 
   // Global keyboard shortcuts
   useEffect(() => {
@@ -6931,11 +15407,27 @@ export default function WorkdayTaskBoardApp() {
       const tag = (e.target.tagName || '').toUpperCase();
       if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
 
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        const { undo, redo, showNotification } = useStore.getState();
+        const entry = e.shiftKey ? redo() : undo();
+        if (entry) showNotification(`${e.shiftKey ? 'Redid' : 'Undid'}: ${entry.label}`, 'info');
+        return;
+      }
       if (e.key === '?') {
         e.preventDefault();
         setShowShortcuts((v) => !v);
         return;
       }
+      // Triage works from the Inbox column (focus inside it) or the Matrix view
+      if (e.key === 't' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        const onInboxLane = e.target instanceof Element && e.target.closest('[data-col="inbox"]');
+        if (onInboxLane || useStore.getState().viewMode === 'matrix') {
+          e.preventDefault();
+          setShowTriage(true);
+        }
+        return;
+      }
       if (e.key === 'n') {
         e.preventDefault();
         const quickAddInput = document.querySelector('[placeholder*="Add a task"]');
@@ -6952,13 +15444,17 @@ export default function WorkdayTaskBoardApp() {
       }
       const num = parseInt(e.key, 10);
       if (num >= 1 && num <= 8) {
-        const { selectedIds, getStatusOrder, moveTask } = useStore.getState();
+        const state = useStore.getState();
+        const { selectedIds, getStatusOrder, moveTask, runCommand } = state;
         if (selectedIds.length > 0) {
           e.preventDefault();
           const statusOrder = getStatusOrder();
           const targetStatus = statusOrder[num - 1];
           if (targetStatus) {
-            selectedIds.forEach((id) => moveTask(id, targetStatus));
+            runCommand(
+              `Move ${pluralize(selectedIds.length, 'task')} to ${statusName(state, targetStatus)}`,
+              () => selectedIds.forEach((id) => moveTask(id, targetStatus)),
+            );
           }
         }
         return;
@@ -7032,6 +15528,10 @@ export default function WorkdayTaskBoardApp() {
                   {dark ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
                 </button>
                 <OverflowMenu
+                  onExport={handleExport}
+                  onImport={() => importInputRef.current?.click()}
+                  onHistory={() => setShowHistory(true)}
+                  onRestorePoints={() => setShowRestorePoints(true)}
                   onDeleteAll={() => {
                     const count = getProjectTaskCount(currentProjectId);
                     if (count === 0) {
@@ -7043,14 +15543,31 @@ export default function WorkdayTaskBoardApp() {
                     clearCurrentProject();
                   }}
                 />
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleImportFile}
+                  className="hidden"
+                  aria-label="Import board file"
+                />
               </div>
             </div>
           </header>
 
           <main className="px-6 py-4 space-y-4">
-            <WipBanner />
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <ViewSwitcher />
+              {viewMode === 'board' && <SwimlanePicker />}
+            </div>
+            {viewMode === 'board' && <WipBanner />}
             <Toolbar />
-            <Board />
+            {viewMode === 'myday' && <MyDayView />}
+            {viewMode === 'calendar' && <CalendarView />}
+            {viewMode === 'table' && <TableView />}
+            {viewMode === 'timeline' && <TimelineView />}
+            {viewMode === 'matrix' && <MatrixView />}
+            {viewMode === 'board' && <Board />}
           </main>
         </div>
 
@@ -7062,11 +15579,26 @@ export default function WorkdayTaskBoardApp() {
           <WorkflowSettingsModal onClose={() => setShowWorkflowSettings(false)} />
         )}
 
+        {recoveryReport && <RecoveryDialog report={recoveryReport} />}
+
+        {showHistory && <HistoryPanel onClose={() => setShowHistory(false)} />}
+
+        {showRestorePoints && <RestorePointsPanel onClose={() => setShowRestorePoints(false)} />}
+
+        {pendingImport && (
+          <ImportBoardDialog
+            bundle={pendingImport.bundle}
+            fileName={pendingImport.fileName}
+            onClose={() => setPendingImport(null)}
+          />
+        )}
+
         <AnimatePresence>
           {showShortcuts && <KeyboardShortcutsModal onClose={() => setShowShortcuts(false)} />}
+          {showTriage && <InboxTriageDialog onClose={() => setShowTriage(false)} />}
         </AnimatePresence>
 
-        <UndoToast toast={undoToast} onUndo={performUndo} onDismiss={dismissUndoToast} />
+        <UndoToast toast={undoToast} onUndo={undo} onDismiss={dismissUndoToast} />
         <NotificationToast toast={notificationToast} />
       </div>
     </ErrorBoundary>